@@ -154,13 +154,14 @@ class DataProcessingAgent extends BaseAgent {
         console.log('Received data request, processing...');
         const processedData = await this.process(message.content);
         console.log('Sending processed data back to:', message.from);
-        await this.sendMessage(message.from, processedData, 'data_response');
+        await this.reply(message, processedData, 'data_response');
         console.log('Response sent successfully');
       }
     } catch (error) {
       console.error('Error handling message:', error);
       this.logger.error('Error handling message:', error);
-      await this.sendMessage(message.from, { error: error.message }, 'error');
+      await this.reply(message, { error: error.message }, 'error');
+      this.nack(message, error);
     }
   }
 }
@@ -5,24 +5,13 @@
  * Handles trade execution based on signals received
  */
 
-const winston = require('winston');
 const Joi = require('joi');
 const EventEmitter = require('events');
+const auditTrail = require('../tools/audit-trail');
+const { createAgentLogger } = require('../tools/logger');
 
-// Configure logger
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ timestamp, level, message }) => {
-      return `[${timestamp}] ${level.toUpperCase()}: ExecutionAgent - ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/execution-agent.log' })
-  ]
-});
+// Get agent-specific logger
+const logger = createAgentLogger('execution', 'execution');
 
 /**
  * Execution Agent class
@@ -46,7 +35,8 @@ class ExecutionAgent extends EventEmitter {
       expireAfterSeconds: 60, // orders expire after 60 seconds by default
       smartRoutingEnabled: true, // enable smart order routing by default
       orderSizeLimit: 100000, // maximum order size in USD
-      aggressiveness: 0.5 // execution aggressiveness (0-1)
+      aggressiveness: 0.5, // execution aggressiveness (0-1)
+      volatilityWindowSize: 100 // recent price ticks used to estimate volatility
     };
     
     // Execution metrics
@@ -79,6 +69,13 @@ class ExecutionAgent extends EventEmitter {
     this.messenger = null;
     this.knowledgeBase = null;
     
+    // Set while the system is in safe mode: { reason, since }
+    this.safeMode = null;
+    
+    // Latest market data per symbol, kept current by a knowledge base watch
+    this.latestMarketData = {};
+    this.marketDataWatch = null;
+    
     logger.info('Execution Agent created');
   }
   
@@ -112,6 +109,11 @@ class ExecutionAgent extends EventEmitter {
         logger.info('Message handling configured');
       }
       
+      // Follow market data updates instead of polling the knowledge base
+      if (this.knowledgeBase && typeof this.knowledgeBase.watch === 'function') {
+        this.watchMarketData();
+      }
+      
       // Apply circuit breaker from options
       if (options.circuitBreakerThreshold) {
         this.params.circuitBreakerThreshold = options.circuitBreakerThreshold;
@@ -127,6 +129,22 @@ class ExecutionAgent extends EventEmitter {
     }
   }
   
+  /**
+   * Watch the knowledge base for new `market_data/<symbol>.current` entries
+   */
+  watchMarketData() {
+    if (this.marketDataWatch) {
+      this.marketDataWatch.unwatch();
+    }
+    
+    this.marketDataWatch = this.knowledgeBase.watch('market_data', '*.current', (change) => {
+      const symbol = change.key.slice(0, -'.current'.length);
+      this.latestMarketData[symbol] = change.newValue;
+    });
+    
+    logger.info('Watching market data updates');
+  }
+  
   /**
    * Setup message handling for agent communication
    */
@@ -177,7 +195,8 @@ class ExecutionAgent extends EventEmitter {
           await this.knowledgeBase.storeKnowledge(
             'executions',
             `${validatedSignal.symbol}.${Date.now()}`,
-            result
+            result,
+            { agent: { id: 'execution', type: 'execution' } }
           );
         }
       } catch (error) {
@@ -193,13 +212,29 @@ class ExecutionAgent extends EventEmitter {
       }
     });
     
+    // Stop new executions while the system is in safe mode
+    this.messenger.subscribe('system.safe_mode', (message) => {
+      if (message.active) {
+        this.enterSafeMode(message.reason);
+      } else {
+        this.exitSafeMode();
+      }
+    });
+    
     // Handle execution parameter updates
     this.messenger.subscribe('execution_params_update', (message) => {
       logger.info(`Received execution parameters update: ${JSON.stringify(message)}`);
       
       try {
         // Update execution parameters
+        const previous = this.params;
         this.params = { ...this.params, ...message.params };
+        
+        auditTrail.record('execution_params_change', {
+          changes: message.params,
+          previous,
+          updated: this.params
+        }, { actor: 'execution' });
         logger.info(`Execution parameters updated: ${JSON.stringify(this.params)}`);
         
         // Acknowledge update
@@ -309,12 +344,9 @@ class ExecutionAgent extends EventEmitter {
     
     return {
       getMarketData: async (symbol) => {
-        // Try to get market data from knowledge base if available
-        if (this.knowledgeBase) {
-          const marketData = await this.knowledgeBase.retrieveKnowledge('market_data', `${symbol}.current`);
-          if (marketData) {
-            return marketData;
-          }
+        // Use the latest market data seen in the knowledge base if available
+        if (this.latestMarketData[symbol]) {
+          return this.latestMarketData[symbol];
         }
         
         // Return mock data if knowledge base data not available
@@ -416,12 +448,47 @@ class ExecutionAgent extends EventEmitter {
   }
   
   /**
-   * Execute a trade based on a signal
+   * Refuse new executions until exitSafeMode() is called
+   * @param {String} reason - Why the system is in safe mode
+   */
+  enterSafeMode(reason) {
+    this.safeMode = { reason, since: new Date().toISOString() };
+    logger.warn(`Safe mode: new executions halted (${reason})`);
+  }
+  
+  /**
+   * Accept executions again after safe mode
+   */
+  exitSafeMode() {
+    if (this.safeMode) {
+      this.safeMode = null;
+      logger.info('Safe mode cleared: executions resumed');
+    }
+  }
+  
+  /**
+   * Execute a trade based on a signal, recording the outcome in the audit trail.
+   * In safe mode the trade is refused.
    * @param {Object} signal - The trade signal
    * @param {Object} options - Execution options
    * @returns {Object} - Execution result
    */
   async executeTrade(signal, options = {}) {
+    if (this.safeMode) {
+      logger.warn(`Execution refused in safe mode: ${signal.action} ${signal.symbol}`);
+      
+      const result = {
+        success: false,
+        error: `Safe mode: new executions are halted (${this.safeMode.reason})`,
+        safeMode: true,
+        timestamp: new Date().toISOString()
+      };
+      
+      auditTrail.record('execution', { signal, exchange: options.exchange, result }, { actor: 'execution' });
+      
+      return result;
+    }
+    
     try {
       const startTime = Date.now();
       logger.info(`Executing trade: ${signal.action} ${signal.symbol}`);
@@ -539,12 +606,16 @@ class ExecutionAgent extends EventEmitter {
         timestamp: new Date().toISOString()
       });
       
-      // Return the result with execution time
-      return {
+      const result = {
         ...executionResult,
         executionTime,
         strategy: executionStrategy
       };
+      
+      auditTrail.record('execution', { signal, exchange: exchangeId, result }, { actor: 'execution' });
+      
+      // Return the result with execution time
+      return result;
     } catch (error) {
       logger.error(`Trade execution failed: ${error.message}`);
       
@@ -557,12 +628,16 @@ class ExecutionAgent extends EventEmitter {
         this.metrics.ordersByType[options.executionStrategy].failed++;
       }
       
-      // Return error result
-      return {
+      const result = {
         success: false,
         error: error.message,
         timestamp: new Date().toISOString()
       };
+      
+      auditTrail.record('execution', { signal, exchange: options.exchange, result }, { actor: 'execution' });
+      
+      // Return error result
+      return result;
     }
   }
   
@@ -817,24 +892,15 @@ class ExecutionAgent extends EventEmitter {
    * @returns {Number} - Estimated volatility
    */
   estimateVolatility(symbol) {
-    // Try to get historical prices from knowledge base
-    if (this.knowledgeBase) {
-      const historicalData = this.knowledgeBase.retrieveKnowledge('market_data', `${symbol}.recent`);
-      
-      if (historicalData && historicalData.prices && historicalData.prices.length > 1) {
-        // Calculate standard deviation of price returns
-        const returns = [];
-        for (let i = 1; i < historicalData.prices.length; i++) {
-          returns.push(
-            (historicalData.prices[i] - historicalData.prices[i-1]) / historicalData.prices[i-1]
-          );
-        }
-        
-        // Calculate standard deviation
-        const mean = returns.reduce((sum, val) => sum + val, 0) / returns.length;
-        const variance = returns.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / returns.length;
-        
-        return Math.sqrt(variance);
+    // Standard deviation of returns over the most recent price ticks
+    if (this.knowledgeBase && typeof this.knowledgeBase.getRollingWindow === 'function') {
+      const window = this.knowledgeBase.getRollingWindow('market_series', `${symbol}.tick`, {
+        size: this.params.volatilityWindowSize
+      });
+      const volatility = window ? window.volatility() : null;
+      
+      if (volatility !== null) {
+        return volatility;
       }
     }
     
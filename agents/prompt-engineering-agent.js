@@ -195,6 +195,25 @@ class PromptEngineeringAgent extends BaseAgent {
     };
   }
   
+  /**
+   * Find past prompts and strategies related to a description, e.g. to
+   * reuse wording that worked before when writing a new prompt
+   * @param {string} description - What the prompt or strategy is about
+   * @param {object} options - Search options
+   * @param {number} options.limit - Maximum results (default 5)
+   * @param {string} options.mode - 'text', 'semantic' or 'hybrid' (needs a knowledge base embedder)
+   * @returns {Array<object>} Results of { category, key, score, highlights }, best first
+   */
+  async findRelatedKnowledge(description, options = {}) {
+    const { limit = 5, mode = 'text' } = options;
+    
+    return this.searchKnowledge(description, {
+      categories: ['prompts', 'strategies*'],
+      limit,
+      mode
+    });
+  }
+  
   /**
    * Generate default prompts for all agent types
    */
@@ -356,8 +375,8 @@ Optimize system performance and resource allocation.`,
           message.content.context || {}
         );
         
-        await this.sendMessage(
-          message.from,
+        await this.reply(
+          message,
           { prompt: customizedPrompt },
           'prompt_response'
         );
@@ -372,8 +391,8 @@ Optimize system performance and resource allocation.`,
           message.content.prompt
         );
         
-        await this.sendMessage(
-          message.from,
+        await this.reply(
+          message,
           { success: true },
           'prompt_update_response'
         );
@@ -381,7 +400,8 @@ Optimize system performance and resource allocation.`,
     } catch (error) {
       console.error('Error handling message:', error);
       this.logger.error('Error handling message:', error);
-      await this.sendMessage(message.from, { error: error.message }, 'error');
+      await this.reply(message, { error: error.message }, 'error');
+      this.nack(message, error);
     }
   }
 }
@@ -8,6 +8,7 @@
 
 const BaseAgent = require('../core/base-agent');
 const promptEngineeringAgent = require('./prompt-engineering-agent');
+const auditTrail = require('../tools/audit-trail');
 
 class RiskManagementAgent extends BaseAgent {
   /**
@@ -70,7 +71,7 @@ class RiskManagementAgent extends BaseAgent {
         try {
           const storedParams = await this.getKnowledge('risk', 'parameters');
           if (storedParams) {
-            this.riskParameters = storedParams;
+            this.riskParameters = { ...this.riskParameters, ...storedParams.data };
           }
         } catch (err) {
           this.logger.warn('No stored risk parameters found, using defaults');
@@ -84,7 +85,7 @@ class RiskManagementAgent extends BaseAgent {
         try {
           const storedState = await this.getKnowledge('risk', 'portfolio-state');
           if (storedState) {
-            this.portfolioState = storedState;
+            this.portfolioState = { ...this.portfolioState, ...storedState.data };
           }
         } catch (err) {
           this.logger.warn('No stored portfolio state found, using defaults');
@@ -104,12 +105,36 @@ class RiskManagementAgent extends BaseAgent {
   }
   
   /**
-   * Evaluate a trade for compliance with risk parameters
+   * Evaluate a trade for compliance with risk parameters, recording the
+   * signal and the decision in the audit trail
    * @param {Object} tradeSignal - The trade signal to evaluate
    * @param {Object} marketData - Current market data
    * @returns {Promise<Object>} Evaluation result with position sizing
    */
   async evaluateTrade(tradeSignal, marketData) {
+    const signalRecord = auditTrail.record('signal', { signal: tradeSignal }, { actor: this.id });
+    
+    const evaluation = await this._evaluateTrade(tradeSignal, marketData);
+    
+    const { originalSignal, ...decision } = evaluation;
+    auditTrail.record('risk_evaluation', {
+      signalSequence: signalRecord ? signalRecord.sequence : null,
+      symbol: tradeSignal?.symbol,
+      action: tradeSignal?.action,
+      ...decision
+    }, { actor: this.id });
+    
+    return evaluation;
+  }
+  
+  /**
+   * Evaluate a trade against the risk parameters
+   * @private
+   * @param {Object} tradeSignal - The trade signal to evaluate
+   * @param {Object} marketData - Current market data
+   * @returns {Promise<Object>} Evaluation result with position sizing
+   */
+  async _evaluateTrade(tradeSignal, marketData) {
     try {
       this.logger.info(`Evaluating trade for ${tradeSignal.symbol || 'unknown'}`);
       
@@ -231,81 +256,95 @@ class RiskManagementAgent extends BaseAgent {
     try {
       this.logger.info(`Updating portfolio with trade for ${trade.symbol}`);
       
-      const { symbol, action, price, quantity, direction } = trade;
+      // Apply the trade to the stored state in a transaction, so a trade
+      // recorded concurrently is never overwritten by this one
+      const newState = await this.updateKnowledge('risk', 'portfolio-state', (storedState) =>
+        this._applyTradeToPortfolio(storedState || this.portfolioState, trade)
+      );
       
-      // Clone current state
-      const newState = { ...this.portfolioState };
+      this.portfolioState = newState;
+      return this.portfolioState;
+    } catch (error) {
+      this.logger.error('Error updating portfolio:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Compute the portfolio state after a trade
+   * @param {Object} state - Portfolio state before the trade (not modified)
+   * @param {Object} trade - Trade details (see updatePortfolio)
+   * @returns {Object} New portfolio state
+   * @private
+   */
+  _applyTradeToPortfolio(state, trade) {
+    const { symbol, action, price, quantity, direction } = trade;
+    
+    // Clone current state, including positions, which are updated in place below
+    const newState = { ...state, currentPositions: new Map(state.currentPositions) };
+    
+    // Handle new positions
+    if (action === 'BUY' || action === 'SELL') {
+      const positionValue = price * quantity;
+      const existingPosition = newState.currentPositions.get(symbol);
       
-      // Handle new positions
-      if (action === 'BUY' || action === 'SELL') {
-        const positionValue = price * quantity;
-        const existingPosition = newState.currentPositions.get(symbol);
-        
-        if (existingPosition) {
-          // Update existing position
-          const updatedPosition = {
-            ...existingPosition,
-            quantity: existingPosition.quantity + quantity,
-            averagePrice: (existingPosition.averagePrice * existingPosition.quantity + price * quantity) / 
-                          (existingPosition.quantity + quantity),
-            value: existingPosition.value + positionValue
-          };
-          
-          newState.currentPositions.set(symbol, updatedPosition);
-        } else {
-          // Create new position
-          newState.currentPositions.set(symbol, {
-            symbol,
-            direction: action === 'BUY' ? 'long' : 'short',
-            quantity,
-            averagePrice: price,
-            value: positionValue,
-            openTime: new Date().toISOString()
-          });
-        }
+      if (existingPosition) {
+        // Update existing position
+        const updatedPosition = {
+          ...existingPosition,
+          quantity: existingPosition.quantity + quantity,
+          averagePrice: (existingPosition.averagePrice * existingPosition.quantity + price * quantity) / 
+                        (existingPosition.quantity + quantity),
+          value: existingPosition.value + positionValue
+        };
         
-        // Update exposure
-        newState.currentExposure = this._calculateTotalExposure(newState.currentPositions, newState.totalValue);
+        newState.currentPositions.set(symbol, updatedPosition);
+      } else {
+        // Create new position
+        newState.currentPositions.set(symbol, {
+          symbol,
+          direction: action === 'BUY' ? 'long' : 'short',
+          quantity,
+          averagePrice: price,
+          value: positionValue,
+          openTime: new Date().toISOString()
+        });
       }
       
-      // Handle closed positions
-      if (action === 'CLOSE') {
-        const existingPosition = newState.currentPositions.get(symbol);
+      // Update exposure
+      newState.currentExposure = this._calculateTotalExposure(newState.currentPositions, newState.totalValue);
+    }
+    
+    // Handle closed positions
+    if (action === 'CLOSE') {
+      const existingPosition = newState.currentPositions.get(symbol);
+      
+      if (existingPosition) {
+        // Calculate P&L
+        const pnl = direction === 'long' 
+          ? (price - existingPosition.averagePrice) * existingPosition.quantity
+          : (existingPosition.averagePrice - price) * existingPosition.quantity;
         
-        if (existingPosition) {
-          // Calculate P&L
-          const pnl = direction === 'long' 
-            ? (price - existingPosition.averagePrice) * existingPosition.quantity
-            : (existingPosition.averagePrice - price) * existingPosition.quantity;
-          
-          // Update portfolio value
-          newState.totalValue += pnl;
-          
-          // Remove position
-          newState.currentPositions.delete(symbol);
-          
-          // Update high water mark if needed
-          if (newState.totalValue > newState.highWaterMark) {
-            newState.highWaterMark = newState.totalValue;
-          }
-          
-          // Update current drawdown
-          newState.currentDrawdown = 1 - (newState.totalValue / newState.highWaterMark);
-          
-          // Update exposure
-          newState.currentExposure = this._calculateTotalExposure(newState.currentPositions, newState.totalValue);
+        // Update portfolio value
+        newState.totalValue += pnl;
+        
+        // Remove position
+        newState.currentPositions.delete(symbol);
+        
+        // Update high water mark if needed
+        if (newState.totalValue > newState.highWaterMark) {
+          newState.highWaterMark = newState.totalValue;
         }
+        
+        // Update current drawdown
+        newState.currentDrawdown = 1 - (newState.totalValue / newState.highWaterMark);
+        
+        // Update exposure
+        newState.currentExposure = this._calculateTotalExposure(newState.currentPositions, newState.totalValue);
       }
-      
-      // Store updated state
-      this.portfolioState = newState;
-      await this.storeKnowledge('risk', 'portfolio-state', this.portfolioState);
-      
-      return this.portfolioState;
-    } catch (error) {
-      this.logger.error('Error updating portfolio:', error);
-      throw error;
     }
+    
+    return newState;
   }
   
   /**
@@ -488,8 +527,15 @@ class RiskManagementAgent extends BaseAgent {
    */
   async setRiskParameters(parameters) {
     try {
+      const previous = this.riskParameters;
       this.riskParameters = { ...this.riskParameters, ...parameters };
       
+      auditTrail.record('risk_parameters_change', {
+        changes: parameters,
+        previous,
+        updated: this.riskParameters
+      }, { actor: this.id });
+      
       // Store updated parameters
       await this.storeKnowledge('risk', 'parameters', this.riskParameters);
       
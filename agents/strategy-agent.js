@@ -897,8 +897,11 @@ class StrategyAgent extends BaseAgent {
   async storeKnowledge(category, key, data, metadata = {}) {
     try {
       if (this.knowledgeBase) {
-        await this.knowledgeBase.storeKnowledge(category, key, data, metadata);
-        return true;
+        // The agent metadata is what access control checks the write against
+        return await this.knowledgeBase.storeKnowledge(category, key, data, {
+          ...metadata,
+          agent: { id: this.id, type: this.type }
+        });
       }
       return false;
     } catch (error) {
@@ -967,31 +970,12 @@ class StrategyAgent extends BaseAgent {
    * @param {Object} trade - Trade information
    * @param {boolean} success - Whether the trade was successful
    * @param {number} returnPct - Percentage return (positive or negative)
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
-  recordTradeOutcome(strategyId, trade, success, returnPct) {
+  async recordTradeOutcome(strategyId, trade, success, returnPct) {
     try {
       this.logger.info(`Recorded trade outcome for ${strategyId}: ${success ? 'Success' : 'Failure'}, Return: ${returnPct}%`);
       
-      // Initialize performanceData if it doesn't exist
-      if (!this.performanceData) {
-        this.performanceData = {
-          totalSignals: 0,
-          successfulSignals: 0,
-          failedSignals: 0,
-          profitFactor: 0,
-          averageReturn: 0,
-          maxDrawdown: 0,
-          winRate: 0,
-          trades: []
-        };
-      }
-      
-      // Ensure trades array exists
-      if (!this.performanceData.trades) {
-        this.performanceData.trades = [];
-      }
-      
       // Create a complete trade object
       const tradeRecord = {
         strategyId,
@@ -1004,43 +988,16 @@ class StrategyAgent extends BaseAgent {
         returnPct: returnPct
       };
       
-      // Update the performance metrics
-      if (success) {
-        this.performanceData.successfulSignals = (this.performanceData.successfulSignals || 0) + 1;
-      } else {
-        this.performanceData.failedSignals = (this.performanceData.failedSignals || 0) + 1;
-      }
-      
-      // Add the trade to the history
-      this.performanceData.trades.push(tradeRecord);
+      // Update the in-memory metrics first so reports reflect the trade immediately
+      const trades = (this.performanceData && this.performanceData.trades) || [];
+      this.performanceData = this._summarizeTrades([...trades, tradeRecord]);
       
-      // Update aggregate metrics
-      this.performanceData.totalSignals = this.performanceData.trades.length;
-      
-      const successfulTrades = this.performanceData.trades.filter(t => t.success);
-      const failedTrades = this.performanceData.trades.filter(t => !t.success);
-      
-      // Calculate profit factor (sum of profits / sum of losses)
-      const totalProfits = successfulTrades.reduce((sum, t) => sum + t.returnPct, 0);
-      const totalLosses = Math.abs(failedTrades.reduce((sum, t) => sum + t.returnPct, 0)) || 1; // Avoid division by zero
-      
-      this.performanceData.profitFactor = totalProfits / totalLosses;
-      
-      // Calculate win rate
-      this.performanceData.winRate = successfulTrades.length / Math.max(1, this.performanceData.trades.length);
-      
-      // Calculate average return
-      this.performanceData.averageReturn = this.performanceData.trades.reduce((sum, t) => sum + t.returnPct, 0) / 
-                                          Math.max(1, this.performanceData.trades.length);
-      
-      // Calculate maximum drawdown (simplified)
-      this.performanceData.maxDrawdown = Math.abs(
-        Math.min(0, ...this.performanceData.trades.map(t => t.returnPct))
-      );
-      
-      // Store updated performance metrics in the knowledge base
+      // Append to the stored trades in a transaction, so outcomes recorded
+      // concurrently (e.g. by another handler) are kept rather than overwritten
       try {
-        this.storeKnowledge('performance.strategies', this.performanceData);
+        this.performanceData = await this.updateKnowledge('performance', 'trade-outcomes', (stored) =>
+          this._summarizeTrades([...((stored && stored.trades) || []), tradeRecord])
+        );
       } catch (err) {
         this.logger.warn(`Unable to store performance data: ${err.message}`);
       }
@@ -1052,6 +1009,33 @@ class StrategyAgent extends BaseAgent {
     }
   }
   
+  /**
+   * Compute aggregate performance metrics from a trade history
+   * @param {Array<Object>} trades - Trade records
+   * @returns {Object} Performance data including the trades
+   * @private
+   */
+  _summarizeTrades(trades) {
+    const successfulTrades = trades.filter(t => t.success);
+    const failedTrades = trades.filter(t => !t.success);
+    
+    // Calculate profit factor (sum of profits / sum of losses)
+    const totalProfits = successfulTrades.reduce((sum, t) => sum + t.returnPct, 0);
+    const totalLosses = Math.abs(failedTrades.reduce((sum, t) => sum + t.returnPct, 0)) || 1; // Avoid division by zero
+    
+    return {
+      totalSignals: trades.length,
+      successfulSignals: successfulTrades.length,
+      failedSignals: failedTrades.length,
+      profitFactor: totalProfits / totalLosses,
+      winRate: successfulTrades.length / Math.max(1, trades.length),
+      averageReturn: trades.reduce((sum, t) => sum + t.returnPct, 0) / Math.max(1, trades.length),
+      // Maximum drawdown (simplified)
+      maxDrawdown: Math.abs(Math.min(0, ...trades.map(t => t.returnPct))),
+      trades
+    };
+  }
+  
   /**
    * Get performance report for a strategy or all strategies
    * @param {string} strategyId - Strategy ID (optional, for specific strategy)
@@ -1135,16 +1119,16 @@ class StrategyAgent extends BaseAgent {
     await super.handleMessage(message);
     
     try {
-      // Obtain sender ID and message type safely
-      const senderId = message.from || message.senderId;
+      // Message shape is enforced by the messenger's schema registry
+      const senderId = message.from;
       const type = message.type;
       
-      this.logger.info(`Handling message: ${message.id || message.messageId || 'unknown'} from ${senderId || 'unknown'}`);
+      this.logger.info(`Handling message: ${message.id} from ${senderId}`);
       this.logger.info(`Message type: ${type}, full message: ${JSON.stringify(message)}`);
       
       if (type === 'data_response') {
         this.logger.info('Received market data, generating signals...');
-        const marketData = message.data || message.content;
+        const marketData = message.content;
         const signals = await this.process(marketData);
         
         // Store the signals in the knowledge base
@@ -1152,7 +1136,7 @@ class StrategyAgent extends BaseAgent {
         await this.storeKnowledge(`signals.${signalId}`, signals);
         
         // Send signals back to the requesting agent
-        await this.sendMessage(senderId, {
+        await this.reply(message, {
           signals: signals,
           marketData: {
             symbol: marketData.symbol,
@@ -1162,7 +1146,7 @@ class StrategyAgent extends BaseAgent {
       } else if (type === 'market_data') {
         // Handle direct market data messages from test or other agents
         this.logger.info('Received direct market data, generating signals...');
-        const marketData = message.data || message.content;
+        const marketData = message.content;
         
         if (!marketData || !marketData.symbol || !marketData.prices) {
           throw new Error('Invalid market data format');
@@ -1175,7 +1159,7 @@ class StrategyAgent extends BaseAgent {
         await this.storeKnowledge(`signals.${signalId}`, signals);
         
         // Send signals back to the requesting agent
-        await this.sendMessage(senderId, {
+        await this.reply(message, {
           signals: signals,
           marketData: {
             symbol: marketData.symbol,
@@ -1186,7 +1170,7 @@ class StrategyAgent extends BaseAgent {
         this.logger.info('Received strategy update for:', message.content?.strategyId);
         
         if (!message.content?.strategyId || !message.content?.strategy) {
-          await this.sendMessage(senderId, { 
+          await this.reply(message, { 
             success: false, 
             error: 'Invalid strategy update: missing strategyId or strategy'
           }, 'strategy_update_response');
@@ -1200,12 +1184,12 @@ class StrategyAgent extends BaseAgent {
         );
         
         if (result) {
-          await this.sendMessage(senderId, { 
+          await this.reply(message, { 
             success: true, 
             strategyId: message.content.strategyId 
           }, 'strategy_update_response');
         } else {
-          await this.sendMessage(senderId, { 
+          await this.reply(message, { 
             success: false, 
             error: 'Failed to update strategy'
           }, 'strategy_update_response');
@@ -1214,31 +1198,36 @@ class StrategyAgent extends BaseAgent {
         this.logger.info('Received trade outcome for:', message.content?.strategyId);
         
         if (!message.content?.strategyId || !message.content?.trade) {
-          await this.sendMessage(senderId, { 
+          await this.reply(message, { 
             success: false, 
             error: 'Invalid trade outcome: missing strategyId or trade'
           }, 'trade_outcome_response');
           return;
         }
         
-        const result = this.recordTradeOutcome(
+        const result = await this.recordTradeOutcome(
           message.content.strategyId,
           message.content.trade,
           message.content.success,
           message.content.returnPct
         );
         
-        await this.sendMessage(senderId, { 
+        await this.reply(message, { 
           success: result, 
           strategyId: message.content.strategyId
         }, 'trade_outcome_response');
+        
+        // Redeliver (and eventually dead-letter) outcomes that could not be recorded
+        if (!result) {
+          this.nack(message, new Error(`Failed to record trade outcome for ${message.content.strategyId}`));
+        }
       } else if (type === 'performance_request') {
         // Handle performance report requests
         this.logger.info('Received performance report request');
         this.logger.info(`Performance request content: ${JSON.stringify(message.content)}`);
         this.logger.info(`Message sender ID: ${senderId}`);
         
-        const strategyId = message.content?.strategyId || message.strategyId || null;
+        const strategyId = message.content?.strategyId || null;
         this.logger.info(`Strategy ID for performance report: ${strategyId}`);
         
         const report = this.getPerformanceReport(strategyId);
@@ -1256,7 +1245,7 @@ class StrategyAgent extends BaseAgent {
         };
         this.logger.info(`Sending response content to ${senderId}: ${JSON.stringify(responseContent)}`);
         
-        await this.sendMessage(senderId, responseContent, 'performance_response');
+        await this.reply(message, responseContent, 'performance_response');
         this.logger.info(`Performance response sent to ${senderId}`);
       } else {
         this.logger.warn(`Unknown message type: ${type}`);
@@ -1264,12 +1253,13 @@ class StrategyAgent extends BaseAgent {
     } catch (error) {
       this.logger.error(`Error handling message: ${error.message}`);
       if (message.from) {
-        await this.sendMessage(message.from, {
+        await this.reply(message, {
           type: 'error_response',
           error: error.message,
           originalMessage: message
         });
       }
+      this.nack(message, error);
     }
   }
   
@@ -10,6 +10,44 @@ const EventEmitter = require('events');
 const agentMessenger = require('../tools/agent-messenger');
 const knowledgeBase = require('../tools/knowledge-base');
 const { createAgentLogger } = require('../tools/logger');
+const { runWithMessage, traceFrom } = require('../tools/message-trace');
+
+// Lifecycle states and the states each one may move to. A stopped agent
+// can be initialized again, e.g. when it is restarted.
+const LIFECYCLE_TRANSITIONS = {
+  created: ['initializing', 'stopped'],
+  initializing: ['ready', 'stopped'],
+  ready: ['degraded', 'stopping'],
+  degraded: ['ready', 'stopping'],
+  stopping: ['stopped'],
+  stopped: ['initializing']
+};
+
+// Time between heartbeats; 0 disables them
+const heartbeatSetting = parseInt(process.env.AGENT_HEARTBEAT_MS, 10);
+const DEFAULT_HEARTBEAT_INTERVAL = Number.isNaN(heartbeatSetting) ? 10000 : heartbeatSetting;
+
+// Longest a health check may take when heartbeats are disabled but one is requested
+const DEFAULT_HEALTH_CHECK_TIMEOUT = 10000;
+
+/**
+ * Error raised for a lifecycle transition that is not allowed
+ */
+class LifecycleError extends Error {
+  /**
+   * @param {string} agentId - Agent ID
+   * @param {string} from - Current state
+   * @param {string} to - Requested state
+   */
+  constructor(agentId, from, to) {
+    super(`Agent ${agentId} cannot go from ${from} to ${to}`);
+    this.name = 'LifecycleError';
+    this.code = 'INVALID_TRANSITION';
+    this.agentId = agentId;
+    this.from = from;
+    this.to = to;
+  }
+}
 
 class BaseAgent extends EventEmitter {
   constructor(id, type) {
@@ -17,7 +55,18 @@ class BaseAgent extends EventEmitter {
     this.id = id;
     this.type = type;
     this.isInitialized = false;
-    this.status = 'created';
+    this.state = 'created';
+    this.stateChangedAt = Date.now();
+    
+    // Heartbeats, started once the agent is ready
+    this.heartbeatIntervalMs = DEFAULT_HEARTBEAT_INTERVAL;
+    this.heartbeatTimer = null;
+    this.heartbeatInProgress = false;
+    this.lastHealth = null;
+    
+    // Listener for messages addressed to this agent, set by setupMessageHandler()
+    this.messageListener = null;
+    this.processingQueue = false;
     
     // Configure agent-specific logger
     this.logger = createAgentLogger(id, type);
@@ -26,46 +75,275 @@ class BaseAgent extends EventEmitter {
     this.logger.info(`Agent created: ${id} (${type})`);
   }
   
+  /**
+   * Lifecycle state (kept for callers of the former status field)
+   * @returns {string} Current state
+   */
+  get status() {
+    return this.state;
+  }
+  
+  /**
+   * Move to another lifecycle state. Emits 'lifecycle' and 'lifecycle:<state>'
+   * and publishes the change on the agent.lifecycle topic.
+   * @param {string} to - New state
+   * @param {string} reason - Why the state changes
+   * @returns {object} Transition event { agentId, agentType, from, to, reason, timestamp }
+   * @throws {LifecycleError} If the current state may not move to the new one
+   */
+  transition(to, reason = null) {
+    const from = this.state;
+    
+    if (!(LIFECYCLE_TRANSITIONS[from] || []).includes(to)) {
+      throw new LifecycleError(this.id, from, to);
+    }
+    
+    this.state = to;
+    this.stateChangedAt = Date.now();
+    
+    const event = { agentId: this.id, agentType: this.type, from, to, reason, timestamp: this.stateChangedAt };
+    
+    const log = to === 'degraded' ? 'warn' : 'info';
+    this.logger[log](`Lifecycle: ${from} -> ${to}${reason ? ` (${reason})` : ''}`);
+    
+    this.emit('lifecycle', event);
+    this.emit(`lifecycle:${to}`, event);
+    
+    try {
+      agentMessenger.publish('agent.lifecycle', event, this.id);
+    } catch (error) {
+      this.logger.error('Error publishing lifecycle change', { error });
+    }
+    
+    return event;
+  }
+  
+  /**
+   * Whether the agent is ready or degraded, i.e. initialized and not stopping
+   * @returns {boolean} Running status
+   */
+  isRunning() {
+    return this.state === 'ready' || this.state === 'degraded';
+  }
+  
   /**
    * Initialize the agent
    * @returns {boolean} Success status
    */
   async initialize() {
+    // Initializing a running agent again re-registers it without leaving its state
+    const running = this.isRunning();
+    
     try {
+      if (!running) {
+        this.transition('initializing');
+      }
+      
       this.logger.info('Initializing agent...');
       
       // Register with the messenger
-      agentMessenger.registerAgent(this.id, this.type);
+      agentMessenger.registerAgent(this.id, this.type, { requireAck: true });
       
       // Setup message handler
       this.setupMessageHandler();
       
       // Mark as initialized
       this.isInitialized = true;
-      this.status = 'active';
+      if (!running) {
+        this.transition('ready');
+      }
+      
+      this.startHeartbeat();
       
       this.logger.info('Agent initialized successfully');
       
       return true;
     } catch (error) {
       this.logger.error('Failed to initialize agent', { error });
-      this.status = 'error';
+      if (this.state === 'initializing') {
+        this.transition('stopped', `Initialization failed: ${error.message}`);
+      }
       throw error;
     }
   }
   
+  /**
+   * Report the agent's health (to be overridden by subclasses, e.g. to
+   * check an exchange connection). Called before every heartbeat; an
+   * unhealthy result degrades the agent and a healthy one restores it.
+   * @returns {Promise<object>} { healthy, reason, ...details }
+   */
+  async healthCheck() {
+    return { healthy: true };
+  }
+  
+  /**
+   * Start sending heartbeats every heartbeatIntervalMs
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    
+    if (!this.heartbeatIntervalMs) {
+      return;
+    }
+    
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatIntervalMs);
+    
+    // Heartbeats alone should not keep the process running
+    this.heartbeatTimer.unref();
+  }
+  
+  /**
+   * Stop sending heartbeats
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+  
+  /**
+   * Run the health check, move between ready and degraded on its result and
+   * publish a heartbeat on the agent.heartbeat topic. A health check that
+   * throws or takes longer than the heartbeat interval counts as unhealthy.
+   * @returns {Promise<object|null>} Heartbeat content, or null if the agent is not running
+   */
+  async heartbeat() {
+    if (!this.isRunning() || this.heartbeatInProgress) {
+      return null;
+    }
+    
+    this.heartbeatInProgress = true;
+    
+    try {
+      let health;
+      let timer;
+      try {
+        const timeoutMs = this.heartbeatIntervalMs || DEFAULT_HEARTBEAT_INTERVAL || DEFAULT_HEALTH_CHECK_TIMEOUT;
+        health = await Promise.race([
+          this.healthCheck(),
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Health check timed out after ${timeoutMs}ms`)), timeoutMs);
+          })
+        ]);
+      } catch (error) {
+        health = { healthy: false, reason: error.message };
+      } finally {
+        clearTimeout(timer);
+      }
+      
+      this.lastHealth = { healthy: true, ...health, checkedAt: Date.now() };
+      
+      // The agent may have started stopping while the check ran
+      if (this.state === 'ready' && !this.lastHealth.healthy) {
+        this.transition('degraded', this.lastHealth.reason || 'Health check failed');
+      } else if (this.state === 'degraded' && this.lastHealth.healthy) {
+        this.transition('ready', 'Health check passed');
+      }
+      
+      if (!this.isRunning()) {
+        return null;
+      }
+      
+      const content = {
+        agentId: this.id,
+        agentType: this.type,
+        state: this.state,
+        health: this.lastHealth,
+        timestamp: Date.now()
+      };
+      
+      agentMessenger.publish('agent.heartbeat', content, this.id);
+      
+      return content;
+    } catch (error) {
+      this.logger.error('Error sending heartbeat', { error });
+      return null;
+    } finally {
+      this.heartbeatInProgress = false;
+    }
+  }
+  
   /**
    * Setup message handler
    */
   setupMessageHandler() {
-    agentMessenger.on('message:received', (message) => {
+    // Replace the handler of an earlier initialization, e.g. before a restart
+    this.removeMessageHandler();
+    
+    this.messageListener = (message) => {
       if (message.to === this.id) {
+        this.processQueue();
+      }
+    };
+    agentMessenger.on('message:received', this.messageListener);
+  }
+  
+  /**
+   * Handle the messages waiting in this agent's queue one at a time, most
+   * urgent first. Messages arriving while a handler runs stay queued, so the
+   * priority lanes decide what is handled next and the queue depth is the
+   * agent's backlog.
+   */
+  async processQueue() {
+    if (this.processingQueue) {
+      return;
+    }
+    
+    this.processingQueue = true;
+    
+    try {
+      let message;
+      // Stop once the agent stops receiving; the rest waits for a restart
+      while (this.messageListener && (message = agentMessenger.dequeue(this.id))) {
         this.logger.debug(`Received message: ${message.id} from ${message.from}`, { 
           type: message.type 
         });
-        this.handleMessage(message);
+        await this.dispatchMessage(message);
       }
-    });
+    } finally {
+      this.processingQueue = false;
+    }
+  }
+  
+  /**
+   * Stop receiving messages
+   */
+  removeMessageHandler() {
+    if (this.messageListener) {
+      agentMessenger.removeListener('message:received', this.messageListener);
+      this.messageListener = null;
+    }
+  }
+  
+  /**
+   * Validate and handle a message, then settle the delivery. Handlers may ack or
+   * nack explicitly; otherwise the message is acked when handleMessage
+   * resolves and nacked when it throws, which also emits 'handler:error'.
+   * Messages sent while handling inherit the handled message's trace.
+   * @param {object} message - Message object
+   */
+  async dispatchMessage(message) {
+    try {
+      agentMessenger.validateMessage(message);
+    } catch (error) {
+      // Malformed messages will not improve on redelivery
+      this.logger.error(`Rejected invalid message: ${message.id}`, { error: error.message, type: message.type });
+      agentMessenger.nack(message.id, error, { requeue: false });
+      return;
+    }
+    
+    try {
+      await runWithMessage(message, () => this.handleMessage(message));
+      agentMessenger.ack(message.id);
+    } catch (error) {
+      this.logger.error(`Message handler failed: ${message.id}`, { error, type: message.type });
+      agentMessenger.nack(message.id, error);
+      
+      // Lets a supervisor restart agents whose handler keeps failing
+      this.emit('handler:error', { agentId: this.id, messageId: message.id, type: message.type, error });
+    }
   }
   
   /**
@@ -82,17 +360,40 @@ class BaseAgent extends EventEmitter {
       this.emit('message', message);
     } catch (error) {
       this.logger.error(`Error handling message: ${message.id}`, { error });
+      throw error;
     }
   }
   
   /**
-   * Send a message to another agent
+   * Acknowledge that a message was handled
+   * @param {object} message - Message object
+   * @returns {boolean} Whether an outstanding delivery was acknowledged
+   */
+  ack(message) {
+    return agentMessenger.ack(message.id);
+  }
+  
+  /**
+   * Report that a message could not be handled
+   * @param {object} message - Message object
+   * @param {Error} error - Handling error
+   * @param {object} options - Nack options ({ requeue: false } dead-letters immediately)
+   * @returns {boolean} Whether an outstanding delivery was nacked
+   */
+  nack(message, error, options = {}) {
+    return agentMessenger.nack(message.id, error, options);
+  }
+  
+  /**
+   * Send a message to another agent. Inside a message handler the new
+   * message joins the handled message's trace, with it as parent.
    * @param {string} toAgentId - Recipient agent ID
    * @param {object} content - Message content
    * @param {string} messageType - Message type
+   * @param {object} options - Send options passed to the messenger
    * @returns {string} Message ID
    */
-  async sendMessage(toAgentId, content, messageType = 'data') {
+  async sendMessage(toAgentId, content, messageType = 'data', options = {}) {
     try {
       this.logger.info(`Sending ${messageType} message to ${toAgentId}`);
       
@@ -101,8 +402,11 @@ class BaseAgent extends EventEmitter {
         throw new Error('Agent not initialized');
       }
       
-      // Send message
-      const messageId = agentMessenger.sendMessage(this.id, toAgentId, content, messageType);
+      // Send message, waiting for room at recipients using the 'block' overflow policy
+      const messageId = await agentMessenger.sendWithBackpressure(this.id, toAgentId, content, messageType, {
+        ...traceFrom(),
+        ...options
+      });
       
       this.logger.debug(`Message sent: ${messageId}`);
       
@@ -113,6 +417,43 @@ class BaseAgent extends EventEmitter {
     }
   }
   
+  /**
+   * Reply to a received message
+   * @param {object} message - Message being replied to
+   * @param {object} content - Reply content
+   * @param {string} messageType - Reply message type
+   * @returns {string} Message ID
+   */
+  async reply(message, content, messageType = 'data') {
+    return this.sendMessage(message.from, content, messageType, {
+      correlationId: message.correlationId || message.id,
+      ...traceFrom(message)
+    });
+  }
+  
+  /**
+   * Send a request to another agent and wait for its reply
+   * @param {string} toAgentId - Recipient agent ID
+   * @param {object} content - Request content
+   * @param {string} messageType - Request message type
+   * @param {object} options - Request options
+   * @param {number} options.timeoutMs - Time to wait for a reply
+   * @returns {Promise<object>} Reply message
+   */
+  async request(toAgentId, content, messageType = 'data', options = {}) {
+    this.logger.info(`Sending ${messageType} request to ${toAgentId}`);
+    
+    // Validate agent is initialized
+    if (!this.isInitialized) {
+      throw new Error('Agent not initialized');
+    }
+    
+    return agentMessenger.request(this.id, toAgentId, content, messageType, {
+      ...traceFrom(),
+      ...options
+    });
+  }
+  
   /**
    * Store data in the knowledge base
    * @param {string} category - Knowledge category
@@ -164,7 +505,9 @@ class BaseAgent extends EventEmitter {
       this.logger.info(`Getting knowledge: ${category}.${key} (version: ${version})`);
       
       // Get from knowledge base
-      const result = await knowledgeBase.getKnowledge(category, key, version);
+      const result = await knowledgeBase.getKnowledge(category, key, version, {
+        agent: { id: this.id, type: this.type }
+      });
       
       this.logger.debug(`Knowledge retrieved: ${category}.${key}`);
       
@@ -175,6 +518,71 @@ class BaseAgent extends EventEmitter {
     }
   }
   
+  /**
+   * Search the string content of searchable knowledge. Categories this
+   * agent cannot read are left out.
+   * @param {string} text - Query text
+   * @param {object} options - Search options (see KnowledgeBase.search)
+   * @returns {Array<object>} Results of { category, key, score, highlights }
+   */
+  async searchKnowledge(text, options = {}) {
+    try {
+      this.logger.info(`Searching knowledge: ${text}`);
+      
+      return await knowledgeBase.search(text, {
+        ...options,
+        agent: { id: this.id, type: this.type }
+      });
+    } catch (error) {
+      this.logger.error(`Error searching knowledge: ${text}`, { error });
+      return [];
+    }
+  }
+  
+  /**
+   * Read-modify-write a knowledge entry in a transaction. If another writer
+   * changes the entry first, the update is re-run on the new value; once the
+   * retries are used up the conflict is thrown rather than overwriting.
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {Function} updater - Receives the current data (null if none) and returns the new data
+   * @param {object} options - Update options
+   * @param {number} options.retries - Re-runs after a conflict (default 3)
+   * @param {object} options.metadata - Additional metadata
+   * @returns {any} The data written
+   */
+  async updateKnowledge(category, key, updater, options = {}) {
+    try {
+      this.logger.info(`Updating knowledge: ${category}.${key}`);
+      
+      // Validate agent is initialized
+      if (!this.isInitialized) {
+        throw new Error('Agent not initialized');
+      }
+      
+      const { retries = 3, metadata = {} } = options;
+      
+      return await knowledgeBase.transaction(async (tx) => {
+        const current = await tx.get(category, key);
+        const data = await updater(current ? current.data : null);
+        
+        tx.set(category, key, data, {
+          ...metadata,
+          agent: {
+            id: this.id,
+            type: this.type
+          },
+          timestamp: new Date()
+        });
+        
+        return data;
+      }, { retries, agent: { id: this.id, type: this.type } });
+    } catch (error) {
+      this.logger.error(`Error updating knowledge: ${category}.${key}`, { error });
+      throw error;
+    }
+  }
+  
   /**
    * Process data (to be implemented by subclasses)
    * @param {object} data - Data to process
@@ -191,14 +599,25 @@ class BaseAgent extends EventEmitter {
    */
   async shutdown() {
     try {
+      if (this.state === 'stopped') {
+        return true;
+      }
+      
       this.logger.info('Shutting down agent...');
       
+      if (this.isRunning()) {
+        this.transition('stopping');
+      }
+      
+      this.stopHeartbeat();
+      this.removeMessageHandler();
+      
       // Unregister from messenger
       agentMessenger.unregisterAgent(this.id);
       
-      // Mark as inactive
+      // Mark as stopped
       this.isInitialized = false;
-      this.status = 'inactive';
+      this.transition('stopped');
       
       this.logger.info('Agent shut down successfully');
       
@@ -210,4 +629,7 @@ class BaseAgent extends EventEmitter {
   }
 }
 
-module.exports = BaseAgent; 
\ No newline at end of file
+module.exports = BaseAgent;
+module.exports.LifecycleError = LifecycleError;
+module.exports.LIFECYCLE_TRANSITIONS = LIFECYCLE_TRANSITIONS;
+module.exports.DEFAULT_HEARTBEAT_INTERVAL = DEFAULT_HEARTBEAT_INTERVAL; 
\ No newline at end of file
@@ -0,0 +1,190 @@
+/**
+ * Health Monitor
+ *
+ * Follows the heartbeats and lifecycle changes agents publish through the
+ * Agent Messenger and flags agents that stop responding: an agent whose
+ * last heartbeat is older than the timeout is reported as unresponsive
+ * (and as recovered once it beats again). Stopped agents are not expected
+ * to beat and are no longer watched.
+ */
+
+const EventEmitter = require('events');
+const agentMessenger = require('../tools/agent-messenger');
+const { createComponentLogger } = require('../tools/logger');
+const { DEFAULT_HEARTBEAT_INTERVAL } = require('./base-agent');
+
+// Get component-specific logger
+const logger = createComponentLogger('HEALTH-MONITOR');
+
+class HealthMonitor extends EventEmitter {
+  /**
+   * Create a health monitor
+   * @param {object} options - Monitor options
+   * @param {object} options.messenger - Agent Messenger to follow
+   * @param {number} options.timeoutMs - Silence after which an agent is unresponsive (default three heartbeats)
+   * @param {number} options.checkIntervalMs - Time between checks (default one heartbeat)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.messenger = options.messenger || agentMessenger;
+    this.timeoutMs = options.timeoutMs || DEFAULT_HEARTBEAT_INTERVAL * 3;
+    this.checkIntervalMs = options.checkIntervalMs || DEFAULT_HEARTBEAT_INTERVAL;
+
+    this.agents = new Map();
+    this.subscriptions = [];
+    this.timer = null;
+  }
+
+  /**
+   * Start following heartbeats and checking for silent agents
+   * @returns {boolean} Whether the monitor was started (false if already running or heartbeats are disabled)
+   */
+  start() {
+    if (this.timer) {
+      return false;
+    }
+    
+    // With heartbeats disabled (AGENT_HEARTBEAT_MS=0) every agent would look silent
+    if (!this.timeoutMs) {
+      logger.info('Health monitor not started: heartbeats are disabled');
+      return false;
+    }
+
+    this.subscriptions = [
+      this.messenger.subscribe('agent.heartbeat', content => this._onHeartbeat(content)),
+      this.messenger.subscribe('agent.lifecycle', content => this._onLifecycle(content))
+    ];
+
+    this.timer = setInterval(() => this.check(), this.checkIntervalMs);
+    this.timer.unref();
+
+    logger.info(`Health monitor started (timeout ${this.timeoutMs}ms)`);
+    return true;
+  }
+
+  /**
+   * Stop the monitor and forget the agents it was watching
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    for (const subscription of this.subscriptions) {
+      subscription.unsubscribe();
+    }
+    this.subscriptions = [];
+    this.agents.clear();
+
+    logger.info('Health monitor stopped');
+  }
+
+  /**
+   * Flag agents whose last heartbeat is older than the timeout. Each agent
+   * is reported once per silence, as 'agent:unresponsive' and on the
+   * agent.unresponsive topic.
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<object>} Status of every agent currently unresponsive
+   */
+  check(now = Date.now()) {
+    for (const agent of this.agents.values()) {
+      if (agent.responsive && now - agent.lastSeen > this.timeoutMs) {
+        agent.responsive = false;
+
+        const event = { agentId: agent.agentId, agentType: agent.agentType, lastSeen: agent.lastSeen, silentMs: now - agent.lastSeen };
+        logger.warn(`Agent ${agent.agentId} is unresponsive: no heartbeat for ${event.silentMs}ms`, { agentId: agent.agentId });
+
+        this.emit('agent:unresponsive', event);
+        this._publish('agent.unresponsive', event);
+      }
+    }
+
+    return this.getStatus().filter(agent => !agent.responsive);
+  }
+
+  /**
+   * Status of watched agents
+   * @param {string} agentId - Agent to report on (optional)
+   * @returns {Array<object>|object|null} { agentId, agentType, state, health, lastSeen, responsive } for one or all agents
+   */
+  getStatus(agentId = null) {
+    if (agentId) {
+      const agent = this.agents.get(agentId);
+      return agent ? { ...agent } : null;
+    }
+
+    return [...this.agents.values()].map(agent => ({ ...agent }));
+  }
+
+  /**
+   * Record a heartbeat
+   * @private
+   * @param {object} content - Heartbeat content
+   */
+  _onHeartbeat(content) {
+    const previous = this.agents.get(content.agentId);
+
+    this.agents.set(content.agentId, {
+      agentId: content.agentId,
+      agentType: content.agentType,
+      state: content.state,
+      health: content.health,
+      lastSeen: Date.now(),
+      responsive: true
+    });
+
+    if (previous && !previous.responsive) {
+      const event = { agentId: content.agentId, agentType: content.agentType, silentMs: Date.now() - previous.lastSeen };
+      logger.info(`Agent ${content.agentId} is responding again`, { agentId: content.agentId });
+
+      this.emit('agent:recovered', event);
+      this._publish('agent.recovered', event);
+    }
+  }
+
+  /**
+   * Follow lifecycle changes: a starting agent is watched from then on,
+   * a stopped one no longer is
+   * @private
+   * @param {object} content - Lifecycle event
+   */
+  _onLifecycle(content) {
+    if (content.to === 'stopped') {
+      this.agents.delete(content.agentId);
+      return;
+    }
+
+    const agent = this.agents.get(content.agentId);
+    if (agent) {
+      agent.state = content.to;
+    } else if (content.to === 'ready' || content.to === 'degraded') {
+      this.agents.set(content.agentId, {
+        agentId: content.agentId,
+        agentType: content.agentType,
+        state: content.to,
+        health: null,
+        lastSeen: Date.now(),
+        responsive: true
+      });
+    }
+  }
+
+  /**
+   * Publish a monitor event for other components
+   * @private
+   * @param {string} topic - Topic
+   * @param {object} content - Event
+   */
+  _publish(topic, content) {
+    try {
+      this.messenger.publish(topic, content, 'health-monitor');
+    } catch (error) {
+      logger.error(`Error publishing ${topic}`, { error });
+    }
+  }
+}
+
+module.exports = new HealthMonitor();
+module.exports.HealthMonitor = HealthMonitor;
@@ -6,6 +6,8 @@
 
 // Import core modules
 const BaseAgent = require('./base-agent');
+const healthMonitor = require('./health-monitor');
+const supervisor = require('./supervisor');
 
 // Import agents
 const strategyAgent = require('../agents/strategy-agent');
@@ -16,11 +18,46 @@ const riskManagementAgent = require('../agents/risk-management-agent');
 // Import tools
 const knowledgeBase = require('../tools/knowledge-base');
 const agentMessenger = require('../tools/agent-messenger');
-const logger = require('../tools/logger');
+const { createComponentLogger } = require('../tools/logger');
 
 // Provider manager
 const providerManager = require('../providers/provider-manager');
 
+// Get component-specific logger
+const logger = createComponentLogger('CORE');
+
+// Agents write these categories under a new key on every tick, so without
+// limits the knowledge base grows for as long as the system runs
+const DEFAULT_KNOWLEDGE_RETENTION = {
+  'market-data': { ttlMs: 24 * 60 * 60 * 1000, maxKeys: 5000 },
+  signals: { ttlMs: 24 * 60 * 60 * 1000, maxKeys: 5000 }
+};
+
+// Each agent type owns the categories it produces; other agents may read
+// them but not change them (e.g. a strategy cannot rewrite risk/parameters)
+const DEFAULT_KNOWLEDGE_ACCESS = {
+  defaultLevel: 'read',
+  owners: {
+    prompts: 'core',
+    'market-data': 'data',
+    market_data: 'data',
+    market_series: 'data',
+    'signals*': 'strategy',
+    'strategies*': 'strategy',
+    'performance*': 'strategy',
+    risk: 'risk',
+    executions: 'execution'
+  },
+  rules: {
+    // Agents keep their own copy of the prompt they were initialized with
+    data: { prompts: 'write' },
+    risk: { prompts: 'write' }
+  }
+};
+
+// Categories whose text agents search (e.g. for related past prompts)
+const DEFAULT_SEARCHABLE_KNOWLEDGE = ['prompts', 'strategies*'];
+
 /**
  * Main system class for Perseus Drive
  */
@@ -44,6 +81,8 @@ class PerseusCore {
     };
     
     this.providerManager = providerManager;
+    this.healthMonitor = healthMonitor;
+    this.supervisor = supervisor;
     
     logger.info('Perseus Core created');
   }
@@ -58,22 +97,41 @@ class PerseusCore {
       logger.info('Initializing Perseus Drive...');
       
       // Initialize knowledge base
-      await this.tools.knowledgeBase.initialize();
+      const knowledgeBaseOptions = options.knowledgeBase || {};
+      await this.tools.knowledgeBase.initialize({
+        ...knowledgeBaseOptions,
+        retention: { ...DEFAULT_KNOWLEDGE_RETENTION, ...knowledgeBaseOptions.retention },
+        access: knowledgeBaseOptions.access !== undefined ? knowledgeBaseOptions.access : DEFAULT_KNOWLEDGE_ACCESS
+      });
+      
+      for (const category of knowledgeBaseOptions.searchable || DEFAULT_SEARCHABLE_KNOWLEDGE) {
+        this.tools.knowledgeBase.enableSearch(category);
+      }
       
       // Initialize agent messenger
       await this.tools.agentMessenger.initialize();
       
+      // Watch agent heartbeats from the moment agents become ready
+      this.healthMonitor.start();
+      
       // Initialize providers
       await this.providerManager.initialize(options.providers || {});
       
-      // Initialize all agents
-      const agentInitPromises = Object.entries(this.agents).map(async ([name, agent]) => {
-        logger.info(`Initializing ${name} agent...`);
+      // Initialize all agents under supervision, restarting those that fail
+      this.supervisor.configure(options.supervisor || {});
+      for (const [name, agent] of Object.entries(this.agents)) {
         const agentOptions = options[name] || {};
-        return agent.initialize(agentOptions);
-      });
+        this.supervisor.supervise(agent, {
+          initialize: () => {
+            logger.info(`Initializing ${name} agent...`);
+            return agent.initialize(agentOptions);
+          }
+        });
+      }
       
-      await Promise.all(agentInitPromises);
+      if (!(await this.supervisor.start())) {
+        logger.error('Not all agents could be started; executions stay halted until safe mode is cleared');
+      }
       
       this.initialized = true;
       logger.info('Perseus Drive initialized successfully');
@@ -119,7 +177,9 @@ class PerseusCore {
       }
       
       // Perform paper or live trading if specified
-      if (config.executeTrades && evaluatedSignals.length > 0) {
+      if (config.executeTrades && this.supervisor.isSafeMode()) {
+        logger.warn(`Safe mode: not executing ${evaluatedSignals.length} trades`);
+      } else if (config.executeTrades && evaluatedSignals.length > 0) {
         // Trade execution would go here in a real system
         logger.info(`Would execute ${evaluatedSignals.length} trades`);
       }
@@ -145,6 +205,10 @@ class PerseusCore {
     try {
       logger.info('Shutting down Perseus Drive...');
       
+      // Stop agents before the monitor, so their shutdown is not seen as silence
+      await this.supervisor.stop();
+      this.healthMonitor.stop();
+      
       // Close provider connections
       await this.providerManager.disconnect();
       
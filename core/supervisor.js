@@ -0,0 +1,410 @@
+/**
+ * Supervisor
+ *
+ * Starts agents and restarts them when they fail: when initialize() throws
+ * or returns false, when handleMessage() keeps throwing, or when the health
+ * monitor reports the agent unresponsive. Restart policies follow the
+ * usual supervision strategies:
+ *   - one-for-one: restart only the failed agent
+ *   - one-for-all: restart every supervised agent, in start order
+ * Restarts wait an exponentially growing backoff. Once more than maxRestarts
+ * restarts are needed within windowMs, restarting is given up and the system
+ * is escalated to safe mode: new executions stop while market data keeps
+ * flowing. Safe mode is announced on the system.safe_mode topic and lasts
+ * until an operator calls exitSafeMode().
+ */
+
+const EventEmitter = require('events');
+const agentMessenger = require('../tools/agent-messenger');
+const auditTrail = require('../tools/audit-trail');
+const { createComponentLogger } = require('../tools/logger');
+const healthMonitor = require('./health-monitor');
+
+// Get component-specific logger
+const logger = createComponentLogger('SUPERVISOR');
+
+const STRATEGIES = ['one-for-one', 'one-for-all'];
+
+const DEFAULT_POLICY = {
+  strategy: 'one-for-one',
+  maxRestarts: 3,
+  windowMs: 60000,
+  backoff: { initialMs: 1000, factor: 2, maxMs: 30000 },
+  // handleMessage failures within handlerFailureWindowMs that count as the agent failing
+  handlerFailureThreshold: 3,
+  handlerFailureWindowMs: 60000
+};
+
+class Supervisor extends EventEmitter {
+  /**
+   * Create a supervisor
+   * @param {object} options - Restart policy and collaborators (see configure())
+   * @param {object} options.messenger - Agent Messenger for safe mode announcements
+   * @param {object|null} options.healthMonitor - Source of 'agent:unresponsive' events (null for none)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.messenger = options.messenger || agentMessenger;
+    this.healthMonitor = options.healthMonitor !== undefined ? options.healthMonitor : healthMonitor;
+
+    this.children = new Map();
+    this.restarts = [];
+    this.running = false;
+    this.safeMode = null;
+
+    this.onUnresponsive = event => {
+      const child = this.children.get(event.agentId);
+      if (child) {
+        this._onFailure(child, `No heartbeat for ${event.silentMs}ms`);
+      }
+    };
+
+    this.configure(options);
+  }
+
+  /**
+   * Set the restart policy
+   * @param {object} options - Policy
+   * @param {string} options.strategy - 'one-for-one' or 'one-for-all'
+   * @param {number} options.maxRestarts - Restarts allowed within windowMs before escalating
+   * @param {number} options.windowMs - Window for counting restarts
+   * @param {object} options.backoff - { initialMs, factor, maxMs } delay before a restart
+   * @param {number} options.handlerFailureThreshold - Handler failures that count as the agent failing
+   * @param {number} options.handlerFailureWindowMs - Window for counting handler failures
+   * @throws {Error} If the strategy is unknown
+   */
+  configure(options = {}) {
+    const policy = {
+      ...DEFAULT_POLICY,
+      ...this.policy,
+      ...Object.fromEntries(Object.entries(options).filter(([key]) => key in DEFAULT_POLICY))
+    };
+    policy.backoff = { ...DEFAULT_POLICY.backoff, ...(this.policy || {}).backoff, ...options.backoff };
+
+    if (!STRATEGIES.includes(policy.strategy)) {
+      throw new Error(`Unknown supervision strategy: ${policy.strategy}`);
+    }
+
+    this.policy = policy;
+  }
+
+  /**
+   * Put an agent under supervision
+   * @param {object} agent - Agent with initialize() and, ideally, shutdown() and events
+   * @param {object} options - Child options
+   * @param {string} options.id - Child ID (defaults to agent.id)
+   * @param {Function} options.initialize - Starts the agent (defaults to agent.initialize())
+   * @returns {string} Child ID
+   */
+  supervise(agent, options = {}) {
+    const id = options.id || agent.id;
+
+    if (this.children.has(id)) {
+      this.unsupervise(id);
+    }
+
+    const child = {
+      id,
+      agent,
+      initialize: options.initialize || (() => agent.initialize()),
+      status: 'stopped',
+      handlerErrors: [],
+      onHandlerError: null
+    };
+
+    child.onHandlerError = ({ error }) => this._onHandlerError(child, error);
+    if (typeof agent.on === 'function') {
+      agent.on('handler:error', child.onHandlerError);
+    }
+
+    this.children.set(id, child);
+    logger.info(`Supervising ${id} (${this.policy.strategy})`);
+
+    return id;
+  }
+
+  /**
+   * Take an agent out of supervision; it keeps running
+   * @param {string} id - Child ID
+   * @returns {boolean} Whether the agent was supervised
+   */
+  unsupervise(id) {
+    const child = this.children.get(id);
+    if (!child) {
+      return false;
+    }
+
+    if (typeof child.agent.removeListener === 'function') {
+      child.agent.removeListener('handler:error', child.onHandlerError);
+    }
+
+    return this.children.delete(id);
+  }
+
+  /**
+   * Start every supervised agent in the order they were added, restarting
+   * those that fail to start
+   * @returns {Promise<boolean>} Whether every agent is running afterwards
+   */
+  async start() {
+    this.running = true;
+
+    if (this.healthMonitor) {
+      this.healthMonitor.on('agent:unresponsive', this.onUnresponsive);
+    }
+
+    for (const child of [...this.children.values()]) {
+      if (!(await this._startChild(child))) {
+        await this._onFailure(child, child.lastError);
+      }
+    }
+
+    const running = [...this.children.values()].every(child => child.status === 'running');
+    logger.info(`Supervisor started ${this.children.size} agents${running ? '' : ', not all of them running'}`);
+
+    return running;
+  }
+
+  /**
+   * Stop supervising and shut the agents down in reverse start order
+   * @returns {Promise<boolean>} Success status
+   */
+  async stop() {
+    this.running = false;
+
+    if (this.healthMonitor) {
+      this.healthMonitor.removeListener('agent:unresponsive', this.onUnresponsive);
+    }
+
+    await this._stopChildren([...this.children.values()].reverse());
+
+    logger.info('Supervisor stopped');
+    return true;
+  }
+
+  /**
+   * Supervision status
+   * @returns {object} { strategy, safeMode, restartsInWindow, children: [{ id, status, lastError }] }
+   */
+  getStatus() {
+    return {
+      strategy: this.policy.strategy,
+      safeMode: this.safeMode ? { ...this.safeMode } : null,
+      restartsInWindow: this._recentRestarts().length,
+      children: [...this.children.values()].map(({ id, status, lastError }) => ({ id, status, lastError: lastError || null }))
+    };
+  }
+
+  /**
+   * Whether the system is in safe mode
+   * @returns {boolean} Safe mode status
+   */
+  isSafeMode() {
+    return Boolean(this.safeMode);
+  }
+
+  /**
+   * Stop new executions system-wide; market data keeps flowing
+   * @param {string} reason - Why
+   * @returns {boolean} Whether safe mode was entered (false if already in it)
+   */
+  enterSafeMode(reason) {
+    if (this.safeMode) {
+      return false;
+    }
+
+    this.safeMode = { reason, since: Date.now() };
+    logger.error(`Entering safe mode: ${reason}`);
+
+    this._announceSafeMode(true, reason);
+    this.emit('safe-mode:entered', { ...this.safeMode });
+
+    return true;
+  }
+
+  /**
+   * Leave safe mode and start counting restarts afresh. Agents given up on
+   * are not restarted; use restart() for them.
+   * @param {string} reason - Why, e.g. who cleared it
+   * @returns {boolean} Whether safe mode was left (false if not in it)
+   */
+  exitSafeMode(reason = 'Cleared by operator') {
+    if (!this.safeMode) {
+      return false;
+    }
+
+    this.safeMode = null;
+    this.restarts = [];
+    logger.info(`Leaving safe mode: ${reason}`);
+
+    this._announceSafeMode(false, reason);
+    this.emit('safe-mode:exited', { reason });
+
+    return true;
+  }
+
+  /**
+   * Restart an agent now, without backoff and outside the restart limit
+   * @param {string} id - Child ID
+   * @returns {Promise<boolean>} Whether the agent is running again
+   */
+  async restart(id) {
+    const child = this.children.get(id);
+    if (!child) {
+      throw new Error(`Agent ${id} is not supervised`);
+    }
+
+    await this._stopChildren([child]);
+    return this._startChild(child);
+  }
+
+  /**
+   * Count a handleMessage failure; enough of them within the window count as the agent failing
+   * @private
+   * @param {object} child - Supervised child
+   * @param {Error} error - Handler error
+   */
+  _onHandlerError(child, error) {
+    const now = Date.now();
+    child.handlerErrors = child.handlerErrors
+      .filter(time => now - time < this.policy.handlerFailureWindowMs)
+      .concat(now);
+
+    if (child.handlerErrors.length >= this.policy.handlerFailureThreshold) {
+      child.handlerErrors = [];
+      this._onFailure(child, `handleMessage failed ${this.policy.handlerFailureThreshold} times: ${error && error.message}`);
+    }
+  }
+
+  /**
+   * Restart after a failure according to the policy, or escalate to safe mode
+   * @private
+   * @param {object} child - Failed child
+   * @param {string} reason - Failure
+   */
+  async _onFailure(child, reason) {
+    // A restart or escalation is already under way, or supervision has ended
+    if (!this.running || this.safeMode || child.status === 'restarting') {
+      return;
+    }
+
+    child.status = 'failed';
+    child.lastError = reason;
+    logger.warn(`Agent ${child.id} failed: ${reason}`);
+    this.emit('agent:failed', { id: child.id, reason });
+
+    const restarts = this._recentRestarts().length;
+    if (restarts >= this.policy.maxRestarts) {
+      this.enterSafeMode(`Agent ${child.id} needed more than ${this.policy.maxRestarts} restarts within ${this.policy.windowMs}ms: ${reason}`);
+      return;
+    }
+
+    const targets = this.policy.strategy === 'one-for-all' ? [...this.children.values()] : [child];
+    const { initialMs, factor, maxMs } = this.policy.backoff;
+    const delayMs = Math.min(maxMs, initialMs * Math.pow(factor, restarts));
+
+    this.restarts.push(Date.now());
+    for (const target of targets) {
+      target.status = 'restarting';
+    }
+
+    logger.info(`Restarting ${targets.map(target => target.id).join(', ')} in ${delayMs}ms (restart ${restarts + 1}/${this.policy.maxRestarts})`);
+
+    await this._stopChildren([...targets].reverse());
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+
+    if (!this.running) {
+      return;
+    }
+
+    for (const [index, target] of targets.entries()) {
+      if (await this._startChild(target)) {
+        this.emit('agent:restarted', { id: target.id, restarts: restarts + 1 });
+        continue;
+      }
+
+      // Agents after the one that failed again are not started this round
+      for (const remaining of targets.slice(index + 1)) {
+        remaining.status = 'stopped';
+      }
+
+      await this._onFailure(target, target.lastError);
+      return;
+    }
+  }
+
+  /**
+   * Start one child
+   * @private
+   * @param {object} child - Supervised child
+   * @returns {Promise<boolean>} Whether it started
+   */
+  async _startChild(child) {
+    try {
+      const result = await child.initialize();
+      if (result === false) {
+        throw new Error('initialize() returned false');
+      }
+
+      child.status = 'running';
+      child.lastError = null;
+      return true;
+    } catch (error) {
+      child.status = 'failed';
+      child.lastError = `Initialization failed: ${error.message}`;
+      return false;
+    }
+  }
+
+  /**
+   * Shut children down, ignoring failures (they are being replaced)
+   * @private
+   * @param {Array<object>} children - Children in shutdown order
+   */
+  async _stopChildren(children) {
+    for (const child of children) {
+      if (typeof child.agent.shutdown === 'function') {
+        try {
+          await child.agent.shutdown();
+        } catch (error) {
+          logger.warn(`Error shutting down ${child.id}: ${error.message}`);
+        }
+      }
+      if (child.status === 'running') {
+        child.status = 'stopped';
+      }
+    }
+  }
+
+  /**
+   * Restart times within the window
+   * @private
+   * @returns {Array<number>} Times
+   */
+  _recentRestarts() {
+    const now = Date.now();
+    this.restarts = this.restarts.filter(time => now - time < this.policy.windowMs);
+    return this.restarts;
+  }
+
+  /**
+   * Tell other components (e.g. the Execution Agent) about safe mode
+   * @private
+   * @param {boolean} active - Whether safe mode is on
+   * @param {string} reason - Why
+   */
+  _announceSafeMode(active, reason) {
+    auditTrail.record('safe_mode_change', { active, reason }, { actor: 'supervisor' });
+
+    try {
+      this.messenger.publish('system.safe_mode', { active, reason, timestamp: Date.now() }, 'supervisor');
+    } catch (error) {
+      logger.error('Error announcing safe mode', { error });
+    }
+  }
+}
+
+module.exports = new Supervisor();
+module.exports.Supervisor = Supervisor;
+module.exports.STRATEGIES = STRATEGIES;
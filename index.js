@@ -41,9 +41,9 @@
  */
 
 // Core modules
-const winston = require('winston');
-const AgentMessenger = require('./tools/agent-messenger');
-const KnowledgeBase = require('./tools/knowledge-base');
+const { createComponentLogger } = require('./tools/logger');
+const agentMessenger = require('./tools/agent-messenger');
+const knowledgeBase = require('./tools/knowledge-base');
 
 // Agent modules
 const promptEngineeringAgent = require('./agents/prompt-engineering-agent');
@@ -52,28 +52,11 @@ const riskManagementAgent = require('./agents/risk-management-agent');
 const executionAgent = require('./agents/execution-agent');
 
 // Provider management
-const ProviderManager = require('./providers/provider-manager');
-const CoinbaseProvider = require('./providers/coinbase-provider');
+const providerManager = require('./providers/provider-manager');
+const coinbaseProvider = require('./providers/coinbase-provider');
 
-// Configure logger
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ timestamp, level, message }) => {
-      return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/perseus-drive.log' })
-  ]
-});
-
-// System components
-const agentMessenger = new AgentMessenger();
-const knowledgeBase = new KnowledgeBase();
-const providerManager = new ProviderManager();
+// Get component-specific logger
+const logger = createComponentLogger('SYSTEM');
 
 // System state
 let systemState = 'stopped';
@@ -90,7 +73,11 @@ async function initialize() {
     await agentMessenger.initialize();
     logger.info('Agent Messenger initialized');
     
-    // Initialize knowledge base (no explicit initialize needed for current implementation)
+    // Initialize knowledge base (storage backend from KB_STORAGE / KB_STORAGE_PATH)
+    await knowledgeBase.initialize();
+    
+    // Price ticks per symbol, the source for volatility and VWAP windows
+    knowledgeBase.createTimeSeries('market_series', { maxPoints: 10000 });
     logger.info('Knowledge Base ready');
     
     // Initialize provider manager
@@ -98,7 +85,6 @@ async function initialize() {
     logger.info('Provider Manager initialized');
     
     // Register provider connectors
-    const coinbaseProvider = new CoinbaseProvider();
     await providerManager.registerProvider('coinbase', coinbaseProvider);
     logger.info('Providers registered');
     
@@ -292,6 +278,15 @@ function setupMessageHandling() {
       message
     );
     
+    const price = message.price !== undefined ? message.price : message.last;
+    if (typeof price === 'number') {
+      await knowledgeBase.appendPoints('market_series', `${message.symbol}.tick`, {
+        timestamp: message.timestamp || Date.now(),
+        price,
+        volume: message.volume
+      });
+    }
+    
     // Process with strategy agent
     if (systemState === 'running') {
       const signals = await strategyAgent.process(message);
@@ -6,7 +6,7 @@
  */
 
 const EventEmitter = require('events');
-const logger = require('../tools/logger');
+const { createComponentLogger } = require('../tools/logger');
 
 class ProviderManager extends EventEmitter {
   constructor() {
@@ -14,7 +14,7 @@ class ProviderManager extends EventEmitter {
     this.providers = new Map();
     this.defaultProvider = null;
     this.providerPriority = [];
-    this.logger = logger.createLogger('provider-manager');
+    this.logger = createComponentLogger('provider-manager');
     this.logger.info('Provider Manager created');
   }
   
@@ -10,41 +10,6 @@ const dataProcessingAgent = require('../agents/data-processing-agent');
 const agentMessenger = require('../tools/agent-messenger');
 const knowledgeBase = require('../tools/knowledge-base');
 
-// Enhanced waitForMessage utility to handle race conditions
-function waitForMessage(agentId, messageType = null, timeout = 5000) {
-  return new Promise((resolve, reject) => {
-    const timer = setTimeout(() => {
-      agentMessenger.removeListener('message:received', messageHandler);
-      reject(new Error(`Timeout waiting for ${messageType ? messageType + ' ' : ''}message to ${agentId}`));
-    }, timeout);
-    
-    // Check if the message is already in the queue before waiting
-    const existingMessages = agentMessenger.getMessages(agentId, false);
-    const matchingMessage = existingMessages.find(msg => 
-      (!messageType || msg.type === messageType)
-    );
-    
-    if (matchingMessage) {
-      clearTimeout(timer);
-      resolve(matchingMessage);
-      return;
-    }
-    
-    // If no existing message, set up the listener
-    const messageHandler = (message) => {
-      if (message.to === agentId && (!messageType || message.type === messageType)) {
-        clearTimeout(timer);
-        // Remove the listener to avoid memory leaks
-        agentMessenger.removeListener('message:received', messageHandler);
-        resolve(message);
-      }
-    };
-    
-    // Add the listener
-    agentMessenger.on('message:received', messageHandler);
-  });
-}
-
 // Simple mock market data for testing
 const mockMarketData = {
   symbol: 'BTC-USD',
@@ -68,18 +33,17 @@ async function testAgentCommunication() {
     agentMessenger.registerAgent('data-processing', 'data');
     
     console.log('\n1. Testing message sending...');
-    // Send test message from prompt agent to data agent
-    const messageId = await promptEngineeringAgent.sendMessage(
+    // Send test request from prompt agent to data agent
+    const responsePromise = promptEngineeringAgent.request(
       'data-processing',
       mockMarketData,
-      'data_request'
+      'data_request',
+      { timeoutMs: 5000 }
     );
     
-    console.log(`Sent message: ${messageId}`);
-    
     console.log('\n2. Waiting for response...');
-    // Wait for response with specific type
-    const response = await waitForMessage('prompt-engineering', 'data_response');
+    // Resolved by the data_response carrying the request's correlation ID
+    const response = await responsePromise;
     console.log('Received response:', JSON.stringify(response.content, null, 2));
     
     console.log('\n3. Testing knowledge base...');
@@ -0,0 +1,220 @@
+/**
+ * Agent Lifecycle Tests
+ */
+
+const { expect } = require('chai');
+const { execFileSync } = require('child_process');
+const path = require('path');
+const sinon = require('sinon');
+const BaseAgent = require('../core/base-agent');
+const { LifecycleError } = require('../core/base-agent');
+const { HealthMonitor } = require('../core/health-monitor');
+const agentMessenger = require('../tools/agent-messenger');
+
+/**
+ * Agent whose health the test controls
+ */
+class MonitoredAgent extends BaseAgent {
+  constructor(id = 'monitored-agent') {
+    super(id, 'test');
+    this.health = { healthy: true };
+  }
+
+  async healthCheck() {
+    if (this.health instanceof Error) {
+      throw this.health;
+    }
+    return this.health;
+  }
+}
+
+describe('Agent Lifecycle', function() {
+  let agent;
+  let transitions;
+
+  beforeEach(function() {
+    agent = new MonitoredAgent();
+    agent.heartbeatIntervalMs = 0;
+    transitions = [];
+    agent.on('lifecycle', event => transitions.push(`${event.from}->${event.to}`));
+  });
+
+  afterEach(async function() {
+    sinon.restore();
+    await agent.shutdown();
+  });
+
+  it('should move through initialization and shutdown, emitting each transition', async function() {
+    const published = [];
+    const subscription = agentMessenger.subscribe('agent.lifecycle', content => published.push(content));
+    const ready = new Promise(resolve => agent.once('lifecycle:ready', resolve));
+
+    try {
+      await agent.initialize();
+      expect(await ready).to.include({ agentId: 'monitored-agent', from: 'initializing', to: 'ready' });
+      expect(agent.status).to.equal('ready');
+      expect(agent.isRunning()).to.equal(true);
+
+      // Initializing a running agent again keeps its state
+      await agent.initialize();
+      expect(agent.state).to.equal('ready');
+
+      await agent.shutdown();
+      expect(agent.isInitialized).to.equal(false);
+      expect(await agent.shutdown()).to.equal(true);
+
+      // A stopped agent can be started again
+      await agent.initialize();
+    } finally {
+      subscription.unsubscribe();
+    }
+
+    expect(transitions).to.deep.equal([
+      'created->initializing', 'initializing->ready',
+      'ready->stopping', 'stopping->stopped',
+      'stopped->initializing', 'initializing->ready'
+    ]);
+    expect(published.map(event => event.to)).to.deep.equal(['initializing', 'ready', 'stopping', 'stopped', 'initializing', 'ready']);
+  });
+
+  it('should refuse transitions the lifecycle does not allow', async function() {
+    expect(() => agent.transition('ready')).to.throw(LifecycleError, 'Agent monitored-agent cannot go from created to ready');
+
+    sinon.stub(agentMessenger, 'registerAgent').throws(new Error('Messenger unavailable'));
+    sinon.stub(agent.logger, 'error');
+
+    let error;
+    try {
+      await agent.initialize();
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).to.equal('Messenger unavailable');
+    expect(agent.state).to.equal('stopped');
+    expect(transitions).to.deep.equal(['created->initializing', 'initializing->stopped']);
+
+    try {
+      agent.transition('degraded');
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).to.include({ code: 'INVALID_TRANSITION', from: 'stopped', to: 'degraded' });
+  });
+
+  it('should degrade and recover with the health check reported in heartbeats', async function() {
+    const heartbeats = [];
+    const subscription = agentMessenger.subscribe('agent.heartbeat', content => heartbeats.push(content));
+    sinon.stub(agent.logger, 'warn');
+
+    try {
+      await agent.initialize();
+      await agent.heartbeat();
+
+      agent.health = { healthy: false, reason: 'Exchange disconnected', exchange: 'coinbase' };
+      await agent.heartbeat();
+      expect(agent.state).to.equal('degraded');
+
+      agent.health = new Error('Health check crashed');
+      await agent.heartbeat();
+
+      agent.health = { healthy: true };
+      await agent.heartbeat();
+    } finally {
+      subscription.unsubscribe();
+    }
+
+    expect(heartbeats.map(heartbeat => `${heartbeat.state} ${heartbeat.health.healthy}`))
+      .to.deep.equal(['ready true', 'degraded false', 'degraded false', 'ready true']);
+    expect(heartbeats[1].health).to.include({ reason: 'Exchange disconnected', exchange: 'coinbase' });
+    expect(heartbeats[2].health.reason).to.equal('Health check crashed');
+    expect(transitions.slice(2)).to.deep.equal(['ready->degraded', 'degraded->ready']);
+  });
+
+  it('should send heartbeats on an interval once ready', async function() {
+    const clock = sinon.useFakeTimers();
+    const heartbeat = sinon.spy(agent, 'heartbeat');
+    agent.heartbeatIntervalMs = 1000;
+
+    await agent.initialize();
+    await clock.tickAsync(3000);
+    expect(heartbeat.callCount).to.equal(3);
+
+    await agent.shutdown();
+    await clock.tickAsync(3000);
+    expect(heartbeat.callCount).to.equal(3);
+  });
+
+  it('should disable heartbeats and the health monitor with AGENT_HEARTBEAT_MS=0', function() {
+    // The setting is read when the module loads, so check it in a fresh process
+    const script = `
+      const { DEFAULT_HEARTBEAT_INTERVAL } = require('./core/base-agent');
+      const healthMonitor = require('./core/health-monitor');
+      process.stdout.write(JSON.stringify([DEFAULT_HEARTBEAT_INTERVAL, healthMonitor.start()]));
+    `;
+    const output = execFileSync(process.execPath, ['-e', script], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, AGENT_HEARTBEAT_MS: '0', LOG_LEVEL: 'error' },
+      encoding: 'utf8'
+    });
+
+    expect(JSON.parse(output.trim().split('\n').pop())).to.deep.equal([0, false]);
+  });
+
+  describe('health monitor', function() {
+    let monitor;
+    let clock;
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+      monitor = new HealthMonitor({ timeoutMs: 3000, checkIntervalMs: 1000 });
+      monitor.start();
+    });
+
+    afterEach(function() {
+      monitor.stop();
+    });
+
+    it('should flag agents that stop sending heartbeats and notice when they return', async function() {
+      const unresponsive = [];
+      const published = [];
+      const subscription = agentMessenger.subscribe('agent.unresponsive', content => published.push(content));
+      monitor.on('agent:unresponsive', event => unresponsive.push(event));
+      const recovered = new Promise(resolve => monitor.once('agent:recovered', resolve));
+
+      try {
+        await agent.initialize();
+        expect(monitor.getStatus('monitored-agent')).to.include({ state: 'ready', responsive: true });
+
+        clock.tick(2000);
+        await agent.heartbeat();
+        clock.tick(2000);
+        expect(monitor.check()).to.deep.equal([]);
+
+        clock.tick(1500);
+        const silent = monitor.check();
+        expect(silent.map(status => status.agentId)).to.deep.equal(['monitored-agent']);
+        expect(monitor.check()).to.have.length(1);
+
+        await agent.heartbeat();
+        expect((await recovered).silentMs).to.equal(3500);
+        expect(monitor.getStatus('monitored-agent').responsive).to.equal(true);
+      } finally {
+        subscription.unsubscribe();
+      }
+
+      expect(unresponsive).to.have.length(1);
+      expect(unresponsive[0]).to.include({ agentId: 'monitored-agent', silentMs: 3500 });
+      expect(published).to.deep.equal(unresponsive);
+    });
+
+    it('should stop watching agents once they stop', async function() {
+      await agent.initialize();
+      await agent.shutdown();
+
+      clock.tick(10000);
+      expect(monitor.check()).to.deep.equal([]);
+      expect(monitor.getStatus()).to.deep.equal([]);
+    });
+  });
+});
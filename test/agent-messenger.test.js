@@ -0,0 +1,421 @@
+/**
+ * Agent Messenger Tests
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const agentMessenger = require('../tools/agent-messenger');
+const { AgentMessenger, RequestTimeoutError, QueueFullError, matchTopic } = agentMessenger;
+const BaseAgent = require('../core/base-agent');
+const { MessageSchemaRegistry } = require('../tools/message-schemas');
+
+// Payload validation is covered in message-schemas.test.js
+const schemas = new MessageSchemaRegistry({ defaults: false });
+
+/**
+ * Agent that records the order it handles messages in and can be held mid-message
+ */
+class QueuedAgent extends BaseAgent {
+  constructor() {
+    super('queued-agent', 'test');
+    this.heartbeatIntervalMs = 0;
+    this.handled = [];
+    this.hold = null;
+  }
+
+  async handleMessage(message) {
+    this.handled.push(message.content.n);
+    await this.hold;
+  }
+}
+
+describe('Agent Messenger', function() {
+  let messenger;
+
+  beforeEach(function() {
+    messenger = new AgentMessenger({ schemas });
+  });
+
+  describe('Topic matching', function() {
+    it('should match exact topics', function() {
+      expect(matchTopic('system_status', 'system_status')).to.be.true;
+      expect(matchTopic('system_status', 'system_control')).to.be.false;
+    });
+
+    it('should match a single segment with *', function() {
+      expect(matchTopic('market_data.*', 'market_data.BTC-USD')).to.be.true;
+      expect(matchTopic('market_data.*', 'market_data')).to.be.false;
+      expect(matchTopic('market_data.*', 'market_data.BTC-USD.trades')).to.be.false;
+    });
+
+    it('should match any number of segments with **', function() {
+      expect(matchTopic('market_data.**', 'market_data')).to.be.true;
+      expect(matchTopic('market_data.**', 'market_data.BTC-USD.trades')).to.be.true;
+      expect(matchTopic('**.trades', 'market_data.BTC-USD.trades')).to.be.true;
+      expect(matchTopic('**', 'anything.at.all')).to.be.true;
+    });
+  });
+
+  describe('Publish/subscribe', function() {
+    it('should deliver published content to every matching subscriber', function() {
+      const exact = sinon.spy();
+      const wildcard = sinon.spy();
+      const other = sinon.spy();
+
+      messenger.subscribe('market_data.BTC-USD', exact);
+      messenger.subscribe('market_data.*', wildcard);
+      messenger.subscribe('system_status', other);
+
+      const messageId = messenger.publish('market_data.BTC-USD', { price: 100 }, 'data-processing');
+
+      expect(exact.calledOnce).to.be.true;
+      expect(wildcard.calledOnce).to.be.true;
+      expect(other.called).to.be.false;
+
+      const [content, message] = exact.firstCall.args;
+      expect(content).to.deep.equal({ price: 100 });
+      expect(message).to.include({ id: messageId, topic: 'market_data.BTC-USD', from: 'data-processing' });
+    });
+
+    it('should stop delivery after unsubscribe', function() {
+      const handler = sinon.spy();
+      const subscription = messenger.subscribe('system_status', handler);
+
+      messenger.publish('system_status', { status: 'running' });
+      expect(subscription.unsubscribe()).to.be.true;
+      messenger.publish('system_status', { status: 'stopped' });
+
+      expect(handler.calledOnce).to.be.true;
+      expect(subscription.unsubscribe()).to.be.false;
+    });
+
+    it('should drop agent-owned subscriptions when the agent unregisters', function() {
+      const handler = sinon.spy();
+
+      messenger.registerAgent('execution', 'execution');
+      messenger.subscribe('trade_execution', handler, { agentId: 'execution' });
+      messenger.unregisterAgent('execution');
+
+      messenger.publish('trade_execution', { signal: {} });
+
+      expect(handler.called).to.be.false;
+      expect(messenger.getSubscriptions('trade_execution')).to.have.length(0);
+    });
+
+    it('should isolate subscriber errors from other subscribers', function() {
+      const handler = sinon.spy();
+
+      messenger.subscribe('system_status', () => {
+        throw new Error('subscriber failure');
+      });
+      messenger.subscribe('system_status', handler);
+
+      expect(() => messenger.publish('system_status', {})).to.not.throw();
+      expect(handler.calledOnce).to.be.true;
+    });
+
+    it('should reject wildcard publish topics', function() {
+      expect(() => messenger.publish('market_data.*', {})).to.throw('Invalid publish topic');
+    });
+  });
+
+  describe('Request/response', function() {
+    beforeEach(function() {
+      messenger.registerAgent('requester', 'test');
+      messenger.registerAgent('responder', 'test');
+
+      // Echo responder replying through the correlation ID
+      messenger.on('message:received', (message) => {
+        if (message.to === 'responder' && message.type === 'ping') {
+          setImmediate(() => messenger.reply(message, { echo: message.content }, 'pong'));
+        }
+      });
+    });
+
+    it('should resolve with the correlated reply', async function() {
+      const reply = await messenger.request('requester', 'responder', { n: 1 }, 'ping', { timeoutMs: 1000 });
+
+      expect(reply.type).to.equal('pong');
+      expect(reply.content).to.deep.equal({ echo: { n: 1 } });
+      expect(reply.correlationId).to.be.a('string');
+      expect(messenger.pendingRequests.size).to.equal(0);
+    });
+
+    it('should match concurrent replies to their own requests', async function() {
+      const [first, second] = await Promise.all([
+        messenger.request('requester', 'responder', 'first', 'ping', { timeoutMs: 1000 }),
+        messenger.request('requester', 'responder', 'second', 'ping', { timeoutMs: 1000 })
+      ]);
+
+      expect(first.content.echo).to.equal('first');
+      expect(second.content.echo).to.equal('second');
+    });
+
+    it('should not queue replies that settle a request', async function() {
+      await messenger.request('requester', 'responder', {}, 'ping', { timeoutMs: 1000 });
+
+      expect(messenger.getMessages('requester')).to.have.length(0);
+    });
+
+    it('should reject with RequestTimeoutError when no reply arrives', async function() {
+      try {
+        await messenger.request('requester', 'responder', {}, 'unanswered', { timeoutMs: 20 });
+        expect.fail('request should have timed out');
+      } catch (error) {
+        expect(error).to.be.instanceOf(RequestTimeoutError);
+        expect(error).to.include({ to: 'responder', type: 'unanswered', timeoutMs: 20 });
+        expect(messenger.pendingRequests.size).to.equal(0);
+      }
+    });
+  });
+
+  describe('Queues', function() {
+    it('should not create queues for unregistered agents', function() {
+      messenger.sendMessage('a', 'nobody', {}, 'data');
+
+      expect(messenger.messageQueues.has('nobody')).to.be.false;
+      expect(messenger.getMessages('nobody')).to.deep.equal([]);
+      expect(messenger.messageQueues.has('nobody')).to.be.false;
+    });
+
+    it('should return urgent messages ahead of bulk traffic', function() {
+      messenger.registerAgent('execution', 'execution');
+
+      messenger.sendMessage('data-processing', 'execution', { tick: 1 }, 'market_data');
+      messenger.sendMessage('strategy', 'execution', {}, 'signal_response');
+      messenger.sendMessage('risk-management', 'execution', {}, 'risk_alert');
+      messenger.sendMessage('operator', 'execution', {}, 'data', { priority: 'high' });
+
+      expect(messenger.getMessages('execution').map(m => m.priority))
+        .to.deep.equal(['critical', 'high', 'normal', 'low']);
+      expect(messenger.dequeue('execution').type).to.equal('risk_alert');
+    });
+
+    it('should drop the oldest least urgent message when full', function() {
+      const dropped = sinon.spy();
+      messenger.on('message:dropped', dropped);
+      messenger.registerAgent('strategy', 'strategy', { maxSize: 2 });
+
+      messenger.sendMessage('data-processing', 'strategy', { tick: 1 }, 'market_data');
+      messenger.sendMessage('data-processing', 'strategy', { tick: 2 }, 'market_data');
+      messenger.sendMessage('risk-management', 'strategy', {}, 'risk_alert');
+
+      const queued = messenger.getMessages('strategy');
+      expect(queued.map(m => m.type)).to.deep.equal(['risk_alert', 'market_data']);
+      expect(queued[1].content.tick).to.equal(2);
+      expect(dropped.calledOnce).to.be.true;
+      expect(messenger.getQueueMetrics('strategy')).to.include({ depth: 2, dropped: 1, maxSize: 2 });
+    });
+
+    it('should drop an incoming message that is less urgent than everything queued', function() {
+      messenger.registerAgent('strategy', 'strategy', { maxSize: 1 });
+
+      messenger.sendMessage('risk-management', 'strategy', {}, 'risk_alert');
+      messenger.sendMessage('data-processing', 'strategy', {}, 'market_data');
+
+      expect(messenger.getMessages('strategy').map(m => m.type)).to.deep.equal(['risk_alert']);
+      expect(messenger.getQueueMetrics('strategy').dropped).to.equal(1);
+    });
+
+    it('should throw QueueFullError under the reject policy', function() {
+      messenger.registerAgent('strategy', 'strategy', { maxSize: 1, overflowPolicy: 'reject' });
+      messenger.sendMessage('a', 'strategy', {}, 'data');
+
+      expect(() => messenger.sendMessage('a', 'strategy', {}, 'data')).to.throw(QueueFullError);
+      expect(messenger.getQueueMetrics('strategy').rejected).to.equal(1);
+    });
+
+    it('should wait for capacity under the block policy', async function() {
+      messenger.registerAgent('strategy', 'strategy', { maxSize: 1, overflowPolicy: 'block' });
+      messenger.sendMessage('a', 'strategy', {}, 'data');
+
+      const waiting = messenger.waitForCapacity('strategy', 1000);
+      setImmediate(() => messenger.dequeue('strategy'));
+
+      expect(await waiting).to.be.true;
+    });
+
+    it('should hand freed slots to blocked producers in arrival order', async function() {
+      messenger.registerAgent('strategy', 'strategy', { maxSize: 1, overflowPolicy: 'block', blockTimeoutMs: 2000 });
+      messenger.sendMessage('a', 'strategy', { n: 0 }, 'data');
+
+      const sends = [1, 2, 3].map(n => messenger.sendWithBackpressure('a', 'strategy', { n }, 'data'));
+      const handled = [];
+
+      for (let i = 0; i < 4; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        handled.push(messenger.dequeue('strategy').content.n);
+      }
+
+      expect((await Promise.all(sends)).every(id => typeof id === 'string')).to.be.true;
+      expect(handled).to.deep.equal([0, 1, 2, 3]);
+      expect(messenger.getQueueMetrics('strategy').rejected).to.equal(0);
+    });
+
+    it('should block requests until the recipient has room', async function() {
+      messenger.registerAgent('risk-management', 'risk', { maxSize: 1, overflowPolicy: 'block' });
+      messenger.sendMessage('a', 'risk-management', {}, 'data');
+
+      const pending = messenger.request('strategy', 'risk-management', {}, 'risk_request', { timeoutMs: 1000 });
+      expect(messenger.getMessages('risk-management')).to.have.length(1);
+
+      messenger.dequeue('risk-management');
+      await new Promise(resolve => setImmediate(resolve));
+
+      const request = messenger.dequeue('risk-management');
+      expect(request.type).to.equal('risk_request');
+      messenger.reply(request, { approved: true }, 'risk_response');
+      expect((await pending).content).to.deep.equal({ approved: true });
+    });
+
+    it('should keep an explicit zero queue size', function() {
+      messenger.registerAgent('strategy', 'strategy', { maxSize: 0, overflowPolicy: 'reject' });
+
+      expect(() => messenger.sendMessage('a', 'strategy', {}, 'data')).to.throw(QueueFullError);
+    });
+
+    it('should time out waiting for capacity under the block policy', async function() {
+      messenger.registerAgent('strategy', 'strategy', { maxSize: 1, overflowPolicy: 'block' });
+      messenger.sendMessage('a', 'strategy', {}, 'data');
+
+      try {
+        await messenger.waitForCapacity('strategy', 20);
+        expect.fail('waitForCapacity should have timed out');
+      } catch (error) {
+        expect(error).to.be.instanceOf(QueueFullError);
+        expect(error.policy).to.equal('block');
+      }
+    });
+  });
+
+  describe('Acknowledgements and dead letters', function() {
+    beforeEach(function() {
+      messenger = new AgentMessenger({ schemas, delivery: { maxDeliveries: 3, redeliveryDelayMs: 5 } });
+      messenger.registerAgent('strategy', 'strategy', { requireAck: true });
+    });
+
+    it('should dead-letter messages for unregistered agents', function() {
+      const messageId = messenger.sendMessage('execution', 'nobody', {}, 'trade_outcome');
+
+      const [entry] = messenger.getDeadLetters({ agentId: 'nobody' });
+      expect(entry.message.id).to.equal(messageId);
+      expect(entry.reason).to.equal('unroutable');
+    });
+
+    it('should stop tracking a delivery once acked', function() {
+      const messageId = messenger.sendMessage('execution', 'strategy', {}, 'trade_outcome');
+
+      expect(messenger.inFlight.has(messageId)).to.be.true;
+      expect(messenger.ack(messageId)).to.be.true;
+      expect(messenger.inFlight.has(messageId)).to.be.false;
+      expect(messenger.ack(messageId)).to.be.false;
+    });
+
+    it('should redeliver nacked messages until the retry limit, then dead-letter them', async function() {
+      const attempts = [];
+
+      messenger.on('message:received', (message) => {
+        if (message.to === 'strategy') {
+          attempts.push(message.deliveryAttempt);
+          messenger.nack(message.id, new Error('handler failed'));
+        }
+      });
+
+      const deadLettered = new Promise(resolve => messenger.once('message:dead-lettered', resolve));
+      messenger.sendMessage('execution', 'strategy', { strategyId: 'x' }, 'trade_outcome');
+
+      const entry = await deadLettered;
+      expect(attempts).to.deep.equal([1, 2, 3]);
+      expect(entry).to.include({ reason: 'max_deliveries_exceeded', error: 'handler failed', attempts: 3 });
+    });
+
+    it('should dead-letter immediately when nacked without requeue', function() {
+      const messageId = messenger.sendMessage('execution', 'strategy', {}, 'trade_outcome');
+
+      messenger.nack(messageId, new Error('malformed'), { requeue: false });
+
+      expect(messenger.getDeadLetters({ reason: 'rejected' })).to.have.length(1);
+    });
+
+    it('should replay dead letters once the recipient can take them', function() {
+      const messageId = messenger.sendMessage('execution', 'risk-management', {}, 'trade_outcome');
+      const received = sinon.spy();
+      messenger.on('message:received', received);
+
+      messenger.registerAgent('risk-management', 'risk', { requireAck: true });
+      const replayed = messenger.replayDeadLetters({ agentId: 'risk-management' });
+
+      expect(replayed).to.deep.equal([messageId]);
+      expect(received.calledOnce).to.be.true;
+      expect(messenger.getDeadLetters()).to.have.length(0);
+      expect(messenger.inFlight.get(messageId).message.deliveryAttempt).to.equal(1);
+    });
+
+    it('should keep dead letters that do not fit the recipient queue on replay', function() {
+      const first = messenger.sendMessage('execution', 'risk-management', { n: 1 }, 'trade_outcome');
+      const second = messenger.sendMessage('execution', 'risk-management', { n: 2 }, 'trade_outcome');
+
+      messenger.registerAgent('risk-management', 'risk', { maxSize: 1, overflowPolicy: 'reject' });
+      const replayed = messenger.replayDeadLetters({ agentId: 'risk-management' });
+
+      expect(replayed).to.deep.equal([first]);
+      expect(messenger.getDeadLetters().map(entry => [entry.message.id, entry.reason]))
+        .to.deep.equal([[second, 'queue_full']]);
+
+      messenger.dequeue('risk-management');
+      expect(messenger.replayDeadLetters({ reason: 'queue_full' })).to.deep.equal([second]);
+    });
+
+    it('should purge dead letters by filter', function() {
+      messenger.sendMessage('a', 'nobody', {}, 'market_data');
+      messenger.sendMessage('a', 'nobody', {}, 'trade_outcome');
+
+      expect(messenger.purgeDeadLetters({ type: 'market_data' })).to.equal(1);
+      expect(messenger.getDeadLetters().map(e => e.message.type)).to.deep.equal(['trade_outcome']);
+    });
+  });
+
+  describe('Agent queue consumption', function() {
+    let agent;
+
+    beforeEach(async function() {
+      agent = new QueuedAgent();
+      await agent.initialize();
+      agentMessenger.configureQueue(agent.id, { maxSize: 5, overflowPolicy: 'reject' });
+    });
+
+    afterEach(async function() {
+      await agent.shutdown();
+    });
+
+    it('should handle queued messages by priority and free capacity as it goes', async function() {
+      const send = (n, priority) => agentMessenger.sendMessage('feed', agent.id, { n }, 'data', { priority });
+      let release;
+      agent.hold = new Promise(resolve => { release = resolve; });
+
+      // The first message is taken at once; the rest wait behind its handler
+      send(0, 'normal');
+      send(1, 'low');
+      send(2, 'normal');
+      send(3, 'critical');
+      send(4, 'low');
+      send(5, 'high');
+      expect(agentMessenger.getQueueMetrics(agent.id).depth).to.equal(5);
+      expect(() => send(6, 'critical')).to.throw(QueueFullError);
+
+      agent.hold = null;
+      release();
+      await new Promise(resolve => setImmediate(resolve));
+      expect(agent.handled).to.deep.equal([0, 3, 5, 2, 1, 4]);
+
+      // Handled messages leave the queue, so it never fills with steady traffic
+      for (let n = 7; n < 19; n++) {
+        send(n, 'normal');
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      expect(agent.handled).to.have.length(18);
+      expect(agentMessenger.getQueueMetrics(agent.id)).to.include({ depth: 0, enqueued: 18, dequeued: 18, rejected: 1 });
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Audit Trail Tests
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const auditTrail = require('../tools/audit-trail');
+const { AuditTrail, GENESIS_HASH, main } = require('../tools/audit-trail');
+const { runWithMessage } = require('../tools/message-trace');
+const riskManagementAgent = require('../agents/risk-management-agent');
+const executionAgent = require('../agents/execution-agent');
+
+describe('Audit Trail', function() {
+  let directory;
+  let file;
+  let trail;
+
+  /**
+   * Rewrite the trail file line by line
+   * @param {Function} edit - Receives and returns the array of lines
+   */
+  function editLines(edit) {
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    fs.writeFileSync(file, edit(lines).join('\n') + '\n');
+  }
+
+  beforeEach(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'perseus-audit-'));
+    file = path.join(directory, 'audit', 'trail.jsonl');
+    trail = new AuditTrail({ file, key: '' });
+
+    trail.record('signal', { signal: { symbol: 'BTC-USD', action: 'BUY' } }, { actor: 'risk-management' });
+    trail.record('risk_evaluation', { approved: true, positionSize: 0.1 }, { actor: 'risk-management' });
+    trail.record('execution', { result: { success: true, executedPrice: 50010 } }, { actor: 'execution' });
+  });
+
+  afterEach(function() {
+    sinon.restore();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should chain each record to the one before it', function() {
+    const records = trail.read();
+
+    expect(records.map(record => record.sequence)).to.deep.equal([1, 2, 3]);
+    expect(records[0].previousHash).to.equal(GENESIS_HASH);
+    expect(records[1].previousHash).to.equal(records[0].hash);
+    expect(records[2]).to.include({ type: 'execution', actor: 'execution', previousHash: records[1].hash });
+
+    expect(trail.verify()).to.deep.equal({ valid: true, records: 3, head: records[2].hash, breaks: [] });
+    expect(trail.read({ type: ['signal', 'execution'] })).to.have.length(2);
+  });
+
+  it('should record the trace of the message being handled', function() {
+    const record = runWithMessage({ id: 'message-2', traceId: 'trace-1', content: { symbol: 'ETH-USD' } },
+      () => trail.record('signal', { signal: { symbol: 'ETH-USD' }, at: new Date(0), ignored: undefined }));
+
+    expect(record.context).to.deep.equal({ traceId: 'trace-1', messageId: 'message-2', symbol: 'ETH-USD' });
+    expect(record.data).to.deep.equal({ signal: { symbol: 'ETH-USD' }, at: '1970-01-01T00:00:00.000Z' });
+    expect(trail.verify().valid).to.equal(true);
+  });
+
+  it('should report edited, removed and unreadable records', function() {
+    editLines(lines => {
+      const edited = JSON.parse(lines[1]);
+      edited.data.positionSize = 10;
+      return [lines[0], JSON.stringify(edited), lines[2]];
+    });
+    expect(trail.verify().breaks).to.deep.equal([{ line: 2, sequence: 2, reason: 'hash-mismatch' }]);
+
+    // A re-hashed edit still breaks the link to the next record
+    editLines(lines => {
+      const edited = JSON.parse(lines[1]);
+      edited.hash = trail.hash(edited);
+      return [lines[0], JSON.stringify(edited), lines[2]];
+    });
+    expect(trail.verify().breaks).to.deep.equal([{ line: 3, sequence: 3, reason: 'broken-link' }]);
+
+    editLines(lines => [lines[0], lines[2], '{"sequence": 4, trunc']);
+    expect(trail.verify()).to.deep.include({
+      valid: false,
+      records: 2,
+      breaks: [
+        { line: 2, sequence: 3, reason: 'sequence-gap', expected: 2 },
+        { line: 3, sequence: null, reason: 'unreadable' }
+      ]
+    });
+  });
+
+  it('should continue the chain when reopened, and only verify with the right key', function() {
+    const reopened = new AuditTrail({ file, key: '' });
+    const record = reopened.record('risk_parameters_change', { changes: { maxDrawdown: 0.1 } });
+
+    expect(record.sequence).to.equal(4);
+    expect(record.previousHash).to.equal(trail.read()[2].hash);
+    expect(reopened.verify().valid).to.equal(true);
+
+    const keyed = path.join(directory, 'keyed.jsonl');
+    new AuditTrail({ file: keyed, key: 'secret' }).record('signal', { symbol: 'BTC-USD' });
+    expect(new AuditTrail({ file: keyed, key: 'secret' }).verify().valid).to.equal(true);
+    expect(new AuditTrail({ file: keyed, key: 'other' }).verify().breaks[0].reason).to.equal('hash-mismatch');
+  });
+
+  it('should verify from the command line', async function() {
+    const log = sinon.stub(console, 'log');
+    const previousKey = process.env.AUDIT_TRAIL_KEY;
+    delete process.env.AUDIT_TRAIL_KEY;
+
+    try {
+      expect(await main(['verify', '--file', file])).to.equal(0);
+      expect(log.lastCall.args[0]).to.match(/^Audit trail intact: 3 records in .*, head [0-9a-f]{64}$/);
+
+      editLines(lines => [lines[0], lines[2]]);
+      expect(await main(['verify', '--file', file])).to.equal(1);
+      expect(log.getCalls().map(call => call.args[0]).slice(-2)).to.deep.equal([
+        `Audit trail BROKEN: 1 breaks in 2 records in ${file}`,
+        '  line 2 (sequence 3): sequence-gap'
+      ]);
+    } finally {
+      if (previousKey !== undefined) {
+        process.env.AUDIT_TRAIL_KEY = previousKey;
+      }
+    }
+  });
+
+  it('should record risk decisions, parameter changes and executions from the agents', async function() {
+    const agentTrail = new AuditTrail({ file: path.join(directory, 'agents.jsonl'), key: '' });
+    sinon.stub(auditTrail, 'record').callsFake((...args) => agentTrail.record(...args));
+    sinon.stub(riskManagementAgent, 'storeKnowledge').resolves(true);
+    sinon.stub(riskManagementAgent.logger, 'info');
+
+    const previousDrawdown = riskManagementAgent.getRiskParameters().maxDrawdown;
+    try {
+      await riskManagementAgent.evaluateTrade({ symbol: 'BTC-USD', action: 'CLOSE' }, { symbol: 'BTC-USD', prices: [50000] });
+      await riskManagementAgent.setRiskParameters({ maxDrawdown: 0.1 });
+      await executionAgent.executeTrade({ symbol: 'BTC-USD' }, { exchange: 'none' });
+    } finally {
+      riskManagementAgent.riskParameters.maxDrawdown = previousDrawdown;
+    }
+
+    const records = agentTrail.read();
+    expect(records.map(record => `${record.actor} ${record.type}`)).to.deep.equal([
+      'risk-management signal',
+      'risk-management risk_evaluation',
+      'risk-management risk_parameters_change',
+      'execution execution'
+    ]);
+    expect(records[1].data).to.include({ signalSequence: 1, approved: true, action: 'CLOSE' });
+    expect(records[2].data.changes).to.deep.equal({ maxDrawdown: 0.1 });
+    expect(records[2].data.previous.maxDrawdown).to.equal(previousDrawdown);
+    expect(records[3].data.result.success).to.equal(false);
+    expect(agentTrail.verify().valid).to.equal(true);
+  });
+});
@@ -78,51 +78,6 @@ function validateObject(obj, requiredFields) {
   };
 }
 
-// Wait for message with timeout
-function waitForMessage(agentId, messageType = null, timeout = 5000) {
-  return new Promise((resolve, reject) => {
-    const timer = setTimeout(() => {
-      agentMessenger.removeListener('message:received', messageHandler);
-      reject(new Error(`Timeout waiting for ${messageType ? messageType + ' ' : ''}message to ${agentId}`));
-    }, timeout);
-    
-    logger.debug(`Waiting for ${messageType || 'any'} message for agent ${agentId}`);
-    
-    // Check if the message is already in the queue before waiting
-    const existingMessages = agentMessenger.getMessages(agentId, false);
-    logger.debug(`Found ${existingMessages.length} existing messages for agent ${agentId}`);
-    
-    if (existingMessages.length > 0) {
-      logger.debug(`Message types in queue: ${existingMessages.map(m => m.type).join(', ')}`);
-    }
-    
-    const matchingMessage = existingMessages.find(msg => 
-      (!messageType || msg.type === messageType)
-    );
-    
-    if (matchingMessage) {
-      logger.debug(`Found matching existing message of type ${matchingMessage.type}`);
-      clearTimeout(timer);
-      resolve(matchingMessage);
-      return;
-    }
-    
-    // If no existing message, set up the listener
-    const messageHandler = (message) => {
-      logger.debug(`Received message: to=${message.to}, from=${message.from}, type=${message.type}`);
-      if (message.to === agentId && (!messageType || message.type === messageType)) {
-        logger.debug(`Message matched criteria for ${agentId}, type=${message.type}`);
-        clearTimeout(timer);
-        agentMessenger.removeListener('message:received', messageHandler);
-        resolve(message);
-      }
-    };
-    
-    // Add the listener
-    agentMessenger.on('message:received', messageHandler);
-  });
-}
-
 // Run all tests
 async function runDebugSuite() {
   logger.info('======================================================');
@@ -491,19 +446,14 @@ async function runDebugSuite() {
     try {
       logger.info('\n5.3: Testing message handling...');
       
-      // Register a one-time event listener for the response
-      const responsePromise = waitForMessage('prompt-engineering', 'data_response', 3000);
-      
-      // Send data request again
-      await promptEngineeringAgent.sendMessage(
+      // Send data request again and wait for the correlated response
+      const response = await promptEngineeringAgent.request(
         'data-processing',
         mockMarketData,
-        'data_request'
+        'data_request',
+        { timeoutMs: 3000 }
       );
       
-      // Wait for response
-      const response = await responsePromise;
-      
       if (!response || !response.content || !response.content.processed) {
         throw new Error('Message handling failed');
       }
@@ -535,11 +485,13 @@ async function runDebugSuite() {
       await knowledgeBase.storeKnowledge('system-test', 'data-prompt', dataPrompt);
       
       // 3. Send market data to Data Processing Agent
-      const responsePromise = waitForMessage('prompt-engineering', 'data_response', 3000);
-      await promptEngineeringAgent.sendMessage('data-processing', mockMarketData, 'data_request');
-      
       // 4. Wait for processed data
-      const response = await responsePromise;
+      const response = await promptEngineeringAgent.request(
+        'data-processing',
+        mockMarketData,
+        'data_request',
+        { timeoutMs: 3000 }
+      );
       
       // 5. Store processed data in Knowledge Base
       await knowledgeBase.storeKnowledge('system-test', 'processed-data', response.content);
@@ -746,16 +698,11 @@ async function runDebugSuite() {
       
       logger.debug('Sending market data to Strategy Agent...');
       
-      // Send the data to the strategy agent (using our own message)
-      const messageId = await agentMessenger.sendMessage(testAgentId, 'strategy', 
-        mockData, 'market_data'
-      );
-      
-      logger.debug(`Sent market data message: ${messageId}, waiting for signal_response...`);
-      
-      // Wait for a response (using the improved waitForMessage utility)
+      // Send the data to the strategy agent and wait for the correlated signal_response
       try {
-        const response = await waitForMessage(testAgentId, 'signal_response', 5000);
+        const response = await agentMessenger.request(testAgentId, 'strategy', 
+          mockData, 'market_data', { timeoutMs: 5000 }
+        );
         
         if (response && response.type === 'signal_response') {
           logger.info(`✓ Received signal response: ${JSON.stringify(response.signals || (response.content && response.content.signals) || 'No signals')}`);
@@ -0,0 +1,191 @@
+/**
+ * Knowledge Base Access Control Tests
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const knowledgeBase = require('../tools/knowledge-base');
+const { KnowledgeBase, KnowledgeAccessError } = require('../tools/knowledge-base');
+const BaseAgent = require('../core/base-agent');
+const strategyAgentInstance = require('../agents/strategy-agent');
+
+describe('Knowledge Base Access Control', function() {
+  const POLICY = {
+    defaultLevel: 'read',
+    owners: { risk: 'risk', 'signals*': 'strategy' },
+    rules: {
+      data: { prompts: 'write', risk: 'none' },
+      strategy: { 'signals.archive': 'write' }
+    }
+  };
+
+  const riskAgent = { id: 'risk-management', type: 'risk' };
+  const strategyAgent = { id: 'strategy', type: 'strategy' };
+  const dataAgent = { id: 'data-processing', type: 'data' };
+
+  let kb;
+  let denials;
+
+  beforeEach(async function() {
+    kb = new KnowledgeBase();
+    await kb.initialize({ storage: { type: 'memory' }, access: POLICY });
+    await kb.storeKnowledge('risk', 'parameters', { maxPositionSize: 0.05 }, { agent: riskAgent });
+
+    denials = [];
+    kb.on('knowledge:access-denied', event => denials.push(event));
+  });
+
+  afterEach(async function() {
+    sinon.restore();
+    await kb.close();
+  });
+
+  it('should reject writes to a category another agent type owns', async function() {
+    const stored = await kb.storeKnowledge('risk', 'parameters', { maxPositionSize: 1 }, { agent: strategyAgent });
+
+    expect(stored).to.equal(false);
+    expect((await kb.getKnowledge('risk', 'parameters', 'latest', { agent: strategyAgent })).data.maxPositionSize).to.equal(0.05);
+    expect(denials).to.have.length(1);
+    expect(denials[0]).to.include({ operation: 'write', category: 'risk', key: 'parameters', required: 'write', level: 'read' });
+
+    const [record] = kb.getAccessAudit({ event: 'denied' });
+    expect(record.agent).to.deep.equal(strategyAgent);
+    expect(record.timestamp).to.be.a('number');
+  });
+
+  it('should apply agent rules ahead of ownership and the default level', async function() {
+    expect(await kb.storeKnowledge('prompts', 'current', 'Process the data', { agent: dataAgent })).to.equal(true);
+    expect(await kb.storeKnowledge('prompts', 'current', 'Trade it all', { agent: strategyAgent })).to.equal(false);
+
+    // The data agent's rule takes away even read access to risk
+    expect(await kb.getKnowledge('risk', 'parameters', 'latest', { agent: dataAgent })).to.equal(null);
+
+    expect(await kb.storeKnowledge('signals.archive', 'signals-1', { symbol: 'BTC-USD' }, { agent: strategyAgent })).to.equal(true);
+    expect(await kb.storeKnowledge('signals', 'signals-1', { symbol: 'BTC-USD' }, { agent: strategyAgent })).to.equal(true);
+
+    // Removing needs admin, which only the owner has
+    expect(await kb.removeKnowledge('signals.archive', 'signals-1', { agent: strategyAgent })).to.equal(false);
+    expect(await kb.removeKnowledge('signals', 'signals-1', { agent: strategyAgent })).to.equal(true);
+
+    expect(denials.map(denial => `${denial.operation} ${denial.category}`))
+      .to.deep.equal(['write prompts', 'read risk', 'remove signals.archive']);
+  });
+
+  it('should deny queries on categories the agent cannot read', async function() {
+    expect(() => kb.query('risk', { where: { key: 'parameters' }, agent: dataAgent })).to.throw(KnowledgeAccessError);
+    expect(await kb.queryByCategory('risk', { agent: dataAgent })).to.deep.equal([]);
+
+    expect(kb.query('risk', { agent: strategyAgent }).total).to.equal(1);
+    expect(await kb.queryByCategory('risk', { agent: strategyAgent })).to.have.length(1);
+
+    expect(denials.map(denial => `${denial.operation} ${denial.category}`))
+      .to.deep.equal(['read risk', 'read risk']);
+  });
+
+  it('should leave unattributed requests and unrestricted instances alone', async function() {
+    expect(await kb.storeKnowledge('risk', 'parameters', { maxPositionSize: 0.02 })).to.equal(true);
+
+    kb.setAccessPolicy(null);
+    expect(kb.getAccessPolicy()).to.equal(null);
+    expect(await kb.storeKnowledge('risk', 'parameters', { maxPositionSize: 1 }, { agent: strategyAgent })).to.equal(true);
+    expect(denials).to.have.length(0);
+  });
+
+  it('should fail compare-and-set and transactions explicitly without writing anything', async function() {
+    let error;
+    try {
+      await kb.compareAndSet('risk', 'parameters', 0, { maxPositionSize: 1 }, { agent: strategyAgent });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).to.be.instanceOf(KnowledgeAccessError);
+    expect(error).to.include({ code: 'ACCESS_DENIED', operation: 'write', required: 'write', level: 'read' });
+
+    error = null;
+    try {
+      await kb.transaction(async (tx) => {
+        const parameters = await tx.get('risk', 'parameters');
+        tx.set('signals', 'signals-1', { sizedBy: parameters.data.maxPositionSize });
+        tx.set('risk', 'parameters', { maxPositionSize: 1 });
+      }, { agent: strategyAgent });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).to.be.instanceOf(KnowledgeAccessError);
+    expect(await kb.getKnowledge('signals', 'signals-1')).to.equal(null);
+    expect((await kb.getKnowledge('risk', 'parameters')).data.maxPositionSize).to.equal(0.05);
+  });
+
+  it('should honour temporary grants until they expire or are revoked', async function() {
+    const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+
+    const grant = kb.grantAccess({
+      agentType: 'strategy',
+      category: 'risk',
+      level: 'write',
+      ttlMs: 60000,
+      reason: 'Reset parameters after incident',
+      grantedBy: 'operator'
+    });
+
+    expect(grant.expiresAt).to.equal(Date.now() + 60000);
+    expect(kb.getAccessGrants().map(active => active.id)).to.deep.equal([grant.id]);
+    expect(await kb.storeKnowledge('risk', 'parameters', { maxPositionSize: 0.03 }, { agent: strategyAgent })).to.equal(true);
+
+    clock.tick(60000);
+    expect(await kb.storeKnowledge('risk', 'parameters', { maxPositionSize: 1 }, { agent: strategyAgent })).to.equal(false);
+    expect(kb.getAccessGrants()).to.deep.equal([]);
+
+    const limited = kb.grantAccess({ agentType: 'data', agentId: 'other-data', category: 'risk', level: 'read', ttlMs: 1000 });
+    expect(await kb.getKnowledge('risk', 'parameters', 'latest', { agent: dataAgent })).to.equal(null);
+    expect(kb.revokeAccess(limited.id, 'operator')).to.equal(true);
+    expect(kb.revokeAccess(limited.id)).to.equal(false);
+
+    expect(kb.getAccessAudit().map(record => record.event))
+      .to.deep.equal(['granted', 'expired', 'denied', 'granted', 'denied', 'revoked']);
+    expect(() => kb.grantAccess({ agentType: 'strategy', category: 'risk', level: 'admin' }))
+      .to.throw('Access grants are temporary; invalid ttlMs: undefined');
+    expect(() => kb.setAccessPolicy({ owners: {}, rules: { data: { risk: 'owner' } } }))
+      .to.throw('Unknown access level: owner');
+  });
+
+  it('should enforce the policy on knowledge agents store through BaseAgent', async function() {
+    const agent = new BaseAgent('rogue-strategy', 'strategy');
+    agent.isInitialized = true;
+    sinon.stub(agent.logger, 'info');
+
+    await knowledgeBase.initialize({ storage: { type: 'memory' }, access: POLICY });
+
+    try {
+      expect(await agent.storeKnowledge('risk', 'parameters', { maxPositionSize: 1 })).to.equal(false);
+      expect(await agent.storeKnowledge('signals', 'signals-1', { symbol: 'ETH-USD' })).to.equal(true);
+
+      let error;
+      try {
+        await agent.updateKnowledge('risk', 'portfolio-state', () => ({ totalValue: 0 }), { retries: 0 });
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.name).to.equal('KnowledgeAccessError');
+      expect(knowledgeBase.getAccessAudit({ agentType: 'strategy' })).to.have.length(2);
+    } finally {
+      knowledgeBase.setAccessPolicy(null);
+      await knowledgeBase.close();
+    }
+  });
+
+  it('should enforce the policy on knowledge the Strategy Agent stores', async function() {
+    const previous = strategyAgentInstance.knowledgeBase;
+    strategyAgentInstance.knowledgeBase = kb;
+
+    try {
+      expect(await strategyAgentInstance.storeKnowledge('risk', 'parameters', { maxPositionSize: 1 })).to.equal(false);
+      expect(await strategyAgentInstance.storeKnowledge('signals', 'signals-1', { symbol: 'ETH-USD' })).to.equal(true);
+    } finally {
+      strategyAgentInstance.knowledgeBase = previous;
+    }
+
+    expect(denials.map(event => event.agent)).to.deep.equal([{ id: 'strategy', type: 'strategy' }]);
+    expect((await kb.getKnowledge('signals', 'signals-1')).metadata.agent).to.deep.equal({ id: 'strategy', type: 'strategy' });
+  });
+});
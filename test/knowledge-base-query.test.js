@@ -0,0 +1,99 @@
+/**
+ * Knowledge Base Query Tests
+ */
+
+const { expect } = require('chai');
+const { KnowledgeBase } = require('../tools/knowledge-base');
+
+describe('Knowledge Base Query', function() {
+  let kb;
+  const hour = 60 * 60 * 1000;
+
+  beforeEach(async function() {
+    kb = new KnowledgeBase();
+    await kb.initialize({ storage: { type: 'memory' } });
+
+    const signals = [
+      { id: 's1', strategyId: 'trend', symbol: 'BTC-USD', confidence: 0.9, generatedAt: Date.now() - 10 * 60 * 1000 },
+      { id: 's2', strategyId: 'trend', symbol: 'ETH-USD', confidence: 0.6, generatedAt: Date.now() - 20 * 60 * 1000 },
+      { id: 's3', strategyId: 'trend', symbol: 'ETH-USD', confidence: 0.8, generatedAt: Date.now() - 3 * hour },
+      { id: 's4', strategyId: 'mean-reversion', symbol: 'BTC-USD', confidence: 0.95, generatedAt: Date.now() - 5 * 60 * 1000 },
+      { id: 's5', strategyId: 'trend', symbol: 'SOL-USD', confidence: 0.75, generatedAt: Date.now() - 30 * 60 * 1000, stopLoss: 95 }
+    ];
+
+    for (const signal of signals) {
+      await kb.storeKnowledge('signals', signal.id, signal, { agent: { type: 'strategy' } });
+    }
+  });
+
+  it('should filter with equality, range and time conditions', function() {
+    const result = kb.query('signals', {
+      where: {
+        'data.strategyId': 'trend',
+        'data.confidence': { $gt: 0.7 },
+        'data.generatedAt': { $gte: Date.now() - hour }
+      }
+    });
+
+    expect(result.items.map(item => item.key)).to.have.members(['s1', 's5']);
+    expect(result.total).to.equal(2);
+    expect(result.index).to.equal(null);
+  });
+
+  it('should support in, not-in, exists and metadata fields', function() {
+    const keys = where => kb.query('signals', { where }).items.map(item => item.key).sort();
+
+    expect(keys({ 'data.symbol': { $in: ['ETH-USD', 'SOL-USD'] } })).to.deep.equal(['s2', 's3', 's5']);
+    expect(keys({ 'data.symbol': { $nin: ['BTC-USD'] }, 'data.confidence': { $lte: 0.75 } })).to.deep.equal(['s2', 's5']);
+    expect(keys({ 'data.stopLoss': { $exists: true } })).to.deep.equal(['s5']);
+    expect(keys({ 'metadata.agent.type': 'strategy', timestamp: { $lte: new Date() } })).to.have.length(5);
+    expect(keys({ 'data.strategyId': { $ne: 'trend' } })).to.deep.equal(['s4']);
+  });
+
+  it('should sort, paginate and project', function() {
+    const query = offset => kb.query('signals', {
+      sort: { 'data.confidence': -1 },
+      offset,
+      limit: 2,
+      select: ['data.confidence', 'data.symbol']
+    });
+
+    const first = query(0);
+    expect(first.total).to.equal(5);
+    expect(first.items).to.deep.equal([
+      { key: 's4', data: { confidence: 0.95, symbol: 'BTC-USD' } },
+      { key: 's1', data: { confidence: 0.9, symbol: 'BTC-USD' } }
+    ]);
+    expect(query(4).items.map(item => item.key)).to.deep.equal(['s2']);
+  });
+
+  it('should answer through an index kept current on writes', async function() {
+    expect(kb.createIndex('signals', 'data.strategyId')).to.equal(true);
+    expect(kb.createIndex('signals', 'data.strategyId')).to.equal(false);
+
+    await kb.storeKnowledge('signals', 's2', { id: 's2', strategyId: 'mean-reversion', confidence: 0.6 });
+
+    const result = kb.query('signals', { where: { 'data.strategyId': { $in: ['mean-reversion'] } } });
+    expect(result.index).to.equal('data.strategyId');
+    expect(result.items.map(item => item.key)).to.have.members(['s2', 's4']);
+
+    // Index declarations survive a storage switch and are rebuilt from the loaded data
+    await kb.initialize({ storage: { type: 'memory' } });
+    await kb.storeKnowledge('signals', 's9', { strategyId: 'trend' });
+    expect(kb.query('signals', { where: { 'data.strategyId': 'trend' } }).items.map(item => item.key)).to.deep.equal(['s9']);
+
+    expect(kb.dropIndex('signals', 'data.strategyId')).to.equal(true);
+    expect(kb.getIndexes('signals')).to.deep.equal([]);
+  });
+
+  it('should return copies and reject unknown operators and malformed operands', function() {
+    const [item] = kb.query('signals', { where: { key: 's1' } }).items;
+    item.data.confidence = 0;
+
+    expect(kb.query('signals', { where: { key: 's1' } }).items[0].data.confidence).to.equal(0.9);
+    expect(() => kb.query('signals', { where: { 'data.confidence': { $regex: '.*' } } })).to.throw('Unknown query operator: $regex');
+    expect(() => kb.query('signals', { where: { 'data.confidence': { $in: 0.9 } } })).to.throw('$in requires an array');
+    expect(() => kb.query('signals', { where: { 'data.symbol': { $nin: 'BTC-USD' } } })).to.throw('$nin requires an array');
+    expect(kb.query('missing').items).to.deep.equal([]);
+  });
+});
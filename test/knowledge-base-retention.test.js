@@ -0,0 +1,179 @@
+/**
+ * Knowledge Base Retention Tests
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KnowledgeBase } = require('../tools/knowledge-base');
+const { FileStorage, SqliteStorage } = require('../tools/storage');
+
+describe('Knowledge Base Retention', function() {
+  let kb;
+  let evictions;
+
+  beforeEach(async function() {
+    kb = new KnowledgeBase();
+    await kb.initialize({ storage: { type: 'memory' } });
+
+    evictions = [];
+    kb.on('knowledge:evicted', event => evictions.push(event));
+  });
+
+  afterEach(async function() {
+    sinon.restore();
+    await kb.close();
+  });
+
+  describe('max versions', function() {
+    /**
+     * Write a growing document, trimming history to three versions, and
+     * check the remaining versions survive a restart
+     * @param {Function} makeStorage - Creates a storage adapter for the same location
+     */
+    async function expectTrimmedHistory(makeStorage) {
+      await kb.initialize({ storage: makeStorage(), retention: { strategies: { maxVersions: 3 } } });
+      kb.setVersioningOptions('differential', 10);
+
+      const trimmed = [];
+      kb.on('knowledge:versions-trimmed', event => trimmed.push(event.count));
+
+      for (let i = 0; i < 8; i++) {
+        await kb.storeKnowledge('strategies', 'breakout', { revision: i, trades: Array.from({ length: i }, (_, n) => n) });
+      }
+
+      expect(trimmed).to.deep.equal([1, 1, 1, 1]);
+      expect(kb.getVersionHistory('strategies', 'breakout')).to.have.length(3);
+      // Trimmed versions are gone; the rest keep their numbers
+      expect(await kb.getKnowledge('strategies', 'breakout', 0)).to.equal(null);
+      expect((await kb.getKnowledge('strategies', 'breakout', 4)).data.revision).to.equal(4);
+      await kb.close();
+
+      const restored = new KnowledgeBase();
+      await restored.initialize({ storage: makeStorage() });
+
+      expect(restored.getVersionHistory('strategies', 'breakout').map(version => version.version)).to.deep.equal([4, 5, 6]);
+      for (let i = 4; i < 8; i++) {
+        expect((await restored.getKnowledge('strategies', 'breakout', i)).data.revision).to.equal(i);
+      }
+      await restored.close();
+    }
+
+    let directory;
+
+    beforeEach(function() {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'perseus-kb-'));
+    });
+
+    afterEach(function() {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should drop the oldest versions in file storage', async function() {
+      await expectTrimmedHistory(() => new FileStorage({ directory, snapshotEvery: 5 }));
+    });
+
+    it('should drop the oldest versions in SQLite storage', async function() {
+      const filename = path.join(directory, 'knowledge.db');
+      await expectTrimmedHistory(() => new SqliteStorage({ filename }));
+    });
+
+    it('should roll back to a version number seen before history was trimmed', async function() {
+      await kb.setRetentionPolicy('strategies', { maxVersions: 2 });
+
+      const seen = [];
+      for (let i = 0; i < 5; i++) {
+        await kb.storeKnowledge('strategies', 'breakout', { revision: i });
+        seen.push((await kb.getKnowledge('strategies', 'breakout')).version);
+      }
+
+      expect(seen).to.deep.equal([0, 1, 2, 3, 4]);
+      expect(await kb.rollback('strategies', 'breakout', 1)).to.equal(false);
+      expect(await kb.rollback('strategies', 'breakout', 3)).to.equal(true);
+
+      const current = await kb.getKnowledge('strategies', 'breakout');
+      expect(current).to.deep.include({ data: { revision: 3 }, version: 5 });
+      expect(current.metadata.rolledBackFrom).to.equal(3);
+      expect((await kb.getKnowledge('strategies', 'breakout', 4)).data.revision).to.equal(4);
+    });
+  });
+
+  it('should evict the least recently used keys above maxKeys', async function() {
+    await kb.setRetentionPolicy('signals', { maxKeys: 2 });
+    kb.createIndex('signals', 'data.symbol');
+
+    await kb.storeKnowledge('signals', 'signals-1', { symbol: 'BTC-USD' });
+    await kb.storeKnowledge('signals', 'signals-2', { symbol: 'BTC-USD' });
+    await kb.getKnowledge('signals', 'signals-1');
+    await kb.storeKnowledge('signals', 'signals-3', { symbol: 'BTC-USD' });
+
+    expect(evictions).to.have.length(1);
+    expect(evictions[0]).to.include({ category: 'signals', key: 'signals-2', reason: 'max-keys' });
+    expect(await kb.getKnowledge('signals', 'signals-2')).to.equal(null);
+    expect(kb.query('signals', { where: { 'data.symbol': 'BTC-USD' } }).items.map(item => item.key))
+      .to.have.members(['signals-1', 'signals-3']);
+  });
+
+  it('should expire entries past their TTL on access and on the sweep', async function() {
+    const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date', 'setInterval', 'clearInterval'] });
+    await kb.initialize({ storage: { type: 'memory' }, retentionSweepMs: 1000 });
+    await kb.setRetentionPolicy('market-data', { ttlMs: 5000 });
+
+    await kb.storeKnowledge('market-data', 'data-1', { price: 1 });
+    await kb.storeKnowledge('market-data', 'data-2', { price: 2 });
+
+    clock.tick(3000);
+    await kb.storeKnowledge('market-data', 'data-2', { price: 3 });
+    clock.tick(2500);
+
+    expect(await kb.getKnowledge('market-data', 'data-1')).to.equal(null);
+    expect(evictions.map(event => [event.key, event.reason])).to.deep.equal([['data-1', 'ttl']]);
+
+    // data-2 was rewritten at 3s, so the sweep at 9s is the first to find it expired
+    await clock.tickAsync(3000);
+    expect(evictions).to.have.length(1);
+    await clock.tickAsync(1000);
+    expect(evictions.map(event => event.key)).to.deep.equal(['data-1', 'data-2']);
+    expect(kb.getMemoryUsage()).to.include({ bytes: 0, entries: 0 });
+  });
+
+  it('should evict least recently used entries across categories under the memory budget', async function() {
+    const payload = { samples: 'x'.repeat(400) };
+
+    await kb.storeKnowledge('market-data', 'data-1', payload);
+    await kb.storeKnowledge('signals', 'signals-1', payload);
+    await kb.storeKnowledge('market-data', 'data-2', payload);
+    await kb.getKnowledge('market-data', 'data-1');
+
+    const usage = kb.getMemoryUsage();
+    expect(usage.entries).to.equal(3);
+
+    expect(await kb.setMemoryBudget(Math.ceil(usage.bytes * 0.7))).to.equal(1);
+    expect(evictions[0]).to.include({ category: 'signals', key: 'signals-1', reason: 'memory' });
+    expect(evictions[0].bytes).to.be.above(400);
+
+    // The key being written is never the one evicted to make room
+    await kb.setMemoryBudget(10);
+    await kb.storeKnowledge('risk', 'parameters', payload);
+    expect(kb.getMemoryUsage().entries).to.equal(1);
+    expect(await kb.getKnowledge('risk', 'parameters')).to.not.equal(null);
+  });
+
+  it('should reject invalid policies and remove keys explicitly', async function() {
+    let error;
+    try {
+      await kb.setRetentionPolicy('signals', { maxKeys: -1 });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.message).to.equal('Invalid retention maxKeys: -1');
+
+    await kb.storeKnowledge('signals', 'signals-1', { symbol: 'ETH-USD' });
+    expect(await kb.removeKnowledge('signals', 'signals-1')).to.equal(true);
+    expect(await kb.removeKnowledge('signals', 'signals-1')).to.equal(false);
+    expect(kb.getMemoryUsage().bytes).to.equal(0);
+    expect(evictions).to.have.length(0);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Knowledge Base Search Tests
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const knowledgeBase = require('../tools/knowledge-base');
+const { KnowledgeBase } = require('../tools/knowledge-base');
+const { tokenize } = require('../tools/knowledge-search');
+const promptEngineeringAgent = require('../agents/prompt-engineering-agent');
+
+describe('Knowledge Base Search', function() {
+  let kb;
+
+  /**
+   * Registered strategy entry, as StrategyAgent.registerStrategy stores it
+   * @param {string} id - Strategy ID
+   * @param {Function} fn - Strategy function
+   * @returns {object} Strategy knowledge
+   */
+  function strategy(id, fn) {
+    return { id, name: id, createdAt: '2024-01-01T00:00:00.000Z', functionString: fn.toString() };
+  }
+
+  beforeEach(async function() {
+    kb = new KnowledgeBase();
+    await kb.initialize({ storage: { type: 'memory' } });
+
+    await kb.storeKnowledge('prompts', 'risk', {
+      system: 'You are the Risk Management Agent. Limit drawdowns and size positions by volatility.',
+      user: 'Review the proposed trades against the risk limits.'
+    });
+    await kb.storeKnowledge('prompts', 'data', {
+      system: 'You are the Data Processing Agent. Calculate technical indicators such as RSI and moving averages.',
+      user: 'Process the given market data.'
+    });
+    await kb.storeKnowledge('strategies.mean-reversion', 'definition', strategy('mean-reversion',
+      function meanReversion(prices) { return calculateRSI(prices) < 30 ? 'BUY' : null; }
+    ));
+    await kb.storeKnowledge('market-data', 'data-1', { note: 'RSI oversold on BTC' });
+
+    expect(kb.enableSearch('prompts')).to.equal(2);
+    expect(kb.enableSearch('strategies*')).to.equal(1);
+  });
+
+  afterEach(async function() {
+    sinon.restore();
+    await kb.close();
+  });
+
+  it('should split camelCase code and stem words into terms', function() {
+    expect(tokenize('calculateRSI(prices) trading limits').map(token => token.term))
+      .to.deep.equal(['calculate', 'rsi', 'price', 'trad', 'limit']);
+    expect(tokenize('the RSI')[0]).to.include({ start: 4, end: 7 });
+  });
+
+  it('should rank entries of searchable categories by relevance', async function() {
+    const results = await kb.search('RSI indicators');
+
+    expect(results.map(result => `${result.category}/${result.key}`))
+      .to.deep.equal(['prompts/data', 'strategies.mean-reversion/definition']);
+    expect(results[0].score).to.be.above(results[1].score);
+
+    const volatility = await kb.search('position sizing volatility', { categories: ['prompts'] });
+    expect(volatility.map(result => result.key)).to.deep.equal(['risk']);
+    expect(await kb.search('RSI', { categories: ['strategies*'] })).to.have.length(1);
+  });
+
+  it('should highlight matches in the fields they were found in', async function() {
+    const [result] = await kb.search('calculate rsi', { categories: ['strategies*'] });
+
+    expect(result.highlights).to.have.length(1);
+    expect(result.highlights[0].field).to.equal('functionString');
+    expect(result.highlights[0].snippet).to.contain('<mark>calculate</mark><mark>RSI</mark>(prices)');
+
+    const [limited] = await kb.search('risk limits', { highlight: { pre: '[', post: ']', contextChars: 10 } });
+    const user = limited.highlights.find(highlight => highlight.field === 'user');
+    expect(user.snippet).to.equal('…the [risk] [limits].');
+  });
+
+  it('should keep the index up to date as knowledge changes', async function() {
+    await kb.storeKnowledge('prompts', 'risk', 'Keep exposure under the correlation threshold.');
+    expect(await kb.search('drawdowns')).to.deep.equal([]);
+    expect((await kb.search('correlation'))[0]).to.include({ key: 'risk' });
+    expect((await kb.search('correlation'))[0].highlights[0].field).to.equal('');
+
+    await kb.removeKnowledge('prompts', 'risk');
+    expect(await kb.search('correlation')).to.deep.equal([]);
+
+    expect(kb.disableSearch('strategies*')).to.equal(true);
+    expect(await kb.search('mean reversion')).to.deep.equal([]);
+    expect(kb.getSearchCategories()).to.deep.equal(['prompts']);
+  });
+
+  it('should rank by embedding similarity with a pluggable embedder', async function() {
+    // A toy embedding: how much a text is about risk, data and strategy code
+    const embedder = sinon.spy(async (text) => [
+      (text.match(/risk|drawdown|exposure/gi) || []).length,
+      (text.match(/data|indicator|market/gi) || []).length,
+      (text.match(/function|return|prices/gi) || []).length
+    ]);
+
+    let error;
+    try {
+      await kb.search('exposure', { mode: 'semantic' });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.message).to.equal('Search mode semantic needs an embedder');
+
+    kb.setEmbedder(embedder);
+    const semantic = await kb.search('how much exposure is acceptable', { mode: 'semantic', highlight: false });
+
+    expect(semantic[0]).to.deep.equal({ category: 'prompts', key: 'risk', score: 1 });
+    expect(embedder.callCount).to.equal(4);
+
+    const hybrid = await kb.search('market indicators', { mode: 'hybrid', semanticWeight: 0.5 });
+    expect(hybrid[0].key).to.equal('data');
+  });
+
+  it('should leave out categories an agent cannot read', async function() {
+    kb.setAccessPolicy({ defaultLevel: 'read', rules: { data: { 'strategies*': 'none' } } });
+
+    const results = await kb.search('RSI', { agent: { id: 'data-processing', type: 'data' } });
+    expect(results.map(result => result.category)).to.deep.equal(['prompts']);
+  });
+
+  it('should let the prompt engineering agent find related prompts and strategies', async function() {
+    sinon.stub(promptEngineeringAgent.logger, 'info');
+
+    await knowledgeBase.initialize({ storage: { type: 'memory' } });
+    try {
+      knowledgeBase.enableSearch('prompts');
+      knowledgeBase.enableSearch('strategies*');
+      await knowledgeBase.storeKnowledge('strategies.breakout', 'definition', strategy('breakout',
+        function breakout(prices) { return prices[prices.length - 1] > Math.max(...prices.slice(0, -1)) ? 'BUY' : null; }
+      ));
+      await knowledgeBase.storeKnowledge('signals', 'signals-1', { reason: 'breakout above resistance' });
+
+      const related = await promptEngineeringAgent.findRelatedKnowledge('breakout strategy');
+      expect(related.map(result => result.category)).to.deep.equal(['strategies.breakout']);
+    } finally {
+      knowledgeBase.disableSearch('prompts');
+      knowledgeBase.disableSearch('strategies*');
+      await knowledgeBase.close();
+    }
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Knowledge Base Snapshot Tests
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KnowledgeBase, KnowledgeAccessError } = require('../tools/knowledge-base');
+const { main } = require('../tools/knowledge-snapshot');
+
+describe('Knowledge Base Snapshot', function() {
+  let source;
+  let directory;
+
+  beforeEach(async function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'perseus-kb-'));
+
+    source = new KnowledgeBase();
+    await source.initialize({ storage: { type: 'memory' } });
+    source.setVersioningOptions('differential', 10);
+
+    for (let i = 0; i < 5; i++) {
+      await source.storeKnowledge('strategies', 'breakout', { revision: i, trades: Array.from({ length: i }, (_, n) => n) });
+    }
+    await source.storeKnowledge('risk', 'portfolio-state', {
+      currentPositions: new Map([['BTC-USD', { size: 1, openedAt: new Date('2024-01-01T00:00:00Z') }]])
+    }, { agent: { id: 'risk-1', type: 'risk' } });
+
+    source.createIndex('strategies', 'data.revision');
+    source.createTimeSeries('market_series', { maxPoints: 50 });
+    await source.appendPoints('market_series', 'BTC-USD.tick', [
+      { timestamp: 1000, price: 100, volume: 1 },
+      { timestamp: 2000, price: 101, volume: 2 }
+    ]);
+  });
+
+  afterEach(function() {
+    sinon.restore();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Check an instance holds everything the source was seeded with
+   * @param {KnowledgeBase} kb - Instance to check
+   */
+  async function expectSeededContents(kb) {
+    for (let i = 0; i < 5; i++) {
+      expect((await kb.getKnowledge('strategies', 'breakout', i)).data.revision).to.equal(i);
+    }
+
+    const state = await kb.getKnowledge('risk', 'portfolio-state');
+    expect(state.data.currentPositions.get('BTC-USD').openedAt).to.be.instanceOf(Date);
+    expect(state.metadata.agent).to.deep.equal({ id: 'risk-1', type: 'risk' });
+
+    expect(kb.getIndexes('strategies')).to.deep.equal(['data.revision']);
+    expect(kb.query('strategies', { where: { 'data.revision': 4 } }).index).to.equal('data.revision');
+    expect(kb.getPoints('market_series', 'BTC-USD.tick').map(point => point.price)).to.deep.equal([100, 101]);
+  }
+
+  for (const format of ['json', 'ndjson']) {
+    it(`should round-trip everything through a ${format} archive`, async function() {
+      const archive = source.exportSnapshot({ format });
+
+      const target = new KnowledgeBase();
+      await target.initialize({ storage: { type: 'memory' } });
+      const manifest = await target.importSnapshot(archive);
+
+      expect(manifest).to.include({ entryCount: 2, versionCount: 4, seriesCount: 1, recordCount: 3 });
+      expect(manifest.categories).to.have.members(['strategies', 'risk', 'market_series']);
+      await expectSeededContents(target);
+    });
+  }
+
+  it('should refuse a tampered archive without importing any of it', async function() {
+    const archive = source.exportSnapshot({ format: 'ndjson' }).replace('"revision":4', '"revision":5');
+
+    const target = new KnowledgeBase();
+    await target.initialize({ storage: { type: 'memory' } });
+
+    let error;
+    try {
+      await target.importSnapshot(archive);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.name).to.equal('SnapshotError');
+    expect(error.code).to.equal('CHECKSUM_MISMATCH');
+    expect(target.getCategories()).to.deep.equal([]);
+  });
+
+  it('should merge into or replace existing knowledge', async function() {
+    const archive = source.exportSnapshot({ categories: ['risk'] });
+
+    const target = new KnowledgeBase();
+    await target.initialize({ storage: { type: 'memory' } });
+    await target.storeKnowledge('risk', 'portfolio-state', { currentPositions: new Map() });
+    await target.storeKnowledge('prompts', 'strategy', 'Be careful');
+
+    await target.importSnapshot(archive, { mode: 'merge' });
+    expect((await target.getKnowledge('risk', 'portfolio-state')).data.currentPositions.size).to.equal(1);
+    expect(target.getVersionHistory('risk', 'portfolio-state')).to.have.length(0);
+    expect(await target.getKnowledge('prompts', 'strategy')).to.not.equal(null);
+
+    await target.importSnapshot(archive, { mode: 'replace' });
+    expect(await target.getKnowledge('prompts', 'strategy')).to.equal(null);
+    expect(await target.getKnowledge('risk', 'portfolio-state')).to.not.equal(null);
+  });
+
+  it('should announce replaced keys and require admin on every affected category', async function() {
+    const archive = source.exportSnapshot({ categories: ['risk'] });
+
+    const target = new KnowledgeBase();
+    await target.initialize({ storage: { type: 'memory' }, access: { defaultLevel: 'write', owners: { risk: 'risk' } } });
+    await target.storeKnowledge('prompts', 'strategy', 'Be careful');
+    await target.storeKnowledge('risk', 'portfolio-state', { currentPositions: new Map() });
+
+    const removed = [];
+    const changes = [];
+    target.on('knowledge:removed', event => removed.push(event));
+    target.watch('risk', '*', change => changes.push(change));
+
+    let error;
+    try {
+      await target.importSnapshot(archive, { mode: 'replace', agent: { id: 'data-processing', type: 'data' } });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.instanceOf(KnowledgeAccessError);
+    expect(await target.getKnowledge('prompts', 'strategy')).to.not.equal(null);
+    expect(removed).to.have.length(0);
+
+    // The risk owner has admin on risk but only write on prompts
+    error = null;
+    try {
+      await target.importSnapshot(archive, { mode: 'replace', agent: { id: 'risk-1', type: 'risk' } });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.instanceOf(KnowledgeAccessError);
+    expect(error.category).to.equal('prompts');
+
+    await target.importSnapshot(archive, { mode: 'replace' });
+    expect(removed).to.deep.equal([{ category: 'prompts', key: 'strategy' }]);
+    expect(changes).to.have.length(1);
+    expect(changes[0].key).to.equal('portfolio-state');
+    expect(changes[0].newValue.currentPositions.size).to.equal(1);
+    await target.close();
+  });
+
+  it('should migrate between storage backends from the command line', async function() {
+    sinon.stub(console, 'log');
+
+    const database = path.join(directory, 'knowledge.db');
+    const archive = path.join(directory, 'snapshot.ndjson');
+
+    const sqlite = new KnowledgeBase();
+    await sqlite.initialize({ storage: { type: 'sqlite', path: database } });
+    await sqlite.importSnapshot(source.exportSnapshot());
+    await sqlite.close();
+
+    expect(await main(['export', archive, '--format', 'ndjson', '--storage', 'sqlite', '--path', database])).to.equal(0);
+    expect(await main(['import', archive, '--mode', 'replace', '--storage', 'file', '--path', directory])).to.equal(0);
+
+    const restored = new KnowledgeBase();
+    await restored.initialize({ storage: { type: 'file', path: directory } });
+
+    // Entries and histories were persisted; time series live only in the archive
+    expect(restored.getVersionHistory('strategies', 'breakout')).to.have.length(4);
+    expect((await restored.getKnowledge('strategies', 'breakout', 2)).data.trades).to.deep.equal([0, 1]);
+    expect((await restored.getKnowledge('risk', 'portfolio-state')).data.currentPositions).to.be.instanceOf(Map);
+    await restored.close();
+  });
+});
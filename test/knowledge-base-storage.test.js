@@ -0,0 +1,131 @@
+/**
+ * Knowledge Base Storage Tests
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KnowledgeBase } = require('../tools/knowledge-base');
+const { FileStorage, SqliteStorage, MemoryStorage, createStorage } = require('../tools/storage');
+
+describe('Knowledge Base Storage', function() {
+  let directory;
+
+  beforeEach(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'perseus-kb-'));
+  });
+
+  afterEach(function() {
+    sinon.restore();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Store a representative set of knowledge, reopen the storage in a new
+   * Knowledge Base and check everything came back
+   * @param {Function} makeStorage - Creates a storage adapter for the same location
+   */
+  async function expectRoundTrip(makeStorage) {
+    const kb = new KnowledgeBase();
+    await kb.initialize({ storage: makeStorage() });
+
+    await kb.storeKnowledge('risk', 'parameters', { maxPositionSize: 0.05 });
+    await kb.storeKnowledge('risk', 'parameters', { maxPositionSize: 0.02 }, { reason: 'drawdown' });
+    await kb.storeKnowledge('risk', 'portfolio-state', {
+      totalValue: 100000,
+      currentPositions: new Map([['BTC-USD', { size: 1, openedAt: new Date('2024-01-01T00:00:00Z') }]])
+    });
+    await kb.storeKnowledge('prompts', 'strategy', 'Be careful');
+    await kb.close();
+
+    const restored = new KnowledgeBase();
+    await restored.initialize({ storage: makeStorage() });
+
+    const parameters = await restored.getKnowledge('risk', 'parameters');
+    expect(parameters.data).to.deep.equal({ maxPositionSize: 0.02 });
+    expect(parameters.metadata.reason).to.equal('drawdown');
+    expect(parameters.timestamp).to.be.instanceOf(Date);
+    expect((await restored.getKnowledge('risk', 'parameters', 0)).data).to.deep.equal({ maxPositionSize: 0.05 });
+
+    const state = (await restored.getKnowledge('risk', 'portfolio-state')).data;
+    expect(state.currentPositions).to.be.instanceOf(Map);
+    expect(state.currentPositions.get('BTC-USD').openedAt).to.be.instanceOf(Date);
+
+    expect((await restored.getKnowledge('prompts', 'strategy')).data).to.equal('Be careful');
+    expect(restored.getCategories()).to.have.members(['risk', 'prompts']);
+
+    await restored.close();
+  }
+
+  describe('file storage', function() {
+    it('should restore knowledge and history after a restart', async function() {
+      await expectRoundTrip(() => new FileStorage({ directory }));
+    });
+
+    it('should snapshot periodically and replay only newer log entries', async function() {
+      const storage = new FileStorage({ directory, snapshotEvery: 3 });
+      const kb = new KnowledgeBase();
+      await kb.initialize({ storage });
+
+      for (let i = 0; i < 4; i++) {
+        await kb.storeKnowledge('performance', 'trend-following', { trades: i });
+      }
+
+      // Three writes were folded into the snapshot; the fourth is still in the log
+      expect(fs.readFileSync(storage.logPath, 'utf8').trim().split('\n')).to.have.length(1);
+      expect(fs.existsSync(storage.snapshotPath)).to.equal(true);
+
+      // Simulate a crash: no close(), plus a torn write at the end of the log
+      fs.appendFileSync(storage.logPath, '{"op":"write","categ');
+
+      const restored = new KnowledgeBase();
+      await restored.initialize({ storage: new FileStorage({ directory }) });
+
+      expect((await restored.getKnowledge('performance', 'trend-following')).data).to.deep.equal({ trades: 3 });
+      expect(restored.getVersionHistory('performance', 'trend-following')).to.have.length(3);
+    });
+
+    it('should not let later in-place changes leak into persisted history', async function() {
+      const kb = new KnowledgeBase();
+      await kb.initialize({ storage: new FileStorage({ directory, snapshotEvery: 1 }) });
+
+      const positions = new Map();
+      await kb.storeKnowledge('risk', 'portfolio-state', { currentPositions: positions });
+      positions.set('ETH-USD', { size: 2 });
+
+      const restored = new KnowledgeBase();
+      await restored.initialize({ storage: new FileStorage({ directory }) });
+
+      expect((await restored.getKnowledge('risk', 'portfolio-state')).data.currentPositions.size).to.equal(0);
+    });
+  });
+
+  describe('SQLite storage', function() {
+    it('should restore knowledge and history after a restart', async function() {
+      const filename = path.join(directory, 'knowledge.db');
+      await expectRoundTrip(() => new SqliteStorage({ filename }));
+    });
+  });
+
+  it('should leave memory unchanged when the storage write fails', async function() {
+    const storage = new MemoryStorage();
+    const kb = new KnowledgeBase();
+    await kb.initialize({ storage });
+
+    await kb.storeKnowledge('risk', 'parameters', { maxDrawdown: 0.15 });
+    sinon.stub(storage, 'write').rejects(new Error('disk full'));
+
+    expect(await kb.storeKnowledge('risk', 'parameters', { maxDrawdown: 0.5 })).to.equal(false);
+    expect((await kb.getKnowledge('risk', 'parameters')).data).to.deep.equal({ maxDrawdown: 0.15 });
+    expect(kb.getVersionHistory('risk', 'parameters')).to.have.length(0);
+  });
+
+  it('should create adapters from configuration', function() {
+    expect(createStorage({ type: 'memory' })).to.be.instanceOf(MemoryStorage);
+    expect(createStorage({ type: 'file', path: directory }).directory).to.equal(directory);
+    expect(createStorage({ type: 'sqlite', path: 'kb.db' }).filename).to.equal('kb.db');
+    expect(() => createStorage({ type: 'redis' })).to.throw('Unknown knowledge storage type');
+  });
+});
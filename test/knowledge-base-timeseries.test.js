@@ -0,0 +1,96 @@
+/**
+ * Knowledge Base Time Series Tests
+ */
+
+const { expect } = require('chai');
+const { KnowledgeBase } = require('../tools/knowledge-base');
+const executionAgent = require('../agents/execution-agent');
+
+describe('Knowledge Base Time Series', function() {
+  const start = Date.UTC(2024, 0, 1);
+  const minute = 60 * 1000;
+  let kb;
+
+  /**
+   * One tick per 15 seconds over five minutes, price climbing by 1 per tick
+   * @returns {Array<object>} Ticks
+   */
+  function ticks() {
+    return Array.from({ length: 20 }, (_, i) => ({
+      timestamp: new Date(start + i * 15000),
+      price: 100 + i,
+      volume: i % 2 === 0 ? 1 : 3
+    }));
+  }
+
+  beforeEach(async function() {
+    kb = new KnowledgeBase();
+    await kb.initialize({ storage: { type: 'memory' } });
+    kb.createTimeSeries('market_series', { maxPoints: 1000 });
+    await kb.appendPoints('market_series', 'BTC-USD.tick', ticks());
+  });
+
+  it('should return points in a time range', function() {
+    const points = kb.getPoints('market_series', 'BTC-USD.tick', { from: start + minute, to: start + 2 * minute });
+
+    expect(points.map(point => point.price)).to.deep.equal([104, 105, 106, 107, 108]);
+    expect(points[0].timestamp).to.equal(start + minute);
+    expect(kb.getPoints('market_series', 'BTC-USD.tick', { limit: 2 }).map(point => point.price)).to.deep.equal([118, 119]);
+    expect(kb.listSeries('market_series')).to.deep.equal(['BTC-USD.tick']);
+  });
+
+  it('should reject out-of-order batches without storing any of them', async function() {
+    const appended = await kb.appendPoints('market_series', 'BTC-USD.tick', [
+      { timestamp: start + 10 * minute, price: 200 },
+      { timestamp: start + 9 * minute, price: 201 }
+    ]);
+
+    expect(appended).to.equal(false);
+    expect(kb.getPoints('market_series', 'BTC-USD.tick')).to.have.length(20);
+    expect(await kb.storeKnowledge('market_series', 'BTC-USD.tick', {})).to.equal(false);
+    expect(await kb.appendPoints('market_data', 'BTC-USD.tick', { timestamp: start, price: 1 })).to.equal(false);
+  });
+
+  it('should downsample ticks into OHLCV bars', function() {
+    const bars = kb.downsample('market_series', 'BTC-USD.tick', { intervalMs: 2 * minute });
+
+    expect(bars).to.have.length(3);
+    expect(bars[0]).to.deep.equal({ timestamp: start, open: 100, high: 107, low: 100, close: 107, volume: 16, count: 8 });
+    expect(bars[2]).to.include({ timestamp: start + 4 * minute, open: 116, close: 119, count: 4 });
+  });
+
+  it('should expose rolling windows with volatility, VWAP and moving averages', function() {
+    const window = kb.getRollingWindow('market_series', 'BTC-USD.tick', { durationMs: minute });
+
+    expect(window.prices()).to.deep.equal([115, 116, 117, 118, 119]);
+    expect(window.sma(2)).to.equal(118.5);
+    expect(window.vwap()).to.be.closeTo((115 * 3 + 116 + 117 * 3 + 118 + 119 * 3) / 11, 1e-9);
+    expect(window.volatility()).to.be.above(0);
+
+    expect(kb.getRollingWindow('market_series', 'ETH-USD.tick').volatility()).to.equal(null);
+    expect(kb.getRollingWindow('missing', 'BTC-USD.tick')).to.equal(null);
+  });
+
+  it('should drop points beyond maxPoints and retentionMs', async function() {
+    kb.createTimeSeries('candles', { maxPoints: 5, retentionMs: 3 * minute });
+
+    await kb.appendPoints('candles', 'BTC-USD.1m', ticks().slice(0, 8));
+    expect(kb.getPoints('candles', 'BTC-USD.1m')).to.have.length(5);
+
+    await kb.appendPoints('candles', 'BTC-USD.1m', { timestamp: start + 10 * minute, price: 150 });
+    expect(kb.getPoints('candles', 'BTC-USD.1m').map(point => point.price)).to.deep.equal([150]);
+  });
+
+  it('should feed the execution agent volatility estimate', async function() {
+    const previous = executionAgent.knowledgeBase;
+    executionAgent.knowledgeBase = kb;
+
+    try {
+      const expected = kb.getRollingWindow('market_series', 'BTC-USD.tick', { size: 100 }).volatility();
+      expect(executionAgent.estimateVolatility('BTC-USD')).to.equal(expected);
+      expect(executionAgent.estimateVolatility('ETH-USD')).to.equal(0.005);
+    } finally {
+      executionAgent.knowledgeBase = previous;
+    }
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Knowledge Base Transaction Tests
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KnowledgeBase, KnowledgeConflictError } = require('../tools/knowledge-base');
+
+describe('Knowledge Base Transactions', function() {
+  let kb;
+
+  beforeEach(async function() {
+    kb = new KnowledgeBase();
+    await kb.initialize({ storage: { type: 'memory' } });
+  });
+
+  afterEach(async function() {
+    sinon.restore();
+    await kb.close();
+  });
+
+  /**
+   * Capture the error a promise rejects with
+   * @param {Promise} promise - Promise expected to reject
+   * @returns {Promise<Error>} The rejection reason
+   */
+  async function rejectionOf(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected the promise to reject');
+  }
+
+  describe('compareAndSet', function() {
+    it('should write only at the expected version', async function() {
+      expect(await kb.compareAndSet('risk', 'portfolio-state', null, { totalValue: 100000 })).to.equal(0);
+      expect(await kb.compareAndSet('risk', 'portfolio-state', 0, { totalValue: 99000 })).to.equal(1);
+
+      const error = await rejectionOf(kb.compareAndSet('risk', 'portfolio-state', 0, { totalValue: 1 }));
+
+      expect(error).to.be.instanceOf(KnowledgeConflictError);
+      expect(error).to.include({ code: 'VERSION_CONFLICT', category: 'risk', key: 'portfolio-state', expectedVersion: 0, actualVersion: 1 });
+
+      const current = await kb.getKnowledge('risk', 'portfolio-state');
+      expect(current.data.totalValue).to.equal(99000);
+      expect(current.version).to.equal(1);
+    });
+
+    it('should fail all but one of several racing writers', async function() {
+      await kb.storeKnowledge('risk', 'portfolio-state', { totalValue: 100000 });
+      const { version } = await kb.getKnowledge('risk', 'portfolio-state');
+
+      const results = await Promise.allSettled([1, 2, 3].map(n =>
+        kb.compareAndSet('risk', 'portfolio-state', version, { totalValue: 100000 - n })
+      ));
+
+      expect(results.filter(result => result.status === 'fulfilled')).to.have.length(1);
+      expect(results.filter(result => result.status === 'rejected').map(result => result.reason.name))
+        .to.deep.equal(['KnowledgeConflictError', 'KnowledgeConflictError']);
+      expect(kb.getVersionHistory('risk', 'portfolio-state')).to.have.length(1);
+    });
+  });
+
+  describe('transaction', function() {
+    it('should commit several keys together or not at all', async function() {
+      await kb.storeKnowledge('risk', 'portfolio-state', { totalValue: 100000 });
+      sinon.stub(kb.storage, 'writeBatch').rejects(new Error('disk full'));
+
+      const error = await rejectionOf(kb.transaction(async (tx) => {
+        const state = await tx.get('risk', 'portfolio-state');
+        tx.set('risk', 'portfolio-state', { totalValue: state.data.totalValue - 500 });
+        tx.set('performance', 'trade-outcomes', { trades: [{ symbol: 'BTC-USD' }] });
+      }));
+
+      expect(error.message).to.equal('disk full');
+      expect((await kb.getKnowledge('risk', 'portfolio-state')).data.totalValue).to.equal(100000);
+      expect(await kb.getKnowledge('performance', 'trade-outcomes')).to.equal(null);
+    });
+
+    it('should re-run after a conflict until retries are exhausted', async function() {
+      await kb.storeKnowledge('risk', 'portfolio-state', { totalValue: 100000 });
+
+      let attempts = 0;
+      const total = await kb.transaction(async (tx) => {
+        attempts++;
+        const state = await tx.get('risk', 'portfolio-state');
+
+        // Another writer gets in between the first read and the commit
+        if (attempts === 1) {
+          await kb.storeKnowledge('risk', 'portfolio-state', { totalValue: 90000 });
+        }
+
+        const totalValue = state.data.totalValue + 1000;
+        tx.set('risk', 'portfolio-state', { totalValue });
+        return totalValue;
+      }, { retries: 1 });
+
+      expect(attempts).to.equal(2);
+      expect(total).to.equal(91000);
+      expect((await kb.getKnowledge('risk', 'portfolio-state')).data.totalValue).to.equal(91000);
+
+      const error = await rejectionOf(kb.transaction(async (tx) => {
+        await tx.get('risk', 'portfolio-state');
+        await kb.storeKnowledge('risk', 'portfolio-state', { totalValue: 0 });
+        tx.set('risk', 'portfolio-state', { totalValue: 1 });
+      }));
+
+      expect(error.name).to.equal('KnowledgeConflictError');
+      expect((await kb.getKnowledge('risk', 'portfolio-state')).data.totalValue).to.equal(0);
+    });
+
+    it('should read its own staged writes and reject use after commit', async function() {
+      let committed;
+
+      await kb.transaction(async (tx) => {
+        tx.set('signals', 'signals-1', { symbol: 'ETH-USD' });
+        expect((await tx.get('signals', 'signals-1')).data).to.deep.equal({ symbol: 'ETH-USD' });
+
+        tx.remove('signals', 'signals-1');
+        expect(await tx.get('signals', 'signals-1')).to.equal(null);
+
+        tx.set('signals', 'signals-2', { symbol: 'BTC-USD' });
+        committed = tx;
+      });
+
+      expect(await kb.getKnowledge('signals', 'signals-1')).to.equal(null);
+      expect((await kb.getKnowledge('signals', 'signals-2')).data.symbol).to.equal('BTC-USD');
+      expect(() => committed.set('signals', 'signals-3', {})).to.throw('Transaction already committed');
+    });
+
+    it('should persist a multi-key commit to file storage', async function() {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'perseus-kb-'));
+
+      try {
+        await kb.initialize({ storage: { type: 'file', path: directory } });
+        await kb.storeKnowledge('risk', 'portfolio-state', { totalValue: 100000 });
+
+        await kb.transaction(async (tx) => {
+          tx.set('risk', 'portfolio-state', { totalValue: 100500 });
+          tx.set('performance', 'trade-outcomes', { trades: [{ returnPct: 0.5 }] });
+        });
+        await kb.close();
+
+        const restored = new KnowledgeBase();
+        await restored.initialize({ storage: { type: 'file', path: directory } });
+
+        expect((await restored.getKnowledge('risk', 'portfolio-state')).data.totalValue).to.equal(100500);
+        expect((await restored.getKnowledge('risk', 'portfolio-state')).version).to.equal(1);
+        expect((await restored.getKnowledge('performance', 'trade-outcomes')).data.trades).to.have.length(1);
+        await restored.close();
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  it('should keep history intact under concurrent writes to one key', async function() {
+    kb.setVersioningOptions('differential', 10);
+
+    await Promise.all(Array.from({ length: 5 }, (_, i) =>
+      kb.storeKnowledge('strategies', 'breakout', { revision: i })
+    ));
+
+    expect(kb.getVersionHistory('strategies', 'breakout')).to.have.length(4);
+    for (let i = 0; i < 5; i++) {
+      expect((await kb.getKnowledge('strategies', 'breakout', i)).data.revision).to.equal(i);
+    }
+  });
+});
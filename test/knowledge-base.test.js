@@ -0,0 +1,280 @@
+/**
+ * Knowledge Base Tests
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jsonpatch = require('fast-json-patch');
+const { KnowledgeBase } = require('../tools/knowledge-base');
+const { FileStorage } = require('../tools/storage');
+
+/**
+ * Deterministic pseudo-random generator so failures are reproducible
+ * @param {number} seed - Seed value
+ * @returns {Function} Generator returning [0, 1)
+ */
+function seededRandom(seed) {
+  return function() {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Produce the next value of a randomly evolving strategy document. Sizes
+ * drift around the differential threshold and the root type occasionally
+ * changes, so the history mixes full copies and patches.
+ * @param {any} previous - Previous value
+ * @param {Function} random - Random generator
+ * @returns {any} Next value
+ */
+function evolve(previous, random) {
+  const roll = random();
+
+  if (roll < 0.05) {
+    return 'paused';
+  }
+  if (roll < 0.08) {
+    return [1, 2, 3].map(n => n * Math.floor(random() * 100));
+  }
+
+  const base = previous && typeof previous === 'object' && !Array.isArray(previous)
+    ? JSON.parse(JSON.stringify(previous))
+    : { name: 'trend-following', weights: {}, trades: [] };
+
+  base.weights[`w${Math.floor(random() * 8)}`] = Math.round(random() * 1000) / 1000;
+
+  if (random() < 0.6) {
+    base.trades.push({ symbol: random() < 0.5 ? 'BTC-USD' : 'ETH-USD', returnPct: Math.round(random() * 200 - 100) / 10 });
+  } else if (base.trades.length > 0) {
+    base.trades.splice(Math.floor(random() * base.trades.length), 1);
+  }
+
+  if (random() < 0.2) {
+    delete base.weights[Object.keys(base.weights)[0]];
+  }
+
+  return base;
+}
+
+describe('Knowledge Base', function() {
+  let kb;
+
+  beforeEach(async function() {
+    kb = new KnowledgeBase();
+    await kb.initialize({ storage: { type: 'memory' } });
+    kb.setVersioningOptions('differential', 300);
+  });
+
+  describe('version history', function() {
+    it('should round-trip a long history mixing full and differential versions', async function() {
+      const random = seededRandom(42);
+      const values = [];
+      let value = null;
+
+      for (let i = 0; i < 200; i++) {
+        value = evolve(value, random);
+        values.push(value);
+        await kb.storeKnowledge('strategies', 'trend-following', value, { revision: i });
+      }
+
+      const types = kb.getVersionHistory('strategies', 'trend-following').map(v => v.type);
+      expect(types).to.include('full');
+      expect(types).to.include('differential');
+
+      for (let i = 0; i < values.length; i++) {
+        const version = await kb.getKnowledge('strategies', 'trend-following', i);
+        expect(version.data, `version ${i}`).to.deep.equal(values[i]);
+        expect(version.metadata.revision).to.equal(i);
+      }
+
+      expect((await kb.getKnowledge('strategies', 'trend-following')).data).to.deep.equal(values[199]);
+    });
+
+    it('should produce patches between any two versions', async function() {
+      const random = seededRandom(7);
+      const values = [];
+      let value = null;
+
+      for (let i = 0; i < 60; i++) {
+        value = evolve(value, random);
+        values.push(value);
+        await kb.storeKnowledge('strategies', 'mean-reversion', value);
+      }
+
+      for (const [from, to] of [[0, 59], [59, 0], [12, 40], [33, 34], [20, 20], [5, 'latest']]) {
+        const patch = await kb.diffVersions('strategies', 'mean-reversion', from, to);
+        const target = to === 'latest' ? values[59] : values[to];
+        const source = JSON.parse(JSON.stringify(values[from]));
+
+        expect(jsonpatch.applyPatch(source, patch, true, true).newDocument, `${from} -> ${to}`).to.deep.equal(target);
+      }
+
+      expect(await kb.diffVersions('strategies', 'mean-reversion', 0, 99)).to.equal(null);
+    });
+
+    it('should roll back to an earlier version as a new version', async function() {
+      await kb.storeKnowledge('risk', 'parameters', { maxDrawdown: 0.15 });
+      await kb.storeKnowledge('risk', 'parameters', { maxDrawdown: 0.3 });
+
+      expect(await kb.rollback('risk', 'parameters', 0, { reason: 'bad change' })).to.equal(true);
+
+      const current = await kb.getKnowledge('risk', 'parameters');
+      expect(current.data).to.deep.equal({ maxDrawdown: 0.15 });
+      expect(current.metadata).to.include({ reason: 'bad change', rolledBackFrom: 0 });
+      expect((await kb.getKnowledge('risk', 'parameters', 1)).data).to.deep.equal({ maxDrawdown: 0.3 });
+
+      expect(await kb.rollback('risk', 'parameters', 10)).to.equal(false);
+    });
+
+    it('should not let callers rewrite history by mutating stored objects', async function() {
+      const state = { positions: { 'BTC-USD': 1 } };
+      await kb.storeKnowledge('risk', 'portfolio-state', state);
+
+      state.positions['ETH-USD'] = 2;
+      await kb.storeKnowledge('risk', 'portfolio-state', state);
+
+      const latest = await kb.getKnowledge('risk', 'portfolio-state');
+      latest.data.positions = {};
+
+      expect((await kb.getKnowledge('risk', 'portfolio-state', 0)).data).to.deep.equal({ positions: { 'BTC-USD': 1 } });
+      expect((await kb.getKnowledge('risk', 'portfolio-state')).data.positions).to.have.keys('BTC-USD', 'ETH-USD');
+    });
+
+    it('should keep full copies for values JSON Patch cannot describe', async function() {
+      kb.setVersioningOptions('differential', 0);
+
+      await kb.storeKnowledge('risk', 'portfolio-state', { positions: new Map([['BTC-USD', 1]]) });
+      await kb.storeKnowledge('risk', 'portfolio-state', { positions: new Map() });
+
+      await kb.storeKnowledge('risk', 'portfolio-state', { positions: { 'ETH-USD': 2 } });
+
+      expect(kb.getVersionHistory('risk', 'portfolio-state').map(version => version.type)).to.deep.equal(['full', 'full']);
+      expect((await kb.getKnowledge('risk', 'portfolio-state', 0)).data.positions.get('BTC-USD')).to.equal(1);
+      expect((await kb.getKnowledge('risk', 'portfolio-state', 1)).data.positions.size).to.equal(0);
+
+      // The copy is the whole record; no patch repeats the next value
+      expect(kb.versions.risk['portfolio-state'].map(version => version.forward)).to.deep.equal([null, null]);
+    });
+
+    it('should rebuild persisted patch history after a restart', async function() {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'perseus-kb-'));
+
+      try {
+        await kb.initialize({ storage: new FileStorage({ directory, snapshotEvery: 7 }) });
+
+        const random = seededRandom(99);
+        const values = [];
+        let value = null;
+
+        for (let i = 0; i < 30; i++) {
+          value = evolve(value, random);
+          values.push(value);
+          await kb.storeKnowledge('strategies', 'breakout', value);
+        }
+        await kb.close();
+
+        const restored = new KnowledgeBase();
+        await restored.initialize({ storage: new FileStorage({ directory }) });
+
+        for (let i = 0; i < values.length; i++) {
+          expect((await restored.getKnowledge('strategies', 'breakout', i)).data).to.deep.equal(values[i]);
+        }
+        await restored.close();
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('watch', function() {
+    afterEach(function() {
+      sinon.restore();
+    });
+
+    it('should deliver old value, new value, patch and writer', async function() {
+      const changes = [];
+      kb.watch('risk', 'parameters', change => changes.push(change));
+
+      await kb.storeKnowledge('risk', 'parameters', { maxDrawdown: 0.15 }, { agent: { id: 'risk-1', type: 'risk' } });
+      await kb.storeKnowledge('risk', 'parameters', { maxDrawdown: 0.1 }, { agent: { id: 'risk-1', type: 'risk' } });
+      await kb.storeKnowledge('risk', 'portfolio-state', { totalValue: 1 });
+
+      expect(changes).to.have.length(2);
+      expect(changes[0].oldValue).to.equal(undefined);
+      expect(changes[1]).to.include({ category: 'risk', key: 'parameters', version: 1, changes: 1 });
+      expect(changes[1].oldValue).to.deep.equal({ maxDrawdown: 0.15 });
+      expect(changes[1].newValue).to.deep.equal({ maxDrawdown: 0.1 });
+      expect(changes[1].patch).to.deep.equal([{ op: 'replace', path: '/maxDrawdown', value: 0.1 }]);
+      expect(changes[1].agent).to.deep.equal({ id: 'risk-1', type: 'risk' });
+    });
+
+    it('should report the version getKnowledge returns, also once history is trimmed', async function() {
+      const versions = [];
+      kb.watch('risk', 'parameters', change => versions.push(change.version));
+      await kb.setRetentionPolicy('risk', { maxVersions: 2 });
+
+      for (let i = 0; i < 5; i++) {
+        await kb.storeKnowledge('risk', 'parameters', { revision: i });
+      }
+
+      expect(versions).to.deep.equal([0, 1, 2, 3, 4]);
+      expect((await kb.getKnowledge('risk', 'parameters')).version).to.equal(4);
+    });
+
+    it('should match keys and categories with glob patterns', async function() {
+      const keys = [];
+      kb.watch('market_*', '*.current', change => keys.push(change.key));
+
+      await kb.storeKnowledge('market_data', 'BTC-USD.current', { bid: 1 });
+      await kb.storeKnowledge('market_data', 'BTC-USD.recent', [1, 2]);
+      await kb.storeKnowledge('market_data', 'ETH-USD.current', { bid: 2 });
+      await kb.storeKnowledge('strategies', 'x.current', {});
+
+      expect(keys).to.deep.equal(['BTC-USD.current', 'ETH-USD.current']);
+    });
+
+    it('should coalesce rapid changes when debounced', async function() {
+      const clock = sinon.useFakeTimers();
+      const changes = [];
+      kb.watch('market_data', '*', change => changes.push(change), { debounceMs: 100 });
+
+      await kb.storeKnowledge('market_data', 'BTC-USD.current', { bid: 1 });
+      await kb.storeKnowledge('market_data', 'BTC-USD.current', { bid: 2 });
+      await clock.tickAsync(50);
+      await kb.storeKnowledge('market_data', 'BTC-USD.current', { bid: 3 });
+      await kb.storeKnowledge('market_data', 'ETH-USD.current', { bid: 9 });
+
+      await clock.tickAsync(99);
+      expect(changes).to.have.length(0);
+
+      await clock.tickAsync(1);
+      expect(changes).to.have.length(2);
+
+      const btc = changes.find(change => change.key === 'BTC-USD.current');
+      expect(btc).to.include({ changes: 3, oldValue: undefined });
+      expect(btc.newValue).to.deep.equal({ bid: 3 });
+      expect(btc.patch).to.deep.equal([{ op: 'replace', path: '', value: { bid: 3 } }]);
+    });
+
+    it('should stop delivering after unwatch and isolate failing handlers', async function() {
+      const received = [];
+      kb.watch('risk', '*', () => {
+        throw new Error('handler bug');
+      });
+      const handle = kb.watch('risk', '*', change => received.push(change.key));
+
+      expect(await kb.storeKnowledge('risk', 'parameters', { maxDrawdown: 0.15 })).to.equal(true);
+      expect(handle.unwatch()).to.equal(true);
+      await kb.storeKnowledge('risk', 'parameters', { maxDrawdown: 0.2 });
+
+      expect(received).to.deep.equal(['parameters']);
+      expect(kb.unwatch(handle.id)).to.equal(false);
+    });
+  });
+});
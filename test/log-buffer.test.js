@@ -0,0 +1,100 @@
+/**
+ * Log Buffer Tests
+ */
+
+const { expect } = require('chai');
+const winston = require('winston');
+const LogBuffer = require('../tools/log-buffer');
+const { logBuffer, createComponentLogger, createAgentLogger } = require('../tools/logger');
+
+describe('Log Buffer', function() {
+  let buffer;
+  let logger;
+
+  beforeEach(function() {
+    buffer = new LogBuffer({ size: 3 });
+    logger = winston.createLogger({
+      level: 'debug',
+      format: winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss.SSS' }),
+      transports: [buffer]
+    });
+  });
+
+  afterEach(function() {
+    logger.close();
+  });
+
+  it('should keep only the newest records, oldest first', function() {
+    for (let i = 1; i <= 5; i++) {
+      logger.info(`tick ${i}`, { component: 'DATA' });
+    }
+
+    expect(buffer.query().map(record => record.message)).to.deep.equal(['tick 3', 'tick 4', 'tick 5']);
+    expect(buffer.query()[0]).to.include({ sequence: 3, level: 'info', component: 'DATA' });
+    expect(Object.getOwnPropertySymbols(buffer.query()[0])).to.have.length(0);
+    expect(buffer.query({ limit: 1 }).map(record => record.sequence)).to.deep.equal([5]);
+    expect(buffer.query({ after: 4 }).map(record => record.sequence)).to.deep.equal([5]);
+
+    buffer.clear();
+    expect(buffer.query()).to.deep.equal([]);
+    logger.info('after clear');
+    expect(buffer.query()[0].sequence).to.equal(6);
+  });
+
+  it('should filter by level, component, agent and time', function() {
+    buffer = new LogBuffer({ size: 10 });
+    logger.clear().add(buffer);
+
+    logger.debug('details', { component: 'KNOWLEDGE-BASE' });
+    logger.warn('slow storage', { component: 'KNOWLEDGE-BASE' });
+    logger.error('order rejected', { component: 'execution', agentId: 'execution' });
+    logger.warn('position reduced', { component: 'risk', agentId: 'risk-management' });
+
+    expect(buffer.query({ level: 'warn' }).map(record => record.message))
+      .to.deep.equal(['slow storage', 'order rejected', 'position reduced']);
+    expect(buffer.query({ level: 'error' })).to.have.length(1);
+    expect(buffer.query({ component: 'KNOWLEDGE-BASE', level: 'info' }).map(record => record.message))
+      .to.deep.equal(['slow storage']);
+    expect(buffer.query({ agentId: ['execution', 'risk-management'] })).to.have.length(2);
+
+    const [first] = buffer.query();
+    expect(buffer.query({ from: first.timestamp })).to.have.length(4);
+    expect(buffer.query({ to: '2000-01-01' })).to.deep.equal([]);
+    expect(buffer.query({ from: Date.now() + 60000 })).to.deep.equal([]);
+  });
+
+  it('should stream matching records to subscribers until they unsubscribe', function() {
+    const warnings = [];
+    const everything = [];
+    const subscription = buffer.subscribe(record => warnings.push(record.message), { level: 'warn' });
+    buffer.subscribe(() => {
+      throw new Error('broken console');
+    });
+    buffer.subscribe(record => everything.push(record.message));
+
+    logger.info('started');
+    logger.warn('feed stalled');
+    expect(subscription.unsubscribe()).to.equal(true);
+    logger.error('feed lost');
+
+    expect(warnings).to.deep.equal(['feed stalled']);
+    expect(everything).to.deep.equal(['started', 'feed stalled', 'feed lost']);
+    expect(buffer.unsubscribe(subscription.id)).to.equal(false);
+  });
+
+  it('should hold the shared logger\'s records, redacted', function() {
+    const seen = [];
+    const subscription = logBuffer.subscribe(record => seen.push(record), { component: 'LOG-BUFFER-TEST' });
+
+    try {
+      createComponentLogger('LOG-BUFFER-TEST').warn('Reconnecting', { apiKey: 'key-123' });
+      createAgentLogger('risk-management', 'risk').info('Unrelated');
+    } finally {
+      subscription.unsubscribe();
+    }
+
+    expect(seen).to.have.length(1);
+    expect(seen[0]).to.include({ message: 'Reconnecting', level: 'warn', apiKey: '[REDACTED]', service: 'perseus-drive' });
+    expect(logBuffer.query({ component: 'LOG-BUFFER-TEST', limit: 1 })).to.deep.equal(seen);
+  });
+});
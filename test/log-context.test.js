@@ -0,0 +1,151 @@
+/**
+ * Log Context Tests
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const winston = require('winston');
+const BaseAgent = require('../core/base-agent');
+const agentMessenger = require('../tools/agent-messenger');
+const { logger } = require('../tools/logger');
+const { runWithMessage, runWithContext, getLogContext } = require('../tools/message-trace');
+const { collectStory, formatStory, main } = require('../tools/log-story');
+
+/**
+ * Agent that logs while handling a message, before and after an await
+ */
+class LoggingAgent extends BaseAgent {
+  constructor() {
+    super('log-context-agent', 'test');
+  }
+
+  async handleMessage(message) {
+    this.logger.info('Evaluating signal');
+    await new Promise(resolve => setImmediate(resolve));
+    this.logger.info('Signal evaluated', { symbol: 'OVERRIDE' });
+    this.emit('handled', message);
+  }
+}
+
+describe('Log Context', function() {
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('message context', function() {
+    it('should take trace, message, symbol and strategy from the message being handled', function() {
+      const message = { id: 'message-2', traceId: 'trace-1', content: { signal: { symbol: 'BTC-USD', strategyId: 'breakout' } } };
+
+      const context = runWithMessage(message, () => getLogContext());
+
+      expect(context).to.deep.equal({ traceId: 'trace-1', messageId: 'message-2', symbol: 'BTC-USD', strategyId: 'breakout' });
+      expect(getLogContext()).to.deep.equal({});
+    });
+
+    it('should layer extra fields and keep the cause context for messages without their own', function() {
+      const signal = { id: 'signal-1', content: { symbol: 'ETH-USD' } };
+      const reply = { id: 'reply-1', traceId: 'signal-1', content: { approved: true } };
+
+      const context = runWithMessage(signal, () =>
+        runWithContext({ orderId: 'order-7' }, () => runWithMessage(reply, () => getLogContext()))
+      );
+
+      expect(context).to.deep.equal({ traceId: 'signal-1', messageId: 'reply-1', symbol: 'ETH-USD', orderId: 'order-7' });
+    });
+  });
+
+  describe('logger', function() {
+    let lines;
+    let transport;
+    let agent;
+
+    beforeEach(async function() {
+      lines = [];
+      transport = new winston.transports.Stream({
+        stream: new Writable({
+          write(chunk, encoding, callback) {
+            lines.push(JSON.parse(chunk.toString()));
+            callback();
+          }
+        })
+      });
+      logger.add(transport);
+
+      agent = new LoggingAgent();
+      await agent.initialize();
+    });
+
+    afterEach(async function() {
+      logger.remove(transport);
+      await agent.shutdown();
+    });
+
+    it('should tag every line logged while a message is handled', async function() {
+      const handled = new Promise(resolve => agent.once('handled', resolve));
+      const messageId = agentMessenger.sendMessage('market-feed', agent.id, { symbol: 'BTC-USD', prices: [100] }, 'market_data');
+      await handled;
+
+      const evaluating = lines.find(line => line.message === 'Evaluating signal');
+      const evaluated = lines.find(line => line.message === 'Signal evaluated');
+
+      expect(evaluating).to.include({ traceId: messageId, messageId, symbol: 'BTC-USD', agentId: 'log-context-agent' });
+      expect(evaluated).to.include({ traceId: messageId, messageId, symbol: 'OVERRIDE' });
+
+      logger.info('Outside any handler');
+      expect(lines[lines.length - 1]).to.not.have.property('traceId');
+    });
+  });
+
+  describe('log story', function() {
+    let directory;
+    let file;
+
+    beforeEach(function() {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'perseus-logs-'));
+      file = path.join(directory, 'combined.log');
+
+      const entries = [
+        { timestamp: '2024-01-01 10:00:00.000', level: 'info', message: 'Market data received', component: 'data', traceId: 't1', messageId: 't1', symbol: 'BTC-USD' },
+        { timestamp: '2024-01-01 10:00:00.500', level: 'info', message: 'Unrelated tick', component: 'data', traceId: 't2', messageId: 't2', symbol: 'ETH-USD' },
+        { timestamp: '2024-01-01 10:00:01.200', level: 'warn', message: 'Position size reduced', component: 'risk', agentId: 'risk-management', traceId: 't1', messageId: 'm3', symbol: 'BTC-USD', strategyId: 'breakout' },
+        { timestamp: '2024-01-01 10:00:01.000', level: 'info', message: 'Signal generated', component: 'strategy', agentId: 'strategy', traceId: 't1', messageId: 'm2', symbol: 'BTC-USD', strategyId: 'breakout' },
+        'not json',
+        { timestamp: '2024-01-01 10:00:02.000', level: 'info', message: 'Order filled', component: 'execution', traceId: 't1', messageId: 'm4', symbol: 'BTC-USD', strategyId: 'breakout' }
+      ];
+
+      fs.writeFileSync(file, entries.map(entry => typeof entry === 'string' ? entry : JSON.stringify(entry)).join('\n') + '\n');
+    });
+
+    afterEach(function() {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should collect a whole trace in time order from any of its message IDs', async function() {
+      const byTrace = await collectStory(file, { id: 't1' });
+      const byMessage = await collectStory(file, { id: 'm3' });
+
+      expect(byTrace.map(entry => entry.message))
+        .to.deep.equal(['Market data received', 'Signal generated', 'Position size reduced', 'Order filled']);
+      expect(byMessage).to.deep.equal(byTrace);
+
+      const text = formatStory(byTrace);
+      expect(text).to.contain('Traces:     t1');
+      expect(text).to.contain('Lines:      4 (1 warnings or errors)');
+      expect(text).to.contain('2024-01-01 10:00:01.200 WARN  [risk] [risk-management] Position size reduced (message m3)');
+    });
+
+    it('should select by strategy and time from the command line', async function() {
+      const log = sinon.stub(console, 'log');
+
+      expect(await main(['--strategy', 'breakout', '--from', '2024-01-01 10:00:01.100', '--file', file, '--json'])).to.equal(0);
+      expect(JSON.parse(log.firstCall.args[0]).map(entry => entry.messageId)).to.deep.equal(['m3', 'm4']);
+
+      expect(await main(['missing-trace', '--file', file])).to.equal(1);
+      expect(log.secondCall.args[0]).to.equal('No log lines found');
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Logger Tests
+ */
+
+const { expect } = require('chai');
+const { Writable } = require('stream');
+const winston = require('winston');
+const {
+  logger,
+  createComponentLogger,
+  createAgentLogger,
+  setLogLevel,
+  clearLogLevel,
+  getLogLevels
+} = require('../tools/logger');
+
+describe('Logger', function() {
+  let lines;
+  let transport;
+  let defaultLevel;
+
+  beforeEach(function() {
+    lines = [];
+    transport = new winston.transports.Stream({
+      stream: new Writable({
+        write(chunk, encoding, callback) {
+          lines.push(JSON.parse(chunk.toString()));
+          callback();
+        }
+      })
+    });
+    logger.add(transport);
+    defaultLevel = getLogLevels().default;
+  });
+
+  afterEach(function() {
+    logger.remove(transport);
+    setLogLevel(defaultLevel);
+    clearLogLevel('LOGGER-TEST');
+    clearLogLevel('logger-test-agent');
+  });
+
+  it('should mask secrets anywhere in the metadata without touching the caller\'s objects', function() {
+    const credentials = { apiKey: 'key-123', passphrase: 'open sesame', exchange: 'coinbase' };
+
+    createComponentLogger('LOGGER-TEST').info('Connecting', {
+      credentials,
+      headers: [{ 'CB-ACCESS-SIGNATURE': 'c2lnbmF0dXJl', 'CB-ACCESS-TIMESTAMP': '1700000000' }],
+      api_secret: 'hunter2'
+    });
+
+    expect(lines[0]).to.deep.include({
+      message: 'Connecting',
+      component: 'LOGGER-TEST',
+      credentials: { apiKey: '[REDACTED]', passphrase: '[REDACTED]', exchange: 'coinbase' },
+      headers: [{ 'CB-ACCESS-SIGNATURE': '[REDACTED]', 'CB-ACCESS-TIMESTAMP': '1700000000' }],
+      api_secret: '[REDACTED]'
+    });
+    expect(credentials.apiKey).to.equal('key-123');
+
+    logger.warn('Direct call', { signature: 'abc' });
+    expect(lines[1].signature).to.equal('[REDACTED]');
+  });
+
+  it('should keep the message, stack and code of errors passed as metadata', function() {
+    const error = Object.assign(new Error('Order rejected'), { code: 'INSUFFICIENT_FUNDS' });
+    const componentLogger = createComponentLogger('LOGGER-TEST');
+
+    componentLogger.error('Execution failed:', error);
+    componentLogger.error('Execution failed:', { error, orderId: 'order-1' });
+    componentLogger.warn('Authentication failed:', 'invalid key');
+
+    expect(lines[0].error).to.include({ name: 'Error', message: 'Order rejected', code: 'INSUFFICIENT_FUNDS' });
+    expect(lines[0].error.stack).to.contain('Order rejected');
+    expect(lines[1]).to.include({ orderId: 'order-1' });
+    expect(lines[1].error.message).to.equal('Order rejected');
+    expect(lines[2].message).to.equal('Authentication failed: invalid key');
+  });
+
+  it('should change levels per component and agent at runtime', function() {
+    const componentLogger = createComponentLogger('LOGGER-TEST');
+    const agentLogger = createAgentLogger('logger-test-agent', 'LOGGER-TEST');
+    const otherLogger = createComponentLogger('LOGGER-TEST-OTHER');
+    setLogLevel('info');
+
+    componentLogger.debug('hidden');
+    setLogLevel('debug', 'LOGGER-TEST');
+    componentLogger.debug('component debug');
+    otherLogger.debug('hidden');
+
+    // An agent's own level takes precedence over its component's
+    setLogLevel('warn', 'logger-test-agent');
+    agentLogger.info('hidden');
+    agentLogger.warn('agent warning');
+
+    expect(getLogLevels().overrides).to.include({ 'LOGGER-TEST': 'debug', 'logger-test-agent': 'warn' });
+    expect(clearLogLevel('LOGGER-TEST')).to.equal(true);
+    componentLogger.debug('hidden');
+
+    setLogLevel('error');
+    otherLogger.warn('hidden');
+    otherLogger.error('default error');
+
+    expect(lines.map(line => line.message)).to.deep.equal(['component debug', 'agent warning', 'default error']);
+    expect(() => setLogLevel('loud', 'LOGGER-TEST')).to.throw('Unknown log level: loud');
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Message Journal Tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MessageJournal = require('../tools/message-journal');
+const { AgentMessenger } = require('../tools/agent-messenger');
+const { MessageSchemaRegistry } = require('../tools/message-schemas');
+
+// Payload validation is covered in message-schemas.test.js
+const schemas = new MessageSchemaRegistry({ defaults: false });
+
+describe('Message Journal', function() {
+  let directory;
+
+  beforeEach(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'perseus-journal-'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should record every sent and published message', function() {
+    const messenger = new AgentMessenger({ schemas });
+    messenger.attachJournal(new MessageJournal({ directory }));
+
+    messenger.sendMessage('data-processing', 'strategy', { symbol: 'BTC-USD' }, 'data_response');
+    messenger.publish('system_status', { status: 'running' });
+
+    const messages = new MessageJournal({ directory }).read();
+    expect(messages.map(m => m.type)).to.deep.equal(['data_response', 'system_status']);
+    expect(messages[0].timestamp).to.be.instanceOf(Date);
+  });
+
+  it('should rotate segments and keep reading across them in order', function() {
+    const journal = new MessageJournal({ directory, maxSegmentBytes: 200 });
+
+    for (let i = 0; i < 10; i++) {
+      journal.append({ id: `m${i}`, from: 'a', to: 'b', type: 'data', content: { i }, timestamp: new Date() });
+    }
+
+    expect(journal.listSegments().length).to.be.greaterThan(1);
+    expect(journal.read().map(m => m.id)).to.deep.equal(
+      Array.from({ length: 10 }, (_, i) => `m${i}`)
+    );
+  });
+
+  it('should drop the oldest segments beyond the retention limit', function() {
+    const journal = new MessageJournal({ directory, maxSegmentBytes: 100, maxSegments: 2 });
+
+    for (let i = 0; i < 10; i++) {
+      journal.append({ id: `m${i}`, from: 'a', to: 'b', type: 'data', content: {}, timestamp: new Date() });
+    }
+
+    expect(journal.listSegments()).to.have.length(2);
+    expect(journal.read().map(m => m.id)).to.include('m9');
+  });
+
+  it('should continue the newest segment after a restart', function() {
+    new MessageJournal({ directory }).append({ id: 'before', timestamp: new Date() });
+    new MessageJournal({ directory }).append({ id: 'after', timestamp: new Date() });
+
+    const journal = new MessageJournal({ directory });
+    expect(journal.listSegments()).to.have.length(1);
+    expect(journal.read().map(m => m.id)).to.deep.equal(['before', 'after']);
+  });
+
+  it('should filter by time range, conversation and type', function() {
+    const journal = new MessageJournal({ directory });
+    const base = Date.parse('2024-01-01T00:00:00Z');
+
+    journal.append({ id: '1', from: 'data-processing', to: 'strategy', type: 'data_response', timestamp: new Date(base) });
+    journal.append({ id: '2', from: 'strategy', to: 'data-processing', type: 'signal_response', timestamp: new Date(base + 1000) });
+    journal.append({ id: '3', from: 'strategy', to: 'risk-management', type: 'signal_response', timestamp: new Date(base + 2000) });
+
+    expect(journal.read({ from: base + 500 }).map(m => m.id)).to.deep.equal(['2', '3']);
+    expect(journal.read({ to: base + 1000 }).map(m => m.id)).to.deep.equal(['1', '2']);
+    expect(journal.read({ between: ['strategy', 'data-processing'] }).map(m => m.id)).to.deep.equal(['1', '2']);
+    expect(journal.read({ types: ['signal_response'] }).map(m => m.id)).to.deep.equal(['2', '3']);
+  });
+
+  it('should replay a conversation into a fresh messenger without delivering it', function() {
+    const source = new AgentMessenger({ schemas });
+    source.attachJournal(new MessageJournal({ directory }));
+    source.sendMessage('data-processing', 'strategy', { prices: [1, 2] }, 'data_response');
+    source.sendMessage('strategy', 'data-processing', { signals: [] }, 'signal_response');
+    source.sendMessage('strategy', 'risk-management', {}, 'risk_request');
+
+    const target = new AgentMessenger({ schemas });
+    let delivered = 0;
+    target.on('message:received', () => delivered++);
+
+    const count = new MessageJournal({ directory }).replay(target, {
+      between: ['data-processing', 'strategy']
+    });
+
+    expect(count).to.equal(2);
+    expect(delivered).to.equal(0);
+    expect(target.getMessageHistory('strategy', 'data-processing').map(m => m.type))
+      .to.deep.equal(['data_response', 'signal_response']);
+  });
+
+  it('should re-drive agents when replaying with deliver', function() {
+    const source = new AgentMessenger({ schemas });
+    source.attachJournal(new MessageJournal({ directory }));
+    const requestId = source.sendMessage('strategy', 'risk-management', { symbol: 'BTC-USD' }, 'risk_request', { correlationId: 'c-1' });
+    source.sendMessage('strategy', 'execution', {}, 'trade_execution');
+    source.publish('system_status', { status: 'halted' }, 'supervisor');
+
+    const target = new AgentMessenger({ schemas });
+    target.registerAgent('risk-management', 'risk', { requireAck: true });
+    const statuses = [];
+    target.subscribe('system_status', content => statuses.push(content.status));
+
+    const count = new MessageJournal({ directory }).replay(target, {}, { deliver: true });
+
+    expect(count).to.equal(3);
+    const [queued] = target.getMessages('risk-management');
+    expect(queued).to.include({ id: requestId, correlationId: 'c-1', deliveryAttempt: 1 });
+    expect(queued.traceId).to.be.a('string');
+    expect(target.getDeadLetters().map(entry => [entry.message.to, entry.reason])).to.deep.equal([['execution', 'unroutable']]);
+    expect(statuses).to.deep.equal(['halted']);
+  });
+});
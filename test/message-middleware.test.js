@@ -0,0 +1,192 @@
+/**
+ * Message Middleware Tests
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { AgentMessenger, MessageRejectedError } = require('../tools/agent-messenger');
+const { MessageSchemaRegistry } = require('../tools/message-schemas');
+const { redactSecrets, rateLimit, injectFaults, meter } = require('../tools/message-middleware');
+
+// Payload validation is covered in message-schemas.test.js
+const schemas = new MessageSchemaRegistry({ defaults: false });
+
+describe('Message Middleware', function() {
+  let messenger;
+
+  beforeEach(function() {
+    messenger = new AgentMessenger({ schemas });
+    messenger.registerAgent('strategy', 'strategy');
+    messenger.registerAgent('execution', 'execution');
+  });
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  it('should run middleware in registration order before delivery', function() {
+    const calls = [];
+    messenger.use(message => { calls.push(`first:${message.content.step}`); });
+    messenger.use(message => ({ ...message, content: { step: 2 } }));
+    messenger.use(message => { calls.push(`third:${message.content.step}`); });
+
+    messenger.sendMessage('strategy', 'execution', { step: 1 }, 'data');
+
+    expect(calls).to.deep.equal(['first:1', 'third:2']);
+    expect(messenger.getMessages('execution')[0].content).to.deep.equal({ step: 2 });
+  });
+
+  it('should reject messages synchronously without queueing them', function() {
+    const rejected = [];
+    messenger.on('message:rejected', event => rejected.push(event));
+    messenger.use((message, context) => context.reject('halted'), { name: 'kill-switch', types: ['trade_signal'] });
+
+    expect(() => messenger.sendMessage('strategy', 'execution', {}, 'trade_signal'))
+      .to.throw(MessageRejectedError, /kill-switch: halted/);
+    messenger.sendMessage('strategy', 'execution', {}, 'data');
+
+    expect(messenger.getMessages('execution').map(m => m.type)).to.deep.equal(['data']);
+    expect(rejected).to.have.length(1);
+    expect(rejected[0].error.middleware).to.equal('kill-switch');
+  });
+
+  it('should treat middleware errors as rejections', function() {
+    messenger.use(function broken() { throw new Error('boom'); });
+
+    try {
+      messenger.sendMessage('strategy', 'execution', {}, 'data');
+      expect.fail('sendMessage should have thrown');
+    } catch (error) {
+      expect(error).to.be.instanceOf(MessageRejectedError);
+      expect(error.middleware).to.equal('broken');
+      expect(error.cause.message).to.equal('boom');
+    }
+  });
+
+  it('should deliver delayed messages once their middleware resolves', async function() {
+    messenger.use(() => new Promise(resolve => setTimeout(resolve, 20)));
+
+    const received = new Promise(resolve => messenger.once('message:received', resolve));
+    const messageId = messenger.sendMessage('strategy', 'execution', {}, 'data');
+
+    expect(messenger.getMessages('execution')).to.have.length(0);
+    expect((await received).id).to.equal(messageId);
+  });
+
+  it('should fail pending requests rejected after a delay', async function() {
+    messenger.use(() => Promise.reject(new Error('circuit open')), { name: 'breaker' });
+
+    try {
+      await messenger.request('strategy', 'execution', {}, 'risk_request', { timeoutMs: 1000 });
+      expect.fail('request should have failed');
+    } catch (error) {
+      expect(error).to.be.instanceOf(MessageRejectedError);
+      expect(error.reason).to.equal('circuit open');
+    }
+
+    expect(messenger.pendingRequests.size).to.equal(0);
+  });
+
+  it('should only run middleware at its registered stages and be removable', function() {
+    const seen = [];
+    const handle = messenger.use(message => { seen.push(message.type); }, { stages: ['publish'] });
+
+    messenger.sendMessage('strategy', 'execution', {}, 'data');
+    messenger.publish('market_data.BTC-USD', {});
+    handle.remove();
+    messenger.publish('market_data.ETH-USD', {});
+
+    expect(seen).to.deep.equal(['market_data.BTC-USD']);
+    expect(messenger.middleware.list()).to.have.length(0);
+  });
+
+  describe('built-in middleware', function() {
+    it('should redact secrets before messages are recorded', function() {
+      const journal = { append: sinon.spy() };
+      messenger.attachJournal(journal);
+      messenger.use(redactSecrets());
+
+      const content = { exchange: { apiKey: 'abc', apiSecret: 'xyz' }, orders: [{ token: 't', size: 1 }] };
+      messenger.sendMessage('strategy', 'execution', content, 'data');
+
+      const expected = {
+        exchange: { apiKey: '[REDACTED]', apiSecret: '[REDACTED]' },
+        orders: [{ token: '[REDACTED]', size: 1 }]
+      };
+      expect(messenger.getMessages('execution')[0].content).to.deep.equal(expected);
+      expect(journal.append.firstCall.args[0].content).to.deep.equal(expected);
+      expect(content.exchange.apiKey).to.equal('abc');
+    });
+
+    it('should redact exchange auth headers but not token counts', function() {
+      messenger.use(redactSecrets());
+
+      const content = {
+        headers: {
+          'CB-ACCESS-KEY': 'key',
+          'CB-ACCESS-SIGN': 'c2lnbmF0dXJl',
+          'CB-ACCESS-TIMESTAMP': '1700000000',
+          'CB-ACCESS-PASSPHRASE': 'phrase'
+        },
+        auth: { accessToken: 'a', refresh_token: 'r', 'X-Auth-Token': 'x' },
+        model: { maxTokens: 4096, tokenCount: 12 }
+      };
+      messenger.sendMessage('strategy', 'execution', content, 'data');
+
+      expect(messenger.getMessages('execution')[0].content).to.deep.equal({
+        headers: {
+          'CB-ACCESS-KEY': '[REDACTED]',
+          'CB-ACCESS-SIGN': '[REDACTED]',
+          'CB-ACCESS-TIMESTAMP': '1700000000',
+          'CB-ACCESS-PASSPHRASE': '[REDACTED]'
+        },
+        auth: { accessToken: '[REDACTED]', refresh_token: '[REDACTED]', 'X-Auth-Token': '[REDACTED]' },
+        model: { maxTokens: 4096, tokenCount: 12 }
+      });
+    });
+
+    it('should space out messages from a noisy sender', async function() {
+      const clock = sinon.useFakeTimers();
+      messenger.use(rateLimit({ maxPerSecond: 2, agents: ['strategy'] }));
+
+      for (let i = 0; i < 3; i++) {
+        messenger.sendMessage('strategy', 'execution', { i }, 'data');
+      }
+      messenger.sendMessage('execution', 'strategy', {}, 'data');
+
+      expect(messenger.getMessages('execution')).to.have.length(1);
+      expect(messenger.getMessages('strategy')).to.have.length(1);
+
+      await clock.tickAsync(500);
+      expect(messenger.getMessages('execution')).to.have.length(2);
+
+      await clock.tickAsync(500);
+      expect(messenger.getMessages('execution').map(m => m.content.i)).to.deep.equal([0, 1, 2]);
+    });
+
+    it('should inject faults deterministically', function() {
+      const random = sinon.stub();
+      random.onFirstCall().returns(0.1).onSecondCall().returns(0.9);
+      messenger.use(injectFaults({ rejectRate: 0.5, random }));
+
+      expect(() => messenger.sendMessage('strategy', 'execution', {}, 'data')).to.throw('injected fault');
+      messenger.sendMessage('strategy', 'execution', {}, 'data');
+
+      expect(messenger.getMessages('execution')).to.have.length(1);
+    });
+
+    it('should meter messages by type and sender', function() {
+      const metering = meter();
+      messenger.use(metering);
+
+      messenger.sendMessage('strategy', 'execution', { a: 1 }, 'data');
+      messenger.publish('system_status', {}, 'execution');
+
+      const metrics = metering.getMetrics();
+      expect(metrics.total).to.equal(2);
+      expect(metrics.byType).to.deep.equal({ data: 1, system_status: 1 });
+      expect(metrics.bySender).to.deep.equal({ strategy: 1, execution: 1 });
+      expect(metrics.bytes).to.be.greaterThan(0);
+    });
+  });
+});
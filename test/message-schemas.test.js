@@ -0,0 +1,79 @@
+/**
+ * Message Schema Tests
+ */
+
+const { expect } = require('chai');
+const Joi = require('joi');
+const { MessageSchemaRegistry, MessageValidationError } = require('../tools/message-schemas');
+const { AgentMessenger } = require('../tools/agent-messenger');
+
+describe('Message Schemas', function() {
+  let schemas;
+  let messenger;
+
+  beforeEach(function() {
+    schemas = new MessageSchemaRegistry();
+    messenger = new AgentMessenger({ schemas });
+    messenger.registerAgent('strategy', 'strategy');
+  });
+
+  it('should stamp the schema version on sent messages', function() {
+    const received = [];
+    messenger.on('message:received', message => received.push(message));
+
+    messenger.sendMessage('execution', 'strategy', {
+      strategyId: 'trend-following',
+      trade: { action: 'BUY', symbol: 'BTC-USD', entryPrice: 100, exitPrice: 105 },
+      success: true,
+      returnPct: 5
+    }, 'trade_outcome');
+
+    expect(received[0].schemaVersion).to.equal(1);
+  });
+
+  it('should reject invalid payloads at send time with the failing fields', function() {
+    try {
+      messenger.sendMessage('execution', 'strategy', { trade: { action: 'HOLD' } }, 'trade_outcome');
+      expect.fail('sendMessage should have thrown');
+    } catch (error) {
+      expect(error).to.be.instanceOf(MessageValidationError);
+      expect(error.stage).to.equal('send');
+      expect(error.details.map(detail => detail.path)).to.include.members([
+        'strategyId', 'trade.action', 'success', 'returnPct'
+      ]);
+    }
+
+    expect(messenger.getMessages('strategy')).to.have.length(0);
+  });
+
+  it('should validate and stamp publications by topic', function() {
+    const published = [];
+    messenger.subscribe('market_data', (content, message) => published.push(message));
+
+    messenger.publish('market_data', { symbol: 'BTC-USD', prices: [50000] }, 'data-processing');
+    expect(() => messenger.publish('market_data', { symbol: 'BTC-USD' }, 'data-processing'))
+      .to.throw(MessageValidationError, /Invalid market_data message on send/);
+
+    expect(published).to.have.length(1);
+    expect(published[0].schemaVersion).to.equal(1);
+  });
+
+  it('should pass unregistered types unless the registry is strict', function() {
+    expect(messenger.sendMessage('a', 'strategy', { anything: true }, 'custom')).to.be.a('string');
+
+    const strict = new AgentMessenger({ schemas: new MessageSchemaRegistry({ strict: true }) });
+    expect(() => strict.sendMessage('a', 'strategy', {}, 'custom')).to.throw(MessageValidationError);
+  });
+
+  it('should validate received messages against the current schema', function() {
+    schemas.register('risk_alert', Joi.object({ level: Joi.string().required() }), 2);
+
+    const message = { id: 'm1', type: 'risk_alert', content: {} };
+    expect(() => messenger.validateMessage(message)).to.throw(MessageValidationError, /on receive/);
+    expect(messenger.validateMessage({ ...message, content: { level: 'high' } })).to.equal(2);
+  });
+
+  it('should only accept Joi schemas', function() {
+    expect(() => schemas.register('bad', { symbol: 'string' })).to.throw('must be a Joi schema');
+  });
+});
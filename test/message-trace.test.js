@@ -0,0 +1,153 @@
+/**
+ * Message Trace Tests
+ */
+
+const { expect } = require('chai');
+const BaseAgent = require('../core/base-agent');
+const agentMessenger = require('../tools/agent-messenger');
+const { AgentMessenger } = agentMessenger;
+const { MessageSchemaRegistry } = require('../tools/message-schemas');
+const { runWithMessage } = require('../tools/message-trace');
+
+// Payload validation is covered in message-schemas.test.js
+const schemas = new MessageSchemaRegistry({ defaults: false });
+
+/**
+ * Agent that forwards every message it handles to the next stage
+ */
+class StageAgent extends BaseAgent {
+  constructor(id, next, type) {
+    super(id, 'stage');
+    this.next = next;
+    this.nextType = type;
+  }
+
+  async handleMessage(message) {
+    // Yield first so inheritance has to survive an await
+    await new Promise(resolve => setImmediate(resolve));
+
+    if (this.next) {
+      await this.sendMessage(this.next, { from: message.type }, this.nextType);
+    } else {
+      this.emit('done', message);
+    }
+  }
+}
+
+describe('Message Trace', function() {
+  describe('trace fields', function() {
+    let messenger;
+
+    beforeEach(function() {
+      messenger = new AgentMessenger({ schemas });
+      messenger.registerAgent('a', 'test');
+      messenger.registerAgent('b', 'test');
+    });
+
+    it('should start a new trace for messages sent outside a handler', function() {
+      messenger.sendMessage('a', 'b', {}, 'data');
+      const [message] = messenger.getMessages('b');
+
+      expect(message.traceId).to.equal(message.id);
+      expect(message.parentId).to.equal(null);
+    });
+
+    it('should inherit the trace of the message being handled', function() {
+      const cause = { id: 'cause', traceId: 'trace-1' };
+
+      runWithMessage(cause, () => messenger.sendMessage('a', 'b', {}, 'data'));
+      const [message] = messenger.getMessages('b');
+
+      expect(message.traceId).to.equal('trace-1');
+      expect(message.parentId).to.equal('cause');
+    });
+
+    it('should link replies and subscriber publications to their cause', function() {
+      messenger.subscribe('signals', () => {
+        messenger.sendMessage('b', 'a', {}, 'risk_request');
+      });
+
+      const requestId = messenger.sendMessage('a', 'b', {}, 'data');
+      const request = messenger.getMessages('b', true)[0];
+      const replyId = messenger.reply(request, {}, 'data');
+      const signalId = messenger.publish('signals', {}, 'a');
+
+      const [reply, riskRequest] = messenger.getMessages('a');
+      expect(reply.id).to.equal(replyId);
+      expect(reply.traceId).to.equal(requestId);
+      expect(reply.parentId).to.equal(requestId);
+      expect(riskRequest.parentId).to.equal(signalId);
+    });
+  });
+
+  describe('causal tree', function() {
+    const stages = [];
+    let executed;
+
+    before(async function() {
+      stages.push(
+        new StageAgent('trace-data', 'trace-strategy', 'processed_data'),
+        new StageAgent('trace-strategy', 'trace-risk', 'signal'),
+        new StageAgent('trace-risk', 'trace-execution', 'risk_evaluation'),
+        new StageAgent('trace-execution', null, null)
+      );
+
+      for (const stage of stages) {
+        await stage.initialize();
+      }
+
+      const done = new Promise(resolve => stages[3].once('done', resolve));
+      agentMessenger.sendMessage('market-feed', 'trace-data', { symbol: 'BTC-USD', prices: [100] }, 'market_data');
+      executed = await done;
+    });
+
+    after(async function() {
+      for (const stage of stages) {
+        await stage.shutdown();
+      }
+    });
+
+    it('should follow the chain from market data to execution', function() {
+      const tree = agentMessenger.getCausalTree(executed.id);
+
+      expect(tree.messageCount).to.equal(4);
+      expect(tree.roots).to.have.length(1);
+
+      const types = [];
+      let node = tree.roots[0];
+      while (node) {
+        types.push(node.type);
+        node = node.children[0];
+      }
+
+      expect(types).to.deep.equal(['market_data', 'processed_data', 'signal', 'risk_evaluation']);
+      expect(agentMessenger.getTrace(tree.traceId)).to.have.length(4);
+    });
+
+    it('should build the same tree from journaled messages', function() {
+      const journaled = JSON.parse(JSON.stringify(agentMessenger.getTrace(executed.traceId)));
+      const tree = agentMessenger.getCausalTree(executed.id, { messages: journaled });
+
+      expect(tree.messageCount).to.equal(4);
+      expect(tree.roots[0].type).to.equal('market_data');
+    });
+
+    it('should export the tree as JSON and DOT', function() {
+      const json = JSON.parse(agentMessenger.exportCausalTree(executed.id, 'json', { includeContent: false }));
+      expect(json.traceId).to.equal(executed.traceId);
+      expect(json.roots[0]).to.not.have.property('content');
+      expect(json.roots[0].children[0].type).to.equal('processed_data');
+
+      const dot = agentMessenger.exportCausalTree(executed.id, 'dot');
+      expect(dot).to.match(/^digraph "trace-/);
+      expect(dot.match(/->\s"/g)).to.have.length(3);
+      expect(dot).to.include('risk_evaluation\\ntrace-risk -> trace-execution');
+
+      expect(() => agentMessenger.exportCausalTree(executed.id, 'svg')).to.throw('Unsupported');
+    });
+
+    it('should return null for unknown messages', function() {
+      expect(agentMessenger.getCausalTree('missing')).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Message Transport Tests
+ */
+
+const { expect } = require('chai');
+const MessageBroker = require('../tools/message-broker');
+const WebSocketTransport = require('../tools/websocket-transport');
+const { AgentMessenger } = require('../tools/agent-messenger');
+const { MessageSchemaRegistry } = require('../tools/message-schemas');
+
+// Payload validation is covered in message-schemas.test.js
+const schemas = new MessageSchemaRegistry({ defaults: false });
+
+/**
+ * Wait until a condition holds, polling the event loop
+ * @param {Function} condition - Predicate to wait for
+ * @param {number} timeoutMs - Maximum wait
+ * @returns {Promise<void>} Resolves once the condition holds
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('Message Transport', function() {
+  this.timeout(5000);
+
+  let broker;
+  let url;
+  let strategyNode;
+  let executionNode;
+
+  beforeEach(async function() {
+    broker = new MessageBroker({ port: 0 });
+    const port = await broker.start();
+    url = `ws://127.0.0.1:${port}`;
+
+    // Two messengers stand in for two agent processes
+    strategyNode = new AgentMessenger({ schemas });
+    executionNode = new AgentMessenger({ schemas });
+
+    strategyNode.registerAgent('strategy', 'strategy');
+    executionNode.registerAgent('execution', 'execution');
+
+    await strategyNode.setTransport(new WebSocketTransport({ url, nodeId: 'strategy-node', reconnectDelayMs: 50 }));
+    await executionNode.setTransport(new WebSocketTransport({ url, nodeId: 'execution-node', reconnectDelayMs: 50 }));
+
+    await waitFor(() => strategyNode.remoteAgents.has('execution') && executionNode.remoteAgents.has('strategy'));
+  });
+
+  afterEach(async function() {
+    await strategyNode.closeTransport();
+    await executionNode.closeTransport();
+    await broker.stop();
+  });
+
+  it('should share agent registrations across processes', async function() {
+    executionNode.registerAgent('risk-management', 'risk');
+    await waitFor(() => strategyNode.remoteAgents.has('risk-management'));
+
+    expect(strategyNode.remoteAgents.get('risk-management')).to.deep.equal({
+      agentType: 'risk',
+      nodeId: 'execution-node'
+    });
+
+    executionNode.unregisterAgent('risk-management');
+    await waitFor(() => !strategyNode.remoteAgents.has('risk-management'));
+  });
+
+  it('should deliver messages to agents in another process', async function() {
+    strategyNode.sendMessage('strategy', 'execution', { action: 'BUY' }, 'trade_signal');
+
+    await waitFor(() => executionNode.getMessages('execution').length === 1);
+
+    const [message] = executionNode.getMessages('execution');
+    expect(message.from).to.equal('strategy');
+    expect(message.content).to.deep.equal({ action: 'BUY' });
+    expect(message.timestamp).to.be.instanceOf(Date);
+    expect(strategyNode.getMessages('execution')).to.have.length(0);
+  });
+
+  it('should resolve requests with replies from another process', async function() {
+    executionNode.on('message:received', message => {
+      executionNode.reply(message, { filled: true }, 'trade_result');
+    });
+
+    const reply = await strategyNode.request('strategy', 'execution', { action: 'BUY' }, 'trade_signal', {
+      timeoutMs: 1000
+    });
+
+    expect(reply.content).to.deep.equal({ filled: true });
+  });
+
+  it('should include remote agents in broadcasts', async function() {
+    strategyNode.registerAgent('data-processing', 'data');
+
+    const messageIds = strategyNode.broadcastMessage('strategy', { halt: true }, 'system_control');
+
+    expect(messageIds).to.have.length(2);
+    await waitFor(() => executionNode.getMessages('execution').length === 1);
+    expect(strategyNode.getMessages('data-processing')).to.have.length(1);
+  });
+
+  it('should fan topic publications out to subscribers in every process', async function() {
+    const local = [];
+    const remote = [];
+    strategyNode.subscribe('market_data.*', content => local.push(content));
+    executionNode.subscribe('market_data.*', content => remote.push(content));
+
+    strategyNode.publish('market_data.BTC-USD', { price: 100 });
+
+    await waitFor(() => remote.length === 1);
+    expect(local).to.deep.equal([{ price: 100 }]);
+    expect(remote).to.deep.equal([{ price: 100 }]);
+  });
+
+  it('should dead-letter messages the broker cannot route', async function() {
+    strategyNode.remoteAgents.set('ghost', { agentType: 'unknown', nodeId: 'gone' });
+
+    strategyNode.sendMessage('strategy', 'ghost', {}, 'data');
+
+    await waitFor(() => strategyNode.getDeadLetters().length === 1);
+    expect(strategyNode.getDeadLetters()[0].reason).to.equal('unroutable');
+  });
+
+  it('should reconnect and re-announce local agents after the broker restarts', async function() {
+    const port = broker.port;
+    await broker.stop();
+
+    await waitFor(() => !strategyNode.remoteAgents.has('execution'));
+
+    broker = new MessageBroker({ port });
+    await broker.start();
+
+    await waitFor(() => strategyNode.remoteAgents.has('execution') && executionNode.remoteAgents.has('strategy'));
+
+    strategyNode.sendMessage('strategy', 'execution', { action: 'SELL' }, 'trade_signal');
+    await waitFor(() => executionNode.getMessages('execution').length === 1);
+  });
+});
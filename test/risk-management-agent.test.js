@@ -6,6 +6,7 @@ const { expect } = require('chai');
 const sinon = require('sinon');
 const riskManagementAgent = require('../agents/risk-management-agent');
 const promptEngineeringAgent = require('../agents/prompt-engineering-agent');
+const auditTrail = require('../tools/audit-trail');
 
 describe('Risk Management Agent', function() {
   // Setup sandbox for stubs and spies
@@ -15,29 +16,37 @@ describe('Risk Management Agent', function() {
     // Create a sandbox for stubs
     sandbox = sinon.createSandbox();
     
+    // Keep test decisions out of the audit trail
+    sandbox.stub(auditTrail, 'record').returns(null);
+    
     // Stub the prompt engineering agent
     sandbox.stub(promptEngineeringAgent, 'getRiskManagementPrompt').resolves('Risk management prompt content');
     
-    // Stub the storeKnowledge and getKnowledge methods
+    // Stub the storeKnowledge and getKnowledge methods (entries have the knowledge base shape)
     sandbox.stub(riskManagementAgent, 'storeKnowledge').resolves(true);
+    sandbox.stub(riskManagementAgent, 'updateKnowledge').callsFake(async (category, key, updater) => updater(null));
     sandbox.stub(riskManagementAgent, 'getKnowledge').callsFake((category, key) => {
       if (category === 'risk' && key === 'parameters') {
         return Promise.resolve({
-          maxPositionSize: 0.05,
-          maxTotalExposure: 0.50,
-          maxDrawdown: 0.15,
-          stopLossDefault: 0.03,
-          positionSizing: 'risk-based',
-          riskPerTrade: 0.01,
-          correlationThreshold: 0.7
+          data: {
+            maxPositionSize: 0.05,
+            maxTotalExposure: 0.50,
+            maxDrawdown: 0.15,
+            stopLossDefault: 0.03,
+            positionSizing: 'risk-based',
+            riskPerTrade: 0.01,
+            correlationThreshold: 0.7
+          }
         });
       } else if (category === 'risk' && key === 'portfolio-state') {
         return Promise.resolve({
-          totalValue: 100000,
-          currentPositions: new Map(),
-          currentExposure: 0,
-          highWaterMark: 100000,
-          currentDrawdown: 0
+          data: {
+            totalValue: 100000,
+            currentPositions: new Map(),
+            currentExposure: 0,
+            highWaterMark: 100000,
+            currentDrawdown: 0
+          }
         });
       }
       return Promise.reject(new Error('Not found'));
@@ -10,23 +10,18 @@ const path = require('path');
 const { execSync } = require('child_process');
 
 // Setup logger
-const winston = require('winston');
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ level, message, timestamp }) => {
-      return `[${timestamp}] [TEST-RUNNER] ${level.toUpperCase()}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console()
-  ]
-});
+const { createComponentLogger } = require('../tools/logger');
+const logger = createComponentLogger('TEST-RUNNER');
 
 // Configuration
 const TEST_DIR = path.join(__dirname);
 const TEST_EXCLUSIONS = ['run-all-tests.js', 'node_modules'];
+const MOCHA_BIN = require.resolve('mocha/bin/mocha.js');
+
+// Files declaring describe() blocks are mocha specs; the rest are plain scripts
+function isMochaSpec(file) {
+  return /^\s*describe\(/m.test(fs.readFileSync(file, 'utf8'));
+}
 
 // Get all test files
 function getTestFiles() {
@@ -50,7 +45,10 @@ function runTestFile(file) {
   logger.info(`Running test: ${relativePath}`);
   
   try {
-    const output = execSync(`node ${file}`, { encoding: 'utf8' });
+    const command = isMochaSpec(file)
+      ? `node "${MOCHA_BIN}" --exit "${file}"`
+      : `node "${file}"`;
+    const output = execSync(command, { encoding: 'utf8' });
     logger.info(`Test passed: ${relativePath}`);
     return { file: relativePath, passed: true, output };
   } catch (error) {
@@ -8,21 +8,10 @@
 // Imports
 const path = require('path');
 const { execSync } = require('child_process');
-const winston = require('winston');
 
 // Setup logger
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ level, message, timestamp }) => {
-      return `[${timestamp}] [TEST-RUNNER] ${level.toUpperCase()}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console()
-  ]
-});
+const { createComponentLogger } = require('../tools/logger');
+const logger = createComponentLogger('TEST-RUNNER');
 
 // Integration tests to run
 const INTEGRATION_TESTS = [
@@ -15,49 +15,6 @@ const { createComponentLogger } = require('../tools/logger');
 // Create test-specific logger
 const logger = createComponentLogger('STRATEGY-TEST');
 
-// Enhanced waitForMessage utility to handle race conditions
-function waitForMessage(agentId, messageType = null, timeout = 5000) {
-  return new Promise((resolve, reject) => {
-    const timer = setTimeout(() => {
-      agentMessenger.removeListener('message:received', messageHandler);
-      reject(new Error(`Timeout waiting for ${messageType ? messageType + ' ' : ''}message to ${agentId}`));
-    }, timeout);
-    
-    // Check if the message is already in the queue before waiting
-    const existingMessages = agentMessenger.getMessages(agentId, false);
-    console.log(`Checking for existing messages for ${agentId}. Found ${existingMessages.length} messages`);
-    
-    if (existingMessages.length > 0) {
-      console.log(`Message types in queue: ${existingMessages.map(m => m.type).join(', ')}`);
-    }
-    
-    const matchingMessage = existingMessages.find(msg => 
-      (!messageType || msg.type === messageType)
-    );
-    
-    if (matchingMessage) {
-      console.log(`Found matching message of type ${matchingMessage.type}`);
-      clearTimeout(timer);
-      resolve(matchingMessage);
-      return;
-    }
-    
-    // If no existing message, set up the listener
-    const messageHandler = (message) => {
-      console.log(`Message received: to=${message.to}, type=${message.type}`);
-      if (message.to === agentId && (!messageType || message.type === messageType)) {
-        console.log(`Message matched criteria for ${agentId}, type=${message.type}`);
-        clearTimeout(timer);
-        agentMessenger.removeListener('message:received', messageHandler);
-        resolve(message);
-      }
-    };
-    
-    // Add the listener
-    agentMessenger.on('message:received', messageHandler);
-  });
-}
-
 // Mock market data for testing
 const createMockMarketData = (symbol, trend) => {
   let prices = [];
@@ -212,14 +169,11 @@ async function testStrategyAgent() {
     const testAgentId = 'test-agent';
     agentMessenger.registerAgent(testAgentId, 'test');
     
-    // Send performance request
-    await agentMessenger.sendMessage(testAgentId, 'strategy', {
-      strategyId: 'test-strategy'
-    }, 'performance_request');
-    
-    // Wait for response
+    // Send performance request and wait for the correlated response
     try {
-      const response = await waitForMessage(testAgentId, 'performance_response', 5000);
+      const response = await agentMessenger.request(testAgentId, 'strategy', {
+        strategyId: 'test-strategy'
+      }, 'performance_request', { timeoutMs: 5000 });
       
       if (response && response.type === 'performance_response') {
         console.log(`Received performance report via messaging: ${JSON.stringify(response.content ? response.content.report : response.report, null, 2)}`);
@@ -4,6 +4,14 @@
  * Tests the integration between the Strategy Agent and Execution Agent.
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep test decisions out of the real audit trail (read when the agents load it)
+const AUDIT_TRAIL_FILE = path.join(os.tmpdir(), `perseus-audit-${process.pid}.jsonl`);
+process.env.AUDIT_TRAIL_FILE = AUDIT_TRAIL_FILE;
+
 const strategyAgent = require('../agents/strategy-agent');
 const executionAgent = require('../agents/execution-agent');
 const knowledgeBase = require('../tools/knowledge-base');
@@ -34,11 +42,14 @@ async function runIntegrationTest() {
     
     // Store sample market data in knowledge base for execution agent to use
     await knowledgeBase.storeKnowledge('market_data', `${sampleMarketData.symbol}.current`, sampleMarketData);
-    await knowledgeBase.storeKnowledge('market_data', `${sampleMarketData.symbol}.recent`, {
-      prices: sampleMarketData.prices,
-      volumes: sampleMarketData.volumes,
-      timestamp: sampleMarketData.timestamp
-    });
+    
+    // Recent ticks feed the execution agent's volatility estimate
+    knowledgeBase.createTimeSeries('market_series');
+    await knowledgeBase.appendPoints('market_series', `${sampleMarketData.symbol}.tick`, sampleMarketData.prices.map((price, i) => ({
+      timestamp: sampleMarketData.timestamp - (sampleMarketData.prices.length - i) * 1000,
+      price,
+      volume: sampleMarketData.volumes[i]
+    })));
     
     console.log('Stored sample market data in knowledge base');
     
@@ -192,6 +203,7 @@ async function runIntegrationTest() {
 if (require.main === module) {
   runIntegrationTest()
     .then(success => {
+      fs.rmSync(AUDIT_TRAIL_FILE, { force: true });
       console.log(`Test ${success ? 'Passed' : 'Failed'}`);
       process.exit(success ? 0 : 1);
     })
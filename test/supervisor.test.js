@@ -0,0 +1,213 @@
+/**
+ * Supervisor Tests
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const EventEmitter = require('events');
+const BaseAgent = require('../core/base-agent');
+const { Supervisor } = require('../core/supervisor');
+const agentMessenger = require('../tools/agent-messenger');
+const auditTrail = require('../tools/audit-trail');
+const executionAgent = require('../agents/execution-agent');
+
+/**
+ * Agent whose initialization and message handling fail on demand
+ */
+class FlakyAgent extends BaseAgent {
+  constructor(id) {
+    super(id, 'test');
+    this.heartbeatIntervalMs = 0;
+    this.initFailures = 0;
+    this.initCalls = 0;
+    this.failHandling = false;
+  }
+
+  async initialize() {
+    this.initCalls++;
+    await super.initialize();
+
+    if (this.initFailures > 0) {
+      this.initFailures--;
+      throw new Error(`${this.id} could not load its prompt`);
+    }
+    return true;
+  }
+
+  async handleMessage(message) {
+    if (this.failHandling) {
+      throw new Error('Malformed market data');
+    }
+    this.emit('handled', message);
+  }
+}
+
+describe('Supervisor', function() {
+  let monitor;
+  let supervisor;
+  let data;
+  let strategy;
+  let events;
+
+  /**
+   * Resolve once the supervisor emits an event
+   * @param {string} event - Event name
+   * @returns {Promise<object>} Event payload
+   */
+  function next(event) {
+    return new Promise(resolve => supervisor.once(event, resolve));
+  }
+
+  beforeEach(function() {
+    monitor = new EventEmitter();
+    supervisor = new Supervisor({
+      healthMonitor: monitor,
+      maxRestarts: 2,
+      windowMs: 60000,
+      backoff: { initialMs: 5, factor: 2, maxMs: 100 },
+      handlerFailureThreshold: 2
+    });
+
+    data = new FlakyAgent('flaky-data');
+    strategy = new FlakyAgent('flaky-strategy');
+    supervisor.supervise(data);
+    supervisor.supervise(strategy);
+
+    events = [];
+    for (const event of ['agent:failed', 'agent:restarted', 'safe-mode:entered']) {
+      supervisor.on(event, payload => events.push(`${event} ${payload.id || ''}`.trim()));
+    }
+
+    sinon.stub(auditTrail, 'record').returns(null);
+  });
+
+  afterEach(async function() {
+    sinon.restore();
+    await supervisor.stop();
+  });
+
+  it('should restart only the failed agent with exponential backoff (one-for-one)', async function() {
+    const timeout = sinon.spy(global, 'setTimeout');
+    data.initFailures = 2;
+
+    expect(await supervisor.start()).to.equal(true);
+
+    expect(data.initCalls).to.equal(3);
+    expect(strategy.initCalls).to.equal(1);
+    expect(data.state).to.equal('ready');
+    expect(timeout.getCalls().map(call => call.args[1]).filter(delay => delay === 5 || delay === 10)).to.deep.equal([5, 10]);
+    expect(events).to.deep.equal([
+      'agent:failed flaky-data',
+      'agent:failed flaky-data',
+      'agent:restarted flaky-data'
+    ]);
+    expect(supervisor.getStatus()).to.deep.include({ strategy: 'one-for-one', restartsInWindow: 2, safeMode: null });
+  });
+
+  it('should restart every agent, in order, when handleMessage keeps failing (one-for-all)', async function() {
+    supervisor.configure({ strategy: 'one-for-all' });
+    await supervisor.start();
+
+    const order = [];
+    data.on('lifecycle:ready', () => order.push('flaky-data'));
+    strategy.on('lifecycle:ready', () => order.push('flaky-strategy'));
+    sinon.stub(data.logger, 'error');
+
+    data.failHandling = true;
+    const restarted = next('agent:restarted');
+    agentMessenger.sendMessage('market-feed', data.id, { symbol: 'BTC-USD', prices: [1] }, 'market_data');
+    agentMessenger.sendMessage('market-feed', data.id, { symbol: 'BTC-USD', prices: [2] }, 'market_data');
+    await restarted;
+    await next('agent:restarted');
+
+    expect(order).to.deep.equal(['flaky-data', 'flaky-strategy']);
+    expect(data.initCalls).to.equal(2);
+    expect(strategy.initCalls).to.equal(2);
+    expect(supervisor.getStatus().children.map(child => child.status)).to.deep.equal(['running', 'running']);
+  });
+
+  it('should restart agents the health monitor reports unresponsive', async function() {
+    await supervisor.start();
+
+    const restarted = next('agent:restarted');
+    monitor.emit('agent:unresponsive', { agentId: 'flaky-strategy', silentMs: 30000 });
+
+    expect(await restarted).to.deep.equal({ id: 'flaky-strategy', restarts: 1 });
+    expect(supervisor.getStatus().children.find(child => child.id === 'flaky-strategy').lastError).to.equal(null);
+
+    monitor.emit('agent:unresponsive', { agentId: 'unsupervised-agent', silentMs: 30000 });
+    expect(events).to.deep.equal(['agent:failed flaky-strategy', 'agent:restarted flaky-strategy']);
+  });
+
+  describe('safe mode', function() {
+    let subscriptionIds;
+    let previousMessenger;
+
+    beforeEach(function() {
+      // Let the Execution Agent follow safe mode announcements
+      const existing = new Set(agentMessenger.getSubscriptions().map(subscription => subscription.id));
+      previousMessenger = executionAgent.messenger;
+      executionAgent.messenger = agentMessenger;
+      executionAgent.setupMessageHandling();
+      subscriptionIds = agentMessenger.getSubscriptions()
+        .map(subscription => subscription.id)
+        .filter(id => !existing.has(id));
+    });
+
+    afterEach(function() {
+      subscriptionIds.forEach(id => agentMessenger.unsubscribe(id));
+      executionAgent.messenger = previousMessenger;
+      executionAgent.exitSafeMode();
+    });
+
+    it('should escalate to safe mode once restarts exceed the limit, halting executions but not market data', async function() {
+      const announcements = [];
+      const ticks = [];
+      const subscriptions = [
+        agentMessenger.subscribe('system.safe_mode', content => announcements.push(content)),
+        agentMessenger.subscribe('market_data.*', content => ticks.push(content))
+      ];
+
+      try {
+        data.initFailures = Infinity;
+        expect(await supervisor.start()).to.equal(false);
+
+        expect(data.initCalls).to.equal(3);
+        expect(strategy.initCalls).to.equal(1);
+        expect(supervisor.isSafeMode()).to.equal(true);
+        expect(supervisor.getStatus().safeMode.reason).to.match(/^Agent flaky-data needed more than 2 restarts within 60000ms: Initialization failed: flaky-data could not load its prompt$/);
+        expect(events.slice(-1)).to.deep.equal(['safe-mode:entered']);
+        expect(announcements).to.have.length(1);
+        expect(announcements[0]).to.include({ active: true });
+        expect(auditTrail.record.calledWith('safe_mode_change', sinon.match({ active: true }))).to.equal(true);
+
+        // No restarts while in safe mode
+        monitor.emit('agent:unresponsive', { agentId: 'flaky-strategy', silentMs: 30000 });
+        expect(strategy.initCalls).to.equal(1);
+
+        const refused = await executionAgent.executeTrade({ symbol: 'BTC-USD', action: 'BUY' });
+        expect(refused).to.include({ success: false, safeMode: true });
+        expect(refused.error).to.contain('Safe mode: new executions are halted');
+
+        agentMessenger.publish('market_data.BTC-USD', { symbol: 'BTC-USD', price: 50000 }, 'market-feed');
+        expect(ticks).to.deep.equal([{ symbol: 'BTC-USD', price: 50000 }]);
+
+        expect(supervisor.exitSafeMode('Prompt store repaired')).to.equal(true);
+        expect(supervisor.exitSafeMode()).to.equal(false);
+        expect(announcements[1]).to.include({ active: false, reason: 'Prompt store repaired' });
+        expect(executionAgent.safeMode).to.equal(null);
+
+        data.initFailures = 0;
+        expect(await supervisor.restart('flaky-data')).to.equal(true);
+        expect(supervisor.getStatus().restartsInWindow).to.equal(0);
+      } finally {
+        subscriptions.forEach(subscription => subscription.unsubscribe());
+      }
+    });
+  });
+
+  it('should reject unknown strategies', function() {
+    expect(() => supervisor.configure({ strategy: 'rest-for-one' })).to.throw('Unknown supervision strategy: rest-for-one');
+    expect(supervisor.getStatus().strategy).to.equal('one-for-one');
+  });
+});
@@ -9,32 +9,191 @@
 const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
 const { createComponentLogger } = require('./logger');
+const MessageJournal = require('./message-journal');
+const { MessageQueue, QueueFullError, PRIORITIES } = require('./message-queue');
+const messageSchemas = require('./message-schemas');
+const WebSocketTransport = require('./websocket-transport');
+const messageTrace = require('./message-trace');
+const { MiddlewarePipeline, MessageRejectedError } = require('./message-middleware');
 
 // Get component-specific logger
 const logger = createComponentLogger('AGENT-MESSENGER');
 
+// Default time to wait for a reply to request()
+const DEFAULT_RESPONSE_TIMEOUT = parseInt(process.env.DEFAULT_RESPONSE_TIMEOUT, 10) || 5000;
+
+// Default per-agent queue capacity
+const MAX_QUEUE_SIZE = parseInt(process.env.MAX_QUEUE_SIZE, 10) || 100;
+
+// Redelivery defaults for agents that acknowledge messages
+const DEFAULT_DELIVERY_OPTIONS = {
+  maxDeliveries: 3,
+  redeliveryDelayMs: 1000,
+  maxDeadLetters: 1000
+};
+
+// Queue priority for message types that should not wait behind bulk traffic
+const DEFAULT_TYPE_PRIORITIES = {
+  kill: 'critical',
+  risk_alert: 'critical',
+  system_control: 'critical',
+  error: 'high',
+  market_data: 'low'
+};
+
+/**
+ * Error raised when a request() receives no reply in time
+ */
+class RequestTimeoutError extends Error {
+  /**
+   * @param {object} request - Details of the timed-out request
+   * @param {string} request.correlationId - Correlation ID of the request
+   * @param {string} request.from - Requesting agent ID
+   * @param {string} request.to - Recipient agent ID
+   * @param {string} request.type - Request message type
+   * @param {number} request.timeoutMs - Timeout that elapsed
+   */
+  constructor({ correlationId, from, to, type, timeoutMs }) {
+    super(`Request ${type} from ${from} to ${to} timed out after ${timeoutMs}ms`);
+    this.name = 'RequestTimeoutError';
+    this.code = 'REQUEST_TIMEOUT';
+    this.correlationId = correlationId;
+    this.from = from;
+    this.to = to;
+    this.type = type;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Check whether a topic matches a subscription pattern.
+ * Topics are dot-separated; `*` matches exactly one segment and
+ * `**` matches zero or more segments.
+ * @param {string} pattern - Subscription pattern (e.g. 'market_data.*')
+ * @param {string} topic - Published topic (e.g. 'market_data.BTC-USD')
+ * @returns {boolean} Whether the topic matches
+ */
+function matchTopic(pattern, topic) {
+  const patternParts = pattern.split('.');
+  const topicParts = topic.split('.');
+  
+  const match = (p, t) => {
+    if (p === patternParts.length) {
+      return t === topicParts.length;
+    }
+    
+    if (patternParts[p] === '**') {
+      // Try consuming zero or more topic segments
+      for (let skip = t; skip <= topicParts.length; skip++) {
+        if (match(p + 1, skip)) {
+          return true;
+        }
+      }
+      return false;
+    }
+    
+    if (t === topicParts.length) {
+      return false;
+    }
+    
+    if (patternParts[p] === '*' || patternParts[p] === topicParts[t]) {
+      return match(p + 1, t + 1);
+    }
+    
+    return false;
+  };
+  
+  return match(0, 0);
+}
+
 class AgentMessenger extends EventEmitter {
-  constructor() {
+  /**
+   * Create an agent messenger
+   * @param {object} options - Messenger options
+   * @param {object} options.queueDefaults - Default queue options for newly registered agents
+   * @param {object} options.typePriorities - Message type to priority overrides
+   * @param {object} options.delivery - Redelivery options (maxDeliveries, redeliveryDelayMs, maxDeadLetters)
+   * @param {MessageSchemaRegistry} options.schemas - Schema registry (defaults to the shared registry)
+   */
+  constructor(options = {}) {
     super();
     this.activeAgents = new Set();
     this.agentTypes = new Map();
     this.messageQueues = new Map();
+    this.queueDefaults = {
+      maxSize: MAX_QUEUE_SIZE,
+      overflowPolicy: 'drop-oldest',
+      blockTimeoutMs: DEFAULT_RESPONSE_TIMEOUT,
+      ...options.queueDefaults
+    };
+    this.typePriorities = { ...DEFAULT_TYPE_PRIORITIES, ...options.typePriorities };
+    this.deliveryOptions = { ...DEFAULT_DELIVERY_OPTIONS, ...options.delivery };
+    this.ackRequired = new Set();
+    this.inFlight = new Map();
+    this.deadLetters = [];
+    this.schemas = options.schemas || messageSchemas;
     this.messageHistory = [];
+    this.subscriptions = new Map();
+    this.pendingRequests = new Map();
+    // Producers waiting for room in a 'block' queue, per agent, oldest first
+    this.capacityWaiters = new Map();
+    this.journal = null;
+    this.transport = null;
+    this.remoteAgents = new Map();
+    this.middleware = new MiddlewarePipeline();
+    
+    this.on('queue:capacity', ({ agentId }) => this._wakeCapacityWaiters(agentId));
     
     logger.info('Agent Messenger initialized');
   }
   
+  /**
+   * Initialize the messenger
+   * @param {object} options - Initialization options
+   * @param {object} options.journal - MessageJournal options; enables durable journaling
+   * @param {object} options.transport - WebSocketTransport options; connects to a message broker
+   * @returns {boolean} Success status
+   */
+  async initialize(options = {}) {
+    if (options.journal) {
+      this.attachJournal(new MessageJournal(options.journal));
+    }
+    
+    if (options.transport) {
+      await this.setTransport(new WebSocketTransport(options.transport));
+    }
+    
+    logger.info('Agent Messenger ready');
+    return true;
+  }
+  
   /**
    * Register an agent with the messenger
    * @param {string} agentId - Agent ID
    * @param {string} agentType - Agent type
+   * @param {object} queueOptions - Queue options overriding the messenger defaults
+   * @param {boolean} queueOptions.requireAck - Track deliveries until the agent acks or nacks them
    * @returns {boolean} Success status
    */
-  registerAgent(agentId, agentType) {
+  registerAgent(agentId, agentType, queueOptions = {}) {
     try {
       this.activeAgents.add(agentId);
       this.agentTypes.set(agentId, agentType);
-      this.messageQueues.set(agentId, []);
+      
+      if (queueOptions.requireAck) {
+        this.ackRequired.add(agentId);
+      }
+      
+      // Keep queued messages if the agent re-registers
+      if (this.messageQueues.has(agentId)) {
+        this.messageQueues.get(agentId).configure(queueOptions);
+      } else {
+        this.messageQueues.set(agentId, new MessageQueue(agentId, { ...this.queueDefaults, ...queueOptions }));
+      }
+      
+      if (this.transport) {
+        this.transport.send({ kind: 'register', agentId, agentType });
+      }
       
       logger.info(`Agent registered: ${agentId} (${agentType})`);
       this.emit('agent:registered', { agentId, agentType });
@@ -56,6 +215,27 @@ class AgentMessenger extends EventEmitter {
       this.activeAgents.delete(agentId);
       this.agentTypes.delete(agentId);
       this.messageQueues.delete(agentId);
+      this.ackRequired.delete(agentId);
+      
+      // Unacknowledged deliveries can no longer be handled
+      for (const [messageId, delivery] of this.inFlight) {
+        if (delivery.message.to === agentId) {
+          clearTimeout(delivery.timer);
+          this.inFlight.delete(messageId);
+          this._deadLetter(delivery.message, 'unregistered', null);
+        }
+      }
+      
+      // Drop any topic subscriptions owned by the agent
+      for (const [subscriptionId, subscription] of this.subscriptions) {
+        if (subscription.agentId === agentId) {
+          this.subscriptions.delete(subscriptionId);
+        }
+      }
+      
+      if (this.transport) {
+        this.transport.send({ kind: 'unregister', agentId });
+      }
       
       logger.info(`Agent unregistered: ${agentId}`);
       this.emit('agent:unregistered', { agentId });
@@ -73,19 +253,32 @@ class AgentMessenger extends EventEmitter {
    * @param {string} toAgentId - Recipient agent ID
    * @param {object} content - Message content
    * @param {string} type - Message type
+   * @param {object} options - Send options
+   * @param {string} options.correlationId - Correlation ID linking a request and its reply
+   * @param {string} options.priority - Queue priority; defaults from the message type
+   * @param {string} options.traceId - Trace the message belongs to; defaults to the handled message's trace
+   * @param {string} options.parentId - Message that caused this one; defaults to the handled message
    * @returns {string} Message ID
+   * @throws {MessageValidationError} If the content does not match the schema for its type
+   * @throws {MessageRejectedError} If middleware rejects the message synchronously
+   * @throws {QueueFullError} If the recipient's queue is full and does not drop messages.
+   *   sendMessage() cannot wait, so a full 'block' queue throws too; use
+   *   sendWithBackpressure() to wait for room instead.
    */
-  sendMessage(fromAgentId, toAgentId, content, type = 'data') {
+  sendMessage(fromAgentId, toAgentId, content, type = 'data', options = {}) {
     try {
       // Check if sender and recipient are registered
       if (!this.activeAgents.has(fromAgentId)) {
         logger.warn(`Attempt to send message from unregistered agent: ${fromAgentId}`);
       }
       
-      if (!this.activeAgents.has(toAgentId)) {
+      if (!this.activeAgents.has(toAgentId) && !this.remoteAgents.has(toAgentId)) {
         logger.warn(`Attempt to send message to unregistered agent: ${toAgentId}`);
       }
       
+      // Reject malformed payloads before they reach any queue
+      const schemaVersion = this.schemas.validate(type, content, 'send');
+      
       // Create message object
       const messageId = uuidv4();
       const timestamp = new Date();
@@ -96,25 +289,18 @@ class AgentMessenger extends EventEmitter {
         to: toAgentId,
         type,
         content,
+        priority: this.getPriority(type, options.priority),
+        schemaVersion,
+        ...this._traceFields(messageId, options),
         timestamp
       };
       
-      // Add to recipient's queue
-      if (this.messageQueues.has(toAgentId)) {
-        this.messageQueues.get(toAgentId).push(message);
-      } else {
-        // Create queue if it doesn't exist (for unregistered agents that might register later)
-        this.messageQueues.set(toAgentId, [message]);
+      if (options.correlationId) {
+        message.correlationId = options.correlationId;
       }
       
-      // Add to history
-      this.messageHistory.push(message);
+      this._applyMiddleware(message, 'send', processed => this._deliverMessage(processed));
       
-      // Emit events
-      this.emit('message:sent', message);
-      this.emit('message:received', message);
-      
-      logger.info(`Message sent: ${messageId} from ${fromAgentId} to ${toAgentId}`, { type });
       return messageId;
     } catch (error) {
       logger.error(`Error sending message from ${fromAgentId} to ${toAgentId}:`, { error });
@@ -122,26 +308,190 @@ class AgentMessenger extends EventEmitter {
     }
   }
   
+  /**
+   * Send a message, first waiting for room if the recipient's queue is full
+   * and uses the 'block' overflow policy. Other policies behave as for
+   * sendMessage().
+   * @param {string} fromAgentId - Sender agent ID
+   * @param {string} toAgentId - Recipient agent ID
+   * @param {object} content - Message content
+   * @param {string} type - Message type
+   * @param {object} options - Send options, as for sendMessage()
+   * @returns {Promise<string>} Message ID
+   * @throws {QueueFullError} If the queue has no room within its blockTimeoutMs
+   */
+  async sendWithBackpressure(fromAgentId, toAgentId, content, type = 'data', options = {}) {
+    const queue = this.messageQueues.get(toAgentId);
+    const deadline = Date.now() + (queue ? queue.blockTimeoutMs : 0);
+    
+    while (queue && queue.overflowPolicy === 'block' && !queue.hasCapacity()) {
+      const remainingMs = deadline - Date.now();
+      
+      if (remainingMs <= 0) {
+        queue.metrics.rejected++;
+        throw new QueueFullError(toAgentId, queue.maxSize, queue.overflowPolicy);
+      }
+      
+      // Another producer may take the slot before this one resumes; then wait again
+      await this.waitForCapacity(toAgentId, remainingMs);
+    }
+    
+    return this.sendMessage(fromAgentId, toAgentId, content, type, options);
+  }
+  
+  /**
+   * Route a message that passed the middleware pipeline and emit it
+   * @param {object} message - Message to deliver
+   * @private
+   */
+  _deliverMessage(message) {
+    const { id: messageId, from: fromAgentId, to: toAgentId, type } = message;
+    const remote = this.transport !== null && !this.activeAgents.has(toAgentId) &&
+                   this.remoteAgents.has(toAgentId);
+    
+    // Replies to a pending request() settle its promise instead of being queued
+    const resolvedRequest = this._resolvePendingRequest(message);
+    
+    // Add to recipient's queue
+    if (resolvedRequest) {
+      logger.debug(`Reply ${messageId} resolved request ${message.correlationId}`);
+    } else if (remote) {
+      // The recipient's own messenger queues, tracks and acks the message
+      this.transport.send({ kind: 'message', message });
+    } else if (this.messageQueues.has(toAgentId)) {
+      this._enqueue(toAgentId, message);
+      this._trackDelivery(message);
+    } else {
+      logger.warn(`Message ${messageId} not queued: no queue for unregistered agent ${toAgentId}`);
+      this._deadLetter(message, 'unroutable', null);
+    }
+    
+    // Add to history
+    this._recordMessage(message);
+    
+    // Emit events
+    this.emit('message:sent', message);
+    
+    if (!remote) {
+      this.emit('message:received', message);
+    }
+    
+    logger.info(`Message sent: ${messageId} from ${fromAgentId} to ${toAgentId}`, { type });
+  }
+  
+  /**
+   * Validate a message about to be handled against the schema for its type
+   * @param {object} message - Received message
+   * @returns {number|null} Schema version the content was validated against
+   * @throws {MessageValidationError} If the content is invalid
+   */
+  validateMessage(message) {
+    return this.schemas.validate(message.type, message.content, 'receive');
+  }
+  
+  /**
+   * Send a request and wait for the matching reply
+   * @param {string} fromAgentId - Requesting agent ID
+   * @param {string} toAgentId - Recipient agent ID
+   * @param {object} content - Request content
+   * @param {string} type - Request message type
+   * @param {object} options - Request options
+   * @param {number} options.timeoutMs - Time to wait for a reply
+   * @param {string} options.traceId - Trace the request belongs to
+   * @param {string} options.parentId - Message that caused the request
+   * @returns {Promise<object>} Reply message
+   * @throws {RequestTimeoutError} If no reply arrives within timeoutMs
+   */
+  request(fromAgentId, toAgentId, content, type = 'data', options = {}) {
+    const correlationId = uuidv4();
+    const timeoutMs = options.timeoutMs || DEFAULT_RESPONSE_TIMEOUT;
+    
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(correlationId);
+        logger.warn(`Request ${correlationId} timed out after ${timeoutMs}ms`, { type, to: toAgentId });
+        reject(new RequestTimeoutError({ correlationId, from: fromAgentId, to: toAgentId, type, timeoutMs }));
+      }, timeoutMs);
+      
+      // Register before sending so synchronous replies are not missed
+      this.pendingRequests.set(correlationId, {
+        from: fromAgentId,
+        to: toAgentId,
+        type,
+        resolve,
+        reject,
+        timer
+      });
+      
+      this.sendWithBackpressure(fromAgentId, toAgentId, content, type, {
+        correlationId,
+        traceId: options.traceId,
+        parentId: options.parentId
+      }).catch(error => {
+        clearTimeout(timer);
+        this.pendingRequests.delete(correlationId);
+        reject(error);
+      });
+    });
+  }
+  
+  /**
+   * Reply to a message, carrying over its correlation ID and trace
+   * @param {object} originalMessage - Message being replied to
+   * @param {object} content - Reply content
+   * @param {string} type - Reply message type
+   * @returns {string} Message ID
+   */
+  reply(originalMessage, content, type = 'data') {
+    return this.sendMessage(originalMessage.to, originalMessage.from, content, type, {
+      correlationId: originalMessage.correlationId || originalMessage.id,
+      ...messageTrace.traceFrom(originalMessage)
+    });
+  }
+  
+  /**
+   * Settle the pending request a reply belongs to, if any
+   * @param {object} message - Outgoing message
+   * @returns {boolean} Whether a pending request was resolved
+   * @private
+   */
+  _resolvePendingRequest(message) {
+    if (!message.correlationId) {
+      return false;
+    }
+    
+    const pending = this.pendingRequests.get(message.correlationId);
+    
+    // Only replies addressed back to the requester settle the request
+    if (!pending || pending.from !== message.to) {
+      return false;
+    }
+    
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(message.correlationId);
+    pending.resolve(message);
+    
+    return true;
+  }
+  
   /**
    * Get messages for an agent
    * @param {string} agentId - Agent ID
    * @param {boolean} clear - Whether to clear the queue
-   * @returns {Array} Messages
+   * @returns {Array} Messages, most urgent first
    */
   getMessages(agentId, clear = false) {
     try {
-      if (!this.messageQueues.has(agentId)) {
-        // Initialize an empty queue if it doesn't exist
-        this.messageQueues.set(agentId, []);
+      const queue = this.messageQueues.get(agentId);
+      
+      if (!queue) {
         return [];
       }
       
-      // Create a copy of the messages to return
-      const messages = [...this.messageQueues.get(agentId)];
+      const messages = clear ? queue.drain() : queue.peekAll();
       
       if (clear) {
-        // Clear the queue if requested
-        this.messageQueues.set(agentId, []);
+        this.emit('queue:capacity', { agentId });
       }
       
       logger.info(`Retrieved ${messages.length} messages for agent ${agentId}`, { clear });
@@ -152,6 +502,323 @@ class AgentMessenger extends EventEmitter {
     }
   }
   
+  /**
+   * Remove and return the most urgent queued message for an agent
+   * @param {string} agentId - Agent ID
+   * @returns {object|null} Message or null if the queue is empty
+   */
+  dequeue(agentId) {
+    const queue = this.messageQueues.get(agentId);
+    const message = queue ? queue.dequeue() : null;
+    
+    if (message) {
+      this.emit('queue:capacity', { agentId });
+    }
+    
+    return message;
+  }
+  
+  /**
+   * Change the queue limits or overflow policy of a registered agent
+   * @param {string} agentId - Agent ID
+   * @param {object} options - Queue options (maxSize, overflowPolicy, blockTimeoutMs)
+   * @returns {boolean} Whether the agent has a queue
+   */
+  configureQueue(agentId, options = {}) {
+    const queue = this.messageQueues.get(agentId);
+    
+    if (!queue) {
+      logger.warn(`Cannot configure queue for unregistered agent: ${agentId}`);
+      return false;
+    }
+    
+    queue.configure(options);
+    logger.info(`Queue configured for ${agentId}`, { maxSize: queue.maxSize, overflowPolicy: queue.overflowPolicy });
+    
+    return true;
+  }
+  
+  /**
+   * Wait until an agent's queue can accept a message. Resolves immediately
+   * unless the queue is full and uses the 'block' overflow policy, or other
+   * producers are already waiting. Waiters are woken oldest first, one per
+   * freed slot.
+   * @param {string} agentId - Recipient agent ID
+   * @param {number} timeoutMs - Maximum wait; defaults to the queue's blockTimeoutMs
+   * @returns {Promise<boolean>} Resolves true once there is capacity
+   * @throws {QueueFullError} If the queue is still full after the timeout
+   */
+  waitForCapacity(agentId, timeoutMs = null) {
+    const queue = this.messageQueues.get(agentId);
+    const waiters = this.capacityWaiters.get(agentId) || [];
+    
+    if (!queue || queue.overflowPolicy !== 'block' || (queue.hasCapacity() && waiters.length === 0)) {
+      return Promise.resolve(true);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, timer: null };
+      
+      waiter.timer = setTimeout(() => {
+        const remaining = (this.capacityWaiters.get(agentId) || []).filter(other => other !== waiter);
+        if (remaining.length > 0) {
+          this.capacityWaiters.set(agentId, remaining);
+        } else {
+          this.capacityWaiters.delete(agentId);
+        }
+        
+        queue.metrics.rejected++;
+        reject(new QueueFullError(agentId, queue.maxSize, queue.overflowPolicy));
+      }, timeoutMs === null ? queue.blockTimeoutMs : timeoutMs);
+      
+      waiters.push(waiter);
+      this.capacityWaiters.set(agentId, waiters);
+      
+      // Room may already be free, with earlier waiters ahead of this one
+      this._wakeCapacityWaiters(agentId);
+    });
+  }
+  
+  /**
+   * Wake producers waiting for an agent's queue, oldest first, one per free slot
+   * @param {string} agentId - Agent ID
+   * @private
+   */
+  _wakeCapacityWaiters(agentId) {
+    const queue = this.messageQueues.get(agentId);
+    const waiters = this.capacityWaiters.get(agentId);
+    
+    if (!waiters) {
+      return;
+    }
+    
+    let free = queue ? queue.maxSize - queue.size : waiters.length;
+    
+    while (free > 0 && waiters.length > 0) {
+      const waiter = waiters.shift();
+      clearTimeout(waiter.timer);
+      waiter.resolve(true);
+      free--;
+    }
+    
+    if (waiters.length === 0) {
+      this.capacityWaiters.delete(agentId);
+    }
+  }
+  
+  /**
+   * Get queue depth and drop counters
+   * @param {string} agentId - Agent ID (optional; all queues when omitted)
+   * @returns {object|null} Metrics for one queue, or keyed by agent ID
+   */
+  getQueueMetrics(agentId = null) {
+    if (agentId) {
+      const queue = this.messageQueues.get(agentId);
+      return queue ? queue.getMetrics() : null;
+    }
+    
+    const metrics = {};
+    for (const [id, queue] of this.messageQueues) {
+      metrics[id] = queue.getMetrics();
+    }
+    
+    return metrics;
+  }
+  
+  /**
+   * Resolve the queue priority of a message
+   * @param {string} type - Message type
+   * @param {string} explicitPriority - Priority requested by the sender
+   * @returns {string} Priority lane
+   */
+  getPriority(type, explicitPriority = null) {
+    if (explicitPriority) {
+      if (!PRIORITIES.includes(explicitPriority)) {
+        throw new Error(`Invalid message priority: ${explicitPriority}`);
+      }
+      return explicitPriority;
+    }
+    
+    return this.typePriorities[type] || 'normal';
+  }
+  
+  /**
+   * Set the default queue priority for a message type
+   * @param {string} type - Message type
+   * @param {string} priority - One of critical, high, normal, low
+   */
+  setTypePriority(type, priority) {
+    if (!PRIORITIES.includes(priority)) {
+      throw new Error(`Invalid message priority: ${priority}`);
+    }
+    
+    this.typePriorities[type] = priority;
+  }
+  
+  /**
+   * Add a message to an agent's queue, applying its overflow policy
+   * @param {string} agentId - Recipient agent ID
+   * @param {object} message - Message to queue
+   * @private
+   */
+  _enqueue(agentId, message) {
+    const queue = this.messageQueues.get(agentId);
+    const dropped = queue.enqueue(message);
+    
+    if (dropped) {
+      logger.warn(`Queue for ${agentId} full, dropped message ${dropped.id}`, { type: dropped.type });
+      this.emit('message:dropped', { agentId, message: dropped, reason: 'queue_full' });
+    }
+  }
+  
+  /**
+   * Add a middleware to the end of the send/publish pipeline. Middleware can
+   * inspect, transform, delay or reject messages before they are queued,
+   * recorded and emitted; see message-middleware.js for the contract.
+   * @param {Function} middleware - Middleware function (message, context)
+   * @param {object} options - Registration options (name, stages, types)
+   * @returns {object} Handle with id, name and remove()
+   */
+  use(middleware, options = {}) {
+    const entry = this.middleware.use(middleware, options);
+    
+    return {
+      ...entry,
+      remove: () => this.middleware.remove(entry.id)
+    };
+  }
+  
+  /**
+   * Remove a middleware from the pipeline
+   * @param {string} idOrName - Middleware ID or name
+   * @returns {boolean} Whether a middleware was removed
+   */
+  removeMiddleware(idOrName) {
+    return this.middleware.remove(idOrName);
+  }
+  
+  /**
+   * Run a message through the middleware pipeline, then deliver it. Delivery
+   * is synchronous unless a middleware returns a promise.
+   * @param {object} message - Message to process
+   * @param {string} stage - 'send' or 'publish'
+   * @param {Function} deliver - Called with the processed message
+   * @throws {MessageRejectedError} If middleware rejects the message synchronously
+   * @private
+   */
+  _applyMiddleware(message, stage, deliver) {
+    let result;
+    
+    try {
+      result = this.middleware.run(message, stage, { messenger: this });
+    } catch (error) {
+      this._rejectMessage(message, error);
+      throw error;
+    }
+    
+    if (result && typeof result.then === 'function') {
+      result
+        .then(processed => deliver(processed))
+        .catch(error => {
+          this._rejectMessage(message, error);
+          
+          // The sender has already returned, so fail its pending request instead
+          const pending = message.correlationId && this.pendingRequests.get(message.correlationId);
+          if (pending && pending.from === message.from) {
+            clearTimeout(pending.timer);
+            this.pendingRequests.delete(message.correlationId);
+            pending.reject(error);
+          }
+        });
+      return;
+    }
+    
+    deliver(result);
+  }
+  
+  /**
+   * Report a message stopped by middleware or failed after a delay
+   * @param {object} message - Rejected message
+   * @param {Error} error - Rejection or delivery error
+   * @private
+   */
+  _rejectMessage(message, error) {
+    logger.warn(`Message ${message.id} rejected: ${error.message}`, { type: message.type, from: message.from });
+    this.emit('message:rejected', { message, error });
+  }
+  
+  /**
+   * Resolve the trace fields of a new message. Explicit options win; otherwise
+   * the message inherits from the message currently being handled, or starts
+   * a new trace of its own.
+   * @param {string} messageId - ID of the new message
+   * @param {object} options - Send options with optional traceId and parentId
+   * @returns {object} { traceId, parentId }
+   * @private
+   */
+  _traceFields(messageId, options) {
+    const inherited = options.traceId ? {} : messageTrace.traceFrom();
+    
+    return {
+      traceId: options.traceId || inherited.traceId || messageId,
+      parentId: options.parentId || inherited.parentId || null
+    };
+  }
+  
+  /**
+   * Get all recorded messages of a trace
+   * @param {string} traceId - Trace ID
+   * @returns {Array} Messages in the order they were recorded
+   */
+  getTrace(traceId) {
+    return this.messageHistory.filter(message => message.traceId === traceId);
+  }
+  
+  /**
+   * Get the causal tree containing a message, e.g. the chain from market data
+   * through signals and risk evaluation to an execution
+   * @param {string} messageId - Any message of the trace, or the trace ID itself
+   * @param {object} options - Query options
+   * @param {Array} options.messages - Messages to search instead of the in-memory history (e.g. a journal read)
+   * @returns {object|null} Tree ({ traceId, messageCount, roots }), or null if the message is unknown
+   */
+  getCausalTree(messageId, options = {}) {
+    const messages = options.messages || this.messageHistory;
+    const message = messages.find(m => m.id === messageId || m.traceId === messageId);
+    
+    if (!message) {
+      logger.warn(`Cannot build causal tree: unknown message ${messageId}`);
+      return null;
+    }
+    
+    return messageTrace.buildCausalTree(messages, message.traceId);
+  }
+  
+  /**
+   * Export the causal tree containing a message
+   * @param {string} messageId - Any message of the trace, or the trace ID itself
+   * @param {string} format - 'json' or 'dot'
+   * @param {object} options - Query options, as for getCausalTree()
+   * @param {boolean} options.includeContent - Include message payloads in JSON exports
+   * @returns {string|null} Serialized tree, or null if the message is unknown
+   */
+  exportCausalTree(messageId, format = 'json', options = {}) {
+    const tree = this.getCausalTree(messageId, options);
+    
+    if (!tree) {
+      return null;
+    }
+    
+    switch (format) {
+      case 'json':
+        return messageTrace.toJSON(tree, options.includeContent !== false);
+      case 'dot':
+        return messageTrace.toDot(tree);
+      default:
+        throw new Error(`Unsupported trace export format: ${format}`);
+    }
+  }
+  
   /**
    * Get message history between agents
    * @param {string} fromAgentId - Sender agent ID
@@ -184,7 +851,7 @@ class AgentMessenger extends EventEmitter {
     try {
       const messageIds = [];
       
-      for (const agentId of this.activeAgents) {
+      for (const agentId of [...this.activeAgents, ...this.remoteAgents.keys()]) {
         if (agentId !== fromAgentId) {
           const messageId = this.sendMessage(fromAgentId, agentId, content, type);
           messageIds.push(messageId);
@@ -199,13 +866,584 @@ class AgentMessenger extends EventEmitter {
     }
   }
   
+  /**
+   * Subscribe to a topic or topic pattern
+   * @param {string} pattern - Topic name or wildcard pattern (e.g. 'market_data.*')
+   * @param {Function} handler - Called with (content, message) for each matching publish
+   * @param {object} options - Subscription options
+   * @param {string} options.agentId - Owning agent; its subscriptions are dropped when it unregisters
+   * @returns {object} Subscription handle with id, pattern and unsubscribe()
+   */
+  subscribe(pattern, handler, options = {}) {
+    if (!pattern || typeof pattern !== 'string') {
+      throw new Error('Subscription pattern must be a non-empty string');
+    }
+    
+    if (typeof handler !== 'function') {
+      throw new Error('Subscription handler must be a function');
+    }
+    
+    const subscriptionId = uuidv4();
+    
+    this.subscriptions.set(subscriptionId, {
+      id: subscriptionId,
+      pattern,
+      handler,
+      agentId: options.agentId || null
+    });
+    
+    logger.info(`Subscribed to ${pattern}`, { subscriptionId, agentId: options.agentId });
+    this.emit('topic:subscribed', { subscriptionId, pattern, agentId: options.agentId });
+    
+    return {
+      id: subscriptionId,
+      pattern,
+      unsubscribe: () => this.unsubscribe(subscriptionId)
+    };
+  }
+  
+  /**
+   * Remove a topic subscription
+   * @param {string} subscriptionId - Subscription ID returned by subscribe()
+   * @returns {boolean} Whether a subscription was removed
+   */
+  unsubscribe(subscriptionId) {
+    const subscription = this.subscriptions.get(subscriptionId);
+    
+    if (!subscription) {
+      return false;
+    }
+    
+    this.subscriptions.delete(subscriptionId);
+    
+    logger.info(`Unsubscribed from ${subscription.pattern}`, { subscriptionId });
+    this.emit('topic:unsubscribed', { subscriptionId, pattern: subscription.pattern });
+    
+    return true;
+  }
+  
+  /**
+   * Publish a message to a topic
+   * @param {string} topic - Topic name (dot-separated, no wildcards)
+   * @param {object} content - Message content
+   * @param {string} fromAgentId - Publishing agent ID
+   * @param {object} options - Publish options
+   * @param {string} options.traceId - Trace the message belongs to; defaults to the handled message's trace
+   * @param {string} options.parentId - Message that caused this one; defaults to the handled message
+   * @returns {string} Message ID
+   * @throws {MessageValidationError} If the content does not match the schema registered for the topic
+   * @throws {MessageRejectedError} If middleware rejects the message synchronously
+   */
+  publish(topic, content, fromAgentId = 'system', options = {}) {
+    if (!topic || typeof topic !== 'string' || topic.includes('*')) {
+      throw new Error(`Invalid publish topic: ${topic}`);
+    }
+    
+    // The topic is the publication's message type
+    const schemaVersion = this.schemas.validate(topic, content, 'send');
+    
+    const messageId = uuidv4();
+    const message = {
+      id: messageId,
+      from: fromAgentId,
+      topic,
+      type: topic,
+      content,
+      schemaVersion,
+      ...this._traceFields(messageId, options),
+      timestamp: new Date()
+    };
+    
+    this._applyMiddleware(message, 'publish', processed => this._deliverPublished(processed));
+    
+    return messageId;
+  }
+  
+  /**
+   * Record a publication that passed the middleware pipeline and fan it out
+   * @param {object} message - Published message
+   * @private
+   */
+  _deliverPublished(message) {
+    this._recordMessage(message);
+    this.emit('message:published', message);
+    
+    // Subscribers in other processes are reached through the broker
+    if (this.transport) {
+      this.transport.send({ kind: 'publish', message });
+    }
+    
+    const delivered = this._deliverToSubscribers(message);
+    
+    logger.info(`Message published: ${message.id} to ${message.topic} (${delivered} subscribers)`, { from: message.from });
+  }
+  
+  /**
+   * Call every local subscription matching a published message's topic
+   * @param {object} message - Published message
+   * @returns {number} Number of subscriptions called
+   * @private
+   */
+  _deliverToSubscribers(message) {
+    const { topic, content } = message;
+    let delivered = 0;
+    
+    // Snapshot subscriptions so handlers can unsubscribe while being called
+    for (const subscription of [...this.subscriptions.values()]) {
+      if (!matchTopic(subscription.pattern, topic)) {
+        continue;
+      }
+      
+      delivered++;
+      
+      try {
+        // Messages sent by the handler are caused by this publication
+        const result = messageTrace.runWithMessage(message, () => subscription.handler(content, message));
+        
+        // Surface async handler failures instead of leaving unhandled rejections
+        if (result && typeof result.catch === 'function') {
+          result.catch(error => {
+            logger.error(`Error in subscriber for ${subscription.pattern}:`, { error, topic });
+          });
+        }
+      } catch (error) {
+        logger.error(`Error in subscriber for ${subscription.pattern}:`, { error, topic });
+      }
+    }
+    
+    return delivered;
+  }
+  
+  /**
+   * Get subscriptions, optionally limited to those matching a topic
+   * @param {string} topic - Topic to match (optional)
+   * @returns {Array} Subscription summaries
+   */
+  getSubscriptions(topic = null) {
+    return [...this.subscriptions.values()]
+      .filter(subscription => !topic || matchTopic(subscription.pattern, topic))
+      .map(({ id, pattern, agentId }) => ({ id, pattern, agentId }));
+  }
+  
+  /**
+   * Acknowledge successful handling of a delivered message
+   * @param {string} messageId - Message ID
+   * @returns {boolean} Whether an outstanding delivery was acknowledged
+   */
+  ack(messageId) {
+    const delivery = this.inFlight.get(messageId);
+    
+    if (!delivery || delivery.settled) {
+      return false;
+    }
+    
+    this.inFlight.delete(messageId);
+    this.emit('message:acked', delivery.message);
+    
+    return true;
+  }
+  
+  /**
+   * Report failed handling of a delivered message. The message is redelivered
+   * until maxDeliveries is reached, then moved to the dead-letter queue.
+   * @param {string} messageId - Message ID
+   * @param {Error} error - Handling error
+   * @param {object} options - Nack options
+   * @param {boolean} options.requeue - Set false to dead-letter without redelivery
+   * @returns {boolean} Whether an outstanding delivery was nacked
+   */
+  nack(messageId, error = null, options = {}) {
+    const delivery = this.inFlight.get(messageId);
+    
+    if (!delivery || delivery.settled) {
+      return false;
+    }
+    
+    const { message } = delivery;
+    delivery.settled = true;
+    delivery.lastError = error;
+    
+    this.emit('message:nacked', { message, error });
+    
+    if (options.requeue === false || message.deliveryAttempt >= this.deliveryOptions.maxDeliveries) {
+      this.inFlight.delete(messageId);
+      this._deadLetter(message, options.requeue === false ? 'rejected' : 'max_deliveries_exceeded', error);
+      return true;
+    }
+    
+    logger.warn(`Message ${messageId} nacked (attempt ${message.deliveryAttempt}), scheduling redelivery`, {
+      error: error && error.message
+    });
+    
+    delivery.timer = setTimeout(() => this._redeliver(messageId), this.deliveryOptions.redeliveryDelayMs);
+    
+    return true;
+  }
+  
+  /**
+   * Get dead-lettered messages
+   * @param {object} filter - Optional filter
+   * @param {string} filter.agentId - Intended recipient
+   * @param {string} filter.type - Message type
+   * @param {string} filter.reason - Dead-letter reason
+   * @returns {Array} Dead-letter entries, oldest first
+   */
+  getDeadLetters(filter = {}) {
+    return this.deadLetters.filter(entry =>
+      (!filter.agentId || entry.message.to === filter.agentId) &&
+      (!filter.type || entry.message.type === filter.type) &&
+      (!filter.reason || entry.reason === filter.reason)
+    );
+  }
+  
+  /**
+   * Send dead-lettered messages again with a fresh delivery count
+   * @param {object} filter - Filter, as for getDeadLetters(); messageId selects one entry
+   * @returns {Array} Message IDs that were replayed
+   */
+  replayDeadLetters(filter = {}) {
+    const entries = this.getDeadLetters(filter)
+      .filter(entry => !filter.messageId || entry.message.id === filter.messageId);
+    const replayed = [];
+    
+    for (const entry of entries) {
+      this.deadLetters.splice(this.deadLetters.indexOf(entry), 1);
+      
+      const { message } = entry;
+      
+      if (!this.messageQueues.has(message.to)) {
+        // Still nowhere to deliver it
+        this._deadLetter(message, 'unroutable', null);
+        continue;
+      }
+      
+      try {
+        this._enqueue(message.to, message);
+      } catch (error) {
+        // Keep it for a later replay rather than losing it
+        this._deadLetter(message, 'queue_full', error);
+        continue;
+      }
+      
+      message.deliveryAttempt = 0;
+      this._trackDelivery(message);
+      this.emit('message:received', message);
+      replayed.push(message.id);
+    }
+    
+    logger.info(`Replayed ${replayed.length} dead-lettered messages`);
+    return replayed;
+  }
+  
+  /**
+   * Remove dead-lettered messages
+   * @param {object} filter - Filter, as for getDeadLetters()
+   * @returns {number} Number of entries removed
+   */
+  purgeDeadLetters(filter = {}) {
+    const purge = new Set(this.getDeadLetters(filter));
+    const before = this.deadLetters.length;
+    
+    this.deadLetters = this.deadLetters.filter(entry => !purge.has(entry));
+    
+    return before - this.deadLetters.length;
+  }
+  
+  /**
+   * Start tracking a delivery to an agent that acknowledges messages
+   * @param {object} message - Delivered message
+   * @private
+   */
+  _trackDelivery(message) {
+    if (!this.ackRequired.has(message.to)) {
+      return;
+    }
+    
+    message.deliveryAttempt = (message.deliveryAttempt || 0) + 1;
+    this.inFlight.set(message.id, { message, settled: false, timer: null, lastError: null });
+  }
+  
+  /**
+   * Deliver a nacked message again
+   * @param {string} messageId - Message ID
+   * @private
+   */
+  _redeliver(messageId) {
+    const delivery = this.inFlight.get(messageId);
+    
+    if (!delivery) {
+      return;
+    }
+    
+    const { message } = delivery;
+    
+    if (!this.activeAgents.has(message.to)) {
+      this.inFlight.delete(messageId);
+      this._deadLetter(message, 'unregistered', delivery.lastError);
+      return;
+    }
+    
+    // Agents take their messages from the queue, so a redelivery goes back into it
+    if (!this.messageQueues.get(message.to).has(messageId)) {
+      try {
+        this._enqueue(message.to, message);
+      } catch (error) {
+        this.inFlight.delete(messageId);
+        this._deadLetter(message, 'queue_full', error);
+        return;
+      }
+    }
+    
+    message.deliveryAttempt++;
+    delivery.settled = false;
+    delivery.timer = null;
+    
+    logger.info(`Redelivering message ${messageId} (attempt ${message.deliveryAttempt})`);
+    this.emit('message:redelivered', message);
+    this.emit('message:received', message);
+  }
+  
+  /**
+   * Move a message to the dead-letter queue
+   * @param {object} message - Undeliverable message
+   * @param {string} reason - Why it could not be delivered
+   * @param {Error} error - Last handling error, if any
+   * @private
+   */
+  _deadLetter(message, reason, error) {
+    const entry = {
+      message,
+      reason,
+      error: error ? error.message : null,
+      attempts: message.deliveryAttempt || 0,
+      deadLetteredAt: new Date()
+    };
+    
+    this.deadLetters.push(entry);
+    
+    // Keep the dead-letter queue bounded
+    if (this.deadLetters.length > this.deliveryOptions.maxDeadLetters) {
+      this.deadLetters.shift();
+    }
+    
+    logger.warn(`Message ${message.id} dead-lettered: ${reason}`, { type: message.type, to: message.to });
+    this.emit('message:dead-lettered', entry);
+  }
+  
+  /**
+   * Attach a durable journal that records every sent and published message
+   * @param {MessageJournal} journal - Journal instance
+   */
+  attachJournal(journal) {
+    this.journal = journal;
+    logger.info('Message journal attached');
+  }
+  
+  /**
+   * Stop recording messages to the journal
+   */
+  detachJournal() {
+    this.journal = null;
+    logger.info('Message journal detached');
+  }
+  
+  /**
+   * Load previously recorded messages into the history. With deliver set the
+   * messages are also handed to agents again, keeping their IDs, correlation
+   * and trace fields: direct messages are queued for registered recipients
+   * (and dead-lettered otherwise) and publications reach current subscribers.
+   * Replayed messages are not journaled again.
+   * @param {Array} messages - Messages in recorded order
+   * @param {object} options - Replay options
+   * @param {boolean} options.deliver - Re-drive agents with the messages
+   * @returns {number} Number of messages replayed
+   */
+  replayMessages(messages, options = {}) {
+    for (const message of messages) {
+      this.messageHistory.push(message);
+      this.emit('message:replayed', message);
+      
+      if (options.deliver) {
+        this._redriveMessage(message);
+      }
+    }
+    
+    return messages.length;
+  }
+  
+  /**
+   * Deliver a replayed message as if it had just been sent or published
+   * @param {object} message - Replayed message
+   * @private
+   */
+  _redriveMessage(message) {
+    if (message.topic) {
+      this.emit('message:published', message);
+      this._deliverToSubscribers(message);
+      return;
+    }
+    
+    if (!this.messageQueues.has(message.to)) {
+      this._deadLetter(message, 'unroutable', null);
+      return;
+    }
+    
+    try {
+      this._enqueue(message.to, message);
+    } catch (error) {
+      this._deadLetter(message, 'queue_full', error);
+      return;
+    }
+    
+    message.deliveryAttempt = 0;
+    this._trackDelivery(message);
+    this.emit('message:received', message);
+  }
+  
+  /**
+   * Add a message to the history and the journal, if one is attached
+   * @param {object} message - Message to record
+   * @private
+   */
+  _recordMessage(message) {
+    this.messageHistory.push(message);
+    
+    if (this.journal) {
+      this.journal.append(message);
+    }
+  }
+  
+  /**
+   * Connect to a message broker so agents in other processes can be reached
+   * @param {WebSocketTransport} transport - Transport to the broker
+   * @returns {Promise<boolean>} Resolves once connected
+   */
+  async setTransport(transport) {
+    if (this.transport) {
+      await this.closeTransport();
+    }
+    
+    this.transport = transport;
+    transport.attach(this);
+    
+    await transport.connect();
+    
+    logger.info(`Message transport connected as ${transport.nodeId}`);
+    return true;
+  }
+  
+  /**
+   * Disconnect from the message broker and forget remote agents
+   * @returns {Promise<boolean>} Resolves once disconnected
+   */
+  async closeTransport() {
+    if (!this.transport) {
+      return true;
+    }
+    
+    const transport = this.transport;
+    this.transport = null;
+    await transport.close();
+    this.clearRemoteAgents();
+    
+    logger.info('Message transport closed');
+    return true;
+  }
+  
+  /**
+   * Record an agent hosted by another process
+   * @param {string} agentId - Agent ID
+   * @param {string} agentType - Agent type
+   * @param {string} nodeId - Process hosting the agent
+   */
+  addRemoteAgent(agentId, agentType, nodeId) {
+    this.remoteAgents.set(agentId, { agentType, nodeId });
+    
+    logger.info(`Remote agent registered: ${agentId} (${agentType}) on ${nodeId}`);
+    this.emit('agent:registered', { agentId, agentType, nodeId, remote: true });
+  }
+  
+  /**
+   * Forget an agent hosted by another process
+   * @param {string} agentId - Agent ID
+   */
+  removeRemoteAgent(agentId) {
+    if (this.remoteAgents.delete(agentId)) {
+      logger.info(`Remote agent unregistered: ${agentId}`);
+      this.emit('agent:unregistered', { agentId, remote: true });
+    }
+  }
+  
+  /**
+   * Forget all remote agents, e.g. after losing the broker connection
+   */
+  clearRemoteAgents() {
+    for (const agentId of [...this.remoteAgents.keys()]) {
+      this.removeRemoteAgent(agentId);
+    }
+  }
+  
+  /**
+   * Deliver a message that arrived from another process
+   * @param {object} message - Message received from the broker
+   */
+  receiveRemoteMessage(message) {
+    message.timestamp = new Date(message.timestamp);
+    
+    this._recordMessage(message);
+    
+    if (this._resolvePendingRequest(message)) {
+      logger.debug(`Remote reply ${message.id} resolved request ${message.correlationId}`);
+      return;
+    }
+    
+    if (!this.messageQueues.has(message.to)) {
+      this._deadLetter(message, 'unroutable', null);
+      return;
+    }
+    
+    try {
+      this._enqueue(message.to, message);
+    } catch (error) {
+      // The sender is in another process, so overflow cannot be thrown back to it
+      this._deadLetter(message, 'queue_full', error);
+      return;
+    }
+    
+    this._trackDelivery(message);
+    this.emit('message:received', message);
+  }
+  
+  /**
+   * Dead-letter a message the broker could not route
+   * @param {object} message - Message that was sent to the broker
+   * @param {string} reason - Reason reported by the broker
+   */
+  receiveUndeliverable(message, reason) {
+    message.timestamp = new Date(message.timestamp);
+    this._deadLetter(message, reason || 'unroutable', null);
+  }
+  
+  /**
+   * Deliver a topic publication from another process to local subscribers
+   * @param {object} message - Published message
+   */
+  receiveRemotePublish(message) {
+    message.timestamp = new Date(message.timestamp);
+    
+    this._recordMessage(message);
+    this.emit('message:published', message);
+    this._deliverToSubscribers(message);
+  }
+  
   /**
    * Clear all message queues
    */
   clearAllQueues() {
     try {
-      for (const agentId of this.messageQueues.keys()) {
-        this.messageQueues.set(agentId, []);
+      for (const [agentId, queue] of this.messageQueues) {
+        queue.clear();
+        this.emit('queue:capacity', { agentId });
       }
       
       logger.info('All message queues cleared');
@@ -215,4 +1453,11 @@ class AgentMessenger extends EventEmitter {
   }
 }
 
-module.exports = new AgentMessenger(); 
\ No newline at end of file
+module.exports = new AgentMessenger();
+module.exports.AgentMessenger = AgentMessenger;
+module.exports.RequestTimeoutError = RequestTimeoutError;
+module.exports.QueueFullError = QueueFullError;
+module.exports.MessageValidationError = messageSchemas.MessageValidationError;
+module.exports.MessageRejectedError = MessageRejectedError;
+module.exports.WebSocketTransport = WebSocketTransport;
+module.exports.matchTopic = matchTopic;
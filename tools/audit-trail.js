@@ -0,0 +1,265 @@
+/**
+ * Audit Trail
+ *
+ * Tamper-evident record of trading decisions: every signal, risk
+ * evaluation, parameter change and execution. Records are JSON lines,
+ * kept apart from the winston debug logs, and each one carries the hash
+ * of the record before it, so editing, removing or reordering any record
+ * breaks the chain from that point on. Hashes are SHA-256, or HMAC-SHA256
+ * when a key is configured (AUDIT_TRAIL_KEY) so that a rewritten trail
+ * cannot simply be re-hashed. Truncating the newest records leaves a valid
+ * chain; compare the head hash against one noted earlier to detect that.
+ *
+ * Run directly to verify a trail:
+ *   node tools/audit-trail.js verify [--file logs/audit/audit-trail.jsonl] [--json]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createComponentLogger } = require('./logger');
+const { getLogContext } = require('./message-trace');
+
+// Get component-specific logger
+const logger = createComponentLogger('AUDIT-TRAIL');
+
+const DEFAULT_AUDIT_FILE = path.join(__dirname, '../logs/audit/audit-trail.jsonl');
+
+// previousHash of the first record
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * JSON with object keys in sorted order, so a record always hashes the same
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+class AuditTrail {
+  /**
+   * Create an audit trail
+   * @param {object} options - Trail options
+   * @param {string} options.file - JSON lines file holding the trail
+   * @param {string} options.key - Secret for HMAC-SHA256 hashes (plain SHA-256 without one)
+   */
+  constructor(options = {}) {
+    this.file = options.file || process.env.AUDIT_TRAIL_FILE || DEFAULT_AUDIT_FILE;
+    this.key = options.key !== undefined ? options.key : process.env.AUDIT_TRAIL_KEY;
+
+    // Chain head, read from the file on first use
+    this.opened = false;
+    this.sequence = 0;
+    this.lastHash = GENESIS_HASH;
+  }
+
+  /**
+   * Hash of a record, covering every field but the hash itself
+   * @param {object} record - Audit record
+   * @returns {string} Hex digest
+   */
+  hash(record) {
+    const { hash, ...fields } = record;
+    const digest = this.key
+      ? crypto.createHmac('sha256', this.key)
+      : crypto.createHash('sha256');
+
+    return digest.update(canonicalJSON(fields)).digest('hex');
+  }
+
+  /**
+   * Append a record to the trail
+   * @param {string} type - Record type, e.g. 'signal', 'risk_evaluation', 'execution'
+   * @param {*} data - What was decided or done
+   * @param {object} options - Record options
+   * @param {string} options.actor - Agent that made the decision
+   * @returns {object|null} The record written, or null if it could not be written
+   */
+  record(type, data, options = {}) {
+    try {
+      this._open();
+
+      const record = {
+        sequence: this.sequence + 1,
+        timestamp: new Date().toISOString(),
+        type,
+        actor: options.actor || null,
+        context: getLogContext(),
+        // Hash exactly what is written: drop undefined fields, serialize Dates
+        data: data === undefined ? null : JSON.parse(JSON.stringify(data)),
+        previousHash: this.lastHash
+      };
+      record.hash = this.hash(record);
+
+      fs.appendFileSync(this.file, JSON.stringify(record) + '\n');
+
+      this.sequence = record.sequence;
+      this.lastHash = record.hash;
+
+      return record;
+    } catch (error) {
+      logger.error(`Error recording ${type} in audit trail:`, { error });
+      return null;
+    }
+  }
+
+  /**
+   * Read records in the order they were written, skipping unreadable lines
+   * @param {object} filter - Record filter
+   * @param {string|Array<string>} filter.type - Record types to include
+   * @param {Date|string|number} filter.from - Earliest timestamp (inclusive)
+   * @param {Date|string|number} filter.to - Latest timestamp (inclusive)
+   * @returns {Array<object>} Records
+   */
+  read(filter = {}) {
+    const types = filter.type ? [].concat(filter.type) : null;
+    const from = filter.from !== undefined ? new Date(filter.from).getTime() : -Infinity;
+    const to = filter.to !== undefined ? new Date(filter.to).getTime() : Infinity;
+
+    return this._readLines()
+      .map(({ record }) => record)
+      .filter(record => {
+        if (!record) {
+          return false;
+        }
+        const time = new Date(record.timestamp).getTime();
+        return (!types || types.includes(record.type)) && time >= from && time <= to;
+      });
+  }
+
+  /**
+   * Check every record's hash and its link to the record before it.
+   * Verification carries on past a break so that all of them are reported.
+   * @returns {object} { valid, records, head, breaks: [{ line, sequence, reason }] }
+   */
+  verify() {
+    const breaks = [];
+    let expectedSequence = 1;
+    let previousHash = GENESIS_HASH;
+    let records = 0;
+
+    for (const { line, record } of this._readLines()) {
+      if (!record) {
+        breaks.push({ line, sequence: null, reason: 'unreadable' });
+        continue;
+      }
+
+      records++;
+
+      if (record.hash !== this.hash(record)) {
+        breaks.push({ line, sequence: record.sequence, reason: 'hash-mismatch' });
+      } else if (record.sequence !== expectedSequence) {
+        breaks.push({ line, sequence: record.sequence, reason: 'sequence-gap', expected: expectedSequence });
+      } else if (record.previousHash !== previousHash) {
+        breaks.push({ line, sequence: record.sequence, reason: 'broken-link' });
+      }
+
+      expectedSequence = record.sequence + 1;
+      previousHash = record.hash;
+    }
+
+    return {
+      valid: breaks.length === 0,
+      records,
+      head: records > 0 ? previousHash : null,
+      breaks
+    };
+  }
+
+  /**
+   * Pick up the chain head from an existing trail
+   * @private
+   */
+  _open() {
+    if (this.opened) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    const lines = this._readLines();
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (lines[i].record) {
+        this.sequence = lines[i].record.sequence;
+        this.lastHash = lines[i].record.hash;
+        break;
+      }
+    }
+
+    this.opened = true;
+    logger.info(`Audit trail opened at ${this.file} (sequence ${this.sequence})`);
+  }
+
+  /**
+   * Parse the trail file
+   * @private
+   * @returns {Array<object>} { line, record } per non-empty line; record is null if unreadable
+   */
+  _readLines() {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+
+    return fs.readFileSync(this.file, 'utf8')
+      .split('\n')
+      .map((text, index) => ({ text, line: index + 1 }))
+      .filter(({ text }) => text.trim())
+      .map(({ text, line }) => {
+        try {
+          const record = JSON.parse(text);
+          return { line, record: record && typeof record === 'object' ? record : null };
+        } catch (error) {
+          logger.warn(`Unreadable audit trail line ${line} in ${this.file}`);
+          return { line, record: null };
+        }
+      });
+  }
+}
+
+/**
+ * Command-line entry point
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code: 0 for an intact trail, 1 otherwise
+ */
+async function main(argv) {
+  const [command, ...args] = argv;
+  const fileIndex = args.indexOf('--file');
+  const file = fileIndex >= 0 ? args[fileIndex + 1] : undefined;
+
+  if (command !== 'verify') {
+    console.error('Usage: audit-trail verify [--file path] [--json]');
+    return 1;
+  }
+
+  const trail = new AuditTrail({ file });
+  const result = trail.verify();
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ file: trail.file, ...result }, null, 2));
+  } else if (result.valid) {
+    console.log(`Audit trail intact: ${result.records} records in ${trail.file}, head ${result.head || '-'}`);
+  } else {
+    console.log(`Audit trail BROKEN: ${result.breaks.length} breaks in ${result.records} records in ${trail.file}`);
+    for (const item of result.breaks) {
+      console.log(`  line ${item.line}${item.sequence !== null ? ` (sequence ${item.sequence})` : ''}: ${item.reason}`);
+    }
+  }
+
+  return result.valid ? 0 : 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = new AuditTrail();
+module.exports.AuditTrail = AuditTrail;
+module.exports.GENESIS_HASH = GENESIS_HASH;
+module.exports.main = main;
@@ -0,0 +1,349 @@
+/**
+ * Knowledge Access
+ *
+ * Category access control behind the Knowledge Base. A policy names the
+ * agent type owning each category and the levels other agent types have:
+ *   { defaultLevel: 'read',
+ *     owners: { risk: 'risk', 'signals*': 'strategy' },
+ *     rules: { data: { prompts: 'write' } } }
+ *
+ * Levels are ordered none < read < write < admin. Reading needs read,
+ * storing needs write and removing keys needs admin. An agent type's own
+ * rule for a category wins; otherwise owners get admin and everyone else
+ * the default level. Operators can raise an agent's level with grants that
+ * expire on their own.
+ *
+ * Requests are attributed by the `agent` ({ id, type }) that BaseAgent
+ * attaches to knowledge metadata. Requests without one come from the system
+ * itself (startup, snapshots, operator tools) and are not restricted.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { globToRegExp } = require('./knowledge-query');
+
+const ACCESS_LEVELS = ['none', 'read', 'write', 'admin'];
+
+// Level each knowledge operation needs
+const REQUIRED_LEVELS = {
+  read: 'read',
+  write: 'write',
+  remove: 'admin',
+  // Snapshot imports overwrite whole categories
+  import: 'admin'
+};
+
+class KnowledgeAccessError extends Error {
+  /**
+   * Create an error for a request the policy does not allow
+   * @param {object} agent - Requesting agent ({ id, type })
+   * @param {string} operation - 'read', 'write', 'remove' or 'import'
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {string} required - Level the operation needs
+   * @param {string} level - Level the agent has
+   */
+  constructor(agent, operation, category, key, required, level) {
+    super(`Agent ${agent.id} (${agent.type}) has ${level} access to ${category}, ${operation} of ${category}/${key} needs ${required}`);
+    this.name = 'KnowledgeAccessError';
+    this.code = 'ACCESS_DENIED';
+    this.agent = agent;
+    this.operation = operation;
+    this.category = category;
+    this.key = key;
+    this.required = required;
+    this.level = level;
+  }
+}
+
+/**
+ * Rank of an access level
+ * @param {string} level - Access level
+ * @returns {number} Rank (higher allows more)
+ * @throws {Error} If the level is unknown
+ */
+function rank(level) {
+  const index = ACCESS_LEVELS.indexOf(level);
+
+  if (index < 0) {
+    throw new Error(`Unknown access level: ${level}`);
+  }
+
+  return index;
+}
+
+/**
+ * Compile category patterns, exact names ahead of globs
+ * @param {object} levels - Category pattern -> value
+ * @returns {Array<object>} Entries of { pattern, matcher, value }
+ */
+function compilePatterns(levels) {
+  const entries = Object.entries(levels || {}).map(([pattern, value]) => ({
+    pattern,
+    matcher: globToRegExp(pattern),
+    value,
+    exact: !/[*?]/.test(pattern)
+  }));
+
+  return [...entries.filter(entry => entry.exact), ...entries.filter(entry => !entry.exact)];
+}
+
+class AccessControl {
+  /**
+   * Create access control with no policy (everything allowed)
+   * @param {object} options - Options
+   * @param {number} options.auditLimit - Audit records kept, oldest dropped first
+   */
+  constructor(options = {}) {
+    this.policy = null;
+    this.owners = [];
+    this.rules = {};
+    this.grants = new Map();
+    this.audit = [];
+    this.auditLimit = options.auditLimit || 1000;
+  }
+
+  /**
+   * Whether a policy is being enforced
+   * @returns {boolean} Enforcement state
+   */
+  get enabled() {
+    return this.policy !== null;
+  }
+
+  /**
+   * Replace the policy
+   * @param {object|null} policy - Policy (see module comment), or null to allow everything
+   * @param {string} policy.defaultLevel - Level for categories an agent type neither owns nor has a rule for
+   * @param {object} policy.owners - Category pattern -> owning agent type
+   * @param {object} policy.rules - Agent type -> category pattern -> level
+   * @throws {Error} If a level is unknown
+   */
+  setPolicy(policy) {
+    if (!policy) {
+      this.policy = null;
+      this.owners = [];
+      this.rules = {};
+      return;
+    }
+
+    const normalized = {
+      defaultLevel: policy.defaultLevel || 'read',
+      owners: { ...policy.owners },
+      rules: {}
+    };
+
+    rank(normalized.defaultLevel);
+
+    for (const [agentType, levels] of Object.entries(policy.rules || {})) {
+      Object.values(levels).forEach(rank);
+      normalized.rules[agentType] = { ...levels };
+    }
+
+    this.policy = normalized;
+    this.owners = compilePatterns(normalized.owners);
+    this.rules = {};
+
+    for (const [agentType, levels] of Object.entries(normalized.rules)) {
+      this.rules[agentType] = compilePatterns(levels);
+    }
+  }
+
+  /**
+   * Level an agent has on a category, including active grants
+   * @param {object} agent - Agent ({ id, type })
+   * @param {string} category - Knowledge category
+   * @returns {string} Access level
+   */
+  levelFor(agent, category) {
+    if (!this.enabled) {
+      return 'admin';
+    }
+
+    const rule = (this.rules[agent.type] || []).find(entry => entry.matcher.test(category));
+    const owner = this.owners.find(entry => entry.matcher.test(category));
+
+    let level = this.policy.defaultLevel;
+    if (rule) {
+      level = rule.value;
+    } else if (owner && owner.value === agent.type) {
+      level = 'admin';
+    }
+
+    for (const grant of this.activeGrants()) {
+      const applies = grant.agentType === agent.type &&
+        (!grant.agentId || grant.agentId === agent.id) &&
+        grant.matcher.test(category);
+
+      if (applies && rank(grant.level) > rank(level)) {
+        level = grant.level;
+      }
+    }
+
+    return level;
+  }
+
+  /**
+   * Check a request against the policy, auditing denials
+   * @param {object} agent - Requesting agent ({ id, type }), or null for the system
+   * @param {string} operation - 'read', 'write', 'remove' or 'import'
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @throws {KnowledgeAccessError} If the agent's level is too low
+   */
+  authorize(agent, operation, category, key) {
+    if (!this.enabled || !agent || !agent.type) {
+      return;
+    }
+
+    const required = REQUIRED_LEVELS[operation];
+    const level = this.levelFor(agent, category);
+
+    if (rank(level) >= rank(required)) {
+      return;
+    }
+
+    const error = new KnowledgeAccessError(agent, operation, category, key, required, level);
+    this._record({ event: 'denied', agent: { id: agent.id, type: agent.type }, operation, category, key, required, level });
+    throw error;
+  }
+
+  /**
+   * Temporarily raise an agent type's level on some categories
+   * @param {object} grant - Grant details
+   * @param {string} grant.agentType - Agent type the grant applies to
+   * @param {string} grant.agentId - Limit the grant to one agent (optional)
+   * @param {string} grant.category - Category or glob over categories
+   * @param {string} grant.level - Level granted
+   * @param {number} grant.ttlMs - How long the grant lasts
+   * @param {string} grant.reason - Why it was granted
+   * @param {string} grant.grantedBy - Operator granting it
+   * @returns {object} The grant, with its id and expiry
+   * @throws {Error} If the grant is incomplete or has no positive ttlMs
+   */
+  grant({ agentType, agentId = null, category, level, ttlMs, reason = null, grantedBy = null }) {
+    if (!agentType || !category) {
+      throw new Error('An access grant needs an agentType and a category');
+    }
+    if (!(ttlMs > 0)) {
+      throw new Error(`Access grants are temporary; invalid ttlMs: ${ttlMs}`);
+    }
+    rank(level);
+
+    const now = Date.now();
+    const grant = {
+      id: uuidv4(),
+      agentType,
+      agentId,
+      category,
+      level,
+      reason,
+      grantedBy,
+      grantedAt: now,
+      expiresAt: now + ttlMs
+    };
+
+    this.grants.set(grant.id, { ...grant, matcher: globToRegExp(category) });
+    this._record({ event: 'granted', grant });
+
+    return grant;
+  }
+
+  /**
+   * Withdraw a grant before it expires
+   * @param {string} grantId - Grant ID
+   * @param {string} revokedBy - Operator revoking it
+   * @returns {boolean} Whether the grant was active
+   */
+  revoke(grantId, revokedBy = null) {
+    const grant = this.activeGrants().find(active => active.id === grantId);
+
+    if (!grant) {
+      return false;
+    }
+
+    this.grants.delete(grantId);
+    this._record({ event: 'revoked', grant: this._describe(grant), revokedBy });
+
+    return true;
+  }
+
+  /**
+   * Grants still in force; expired grants are dropped and audited
+   * @returns {Array<object>} Active grants (with their category matcher)
+   */
+  activeGrants() {
+    const now = Date.now();
+
+    for (const grant of this.grants.values()) {
+      if (grant.expiresAt <= now) {
+        this.grants.delete(grant.id);
+        this._record({ event: 'expired', grant: this._describe(grant) });
+      }
+    }
+
+    return [...this.grants.values()];
+  }
+
+  /**
+   * Grants still in force, without their internals
+   * @returns {Array<object>} Grants
+   */
+  listGrants() {
+    return this.activeGrants().map(grant => this._describe(grant));
+  }
+
+  /**
+   * Audit records, newest last
+   * @param {object} options - Filters
+   * @param {string} options.event - 'denied', 'granted', 'revoked' or 'expired'
+   * @param {string} options.agentType - Agent type involved
+   * @param {number} options.limit - Return at most this many, keeping the newest
+   * @returns {Array<object>} Audit records
+   */
+  getAudit(options = {}) {
+    let records = this.audit.filter(record => {
+      const agentType = record.agent ? record.agent.type : record.grant.agentType;
+      return (!options.event || record.event === options.event) &&
+        (!options.agentType || agentType === options.agentType);
+    });
+
+    if (options.limit !== undefined) {
+      records = records.slice(-options.limit);
+    }
+
+    return records.map(record => ({ ...record }));
+  }
+
+  /**
+   * Public view of a grant
+   * @param {object} grant - Stored grant
+   * @returns {object} Grant without its matcher
+   * @private
+   */
+  _describe(grant) {
+    const { matcher, ...rest } = grant;
+    return rest;
+  }
+
+  /**
+   * Append an audit record
+   * @param {object} record - Audit details
+   * @returns {object} The record with its timestamp
+   * @private
+   */
+  _record(record) {
+    const entry = { timestamp: Date.now(), ...record };
+
+    this.audit.push(entry);
+    if (this.audit.length > this.auditLimit) {
+      this.audit.splice(0, this.audit.length - this.auditLimit);
+    }
+
+    return entry;
+  }
+}
+
+module.exports = AccessControl;
+module.exports.AccessControl = AccessControl;
+module.exports.KnowledgeAccessError = KnowledgeAccessError;
+module.exports.ACCESS_LEVELS = ACCESS_LEVELS;
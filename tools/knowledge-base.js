@@ -7,22 +7,194 @@
  */
 
 const EventEmitter = require('events');
-const winston = require('winston');
-const jsonDiff = require('json-diff');
+const { v4: uuidv4 } = require('uuid');
 const jsonpatch = require('fast-json-patch');
+const { BaseStorage, MemoryStorage, createStorage } = require('./storage');
+const knowledgeQuery = require('./knowledge-query');
+const TimeSeries = require('./time-series');
+const knowledgeSnapshot = require('./knowledge-snapshot');
+const AccessControl = require('./knowledge-access');
+const SearchIndex = require('./knowledge-search');
+const { createComponentLogger } = require('./logger');
 
-// Configure logger
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'knowledge-base.log' })
-  ]
-});
+// Get component-specific logger
+const logger = createComponentLogger('KNOWLEDGE-BASE');
+
+/**
+ * Deep-copy a value so stored versions are unaffected by later in-place
+ * changes. Values that cannot be cloned (e.g. containing functions) are
+ * kept by reference.
+ * @param {any} value - Value to copy
+ * @returns {any} Copy of the value
+ */
+function cloneValue(value) {
+  try {
+    return structuredClone(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Check whether a value is plain JSON that JSON Patch can describe exactly
+ * (no Dates, Maps, class instances or undefined members)
+ * @param {any} value - Value to check
+ * @returns {boolean} Whether the value is plain JSON
+ */
+function isPlainJson(value) {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+    return true;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value);
+  }
+  if (Array.isArray(value)) {
+    return value.every(isPlainJson);
+  }
+  if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.values(value).every(isPlainJson);
+  }
+
+  return false;
+}
+
+/**
+ * Create an RFC 6902 patch that turns one document into another
+ * @param {any} from - Source document
+ * @param {any} to - Target document
+ * @returns {Array} JSON Patch operations
+ */
+function createPatch(from, to) {
+  const bothObjects = from !== null && to !== null &&
+    typeof from === 'object' && typeof to === 'object' &&
+    Array.isArray(from) === Array.isArray(to);
+
+  // Replace the whole document when its root type changes
+  if (!bothObjects) {
+    return [{ op: 'replace', path: '', value: cloneValue(to) }];
+  }
+
+  return jsonpatch.compare(from, to);
+}
+
+/**
+ * Approximate the memory held by a value from its serialized size
+ * @param {any} value - Value to measure
+ * @returns {number} Size in bytes (0 if the value cannot be serialized)
+ */
+function estimateSize(value) {
+  try {
+    return Buffer.byteLength(BaseStorage.encode(value) || '');
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Apply an RFC 6902 patch without modifying the input document
+ * @param {any} document - Source document
+ * @param {Array} patch - JSON Patch operations
+ * @returns {any} Patched document
+ */
+function applyPatch(document, patch) {
+  // Patch values are copied too, since a root replace returns them as the document
+  return jsonpatch.applyPatch(cloneValue(document), cloneValue(patch), false, true).newDocument;
+}
+
+class KnowledgeConflictError extends Error {
+  /**
+   * Create a conflict error for a key that changed under a writer
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {number|null} expectedVersion - Version the writer expected
+   * @param {number|null} actualVersion - Version found (null if the key does not exist)
+   */
+  constructor(category, key, expectedVersion, actualVersion) {
+    super(`Knowledge ${category}/${key} is at version ${actualVersion}, expected ${expectedVersion}`);
+    this.name = 'KnowledgeConflictError';
+    this.code = 'VERSION_CONFLICT';
+    this.category = category;
+    this.key = key;
+    this.expectedVersion = expectedVersion;
+    this.actualVersion = actualVersion;
+  }
+}
+
+/**
+ * Reads and staged writes of one KnowledgeBase.transaction() attempt
+ */
+class KnowledgeTransaction {
+  /**
+   * Create a transaction
+   * @param {KnowledgeBase} kb - Knowledge base
+   * @param {object} agent - Agent the transaction acts for ({ id, type }), or null for the system
+   */
+  constructor(kb, agent = null) {
+    this.kb = kb;
+    this.agent = agent;
+    this.reads = new Map();
+    this.writes = new Map();
+    this.closed = false;
+  }
+  
+  /**
+   * Read the current value of a key, or the value staged by this transaction
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @returns {object|null} Knowledge entry or null
+   */
+  async get(category, key) {
+    this._checkOpen();
+    const lockKey = this.kb._lruKey(category, key);
+    
+    const staged = this.writes.get(lockKey);
+    if (staged) {
+      return staged.remove ? null : { data: cloneValue(staged.data), metadata: staged.metadata, version: null };
+    }
+    
+    this.kb._authorize(this.agent, 'read', category, key);
+    const entry = await this.kb.getKnowledge(category, key);
+    
+    // Validate against the version first seen, however often the key is read
+    if (!this.reads.has(lockKey)) {
+      this.reads.set(lockKey, { category, key, version: entry ? entry.version : null });
+    }
+    
+    return entry;
+  }
+  
+  /**
+   * Stage a write
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {any} data - Knowledge data
+   * @param {object} metadata - Additional metadata
+   */
+  set(category, key, data, metadata = {}) {
+    this._checkOpen();
+    this.writes.set(this.kb._lruKey(category, key), { category, key, data: cloneValue(data), metadata });
+  }
+  
+  /**
+   * Stage a removal
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   */
+  remove(category, key) {
+    this._checkOpen();
+    this.writes.set(this.kb._lruKey(category, key), { category, key, remove: true });
+  }
+  
+  /**
+   * Reject use after commit
+   * @private
+   */
+  _checkOpen() {
+    if (this.closed) {
+      throw new Error('Transaction already committed');
+    }
+  }
+}
 
 class KnowledgeBase extends EventEmitter {
   constructor() {
@@ -32,12 +204,136 @@ class KnowledgeBase extends EventEmitter {
     this.categories = new Set();
     this.versioningType = 'differential'; // Options: 'full', 'differential'
     this.differentialThreshold = 1024; // Threshold in bytes for differential versioning
+    this.storage = new MemoryStorage();
+    this.watchers = new Map();
+    
+    // Secondary indexes: category -> field path -> index key -> Set of keys
+    this.indexes = {};
+    
+    // Retention: per-category policies, a global memory budget (0 = none) and
+    // per-key sizes kept in least-recently-used order
+    this.retentionPolicies = {};
+    this.memoryBudget = 0;
+    this.memoryUsage = 0;
+    this.lru = new Map();
+    this.retentionSweepMs = 60000;
+    this.retentionTimer = null;
+    
+    // Time-series categories: category -> TimeSeries
+    this.timeSeries = {};
+    
+    // Per-key write locks: combined key -> promise settled when the last holder releases
+    this.keyLocks = new Map();
+    
+    // Category access control by agent type (no policy: everything allowed)
+    this.access = new AccessControl();
+    
+    // Full-text search over the entries of the categories it is enabled for
+    this.searchCategories = new Map();
+    this.searchIndex = new SearchIndex({ logger });
     
     logger.info('Knowledge Base initialized');
   }
   
   /**
-   * Store knowledge in the knowledge base
+   * Attach a storage backend and load the knowledge it has persisted
+   * @param {object} options - Initialization options
+   * @param {BaseStorage|object} options.storage - Storage adapter, or config for createStorage()
+   *   ({ type: 'memory' | 'file' | 'sqlite', path }); defaults to KB_STORAGE / KB_STORAGE_PATH
+   * @param {object} options.retention - Retention policies by category (see setRetentionPolicy)
+   * @param {number} options.memoryBudget - Global memory budget in bytes (0 for none)
+   * @param {number} options.retentionSweepMs - Interval for expiring TTL entries
+   * @param {object} options.access - Access policy (see setAccessPolicy)
+   * @returns {boolean} Success status
+   */
+  async initialize(options = {}) {
+    const storage = options.storage instanceof BaseStorage
+      ? options.storage
+      : createStorage(options.storage);
+    
+    await this.storage.close();
+    
+    this.knowledge = {};
+    this.versions = {};
+    this.categories = new Set();
+    this.storage = storage;
+    this.memoryUsage = 0;
+    this.lru = new Map();
+    
+    await storage.open();
+    const records = await storage.load();
+    
+    for (const { category, key, entry, versions } of records) {
+      if (!this.knowledge[category]) {
+        this.knowledge[category] = {};
+        this.versions[category] = {};
+        this.categories.add(category);
+      }
+      
+      this.knowledge[category][key] = entry;
+      this.versions[category][key] = versions;
+      
+      this._trackSize(category, key, {
+        entryBytes: estimateSize(entry),
+        versionsBytes: versions.reduce((total, version) => total + estimateSize(version), 0)
+      });
+    }
+    
+    // Index declarations outlive a storage switch; their contents are rebuilt
+    for (const category of Object.keys(this.indexes)) {
+      for (const field of this.indexes[category].keys()) {
+        this._buildIndex(category, field);
+      }
+    }
+    this._buildSearchIndex();
+    
+    if (options.retentionSweepMs) {
+      this.retentionSweepMs = options.retentionSweepMs;
+    }
+    
+    for (const [category, policy] of Object.entries(options.retention || {})) {
+      this._validateRetentionPolicy(policy);
+      this.retentionPolicies[category] = { ...policy };
+    }
+    
+    if (options.memoryBudget !== undefined) {
+      this.memoryBudget = options.memoryBudget;
+    }
+    
+    if (options.access !== undefined) {
+      this.setAccessPolicy(options.access);
+    }
+    
+    // Apply retention to what was persisted before the policies changed
+    await this.enforceRetention();
+    
+    clearInterval(this.retentionTimer);
+    this.retentionTimer = null;
+    this._updateRetentionSweep();
+    
+    logger.info(`Knowledge Base ready with ${storage.id} storage (${records.length} entries loaded)`);
+    return true;
+  }
+  
+  /**
+   * Flush and close the storage backend
+   * @returns {boolean} Success status
+   */
+  async close() {
+    clearInterval(this.retentionTimer);
+    this.retentionTimer = null;
+    
+    await this.storage.close();
+    this.storage = new MemoryStorage();
+    
+    logger.info('Knowledge Base storage closed');
+    return true;
+  }
+  
+  /**
+   * Store knowledge in the knowledge base. The previous value becomes a
+   * history version: a full copy, or RFC 6902 patches to and from the new
+   * value for large JSON documents.
    * @param {string} category - Knowledge category
    * @param {string} key - Knowledge key
    * @param {any} data - Knowledge data
@@ -46,66 +342,343 @@ class KnowledgeBase extends EventEmitter {
    */
   async storeKnowledge(category, key, data, metadata = {}) {
     try {
-      // Create category if it doesn't exist
-      if (!this.knowledge[category]) {
-        this.knowledge[category] = {};
-        this.versions[category] = {};
-        this.categories.add(category);
+      await this._withKeyLocks([[category, key]], () => this._write(category, key, data, metadata));
+      return true;
+    } catch (error) {
+      // Denied requests are already logged and audited
+      if (!(error instanceof AccessControl.KnowledgeAccessError)) {
+        logger.error(`Error storing knowledge ${category}/${key}:`, error);
       }
+      return false;
+    }
+  }
+  
+  /**
+   * Store knowledge only if the key is still at the expected version, so a
+   * read-modify-write cannot silently overwrite a concurrent change
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {number|null} expectedVersion - Version last read (getKnowledge().version), or null if the key must not exist yet
+   * @param {any} data - Knowledge data
+   * @param {object} metadata - Additional metadata
+   * @returns {number} The new version
+   * @throws {KnowledgeConflictError} If the key has moved to another version
+   */
+  async compareAndSet(category, key, expectedVersion, data, metadata = {}) {
+    return this._withKeyLocks([[category, key]], async () => {
+      const actualVersion = this._currentVersion(category, key);
       
-      // Create version history if it doesn't exist
-      if (!this.versions[category][key]) {
-        this.versions[category][key] = [];
+      if (actualVersion !== expectedVersion) {
+        throw new KnowledgeConflictError(category, key, expectedVersion, actualVersion);
       }
       
-      // Version the previous data if it exists
-      if (this.knowledge[category][key]) {
-        const previousData = this.knowledge[category][key].data;
-        const previousMetadata = this.knowledge[category][key].metadata;
-        const previousTimestamp = this.knowledge[category][key].timestamp;
-        
-        // Determine if we should use differential versioning
-        const useFullCopy = this.shouldUseFullCopy(previousData, data);
+      const entry = await this._write(category, key, data, metadata);
+      return entry.version;
+    });
+  }
+  
+  /**
+   * Run a function against a transaction and commit its writes across
+   * several keys all-or-nothing. Reads through the transaction are
+   * validated at commit: if any key read has changed since, nothing is
+   * written and the commit fails with a KnowledgeConflictError (after
+   * re-running the function up to `retries` times).
+   * @param {Function} fn - Receives a transaction with get(), set() and remove()
+   * @param {object} options - Transaction options
+   * @param {number} options.retries - Times to re-run the function after a conflict
+   * @param {object} options.agent - Agent the transaction acts for ({ id, type }); its
+   *   reads, writes and removals are checked against the access policy
+   * @returns {any} The function's result
+   * @throws {KnowledgeConflictError} If a read key changed and retries are exhausted
+   * @throws {KnowledgeAccessError} If the agent may not read or change a key
+   */
+  async transaction(fn, options = {}) {
+    const { retries = 0, agent = null } = options;
+    
+    for (let attempt = 0; ; attempt++) {
+      const tx = new KnowledgeTransaction(this, agent);
+      const result = await fn(tx);
+      
+      try {
+        await this._commit(tx);
+        return result;
+      } catch (error) {
+        if (!(error instanceof KnowledgeConflictError) || attempt >= retries) {
+          throw error;
+        }
         
-        const versionEntry = {
-          timestamp: previousTimestamp,
-          metadata: previousMetadata,
-          differentialVersioning: !useFullCopy
-        };
+        logger.warn(`Transaction conflict on ${error.category}/${error.key}, retrying (${attempt + 1}/${retries})`);
+      }
+    }
+  }
+  
+  /**
+   * Commit a transaction's staged writes
+   * @param {KnowledgeTransaction} tx - Transaction
+   * @throws {KnowledgeConflictError} If a key read by the transaction has changed
+   * @private
+   */
+  async _commit(tx) {
+    tx.closed = true;
+    
+    for (const { category, key, metadata, remove } of tx.writes.values()) {
+      const agent = (metadata && metadata.agent) || tx.agent;
+      this._authorize(agent, remove ? 'remove' : 'write', category, key);
+    }
+    
+    const touched = [...tx.reads.values(), ...tx.writes.values()].map(({ category, key }) => [category, key]);
+    
+    await this._withKeyLocks(touched, async () => {
+      for (const { category, key, version } of tx.reads.values()) {
+        const actualVersion = this._currentVersion(category, key);
         
-        if (useFullCopy) {
-          // Full copy for small objects or non-JSON data
-          versionEntry.data = previousData;
-          versionEntry.type = 'full';
+        if (actualVersion !== version) {
+          throw new KnowledgeConflictError(category, key, version, actualVersion);
+        }
+      }
+      
+      const prepared = [];
+      
+      for (const { category, key, data, metadata, remove } of tx.writes.values()) {
+        if (remove) {
+          if (this.knowledge[category] && this.knowledge[category][key]) {
+            prepared.push({ operation: { op: 'remove', category, key } });
+          }
         } else {
-          // Differential versioning for large JSON objects
-          versionEntry.diff = jsonDiff.diff(previousData, data);
-          versionEntry.type = 'differential';
+          const write = this._prepareWrite(category, key, data, metadata);
+          prepared.push({
+            operation: { op: 'write', category, key, entry: write.entry, versionEntry: write.versionEntry },
+            write
+          });
+        }
+      }
+      
+      // One storage batch, so a failure leaves storage and memory unchanged
+      await this.storage.writeBatch(prepared.map(({ operation }) => operation));
+      
+      for (const { operation, write } of prepared) {
+        if (write) {
+          this._applyWrite(write);
+        } else {
+          this._forgetEntry(operation.category, operation.key);
+          logger.info(`Knowledge removed: ${operation.category}/${operation.key}`);
+          this.emit('knowledge:removed', { category: operation.category, key: operation.key });
+        }
+      }
+      
+      for (const { operation, write } of prepared) {
+        if (write) {
+          await this._applyRetention(operation.category, operation.key);
         }
-        
-        this.versions[category][key].push(versionEntry);
       }
+    });
+  }
+  
+  /**
+   * Persist and apply a single write. Callers hold the key's lock.
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {any} data - Knowledge data
+   * @param {object} metadata - Additional metadata
+   * @returns {object} The stored entry
+   * @private
+   */
+  async _write(category, key, data, metadata) {
+    this._authorize(metadata && metadata.agent, 'write', category, key);
+    const write = this._prepareWrite(category, key, data, metadata);
+    
+    // Persist before updating memory so a failed write leaves both unchanged
+    await this.storage.write(category, key, write.entry, write.versionEntry);
+    
+    this._applyWrite(write);
+    await this._applyRetention(category, key);
+    
+    return write.entry;
+  }
+  
+  /**
+   * Build the new entry for a key and the history version its previous
+   * value becomes, without changing any state
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {any} data - Knowledge data
+   * @param {object} metadata - Additional metadata
+   * @returns {object} { category, key, entry, versionEntry, previousEntry }
+   * @private
+   */
+  _prepareWrite(category, key, data, metadata = {}) {
+    if (this.timeSeries[category]) {
+      throw new Error(`${category} is a time-series category; use appendPoints()`);
+    }
+    
+    // Copy so callers mutating their object in place cannot rewrite history
+    const storedData = cloneValue(data);
+    
+    // Version the previous data if it exists
+    let versionEntry = null;
+    const previousEntry = this.knowledge[category] && this.knowledge[category][key];
+    
+    if (previousEntry) {
+      const previousData = previousEntry.data;
+      
+      // Determine if we should use differential versioning
+      const useFullCopy = this.shouldUseFullCopy(previousData, storedData);
       
-      // Store new data
-      this.knowledge[category][key] = {
-        data,
-        metadata: {
-          ...metadata,
-          lastUpdated: new Date()
-        },
-        timestamp: new Date()
+      versionEntry = {
+        timestamp: previousEntry.timestamp,
+        metadata: previousEntry.metadata,
+        differentialVersioning: !useFullCopy,
+        // Patch from this version to the next one, for replaying forwards. Data
+        // JSON Patch cannot describe is only kept as full copies.
+        forward: isPlainJson(previousData) && isPlainJson(storedData)
+          ? createPatch(previousData, storedData)
+          : null
       };
       
-      logger.info(`Knowledge stored: ${category}/${key}`);
-      this.emit('knowledge:stored', { category, key });
+      if (useFullCopy) {
+        // Full copy for small objects or non-JSON data
+        versionEntry.data = previousData;
+        versionEntry.type = 'full';
+      } else {
+        // Patch from the next version back to this one, for rebuilding from newer data
+        versionEntry.reverse = createPatch(storedData, previousData);
+        versionEntry.type = 'differential';
+      }
+    }
+    
+    const entry = {
+      data: storedData,
+      metadata: {
+        ...metadata,
+        lastUpdated: new Date()
+      },
+      timestamp: new Date(),
+      // Counts every write, unlike history positions, which shift when versions are trimmed
+      version: previousEntry ? this._currentVersion(category, key) + 1 : 0
+    };
+    
+    return { category, key, entry, versionEntry, previousEntry };
+  }
+  
+  /**
+   * Apply a persisted write to memory and announce it
+   * @param {object} write - Result of _prepareWrite()
+   * @private
+   */
+  _applyWrite({ category, key, entry, versionEntry, previousEntry }) {
+    // Create category if it doesn't exist
+    if (!this.knowledge[category]) {
+      this.knowledge[category] = {};
+      this.versions[category] = {};
+      this.categories.add(category);
+    }
+    
+    // Create version history if it doesn't exist
+    if (!this.versions[category][key]) {
+      this.versions[category][key] = [];
+    }
+    
+    if (versionEntry) {
+      this.versions[category][key].push(versionEntry);
+    }
+    
+    // Store new data
+    this.knowledge[category][key] = entry;
+    this._reindexEntry(category, key, previousEntry, entry);
+    
+    const tracked = this.lru.get(this._lruKey(category, key));
+    this._trackSize(category, key, {
+      entryBytes: estimateSize(entry),
+      versionsBytes: (tracked ? tracked.versionsBytes : 0) + (versionEntry ? estimateSize(versionEntry) : 0)
+    });
+    
+    logger.info(`Knowledge stored: ${category}/${key}`);
+    this.emit('knowledge:stored', { category, key });
+    
+    this._notifyWatchers(category, key, previousEntry ? previousEntry.data : undefined, entry);
+  }
+  
+  /**
+   * Current version of a key
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @returns {number|null} Version, or null if the key does not exist
+   * @private
+   */
+  _currentVersion(category, key) {
+    const entry = this.knowledge[category] && this.knowledge[category][key];
+    
+    if (!entry) {
+      return null;
+    }
+    
+    // Entries written before versions were recorded count their history
+    return entry.version !== undefined ? entry.version : this.versions[category][key].length;
+  }
+  
+  /**
+   * Version number of the oldest history entry still kept. History is
+   * contiguous up to the current value, so trimmed versions only move this
+   * offset and never renumber the rest.
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @returns {number} Version number of history position 0
+   * @private
+   */
+  _firstVersion(category, key) {
+    const currentVersion = this._currentVersion(category, key);
+    return currentVersion === null ? 0 : currentVersion - this.versions[category][key].length;
+  }
+  
+  /**
+   * Run a function holding the write locks of several keys. Locks are taken
+   * in a fixed order so overlapping multi-key writers cannot deadlock.
+   * @param {Array<Array<string>>} keys - [category, key] pairs
+   * @param {Function} fn - Function to run
+   * @returns {any} The function's result
+   * @private
+   */
+  async _withKeyLocks(keys, fn) {
+    const lockKeys = [...new Set(keys.map(([category, key]) => this._lruKey(category, key)))].sort();
+    const releases = [];
+    
+    try {
+      for (const lockKey of lockKeys) {
+        releases.push(await this._acquireLock(lockKey));
+      }
       
-      return true;
-    } catch (error) {
-      logger.error(`Error storing knowledge ${category}/${key}:`, error);
-      return false;
+      return await fn();
+    } finally {
+      releases.forEach(release => release());
     }
   }
   
+  /**
+   * Wait for and take the write lock of a key
+   * @param {string} lockKey - Combined category and key
+   * @returns {Function} Releases the lock
+   * @private
+   */
+  async _acquireLock(lockKey) {
+    const previous = this.keyLocks.get(lockKey) || Promise.resolve();
+    
+    let release;
+    const held = new Promise(resolve => {
+      release = resolve;
+    });
+    const tail = previous.then(() => held);
+    this.keyLocks.set(lockKey, tail);
+    
+    await previous;
+    
+    return () => {
+      release();
+      if (this.keyLocks.get(lockKey) === tail) {
+        this.keyLocks.delete(lockKey);
+      }
+    };
+  }
+  
   /**
    * Determine if full copy should be used instead of differential versioning
    * @param {any} previousData - Previous data
@@ -124,6 +697,11 @@ class KnowledgeBase extends EventEmitter {
       return true;
     }
     
+    // JSON Patch cannot describe Dates, Maps or class instances exactly
+    if (!isPlainJson(previousData) || !isPlainJson(newData)) {
+      return true;
+    }
+    
     try {
       // Estimate size by JSON stringification
       const dataSize = JSON.stringify(previousData).length;
@@ -142,76 +720,1072 @@ class KnowledgeBase extends EventEmitter {
   }
   
   /**
-   * Retrieve knowledge from the knowledge base
+   * Retrieve knowledge from the knowledge base. Versions are numbered from
+   * 0 (the first write) and keep their numbers when retention trims older
+   * ones; the current value is also available under its own version number.
    * @param {string} category - Knowledge category
    * @param {string} key - Knowledge key
    * @param {string|number} version - Version to retrieve
-   * @returns {object|null} Retrieved knowledge or null
+   * @param {object} options - Read options
+   * @param {object} options.agent - Reading agent ({ id, type }), checked against the access policy
+   * @returns {object|null} Retrieved knowledge or null (also when access is denied)
    */
-  async getKnowledge(category, key, version = 'latest') {
+  async getKnowledge(category, key, version = 'latest', options = {}) {
     try {
+      this._authorize(options.agent, 'read', category, key);
+      
       // Check if category and key exist
       if (!this.knowledge[category] || !this.knowledge[category][key]) {
         return null;
       }
       
+      // Expired entries are removed on access rather than waiting for the sweep
+      if (this._isExpired(category, this.knowledge[category][key])) {
+        await this._evict(category, key, 'ttl');
+        return null;
+      }
+      
+      this._touch(category, key);
+      
+      const history = this.versions[category][key];
+      const currentVersion = this._currentVersion(category, key);
+      
       // Return latest version
-      if (version === 'latest') {
-        return this.knowledge[category][key];
+      if (version === 'latest' || version === currentVersion) {
+        const current = this.knowledge[category][key];
+        return { ...current, data: cloneValue(current.data), version: currentVersion };
       }
       
       // Return specific version
-      if (version >= 0 && version < this.versions[category][key].length) {
-        const versionEntry = this.versions[category][key][version];
+      const index = Number.isInteger(version) ? version - this._firstVersion(category, key) : -1;
+      if (index >= 0 && index < history.length) {
+        const versionEntry = history[index];
         
-        // For full copies, just return the stored data
-        if (versionEntry.type === 'full') {
-          return {
-            data: versionEntry.data,
-            metadata: versionEntry.metadata,
-            timestamp: versionEntry.timestamp
-          };
-        } 
-        // For differential versions, reconstruct from latest and apply reverse patches
-        else if (versionEntry.type === 'differential') {
-          // Start with the latest data
-          let reconstructedData = JSON.parse(JSON.stringify(this.knowledge[category][key].data));
-          
-          // Apply reverse patches from newer versions down to the requested version
-          for (let i = this.versions[category][key].length - 1; i >= version; i--) {
-            const ver = this.versions[category][key][i];
-            if (ver.type === 'differential' && ver.diff) {
-              // Reverse the diff to go backward in time
-              reconstructedData = jsonDiff.revert(reconstructedData, ver.diff);
-            } else {
-              // If we encounter a full version, use it directly
-              reconstructedData = ver.data;
-              break;
-            }
+        return {
+          data: this._reconstructVersion(category, key, index),
+          metadata: versionEntry.metadata,
+          timestamp: versionEntry.timestamp,
+          version
+        };
+      }
+      
+      return null;
+    } catch (error) {
+      // Denied requests are already logged and audited
+      if (!(error instanceof AccessControl.KnowledgeAccessError)) {
+        logger.error(`Error retrieving knowledge ${category}/${key}:`, error);
+      }
+      return null;
+    }
+  }
+  
+  /**
+   * Rebuild the data of a history version from the nearest full copy,
+   * replaying patches forwards from an older copy or backwards from a newer
+   * one (or the current value), whichever takes fewer steps
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {number} version - History version index
+   * @returns {any} Version data
+   * @private
+   */
+  _reconstructVersion(category, key, version) {
+    const history = this.versions[category][key];
+    
+    if (history[version].type === 'full') {
+      return cloneValue(history[version].data);
+    }
+    
+    let newer = version + 1;
+    while (newer < history.length && history[newer].type !== 'full') {
+      newer++;
+    }
+    
+    let older = version - 1;
+    while (older >= 0 && history[older].type !== 'full') {
+      older--;
+    }
+    
+    // Copies without a forward patch are followed by another copy, so are never replayed from
+    if (older >= 0 && version - older < newer - version) {
+      let data = history[older].data;
+      for (let i = older; i < version; i++) {
+        data = applyPatch(data, history[i].forward);
+      }
+      return data;
+    }
+    
+    let data = newer < history.length ? history[newer].data : this.knowledge[category][key].data;
+    for (let i = newer - 1; i >= version; i--) {
+      data = applyPatch(data, history[i].reverse);
+    }
+    return data;
+  }
+  
+  /**
+   * Get the RFC 6902 patch that turns one version into another
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {string|number} fromVersion - Source version ('latest' or index)
+   * @param {string|number} toVersion - Target version ('latest' or index)
+   * @returns {Array|null} JSON Patch operations, or null if either version is unknown
+   */
+  async diffVersions(category, key, fromVersion, toVersion = 'latest') {
+    const from = await this.getKnowledge(category, key, fromVersion);
+    const to = await this.getKnowledge(category, key, toVersion);
+    
+    if (!from || !to) {
+      logger.warn(`Cannot diff ${category}/${key}: unknown version ${!from ? fromVersion : toVersion}`);
+      return null;
+    }
+    
+    return createPatch(from.data, to.data);
+  }
+  
+  /**
+   * Restore an earlier version of a key. The restored data is stored as a
+   * new version, so the rollback itself stays in the history.
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {number} version - Version to restore
+   * @param {object} metadata - Metadata for the new version
+   * @returns {boolean} Success status
+   */
+  async rollback(category, key, version, metadata = {}) {
+    const target = await this.getKnowledge(category, key, version);
+    
+    if (!target) {
+      logger.warn(`Cannot roll back ${category}/${key}: unknown version ${version}`);
+      return false;
+    }
+    
+    const stored = await this.storeKnowledge(category, key, target.data, {
+      ...metadata,
+      rolledBackFrom: version
+    });
+    
+    if (stored) {
+      logger.info(`Knowledge rolled back: ${category}/${key} to version ${version}`);
+      this.emit('knowledge:rolled-back', { category, key, version });
+    }
+    
+    return stored;
+  }
+  
+  /**
+   * Watch keys for changes. The handler receives a change with the old and
+   * new value, the RFC 6902 patch between them and the writer's agent
+   * metadata. With debounceMs, rapid writes to a key are coalesced into one
+   * change spanning the first old value to the last new value.
+   * @param {string} category - Category, or a glob over categories
+   * @param {string} keyPattern - Glob over keys (e.g. '*.current')
+   * @param {Function} handler - Called with { category, key, oldValue, newValue, patch, agent, metadata, version, changes }
+   * @param {object} options - Watch options
+   * @param {number} options.debounceMs - Coalesce writes to the same key within this window
+   * @returns {object} Watch handle with id and unwatch()
+   */
+  watch(category, keyPattern = '*', handler, options = {}) {
+    if (typeof handler !== 'function') {
+      throw new Error('Watch handler must be a function');
+    }
+    
+    const id = uuidv4();
+    
+    this.watchers.set(id, {
+      id,
+      category,
+      keyPattern,
+      categoryMatcher: knowledgeQuery.globToRegExp(category),
+      keyMatcher: knowledgeQuery.globToRegExp(keyPattern),
+      handler,
+      debounceMs: options.debounceMs || 0,
+      pending: new Map()
+    });
+    
+    logger.info(`Watching ${category}/${keyPattern}`, { id, debounceMs: options.debounceMs || 0 });
+    
+    return {
+      id,
+      category,
+      keyPattern,
+      unwatch: () => this.unwatch(id)
+    };
+  }
+  
+  /**
+   * Stop watching
+   * @param {string} watchId - Watch ID returned by watch()
+   * @returns {boolean} Whether a watch was removed
+   */
+  unwatch(watchId) {
+    const watcher = this.watchers.get(watchId);
+    
+    if (!watcher) {
+      return false;
+    }
+    
+    // Debounced changes still waiting are dropped
+    for (const pending of watcher.pending.values()) {
+      clearTimeout(pending.timer);
+    }
+    
+    this.watchers.delete(watchId);
+    logger.info(`Stopped watching ${watcher.category}/${watcher.keyPattern}`);
+    
+    return true;
+  }
+  
+  /**
+   * Deliver a stored change to matching watchers
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {any} oldValue - Previous data (undefined for a new key)
+   * @param {object} entry - Newly stored entry
+   * @private
+   */
+  _notifyWatchers(category, key, oldValue, entry) {
+    const matching = [...this.watchers.values()].filter(watcher =>
+      watcher.categoryMatcher.test(category) && watcher.keyMatcher.test(key));
+    
+    if (matching.length === 0) {
+      return;
+    }
+    
+    const change = {
+      category,
+      key,
+      oldValue: cloneValue(oldValue),
+      newValue: cloneValue(entry.data),
+      agent: entry.metadata.agent || null,
+      metadata: entry.metadata,
+      version: entry.version,
+      timestamp: entry.timestamp
+    };
+    
+    for (const watcher of matching) {
+      if (watcher.debounceMs > 0) {
+        this._debounceChange(watcher, change);
+      } else {
+        this._deliverChange(watcher, { ...change, patch: createPatch(oldValue, entry.data), changes: 1 });
+      }
+    }
+  }
+  
+  /**
+   * Hold a change until its key has been quiet for the debounce window
+   * @param {object} watcher - Watcher
+   * @param {object} change - Change without patch
+   * @private
+   */
+  _debounceChange(watcher, change) {
+    const pendingKey = `${change.category}/${change.key}`;
+    const pending = watcher.pending.get(pendingKey);
+    
+    if (pending) {
+      clearTimeout(pending.timer);
+      pending.latest = change;
+      pending.count++;
+    } else {
+      watcher.pending.set(pendingKey, { first: change, latest: change, count: 1 });
+    }
+    
+    const entry = watcher.pending.get(pendingKey);
+    entry.timer = setTimeout(() => {
+      watcher.pending.delete(pendingKey);
+      
+      this._deliverChange(watcher, {
+        ...entry.latest,
+        oldValue: entry.first.oldValue,
+        patch: createPatch(entry.first.oldValue, entry.latest.newValue),
+        changes: entry.count
+      });
+    }, watcher.debounceMs);
+  }
+  
+  /**
+   * Call a watcher's handler, isolating its failures
+   * @param {object} watcher - Watcher
+   * @param {object} change - Change to deliver
+   * @private
+   */
+  _deliverChange(watcher, change) {
+    try {
+      const result = watcher.handler(change);
+      
+      // Surface async handler failures instead of leaving unhandled rejections
+      if (result && typeof result.catch === 'function') {
+        result.catch(error => {
+          logger.error(`Error in watcher for ${watcher.category}/${watcher.keyPattern}:`, error);
+        });
+      }
+    } catch (error) {
+      logger.error(`Error in watcher for ${watcher.category}/${watcher.keyPattern}:`, error);
+    }
+  }
+  
+  /**
+   * Remove a key and its history
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {object} options - Removal options
+   * @param {object} options.agent - Removing agent ({ id, type }), which needs admin access
+   * @returns {boolean} Whether the key existed (false also when access is denied)
+   */
+  async removeKnowledge(category, key, options = {}) {
+    try {
+      this._authorize(options.agent, 'remove', category, key);
+      
+      return await this._withKeyLocks([[category, key]], async () => {
+        if (!this.knowledge[category] || !this.knowledge[category][key]) {
+          return false;
+        }
+        
+        await this._removeEntry(category, key);
+        
+        logger.info(`Knowledge removed: ${category}/${key}`);
+        this.emit('knowledge:removed', { category, key });
+        
+        return true;
+      });
+    } catch (error) {
+      // Denied requests are already logged and audited
+      if (!(error instanceof AccessControl.KnowledgeAccessError)) {
+        logger.error(`Error removing knowledge ${category}/${key}:`, error);
+      }
+      return false;
+    }
+  }
+  
+  /**
+   * Set the retention policy of a category, replacing any previous one,
+   * and apply it to the existing entries
+   * @param {string} category - Knowledge category
+   * @param {object} policy - Retention policy
+   * @param {number} policy.ttlMs - Remove entries not written for this long
+   * @param {number} policy.maxKeys - Keep at most this many keys, evicting the least recently used
+   * @param {number} policy.maxVersions - Keep at most this many history versions per key
+   * @returns {number} Number of entries evicted
+   * @throws {Error} If a limit is not a non-negative number
+   */
+  async setRetentionPolicy(category, policy) {
+    this._validateRetentionPolicy(policy);
+    this.retentionPolicies[category] = { ...policy };
+    
+    logger.info(`Retention policy set for ${category}: ${JSON.stringify(policy)}`);
+    this._updateRetentionSweep();
+    
+    return this.enforceRetention(category);
+  }
+  
+  /**
+   * Get the retention policy of a category
+   * @param {string} category - Knowledge category
+   * @returns {object|null} Retention policy or null
+   */
+  getRetentionPolicy(category) {
+    return this.retentionPolicies[category] ? { ...this.retentionPolicies[category] } : null;
+  }
+  
+  /**
+   * Remove the retention policy of a category
+   * @param {string} category - Knowledge category
+   * @returns {boolean} Whether a policy was removed
+   */
+  removeRetentionPolicy(category) {
+    if (!this.retentionPolicies[category]) {
+      return false;
+    }
+    
+    delete this.retentionPolicies[category];
+    this._updateRetentionSweep();
+    
+    return true;
+  }
+  
+  /**
+   * Set the global memory budget, evicting least recently used entries
+   * across all categories while the knowledge base is over it
+   * @param {number} bytes - Budget in bytes (0 for none)
+   * @returns {number} Number of entries evicted
+   */
+  async setMemoryBudget(bytes) {
+    this.memoryBudget = bytes;
+    logger.info(`Knowledge Base memory budget set to ${bytes} bytes`);
+    
+    return this._enforceMemoryBudget();
+  }
+  
+  /**
+   * Get estimated memory usage
+   * @returns {object} { bytes, budget, entries }
+   */
+  getMemoryUsage() {
+    return {
+      bytes: this.memoryUsage,
+      budget: this.memoryBudget,
+      entries: this.lru.size
+    };
+  }
+  
+  /**
+   * Apply retention policies and the memory budget now. Runs periodically
+   * while any category has a TTL.
+   * @param {string} category - Only apply this category's policy (all if omitted)
+   * @returns {number} Number of entries evicted
+   */
+  async enforceRetention(category = null) {
+    let evicted = 0;
+    const categories = category ? [category] : Object.keys(this.retentionPolicies);
+    
+    for (const name of categories) {
+      const policy = this.retentionPolicies[name];
+      if (!policy || !this.knowledge[name]) {
+        continue;
+      }
+      
+      for (const [key, entry] of Object.entries(this.knowledge[name])) {
+        if (this._isExpired(name, entry)) {
+          await this._evict(name, key, 'ttl');
+          evicted++;
+        }
+      }
+      
+      evicted += await this._enforceMaxKeys(name);
+      
+      if (policy.maxVersions !== undefined) {
+        for (const key of Object.keys(this.knowledge[name])) {
+          await this._trimVersions(name, key, policy.maxVersions);
+        }
+      }
+    }
+    
+    evicted += await this._enforceMemoryBudget();
+    
+    return evicted;
+  }
+  
+  /**
+   * Apply retention after a write
+   * @param {string} category - Knowledge category
+   * @param {string} key - Key just written, protected from memory eviction
+   * @private
+   */
+  async _applyRetention(category, key) {
+    try {
+      const policy = this.retentionPolicies[category];
+      
+      if (policy && policy.maxVersions !== undefined) {
+        await this._trimVersions(category, key, policy.maxVersions);
+      }
+      
+      await this._enforceMaxKeys(category);
+      await this._enforceMemoryBudget(this._lruKey(category, key));
+    } catch (error) {
+      logger.error(`Error applying retention after storing ${category}/${key}:`, error);
+    }
+  }
+  
+  /**
+   * Evict least recently used keys of a category above its maxKeys
+   * @param {string} category - Knowledge category
+   * @returns {number} Number of entries evicted
+   * @private
+   */
+  async _enforceMaxKeys(category) {
+    const policy = this.retentionPolicies[category];
+    
+    if (!policy || policy.maxKeys === undefined || !this.knowledge[category]) {
+      return 0;
+    }
+    
+    let excess = Object.keys(this.knowledge[category]).length - policy.maxKeys;
+    let evicted = 0;
+    
+    for (const tracked of [...this.lru.values()]) {
+      if (excess <= 0) {
+        break;
+      }
+      if (tracked.category === category) {
+        await this._evict(category, tracked.key, 'max-keys');
+        excess--;
+        evicted++;
+      }
+    }
+    
+    return evicted;
+  }
+  
+  /**
+   * Evict least recently used keys until usage fits the memory budget
+   * @param {string} protectedKey - LRU key that must not be evicted
+   * @returns {number} Number of entries evicted
+   * @private
+   */
+  async _enforceMemoryBudget(protectedKey = null) {
+    let evicted = 0;
+    
+    if (!this.memoryBudget) {
+      return evicted;
+    }
+    
+    for (const [lruKey, tracked] of [...this.lru]) {
+      if (this.memoryUsage <= this.memoryBudget) {
+        break;
+      }
+      if (lruKey !== protectedKey) {
+        await this._evict(tracked.category, tracked.key, 'memory');
+        evicted++;
+      }
+    }
+    
+    if (this.memoryUsage > this.memoryBudget) {
+      logger.warn(`Knowledge Base over memory budget: ${this.memoryUsage}/${this.memoryBudget} bytes`);
+    }
+    
+    return evicted;
+  }
+  
+  /**
+   * Drop the oldest history versions of a key above a limit
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {number} maxVersions - Versions to keep
+   * @private
+   */
+  async _trimVersions(category, key, maxVersions) {
+    const history = this.versions[category][key];
+    const count = history.length - maxVersions;
+    
+    if (count <= 0) {
+      return;
+    }
+    
+    // Newer versions rebuild backwards from the current value, so dropping
+    // the oldest ones never breaks the remaining patch chain
+    await this.storage.trimVersions(category, key, count);
+    const removed = history.splice(0, count);
+    
+    // Adjust in place; trimming is not a use of the key
+    const tracked = this.lru.get(this._lruKey(category, key));
+    const removedBytes = removed.reduce((total, version) => total + estimateSize(version), 0);
+    tracked.versionsBytes -= removedBytes;
+    this.memoryUsage -= removedBytes;
+    
+    this.emit('knowledge:versions-trimmed', { category, key, count });
+  }
+  
+  /**
+   * Remove an entry for a retention reason and announce it
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {string} reason - 'ttl', 'max-keys' or 'memory'
+   * @private
+   */
+  async _evict(category, key, reason) {
+    const tracked = this.lru.get(this._lruKey(category, key));
+    const bytes = tracked ? tracked.entryBytes + tracked.versionsBytes : 0;
+    
+    await this._removeEntry(category, key);
+    
+    logger.info(`Knowledge evicted (${reason}): ${category}/${key}`);
+    this.emit('knowledge:evicted', { category, key, reason, bytes });
+  }
+  
+  /**
+   * Remove an entry from storage and memory
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @private
+   */
+  async _removeEntry(category, key) {
+    await this.storage.remove(category, key);
+    this._forgetEntry(category, key);
+  }
+  
+  /**
+   * Drop an entry from memory and its indexes
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @private
+   */
+  _forgetEntry(category, key) {
+    const entry = this.knowledge[category][key];
+    delete this.knowledge[category][key];
+    delete this.versions[category][key];
+    this._reindexEntry(category, key, entry, undefined);
+    this._trackSize(category, key, null);
+  }
+  
+  /**
+   * Whether an entry has outlived its category's TTL
+   * @param {string} category - Knowledge category
+   * @param {object} entry - Knowledge entry
+   * @returns {boolean} True if expired
+   * @private
+   */
+  _isExpired(category, entry) {
+    const policy = this.retentionPolicies[category];
+    
+    if (!policy || !policy.ttlMs) {
+      return false;
+    }
+    
+    return Date.now() - new Date(entry.timestamp).getTime() > policy.ttlMs;
+  }
+  
+  /**
+   * Record the size of a key and mark it most recently used
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {object|null} sizes - { entryBytes, versionsBytes }, or null when removed
+   * @private
+   */
+  _trackSize(category, key, sizes) {
+    const lruKey = this._lruKey(category, key);
+    const previous = this.lru.get(lruKey);
+    
+    if (previous) {
+      this.memoryUsage -= previous.entryBytes + previous.versionsBytes;
+      this.lru.delete(lruKey);
+    }
+    
+    if (sizes) {
+      this.lru.set(lruKey, { category, key, ...sizes });
+      this.memoryUsage += sizes.entryBytes + sizes.versionsBytes;
+    }
+  }
+  
+  /**
+   * Mark a key most recently used
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @private
+   */
+  _touch(category, key) {
+    const lruKey = this._lruKey(category, key);
+    const tracked = this.lru.get(lruKey);
+    
+    if (tracked) {
+      this.lru.delete(lruKey);
+      this.lru.set(lruKey, tracked);
+    }
+  }
+  
+  /**
+   * Key of an entry in the LRU map
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @returns {string} Combined key
+   * @private
+   */
+  _lruKey(category, key) {
+    return `${category}\u0000${key}`;
+  }
+  
+  /**
+   * Check that retention limits are non-negative numbers
+   * @param {object} policy - Retention policy
+   * @throws {Error} If a limit is invalid
+   * @private
+   */
+  _validateRetentionPolicy(policy) {
+    for (const field of ['ttlMs', 'maxKeys', 'maxVersions']) {
+      const value = policy[field];
+      
+      if (value !== undefined && (typeof value !== 'number' || value < 0 || Number.isNaN(value))) {
+        throw new Error(`Invalid retention ${field}: ${value}`);
+      }
+    }
+  }
+  
+  /**
+   * Run the periodic TTL sweep only while some category has a TTL
+   * @private
+   */
+  _updateRetentionSweep() {
+    const needsSweep = Object.values(this.retentionPolicies).some(policy => policy.ttlMs);
+    
+    if (needsSweep && !this.retentionTimer) {
+      this.retentionTimer = setInterval(() => {
+        this.enforceRetention().catch(error => {
+          logger.error('Error enforcing knowledge retention:', error);
+        });
+      }, this.retentionSweepMs);
+      this.retentionTimer.unref();
+    } else if (!needsSweep && this.retentionTimer) {
+      clearInterval(this.retentionTimer);
+      this.retentionTimer = null;
+    }
+  }
+  
+  /**
+   * Replace the access policy. Writes attributed to an agent (through the
+   * `agent` metadata BaseAgent attaches) need write access to the category,
+   * attributed reads need read access and removals need admin access.
+   * Requests without an agent are not restricted.
+   * @param {object|null} policy - Policy, or null to allow everything
+   * @param {string} policy.defaultLevel - Level for categories an agent type neither owns nor has a rule for (default 'read')
+   * @param {object} policy.owners - Category pattern -> owning agent type, which gets admin access
+   * @param {object} policy.rules - Agent type -> category pattern -> 'none' | 'read' | 'write' | 'admin'
+   * @throws {Error} If a level is unknown
+   */
+  setAccessPolicy(policy) {
+    this.access.setPolicy(policy);
+    logger.info(policy ? 'Knowledge access policy updated' : 'Knowledge access policy removed');
+  }
+  
+  /**
+   * Get the access policy
+   * @returns {object|null} Policy, or null if access is not restricted
+   */
+  getAccessPolicy() {
+    return cloneValue(this.access.policy);
+  }
+  
+  /**
+   * Temporarily raise an agent type's access to some categories, e.g. to let
+   * an operator-supervised agent repair another agent's knowledge
+   * @param {object} grant - Grant details
+   * @param {string} grant.agentType - Agent type the grant applies to
+   * @param {string} grant.agentId - Limit the grant to one agent (optional)
+   * @param {string} grant.category - Category or glob over categories
+   * @param {string} grant.level - Level granted
+   * @param {number} grant.ttlMs - How long the grant lasts
+   * @param {string} grant.reason - Why it was granted
+   * @param {string} grant.grantedBy - Operator granting it
+   * @returns {object} The grant, with its id and expiresAt
+   * @throws {Error} If the grant is incomplete or not temporary
+   */
+  grantAccess(grant) {
+    const granted = this.access.grant(grant);
+    
+    logger.warn(`Knowledge access override: ${granted.agentType} granted ${granted.level} on ${granted.category} until ${new Date(granted.expiresAt).toISOString()}`, {
+      grantId: granted.id,
+      reason: granted.reason,
+      grantedBy: granted.grantedBy
+    });
+    this.emit('knowledge:access-granted', granted);
+    
+    return granted;
+  }
+  
+  /**
+   * Withdraw an access grant before it expires
+   * @param {string} grantId - Grant ID
+   * @param {string} revokedBy - Operator revoking it
+   * @returns {boolean} Whether the grant was active
+   */
+  revokeAccess(grantId, revokedBy = null) {
+    const revoked = this.access.revoke(grantId, revokedBy);
+    
+    if (revoked) {
+      logger.info(`Knowledge access override revoked: ${grantId}`);
+      this.emit('knowledge:access-revoked', { grantId, revokedBy });
+    }
+    
+    return revoked;
+  }
+  
+  /**
+   * Access grants still in force
+   * @returns {Array<object>} Grants
+   */
+  getAccessGrants() {
+    return this.access.listGrants();
+  }
+  
+  /**
+   * Audit log of denied requests and grant changes, oldest first
+   * @param {object} options - Filters
+   * @param {string} options.event - 'denied', 'granted', 'revoked' or 'expired'
+   * @param {string} options.agentType - Agent type involved
+   * @param {number} options.limit - Return at most this many, keeping the newest
+   * @returns {Array<object>} Audit records
+   */
+  getAccessAudit(options = {}) {
+    return this.access.getAudit(options);
+  }
+  
+  /**
+   * Check a request against the access policy
+   * @param {object} agent - Requesting agent ({ id, type }), or null for the system
+   * @param {string} operation - 'read', 'write' or 'remove'
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @throws {KnowledgeAccessError} If the agent's level is too low
+   * @private
+   */
+  _authorize(agent, operation, category, key) {
+    try {
+      this.access.authorize(agent, operation, category, key);
+    } catch (error) {
+      if (error instanceof AccessControl.KnowledgeAccessError) {
+        logger.warn(`Knowledge access denied: ${error.message}`);
+        this.emit('knowledge:access-denied', {
+          agent: error.agent,
+          operation,
+          category,
+          key,
+          required: error.required,
+          level: error.level
+        });
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Declare a time-series category. Its series hold append-only points
+   * instead of versioned entries and are kept in memory only; limits apply
+   * per series.
+   * @param {string} category - Category name
+   * @param {object} options - Series options
+   * @param {number} options.maxPoints - Points kept per series (default 10000)
+   * @param {number} options.retentionMs - Drop points this much older than the newest
+   * @returns {boolean} False if the category already is a time-series category
+   * @throws {Error} If the category already holds regular knowledge
+   */
+  createTimeSeries(category, options = {}) {
+    if (this.timeSeries[category]) {
+      return false;
+    }
+    
+    if (this.knowledge[category] && Object.keys(this.knowledge[category]).length > 0) {
+      throw new Error(`Category ${category} already holds knowledge entries`);
+    }
+    
+    this.timeSeries[category] = new TimeSeries(options);
+    logger.info(`Time-series category created: ${category}`);
+    
+    return true;
+  }
+  
+  /**
+   * Append points to a series of a time-series category. Points must not be
+   * older than the newest point already stored; if any point is rejected,
+   * none of the batch is stored.
+   * @param {string} category - Time-series category
+   * @param {string} series - Series name, e.g. `${symbol}.${timeframe}`
+   * @param {object|Array<object>} points - Point(s) with a timestamp and fields such as price and volume
+   * @returns {boolean} Success status
+   */
+  async appendPoints(category, series, points) {
+    try {
+      if (!this.timeSeries[category]) {
+        throw new Error(`${category} is not a time-series category`);
+      }
+      
+      const batch = Array.isArray(points) ? points : [points];
+      const count = this.timeSeries[category].append(series, batch);
+      
+      this.emit('timeseries:appended', { category, series, count });
+      return true;
+    } catch (error) {
+      logger.error(`Error appending to time series ${category}/${series}:`, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Points of a series between two timestamps (inclusive)
+   * @param {string} category - Time-series category
+   * @param {string} series - Series name
+   * @param {object} options - { from, to, limit }
+   * @returns {Array<object>} Points, oldest first
+   */
+  getPoints(category, series, options = {}) {
+    return this.timeSeries[category] ? this.timeSeries[category].range(series, options) : [];
+  }
+  
+  /**
+   * Downsample a series into OHLCV bars
+   * @param {string} category - Time-series category
+   * @param {string} series - Series name
+   * @param {object} options - { intervalMs, from, to }
+   * @returns {Array<object>} Bars of { timestamp, open, high, low, close, volume, count }
+   */
+  downsample(category, series, options = {}) {
+    return this.timeSeries[category] ? this.timeSeries[category].downsample(series, options) : [];
+  }
+  
+  /**
+   * Rolling window over the most recent points of a series, with
+   * volatility, VWAP and moving-average helpers
+   * @param {string} category - Time-series category
+   * @param {string} series - Series name
+   * @param {object} options - { size, durationMs }
+   * @returns {RollingWindow|null} Window, or null if the category is not a time-series category
+   */
+  getRollingWindow(category, series, options = {}) {
+    return this.timeSeries[category] ? this.timeSeries[category].window(series, options) : null;
+  }
+  
+  /**
+   * Names of the series in a time-series category
+   * @param {string} category - Time-series category
+   * @returns {Array<string>} Series names
+   */
+  listSeries(category) {
+    return this.timeSeries[category] ? this.timeSeries[category].names() : [];
+  }
+  
+  /**
+   * Export every category, with current values, version histories, time
+   * series and index declarations, as a portable archive
+   * @param {object} options - Export options
+   * @param {string} options.format - 'json' (default) or 'ndjson'
+   * @param {Array<string>} options.categories - Only export these categories
+   * @returns {string} Archive text (see knowledge-snapshot.js)
+   */
+  exportSnapshot(options = {}) {
+    const { format = 'json', categories = null } = options;
+    const included = category => !categories || categories.includes(category);
+    const records = [];
+    
+    for (const [category, entries] of Object.entries(this.knowledge)) {
+      if (!included(category)) {
+        continue;
+      }
+      
+      for (const [key, entry] of Object.entries(entries)) {
+        records.push({ type: 'entry', category, key, entry, versions: this.versions[category][key] });
+      }
+    }
+    
+    for (const [category, timeSeries] of Object.entries(this.timeSeries)) {
+      if (!included(category)) {
+        continue;
+      }
+      
+      for (const series of timeSeries.names()) {
+        records.push({
+          type: 'series',
+          category,
+          series,
+          options: { maxPoints: timeSeries.maxPoints, retentionMs: timeSeries.retentionMs },
+          points: timeSeries.range(series)
+        });
+      }
+    }
+    
+    const indexes = {};
+    for (const category of Object.keys(this.indexes).filter(included)) {
+      indexes[category] = this.getIndexes(category);
+    }
+    
+    const archive = knowledgeSnapshot.serialize(records, { indexes }, format);
+    logger.info(`Knowledge snapshot exported (${records.length} records, ${format})`);
+    
+    return archive;
+  }
+  
+  /**
+   * Import an archive written by exportSnapshot(). In 'merge' mode the
+   * archive's keys and series replace existing ones of the same name and
+   * everything else is kept; in 'replace' mode the knowledge base is
+   * emptied first. Imported entries keep their original timestamps, so
+   * TTL policies still apply to them. Removed keys are announced as for
+   * removeKnowledge() and imported keys are reported to watchers.
+   * @param {string} text - Archive text (JSON or NDJSON)
+   * @param {object} options - Import options
+   * @param {string} options.mode - 'merge' (default) or 'replace'
+   * @param {object} options.agent - Importing agent ({ id, type }); needs admin on every category the import touches
+   * @returns {object} The archive's manifest
+   * @throws {SnapshotError} If the archive is malformed or fails its checksum
+   * @throws {KnowledgeAccessError} If the agent may not overwrite an affected category
+   */
+  async importSnapshot(text, options = {}) {
+    const { mode = 'merge' } = options;
+    
+    if (mode !== 'merge' && mode !== 'replace') {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+    
+    // Verify the whole archive before touching anything
+    const { manifest, records } = knowledgeSnapshot.parse(text);
+    
+    const affected = new Set(records.map(record => record.category));
+    if (mode === 'replace') {
+      Object.keys(this.knowledge).forEach(category => affected.add(category));
+      Object.keys(this.timeSeries).forEach(category => affected.add(category));
+    }
+    for (const category of affected) {
+      this._authorize(options.agent, 'import', category, '*');
+    }
+    
+    if (mode === 'replace') {
+      const imported = new Set(records.filter(record => record.type !== 'series')
+        .map(record => this._lruKey(record.category, record.key)));
+      
+      // Keys in the archive are overwritten below; the rest are removed
+      for (const [category, entries] of Object.entries(this.knowledge)) {
+        for (const key of Object.keys(entries)) {
+          if (imported.has(this._lruKey(category, key))) {
+            continue;
           }
           
-          return {
-            data: reconstructedData,
-            metadata: versionEntry.metadata,
-            timestamp: versionEntry.timestamp
-          };
+          await this._removeEntry(category, key);
+          this.emit('knowledge:removed', { category, key });
         }
       }
+      this.timeSeries = {};
+    }
+    
+    for (const record of records) {
+      const { category } = record;
       
-      return null;
-    } catch (error) {
-      logger.error(`Error retrieving knowledge ${category}/${key}:`, error);
-      return null;
+      if (record.type === 'series') {
+        this.createTimeSeries(category, record.options);
+        this.timeSeries[category].remove(record.series);
+        this.timeSeries[category].append(record.series, record.points);
+        continue;
+      }
+      
+      const { key, entry, versions } = record;
+      const previousEntry = this.knowledge[category] && this.knowledge[category][key];
+      
+      await this.storage.replaceRecord(category, key, entry, versions);
+      
+      if (!this.knowledge[category]) {
+        this.knowledge[category] = {};
+        this.versions[category] = {};
+        this.categories.add(category);
+      }
+      
+      this.knowledge[category][key] = entry;
+      this.versions[category][key] = versions;
+      this._reindexEntry(category, key, previousEntry, entry);
+      this._trackSize(category, key, {
+        entryBytes: estimateSize(entry),
+        versionsBytes: versions.reduce((total, version) => total + estimateSize(version), 0)
+      });
+      
+      this._notifyWatchers(category, key, previousEntry ? previousEntry.data : undefined, entry);
+    }
+    
+    for (const [category, fields] of Object.entries(manifest.indexes || {})) {
+      for (const field of fields) {
+        this.createIndex(category, field);
+      }
     }
+    
+    logger.info(`Knowledge snapshot imported (${records.length} records, ${mode})`);
+    this.emit('knowledge:imported', { mode, entries: manifest.entryCount, series: manifest.seriesCount });
+    
+    return manifest;
   }
   
   /**
    * Query knowledge by category
    * @param {string} category - Category to query
+   * @param {object} options - Query options
+   * @param {object} options.agent - Requesting agent ({ id, type }); nothing is returned without read access
    * @returns {Array} List of knowledge items in the category
    */
-  async queryByCategory(category) {
+  async queryByCategory(category, options = {}) {
     try {
+      this._authorize(options.agent, 'read', category, '*');
+      
       if (!this.knowledge[category]) {
         return [];
       }
@@ -221,11 +1795,341 @@ class KnowledgeBase extends EventEmitter {
         ...this.knowledge[category][key]
       }));
     } catch (error) {
-      logger.error(`Error querying category ${category}:`, error);
+      // Denied requests are already logged and audited
+      if (!(error instanceof AccessControl.KnowledgeAccessError)) {
+        logger.error(`Error querying category ${category}:`, error);
+      }
       return [];
     }
   }
   
+  /**
+   * Query knowledge in a category. Filters apply to any field of the
+   * record ({ key, data, metadata, timestamp }) by dot path; see
+   * knowledge-query.js for the operators. Equality and $in conditions on
+   * indexed fields narrow the scan through the index.
+   * @param {string} category - Category to query
+   * @param {object} options - Query options
+   * @param {object} options.where - Field paths mapped to a value or operators ($eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists)
+   * @param {object} options.sort - Field paths mapped to 1 (ascending) or -1 (descending)
+   * @param {number} options.offset - Matching records to skip
+   * @param {number} options.limit - Maximum records to return
+   * @param {Array<string>} options.select - Field paths to return (the key is always included)
+   * @param {object} options.agent - Requesting agent ({ id, type }); needs read access to the category
+   * @returns {object} { items, total, offset, limit, index } where total counts all matches
+   *   and index names the indexed field used, if any
+   * @throws {Error} If the where clause uses an unknown operator
+   * @throws {KnowledgeAccessError} If the agent may not read the category
+   */
+  query(category, options = {}) {
+    const { where = {}, sort = null, offset = 0, limit = null, select = null } = options;
+    
+    this._authorize(options.agent, 'read', category, '*');
+    
+    const filter = knowledgeQuery.compileFilter(where);
+    const entries = this.knowledge[category] || {};
+    const { keys, index } = this._planQuery(category, where);
+    
+    const matches = [];
+    
+    for (const key of keys || Object.keys(entries)) {
+      const entry = entries[key];
+      if (!entry) {
+        continue;
+      }
+      
+      const record = { key, ...entry };
+      if (filter(record)) {
+        matches.push(record);
+      }
+    }
+    
+    if (sort) {
+      matches.sort(knowledgeQuery.compileSort(sort));
+    }
+    
+    const page = matches.slice(offset, limit === null ? undefined : offset + limit);
+    
+    return {
+      items: page.map(record => cloneValue(select ? knowledgeQuery.project(record, select) : record)),
+      total: matches.length,
+      offset,
+      limit,
+      index
+    };
+  }
+  
+  /**
+   * Declare a secondary index on a field of a category's records
+   * @param {string} category - Knowledge category
+   * @param {string} field - Field path (e.g. 'data.strategyId')
+   * @returns {boolean} False if the index already exists
+   */
+  createIndex(category, field) {
+    if (!this.indexes[category]) {
+      this.indexes[category] = new Map();
+    }
+    
+    if (this.indexes[category].has(field)) {
+      return false;
+    }
+    
+    this._buildIndex(category, field);
+    logger.info(`Index created on ${category}.${field}`);
+    
+    return true;
+  }
+  
+  /**
+   * Remove a secondary index
+   * @param {string} category - Knowledge category
+   * @param {string} field - Indexed field path
+   * @returns {boolean} Whether an index was removed
+   */
+  dropIndex(category, field) {
+    if (!this.indexes[category] || !this.indexes[category].delete(field)) {
+      return false;
+    }
+    
+    logger.info(`Index dropped on ${category}.${field}`);
+    return true;
+  }
+  
+  /**
+   * List the indexed fields of a category
+   * @param {string} category - Knowledge category
+   * @returns {Array<string>} Indexed field paths
+   */
+  getIndexes(category) {
+    return this.indexes[category] ? [...this.indexes[category].keys()] : [];
+  }
+  
+  /**
+   * (Re)build an index from the current entries
+   * @param {string} category - Knowledge category
+   * @param {string} field - Field path
+   * @private
+   */
+  _buildIndex(category, field) {
+    const index = new Map();
+    this.indexes[category].set(field, index);
+    
+    for (const [key, entry] of Object.entries(this.knowledge[category] || {})) {
+      this._addToIndex(index, key, knowledgeQuery.getPath({ key, ...entry }, field));
+    }
+  }
+  
+  /**
+   * Move an entry between index buckets after it changed
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {object|undefined} previousEntry - Entry before the change (undefined if new)
+   * @param {object|undefined} entry - Entry after the change (undefined if removed)
+   * @private
+   */
+  _reindexEntry(category, key, previousEntry, entry) {
+    if (this._isSearchable(category)) {
+      if (entry) {
+        this.searchIndex.add(category, key, entry.data);
+      } else {
+        this.searchIndex.remove(category, key);
+      }
+    }
+    
+    if (!this.indexes[category]) {
+      return;
+    }
+    
+    for (const [field, index] of this.indexes[category]) {
+      if (previousEntry) {
+        const bucketKey = knowledgeQuery.indexKey(knowledgeQuery.getPath({ key, ...previousEntry }, field));
+        const bucket = index.get(bucketKey);
+        
+        if (bucket) {
+          bucket.delete(key);
+          if (bucket.size === 0) {
+            index.delete(bucketKey);
+          }
+        }
+      }
+      
+      if (entry) {
+        this._addToIndex(index, key, knowledgeQuery.getPath({ key, ...entry }, field));
+      }
+    }
+  }
+  
+  /**
+   * File a key under a value in an index
+   * @param {Map} index - Index
+   * @param {string} key - Knowledge key
+   * @param {any} value - Indexed field value
+   * @private
+   */
+  _addToIndex(index, key, value) {
+    if (value === undefined) {
+      return;
+    }
+    
+    const bucketKey = knowledgeQuery.indexKey(value);
+    
+    if (!index.has(bucketKey)) {
+      index.set(bucketKey, new Set());
+    }
+    index.get(bucketKey).add(key);
+  }
+  
+  /**
+   * Pick the candidate keys for a query, using the most selective index
+   * that can answer one of its conditions
+   * @param {string} category - Knowledge category
+   * @param {object} where - Where clause
+   * @returns {object} { keys, index }, with keys null for a full scan
+   * @private
+   */
+  _planQuery(category, where) {
+    let best = { keys: null, index: null };
+    
+    if (!this.indexes[category]) {
+      return best;
+    }
+    
+    for (const [field, condition] of Object.entries(where)) {
+      const index = this.indexes[category].get(field);
+      const values = index ? knowledgeQuery.indexLookupValues(condition) : null;
+      
+      if (!values) {
+        continue;
+      }
+      
+      const keys = new Set();
+      for (const value of values) {
+        for (const key of index.get(knowledgeQuery.indexKey(value)) || []) {
+          keys.add(key);
+        }
+      }
+      
+      if (!best.keys || keys.size < best.keys.size) {
+        best = { keys, index: field };
+      }
+    }
+    
+    return best;
+  }
+  
+  /**
+   * Make the string content of a category's entries searchable
+   * @param {string} category - Category, or a glob over categories (e.g. 'strategies*')
+   * @returns {number} Number of entries indexed
+   */
+  enableSearch(category) {
+    if (this.searchCategories.has(category)) {
+      return 0;
+    }
+    
+    this.searchCategories.set(category, knowledgeQuery.globToRegExp(category));
+    
+    const before = this.searchIndex.size;
+    this._buildSearchIndex();
+    const indexed = this.searchIndex.size - before;
+    
+    logger.info(`Search enabled on ${category} (${indexed} entries indexed)`);
+    return indexed;
+  }
+  
+  /**
+   * Stop indexing a category for search
+   * @param {string} category - Category or glob passed to enableSearch()
+   * @returns {boolean} Whether search was enabled for it
+   */
+  disableSearch(category) {
+    if (!this.searchCategories.delete(category)) {
+      return false;
+    }
+    
+    this._buildSearchIndex();
+    logger.info(`Search disabled on ${category}`);
+    return true;
+  }
+  
+  /**
+   * List the categories (and globs) search is enabled for
+   * @returns {Array<string>} Categories
+   */
+  getSearchCategories() {
+    return [...this.searchCategories.keys()];
+  }
+  
+  /**
+   * Use an embedding model for semantic search. Every searchable entry is
+   * embedded again with the new model.
+   * @param {Function|null} embedder - Async function (text) => Array<number>, or null to remove
+   */
+  setEmbedder(embedder) {
+    this.searchIndex.setEmbedder(embedder);
+    logger.info(embedder ? 'Search embedder set' : 'Search embedder removed');
+  }
+  
+  /**
+   * Search the string content of searchable entries, best matches first.
+   * Text search ranks entries with BM25 over their terms; semantic search
+   * ranks them by embedding similarity (see setEmbedder).
+   * @param {string} text - Query text
+   * @param {object} options - Search options
+   * @param {Array<string>} options.categories - Limit to these categories (globs allowed)
+   * @param {string} options.mode - 'text' (default), 'semantic' or 'hybrid'
+   * @param {number} options.semanticWeight - Share of the semantic score in hybrid mode (default 0.5)
+   * @param {number} options.limit - Maximum results (default 10)
+   * @param {object|boolean} options.highlight - false, or { pre, post, contextChars } (default '<mark>', '</mark>', 60)
+   * @param {object} options.agent - Searching agent ({ id, type }); categories it cannot read are left out
+   * @returns {Array<object>} Results of { category, key, score, highlights: [{ field, snippet }] }
+   * @throws {Error} For an unknown mode, or a semantic search without an embedder
+   */
+  async search(text, options = {}) {
+    const { categories = null, agent = null } = options;
+    const matchers = categories ? categories.map(category => knowledgeQuery.globToRegExp(category)) : null;
+    
+    const filter = ({ category }) =>
+      (!matchers || matchers.some(matcher => matcher.test(category))) &&
+      (!agent || !this.access.enabled || this.access.levelFor(agent, category) !== 'none');
+    
+    return this.searchIndex.search(text, { ...options, filter });
+  }
+  
+  /**
+   * Whether a category's entries are indexed for search
+   * @param {string} category - Knowledge category
+   * @returns {boolean} Searchable state
+   * @private
+   */
+  _isSearchable(category) {
+    for (const matcher of this.searchCategories.values()) {
+      if (matcher.test(category)) {
+        return true;
+      }
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Rebuild the search index from the current entries
+   * @private
+   */
+  _buildSearchIndex() {
+    this.searchIndex.clear();
+    
+    for (const category of Object.keys(this.knowledge)) {
+      if (!this._isSearchable(category)) {
+        continue;
+      }
+      
+      for (const [key, entry] of Object.entries(this.knowledge[category])) {
+        this.searchIndex.add(category, key, entry.data);
+      }
+    }
+  }
+  
   /**
    * Get all categories in the knowledge base
    * @returns {Array} List of categories
@@ -246,11 +2150,13 @@ class KnowledgeBase extends EventEmitter {
         return [];
       }
       
+      const firstVersion = this._firstVersion(category, key);
+      
       // Return a mapped version of history, resolving diffs if needed
       return this.versions[category][key].map((version, index) => {
         if (version.type === 'full') {
           return {
-            version: index,
+            version: firstVersion + index,
             data: version.data,
             metadata: version.metadata,
             timestamp: version.timestamp,
@@ -259,12 +2165,12 @@ class KnowledgeBase extends EventEmitter {
         } else {
           // For differential versions, only return metadata and indication
           return {
-            version: index,
+            version: firstVersion + index,
             metadata: version.metadata,
             timestamp: version.timestamp,
             type: 'differential',
-            // Don't include the actual diff to save space
-            diffAvailable: !!version.diff
+            // Don't include the actual patch to save space
+            diffAvailable: !!version.reverse
           };
         }
       });
@@ -292,4 +2198,7 @@ class KnowledgeBase extends EventEmitter {
   }
 }
 
-module.exports = new KnowledgeBase(); 
\ No newline at end of file
+module.exports = new KnowledgeBase();
+module.exports.KnowledgeBase = KnowledgeBase;
+module.exports.KnowledgeConflictError = KnowledgeConflictError;
+module.exports.KnowledgeAccessError = AccessControl.KnowledgeAccessError;
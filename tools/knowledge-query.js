@@ -0,0 +1,307 @@
+/**
+ * Knowledge Query
+ *
+ * Filter, sort and projection helpers behind KnowledgeBase.query(), and the
+ * glob patterns used to match categories and keys.
+ *
+ * Records have the shape { key, data, metadata, timestamp } and fields are
+ * addressed by dot paths such as 'data.confidence' or 'metadata.agent.type'.
+ *
+ * A where clause maps field paths to either a literal (equality) or an
+ * operator object:
+ *   { 'data.strategyId': 'trend-following',
+ *     'data.confidence': { $gt: 0.7 },
+ *     timestamp: { $gte: Date.now() - 3600000 } }
+ *
+ * Dates compare by their time value, so they can be matched against
+ * millisecond timestamps.
+ */
+
+const OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists'];
+
+/**
+ * Read a dot-separated path from an object
+ * @param {object} object - Source object
+ * @param {string} path - Field path (e.g. 'data.confidence')
+ * @returns {any} Value, or undefined when any segment is missing
+ */
+function getPath(object, path) {
+  let value = object;
+
+  for (const segment of path.split('.')) {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+
+  return value;
+}
+
+/**
+ * Normalize a value for comparison
+ * @param {any} value - Value
+ * @returns {any} Dates as milliseconds, anything else unchanged
+ */
+function normalize(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+/**
+ * Build the key a value is filed under in an index. Values that compare
+ * equal produce the same key.
+ * @param {any} value - Field value
+ * @returns {string} Index key
+ */
+function indexKey(value) {
+  const normalized = normalize(value);
+
+  if (normalized !== null && typeof normalized === 'object') {
+    return `object:${JSON.stringify(normalized)}`;
+  }
+
+  return `${typeof normalized}:${String(normalized)}`;
+}
+
+/**
+ * Whether a where-clause condition is an operator object
+ * @param {any} condition - Condition
+ * @returns {boolean} True for objects such as { $gt: 1 }
+ * @throws {Error} When operators are mixed with plain fields or unknown
+ */
+function isOperatorObject(condition) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition) || condition instanceof Date) {
+    return false;
+  }
+
+  const keys = Object.keys(condition);
+  const operators = keys.filter(key => key.startsWith('$'));
+
+  if (operators.length === 0) {
+    return false;
+  }
+  if (operators.length !== keys.length) {
+    throw new Error('Query conditions cannot mix operators and fields');
+  }
+
+  for (const operator of operators) {
+    if (!OPERATORS.includes(operator)) {
+      throw new Error(`Unknown query operator: ${operator}`);
+    }
+    if ((operator === '$in' || operator === '$nin') && !Array.isArray(condition[operator])) {
+      throw new Error(`${operator} requires an array`);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Order two values, placing missing values last
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {number|null} Comparison result, or null when the types differ
+ */
+function compareValues(a, b) {
+  const left = normalize(a);
+  const right = normalize(b);
+
+  if (left === right) {
+    return 0;
+  }
+  if (left === undefined || left === null) {
+    return 1;
+  }
+  if (right === undefined || right === null) {
+    return -1;
+  }
+  if (typeof left !== typeof right) {
+    return null;
+  }
+
+  return left < right ? -1 : 1;
+}
+
+/**
+ * Check a range operator, which only matches values of the same type
+ * @param {any} value - Field value
+ * @param {any} bound - Operator argument
+ * @param {Function} test - Receives the comparison result
+ * @returns {boolean} Whether the value is in range
+ */
+function inRange(value, bound, test) {
+  if (value === undefined || value === null) {
+    return false;
+  }
+
+  const order = compareValues(value, bound);
+  return order !== null && test(order);
+}
+
+/**
+ * Test a value against a single condition
+ * @param {any} value - Field value
+ * @param {any} condition - Literal or operator object
+ * @returns {boolean} Whether the value matches
+ */
+function matchCondition(value, condition) {
+  if (!isOperatorObject(condition)) {
+    return indexKey(value) === indexKey(condition);
+  }
+
+  return Object.entries(condition).every(([operator, argument]) => {
+    switch (operator) {
+      case '$eq':
+        return indexKey(value) === indexKey(argument);
+      case '$ne':
+        return indexKey(value) !== indexKey(argument);
+      case '$gt':
+        return inRange(value, argument, order => order > 0);
+      case '$gte':
+        return inRange(value, argument, order => order >= 0);
+      case '$lt':
+        return inRange(value, argument, order => order < 0);
+      case '$lte':
+        return inRange(value, argument, order => order <= 0);
+      case '$in':
+        return argument.some(candidate => indexKey(value) === indexKey(candidate));
+      case '$nin':
+        return !argument.some(candidate => indexKey(value) === indexKey(candidate));
+      case '$exists':
+        return (value !== undefined) === !!argument;
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * Compile a where clause into a predicate. Invalid operators throw here,
+ * before any records are scanned.
+ * @param {object} where - Field paths mapped to conditions
+ * @returns {Function} Predicate over records
+ */
+function compileFilter(where = {}) {
+  const clauses = Object.entries(where);
+
+  for (const [, condition] of clauses) {
+    isOperatorObject(condition);
+  }
+
+  return record => clauses.every(([path, condition]) => matchCondition(getPath(record, path), condition));
+}
+
+/**
+ * Values an index can be probed with to satisfy a condition
+ * @param {any} condition - Where-clause condition
+ * @returns {Array|null} Values to look up, or null when an index cannot help
+ */
+function indexLookupValues(condition) {
+  if (!isOperatorObject(condition)) {
+    return condition === undefined ? null : [condition];
+  }
+  if ('$eq' in condition) {
+    return [condition.$eq];
+  }
+  if (Array.isArray(condition.$in)) {
+    return condition.$in;
+  }
+
+  return null;
+}
+
+/**
+ * Build a comparator from a sort specification
+ * @param {object} sort - Field paths mapped to 1 (ascending) or -1 (descending)
+ * @returns {Function} Comparator over records
+ */
+function compileSort(sort = {}) {
+  const fields = Object.entries(sort);
+
+  return (a, b) => {
+    for (const [path, direction] of fields) {
+      const left = getPath(a, path);
+      const right = getPath(b, path);
+      const order = compareValues(left, right);
+
+      if (order === null) {
+        continue;
+      }
+      // Missing values stay last whichever way the field is sorted
+      if (left === undefined || left === null || right === undefined || right === null) {
+        if (order !== 0) {
+          return order;
+        }
+        continue;
+      }
+      if (order !== 0) {
+        return direction < 0 ? -order : order;
+      }
+    }
+
+    return 0;
+  };
+}
+
+/**
+ * Keep only the selected fields of a record. The key is always included.
+ * @param {object} record - Knowledge record
+ * @param {Array<string>} fields - Field paths to keep
+ * @returns {object} Projected record
+ */
+function project(record, fields) {
+  const result = { key: record.key };
+
+  for (const path of fields) {
+    const value = getPath(record, path);
+    if (value === undefined) {
+      continue;
+    }
+
+    const segments = path.split('.');
+    let target = result;
+
+    for (const segment of segments.slice(0, -1)) {
+      if (!target[segment] || typeof target[segment] !== 'object') {
+        target[segment] = {};
+      }
+      target = target[segment];
+    }
+    target[segments[segments.length - 1]] = value;
+  }
+
+  return result;
+}
+
+/**
+ * Compile a glob pattern into a regular expression. `*` matches any run of
+ * characters (including dots) and `?` matches a single character.
+ * @param {string} pattern - Glob pattern (e.g. '*.current')
+ * @returns {RegExp} Anchored expression
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') {
+        return '.*';
+      }
+      if (char === '?') {
+        return '.';
+      }
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`);
+}
+
+module.exports = {
+  getPath,
+  indexKey,
+  compileFilter,
+  compileSort,
+  indexLookupValues,
+  project,
+  globToRegExp
+};
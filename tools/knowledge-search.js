@@ -0,0 +1,475 @@
+/**
+ * Knowledge Search
+ *
+ * Inverted-index full-text search behind KnowledgeBase.search(). Each
+ * knowledge entry is a document whose fields are the string values in its
+ * data, addressed by path (a prompt stored as a plain string has the field
+ * '', a registered strategy has 'name' and 'functionString'). Text is split
+ * into lowercase terms, with camelCase identifiers broken into words so
+ * code such as `calculateRSI(prices)` matches 'rsi' and 'prices', and
+ * documents are ranked with BM25.
+ *
+ * An optional embedder (an async function from text to a vector, e.g. a
+ * local sentence-embedding model) adds semantic search: documents are
+ * embedded as they are indexed and ranked by cosine similarity to the
+ * query, alone or blended with the text score.
+ */
+
+// BM25 parameters: term frequency saturation and document length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'if', 'in',
+  'into', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+  'with', 'you', 'your'
+]);
+
+const SEARCH_MODES = ['text', 'semantic', 'hybrid'];
+
+/**
+ * Reduce a word to a crude stem so plurals and common verb forms match
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) {
+    return `${word.slice(0, -3)}y`;
+  }
+  if (word.length > 5 && word.endsWith('ing')) {
+    return word.slice(0, -3);
+  }
+  if (word.length > 4 && word.endsWith('ed')) {
+    return word.slice(0, -2);
+  }
+  if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+
+  return word;
+}
+
+/**
+ * Split text into terms with their positions
+ * @param {string} text - Text
+ * @returns {Array<object>} Tokens of { term, start, end }
+ */
+function tokenize(text) {
+  const tokens = [];
+  // Words are runs of letters or digits; camelCase and acronym boundaries split them further
+  const pattern = /[A-Z]+(?![a-z])|[A-Z]?[a-z]+|[0-9]+/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const word = match[0].toLowerCase();
+
+    if (word.length < 2 || STOPWORDS.has(word)) {
+      continue;
+    }
+
+    tokens.push({ term: stem(word), start: match.index, end: match.index + match[0].length });
+  }
+
+  return tokens;
+}
+
+/**
+ * Collect the string values of a document by path
+ * @param {any} value - Knowledge data
+ * @param {string} path - Path of the value
+ * @param {object} fields - Field path -> text, filled in
+ * @returns {object} The fields
+ */
+function extractFields(value, path = '', fields = {}) {
+  if (typeof value === 'string') {
+    fields[path] = value;
+  } else if (value instanceof Map) {
+    for (const [key, item] of value) {
+      extractFields(item, path ? `${path}.${key}` : String(key), fields);
+    }
+  } else if (Array.isArray(value) || value instanceof Set) {
+    [...value].forEach((item, index) => extractFields(item, path ? `${path}.${index}` : String(index), fields));
+  } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+    for (const [key, item] of Object.entries(value)) {
+      extractFields(item, path ? `${path}.${key}` : key, fields);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector
+ * @returns {number} Similarity (0 when either vector is empty or zero)
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Excerpt of a field around its first matching term, with matches marked
+ * @param {string} text - Field text
+ * @param {Set<string>} terms - Query terms
+ * @param {object} options - Highlight options
+ * @param {string} options.pre - Inserted before each match
+ * @param {string} options.post - Inserted after each match
+ * @param {number} options.contextChars - Characters kept on either side of the first match
+ * @returns {string|null} Snippet, or null if no term occurs in the field
+ */
+function highlight(text, terms, options) {
+  const matches = tokenize(text).filter(token => terms.has(token.term));
+
+  if (matches.length === 0) {
+    return null;
+  }
+
+  let from = Math.max(0, matches[0].start - options.contextChars);
+  let to = Math.min(text.length, matches[0].end + options.contextChars);
+
+  // Cut at whitespace rather than mid-word
+  if (from > 0 && /\S/.test(text[from - 1])) {
+    const boundary = text.slice(from, matches[0].start).search(/\s/);
+    if (boundary >= 0) {
+      from += boundary + 1;
+    }
+  }
+  if (to < text.length && /\S/.test(text[to])) {
+    const boundary = text.slice(matches[0].end, to).search(/\s\S*$/);
+    if (boundary >= 0) {
+      to = matches[0].end + boundary;
+    }
+  }
+
+  let snippet = '';
+  let cursor = from;
+
+  for (const token of matches) {
+    if (token.start < from || token.end > to) {
+      continue;
+    }
+    snippet += text.slice(cursor, token.start) + options.pre + text.slice(token.start, token.end) + options.post;
+    cursor = token.end;
+  }
+  snippet += text.slice(cursor, to);
+
+  return `${from > 0 ? '…' : ''}${snippet.replace(/\s+/g, ' ').trim()}${to < text.length ? '…' : ''}`;
+}
+
+class SearchIndex {
+  /**
+   * Create an empty index
+   * @param {object} options - Index options
+   * @param {object} options.logger - Logger for embedding failures
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || null;
+
+    // Document ID -> { id, category, key, fields, length, terms }
+    this.documents = new Map();
+    // Term -> document ID -> term frequency
+    this.postings = new Map();
+    this.totalLength = 0;
+
+    this.embedder = null;
+    this.embeddings = new Map();
+    this.pendingEmbeddings = new Map();
+  }
+
+  /**
+   * Number of indexed documents
+   * @returns {number} Document count
+   */
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Add or replace the document of a knowledge entry
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {any} data - Knowledge data
+   */
+  add(category, key, data) {
+    const id = this._documentId(category, key);
+    this.remove(category, key);
+
+    const fields = extractFields(data);
+    const frequencies = new Map();
+    let length = 0;
+
+    for (const text of Object.values(fields)) {
+      for (const { term } of tokenize(text)) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+        length++;
+      }
+    }
+
+    if (length === 0) {
+      return;
+    }
+
+    for (const [term, frequency] of frequencies) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, frequency);
+    }
+
+    const document = { id, category, key, fields, length, terms: [...frequencies.keys()] };
+    this.documents.set(id, document);
+    this.totalLength += length;
+
+    if (this.embedder) {
+      this._embed(document);
+    }
+  }
+
+  /**
+   * Remove the document of a knowledge entry
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @returns {boolean} Whether the entry was indexed
+   */
+  remove(category, key) {
+    const id = this._documentId(category, key);
+    const document = this.documents.get(id);
+
+    if (!document) {
+      return false;
+    }
+
+    for (const term of document.terms) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.documents.delete(id);
+    this.embeddings.delete(id);
+    this.pendingEmbeddings.delete(id);
+    this.totalLength -= document.length;
+
+    return true;
+  }
+
+  /**
+   * Remove every document
+   */
+  clear() {
+    this.documents.clear();
+    this.postings.clear();
+    this.embeddings.clear();
+    this.pendingEmbeddings.clear();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Set or remove the embedder and (re)embed every document
+   * @param {Function|null} embedder - Async function (text) => Array<number>
+   */
+  setEmbedder(embedder) {
+    this.embedder = embedder || null;
+    this.embeddings.clear();
+    this.pendingEmbeddings.clear();
+
+    if (this.embedder) {
+      for (const document of this.documents.values()) {
+        this._embed(document);
+      }
+    }
+  }
+
+  /**
+   * Search the index
+   * @param {string} text - Query text
+   * @param {object} options - Search options
+   * @param {string} options.mode - 'text' (default), 'semantic' or 'hybrid'
+   * @param {number} options.semanticWeight - Share of the semantic score in hybrid mode (default 0.5)
+   * @param {number} options.limit - Maximum results (default 10)
+   * @param {Function} options.filter - Keep only documents for which filter({ category, key }) is true
+   * @param {object|boolean} options.highlight - false, or { pre, post, contextChars }
+   * @returns {Promise<Array<object>>} Results of { category, key, score, highlights }, best first
+   * @throws {Error} For an unknown mode, or a semantic search without an embedder
+   */
+  async search(text, options = {}) {
+    const { mode = 'text', semanticWeight = 0.5, limit = 10, filter = null } = options;
+
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(`Unknown search mode: ${mode}`);
+    }
+    if (mode !== 'text' && !this.embedder) {
+      throw new Error(`Search mode ${mode} needs an embedder`);
+    }
+
+    const terms = [...new Set(tokenize(text).map(token => token.term))];
+    const candidates = [...this.documents.values()].filter(document =>
+      !filter || filter({ category: document.category, key: document.key })
+    );
+
+    const textScores = this._scoreText(terms, candidates);
+    const scores = new Map();
+
+    if (mode === 'text') {
+      for (const [id, score] of textScores) {
+        scores.set(id, score);
+      }
+    } else {
+      const semanticScores = await this._scoreSemantic(text, candidates);
+      const maxText = Math.max(0, ...textScores.values());
+
+      for (const document of candidates) {
+        const semantic = semanticScores.get(document.id) || 0;
+        const textScore = maxText > 0 ? (textScores.get(document.id) || 0) / maxText : 0;
+        const score = mode === 'semantic' ? semantic : semanticWeight * semantic + (1 - semanticWeight) * textScore;
+
+        if (score > 0) {
+          scores.set(document.id, score);
+        }
+      }
+    }
+
+    const highlightOptions = options.highlight === false
+      ? null
+      : { pre: '<mark>', post: '</mark>', contextChars: 60, ...options.highlight };
+    const termSet = new Set(terms);
+
+    return [...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([id, score]) => {
+        const document = this.documents.get(id);
+        const result = { category: document.category, key: document.key, score };
+
+        if (highlightOptions) {
+          result.highlights = [];
+          for (const [field, fieldText] of Object.entries(document.fields)) {
+            const snippet = highlight(fieldText, termSet, highlightOptions);
+            if (snippet) {
+              result.highlights.push({ field, snippet });
+            }
+          }
+        }
+
+        return result;
+      });
+  }
+
+  /**
+   * BM25 scores of candidate documents for the query terms
+   * @param {Array<string>} terms - Query terms
+   * @param {Array<object>} candidates - Documents to score
+   * @returns {Map<string, number>} Document ID -> score, for documents matching any term
+   * @private
+   */
+  _scoreText(terms, candidates) {
+    const scores = new Map();
+    const total = this.documents.size;
+    const averageLength = total > 0 ? this.totalLength / total : 0;
+    const allowed = new Set(candidates.map(document => document.id));
+
+    for (const term of terms) {
+      const posting = this.postings.get(term);
+      if (!posting) {
+        continue;
+      }
+
+      const idf = Math.log(1 + (total - posting.size + 0.5) / (posting.size + 0.5));
+
+      for (const [id, frequency] of posting) {
+        if (!allowed.has(id)) {
+          continue;
+        }
+
+        const { length } = this.documents.get(id);
+        const weight = (frequency * (BM25_K1 + 1)) /
+          (frequency + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength));
+
+        scores.set(id, (scores.get(id) || 0) + idf * weight);
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Cosine similarity of candidate documents to the query
+   * @param {string} text - Query text
+   * @param {Array<object>} candidates - Documents to score
+   * @returns {Promise<Map<string, number>>} Document ID -> similarity
+   * @private
+   */
+  async _scoreSemantic(text, candidates) {
+    await Promise.all(this.pendingEmbeddings.values());
+
+    const query = await this.embedder(text);
+    const scores = new Map();
+
+    for (const document of candidates) {
+      const vector = this.embeddings.get(document.id);
+      if (vector) {
+        scores.set(document.id, cosineSimilarity(query, vector));
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Embed a document in the background. A document changed or removed while
+   * its embedding was computed keeps only the newer embedding.
+   * @param {object} document - Indexed document
+   * @private
+   */
+  _embed(document) {
+    const embedder = this.embedder;
+    const pending = Promise.resolve()
+      .then(() => embedder(Object.values(document.fields).join('\n')))
+      .then(vector => {
+        if (this.documents.get(document.id) === document && this.embedder === embedder) {
+          this.embeddings.set(document.id, vector);
+        }
+      })
+      .catch(error => {
+        if (this.logger) {
+          this.logger.warn(`Could not embed ${document.category}/${document.key}: ${error.message}`);
+        }
+      })
+      .finally(() => {
+        if (this.pendingEmbeddings.get(document.id) === pending) {
+          this.pendingEmbeddings.delete(document.id);
+        }
+      });
+
+    this.pendingEmbeddings.set(document.id, pending);
+  }
+
+  /**
+   * Document ID of a knowledge entry
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @returns {string} Document ID
+   * @private
+   */
+  _documentId(category, key) {
+    return `${category}\u0000${key}`;
+  }
+}
+
+module.exports = SearchIndex;
+module.exports.SearchIndex = SearchIndex;
+module.exports.tokenize = tokenize;
+module.exports.extractFields = extractFields;
@@ -0,0 +1,198 @@
+/**
+ * Knowledge Snapshot
+ *
+ * Portable archives of the Knowledge Base: every category with current
+ * values, version histories and time series, plus a manifest carrying a
+ * SHA-256 checksum of the records. Archives are either one JSON document
+ * ({ manifest, records }) or NDJSON (the manifest on the first line, one
+ * record per line after it). Values are encoded like the storage adapters
+ * encode them, so Dates, Maps and Sets survive the round trip.
+ *
+ * Run directly to move knowledge between files and storage backends:
+ *   node tools/knowledge-snapshot.js export <file> [--format json|ndjson] [--storage type] [--path location]
+ *   node tools/knowledge-snapshot.js import <file> [--mode merge|replace] [--storage type] [--path location]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { encode, decode } = require('./storage/base-storage');
+
+const SNAPSHOT_FORMAT = 'perseus-knowledge-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+class SnapshotError extends Error {
+  /**
+   * Create a snapshot error
+   * @param {string} message - Error message
+   * @param {string} code - 'INVALID_SNAPSHOT' or 'CHECKSUM_MISMATCH'
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'SnapshotError';
+    this.code = code;
+  }
+}
+
+/**
+ * Checksum of encoded record lines
+ * @param {Array<string>} lines - Encoded records
+ * @returns {string} Hex SHA-256 digest
+ */
+function checksum(lines) {
+  const hash = crypto.createHash('sha256');
+
+  for (const line of lines) {
+    hash.update(line);
+    hash.update('\n');
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * Serialize records into an archive
+ * @param {Array<object>} records - Entry records ({ type: 'entry', category, key, entry, versions })
+ *   and series records ({ type: 'series', category, series, options, points })
+ * @param {object} details - Extra manifest fields (e.g. indexes)
+ * @param {string} format - 'json' or 'ndjson'
+ * @returns {string} Archive text
+ */
+function serialize(records, details = {}, format = 'json') {
+  if (format !== 'json' && format !== 'ndjson') {
+    throw new SnapshotError(`Unknown snapshot format: ${format}`, 'INVALID_SNAPSHOT');
+  }
+
+  const lines = records.map(record => encode(record));
+  const entries = records.filter(record => record.type === 'entry');
+
+  const manifest = {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    createdAt: new Date().toISOString(),
+    categories: [...new Set(records.map(record => record.category))],
+    entryCount: entries.length,
+    versionCount: entries.reduce((total, record) => total + record.versions.length, 0),
+    seriesCount: records.length - entries.length,
+    recordCount: records.length,
+    checksum: checksum(lines),
+    ...details
+  };
+
+  if (format === 'ndjson') {
+    return [JSON.stringify(manifest), ...lines].join('\n') + '\n';
+  }
+
+  // Records are embedded as parsed JSON so the document stays readable
+  return `{"manifest":${JSON.stringify(manifest)},"records":[${lines.join(',')}]}\n`;
+}
+
+/**
+ * Parse and verify an archive in either format
+ * @param {string} text - Archive text
+ * @returns {object} { manifest, records }
+ * @throws {SnapshotError} If the archive is malformed or fails its checksum
+ */
+function parse(text) {
+  let manifest;
+  let lines;
+
+  try {
+    const trimmed = text.trim();
+    let document = null;
+
+    try {
+      document = JSON.parse(trimmed);
+    } catch (error) {
+      // Several lines of JSON: an NDJSON archive
+    }
+
+    if (document && document.manifest) {
+      // JSON archive: re-encode each record the way it was checksummed
+      manifest = document.manifest;
+      lines = document.records.map(record => JSON.stringify(record));
+    } else {
+      const [head, ...rest] = trimmed.split('\n');
+      manifest = JSON.parse(head);
+      lines = rest.filter(line => line.trim());
+    }
+  } catch (error) {
+    throw new SnapshotError(`Unreadable snapshot: ${error.message}`, 'INVALID_SNAPSHOT');
+  }
+
+  if (!manifest || manifest.format !== SNAPSHOT_FORMAT) {
+    throw new SnapshotError('Not a knowledge snapshot', 'INVALID_SNAPSHOT');
+  }
+  if (manifest.version > SNAPSHOT_VERSION) {
+    throw new SnapshotError(`Unsupported snapshot version: ${manifest.version}`, 'INVALID_SNAPSHOT');
+  }
+  if (lines.length !== manifest.recordCount) {
+    throw new SnapshotError(`Snapshot has ${lines.length} records, manifest lists ${manifest.recordCount}`, 'INVALID_SNAPSHOT');
+  }
+  if (checksum(lines) !== manifest.checksum) {
+    throw new SnapshotError('Snapshot checksum mismatch', 'CHECKSUM_MISMATCH');
+  }
+
+  return { manifest, records: lines.map(line => decode(line)) };
+}
+
+/**
+ * Read `--name value` options from command-line arguments
+ * @param {Array<string>} args - Arguments after the command and file
+ * @returns {object} Options by name
+ */
+function parseOptions(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i += 2) {
+    options[args[i].replace(/^--/, '')] = args[i + 1];
+  }
+
+  return options;
+}
+
+/**
+ * Command-line entry point
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  const [command, file, ...rest] = argv;
+  const options = parseOptions(rest);
+
+  if (!['export', 'import'].includes(command) || !file) {
+    console.error('Usage: knowledge-snapshot <export|import> <file> [--format json|ndjson] [--mode merge|replace] [--storage type] [--path location]');
+    return 1;
+  }
+
+  // Required here to avoid a cycle: the Knowledge Base uses this module
+  const { KnowledgeBase } = require('./knowledge-base');
+  const kb = new KnowledgeBase();
+  await kb.initialize({ storage: { type: options.storage, path: options.path } });
+
+  try {
+    if (command === 'export') {
+      fs.writeFileSync(file, kb.exportSnapshot({ format: options.format || 'json' }));
+      console.log(`Exported knowledge snapshot to ${file}`);
+    } else {
+      const manifest = await kb.importSnapshot(fs.readFileSync(file, 'utf8'), { mode: options.mode || 'merge' });
+      console.log(`Imported ${manifest.entryCount} entries and ${manifest.seriesCount} series from ${file}`);
+    }
+    return 0;
+  } catch (error) {
+    console.error(`Snapshot ${command} failed: ${error.message}`);
+    return 1;
+  } finally {
+    await kb.close();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = {
+  SnapshotError,
+  serialize,
+  parse,
+  main
+};
@@ -0,0 +1,159 @@
+/**
+ * Log Buffer
+ *
+ * Winston transport that keeps the most recent structured log records in
+ * memory, so an operator console or HTTP endpoint can show recent
+ * warnings, or follow the log live, without reading logs/combined.log.
+ * Records are the fields written to the JSON log files (already tagged
+ * with context and redacted), plus a sequence number.
+ */
+
+const winston = require('winston');
+
+const LEVELS = winston.config.npm.levels;
+
+class LogBuffer extends winston.Transport {
+  /**
+   * Create a log buffer
+   * @param {object} options - Buffer options
+   * @param {number} options.size - Number of records kept; older ones are overwritten
+   * @param {string} options.level - Least severe level buffered (defaults to the logger's)
+   */
+  constructor(options = {}) {
+    super({ level: options.level });
+
+    this.name = 'log-buffer';
+    this.capacity = options.size || 1000;
+    this.records = new Array(this.capacity);
+    this.count = 0;
+    this.sequence = 0;
+
+    this.subscribers = new Map();
+    this.nextSubscriberId = 1;
+  }
+
+  /**
+   * Buffer a record and pass it to matching subscribers (winston transport hook)
+   * @param {object} info - Log record
+   * @param {Function} callback - Called once the record is handled
+   */
+  log(info, callback) {
+    // Own string keys only: winston's internal symbol keys stay behind
+    const record = { sequence: ++this.sequence };
+    for (const key of Object.keys(info)) {
+      record[key] = info[key];
+    }
+
+    this.records[(this.sequence - 1) % this.capacity] = record;
+    this.count = Math.min(this.count + 1, this.capacity);
+
+    for (const subscriber of [...this.subscribers.values()]) {
+      if (this._matches(record, subscriber.filter)) {
+        try {
+          subscriber.listener(record);
+        } catch (error) {
+          // Logging the failure would feed it back into this buffer; a
+          // failing subscriber must not stop the others or the logger
+        }
+      }
+    }
+
+    callback();
+  }
+
+  /**
+   * Buffered records matching a filter, oldest first
+   * @param {object} filter - Record filter
+   * @param {string} filter.level - Least severe level, e.g. 'warn' for warnings and errors
+   * @param {string|Array<string>} filter.component - Components to include
+   * @param {string|Array<string>} filter.agentId - Agent IDs to include
+   * @param {Date|string|number} filter.from - Earliest timestamp (inclusive)
+   * @param {Date|string|number} filter.to - Latest timestamp (inclusive)
+   * @param {number} filter.after - Only records after this sequence number, e.g. the last one seen
+   * @param {number} filter.limit - Return only the newest records, at most this many
+   * @returns {Array<object>} Records
+   */
+  query(filter = {}) {
+    const records = [];
+    const first = this.sequence - this.count + 1;
+
+    for (let sequence = first; sequence <= this.sequence; sequence++) {
+      const record = this.records[(sequence - 1) % this.capacity];
+      if (this._matches(record, filter)) {
+        records.push(record);
+      }
+    }
+
+    return filter.limit ? records.slice(-filter.limit) : records;
+  }
+
+  /**
+   * Receive new records as they are logged
+   * @param {Function} listener - Called with each matching record
+   * @param {object} filter - Record filter, as for query() (limit does not apply)
+   * @returns {object} Subscription handle with id and unsubscribe()
+   */
+  subscribe(listener, filter = {}) {
+    const id = this.nextSubscriberId++;
+    this.subscribers.set(id, { listener, filter });
+
+    return {
+      id,
+      unsubscribe: () => this.unsubscribe(id)
+    };
+  }
+
+  /**
+   * Stop a subscription
+   * @param {number} id - Subscription ID returned by subscribe()
+   * @returns {boolean} Whether the subscription existed
+   */
+  unsubscribe(id) {
+    return this.subscribers.delete(id);
+  }
+
+  /**
+   * Drop all buffered records; sequence numbers keep counting
+   */
+  clear() {
+    this.records = new Array(this.capacity);
+    this.count = 0;
+  }
+
+  /**
+   * Whether a record passes a filter
+   * @private
+   * @param {object} record - Log record
+   * @param {object} filter - Record filter
+   * @returns {boolean} Whether the record is selected
+   */
+  _matches(record, filter) {
+    if (filter.after !== undefined && record.sequence <= filter.after) {
+      return false;
+    }
+    if (filter.level && !(LEVELS[record.level] <= LEVELS[filter.level])) {
+      return false;
+    }
+    if (filter.component && ![].concat(filter.component).includes(record.component)) {
+      return false;
+    }
+    if (filter.agentId && ![].concat(filter.agentId).includes(record.agentId)) {
+      return false;
+    }
+
+    if (filter.from !== undefined || filter.to !== undefined) {
+      const time = new Date(record.timestamp).getTime();
+
+      if (filter.from !== undefined && !(time >= new Date(filter.from).getTime())) {
+        return false;
+      }
+      if (filter.to !== undefined && !(time <= new Date(filter.to).getTime())) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+}
+
+module.exports = LogBuffer;
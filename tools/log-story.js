@@ -0,0 +1,227 @@
+/**
+ * Log Story
+ *
+ * Reconstructs the full log story of one trade from the JSON lines in
+ * logs/combined.log. Every line written while a message is handled carries
+ * the message's trace ID (see message-trace.js), and a trade's market data,
+ * signal, risk check and execution all share one trace, so a story is
+ * every line of the trace in time order.
+ *
+ * Run directly with a trace ID, or the ID of any message in the trace:
+ *   node tools/log-story.js <traceId|messageId> [--symbol BTC-USD] [--strategy id]
+ *     [--from time] [--to time] [--file logs/combined.log] [--json]
+ * Without an ID, --symbol and/or --strategy select every line about them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DEFAULT_LOG_FILE = path.join(__dirname, '../logs/combined.log');
+
+// Flags that take no value
+const FLAGS = ['json'];
+
+/**
+ * Read the JSON entries of a log file, skipping lines that are not JSON
+ * @param {string} file - Log file
+ * @returns {AsyncGenerator<object>} Log entries in file order
+ */
+async function* readLogEntries(file) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      // Written by something other than the JSON file transport
+    }
+  }
+}
+
+/**
+ * Whether an entry passes the symbol, strategy and time filters
+ * @param {object} entry - Log entry
+ * @param {object} filters - { symbol, strategyId, from, to } (all optional; times in milliseconds)
+ * @returns {boolean} Whether the entry is selected
+ */
+function matchesFilters(entry, filters) {
+  if (filters.symbol && entry.symbol !== filters.symbol) {
+    return false;
+  }
+  if (filters.strategyId && entry.strategyId !== filters.strategyId) {
+    return false;
+  }
+
+  if (filters.from !== undefined || filters.to !== undefined) {
+    const time = new Date(entry.timestamp).getTime();
+
+    if (filters.from !== undefined && !(time >= filters.from)) {
+      return false;
+    }
+    if (filters.to !== undefined && !(time <= filters.to)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Collect the log story of a trace, or of a symbol and/or strategy
+ * @param {string} file - Log file
+ * @param {object} options - Selection
+ * @param {string} options.id - Trace ID or message ID
+ * @param {string} options.symbol - Only lines about this symbol
+ * @param {string} options.strategyId - Only lines about this strategy
+ * @param {Date|number|string} options.from - Only lines at or after this time
+ * @param {Date|number|string} options.to - Only lines at or before this time
+ * @returns {Promise<Array<object>>} Entries in time order
+ * @throws {Error} If neither an ID nor a symbol or strategy is given
+ */
+async function collectStory(file, options = {}) {
+  const { id, symbol, strategyId } = options;
+
+  if (!id && !symbol && !strategyId) {
+    throw new Error('A log story needs a trace or message ID, a symbol or a strategy');
+  }
+
+  const filters = {
+    symbol,
+    strategyId,
+    from: options.from !== undefined ? new Date(options.from).getTime() : undefined,
+    to: options.to !== undefined ? new Date(options.to).getTime() : undefined
+  };
+
+  // A message ID stands for the trace it belongs to
+  let traceIds = null;
+  if (id) {
+    traceIds = new Set([id]);
+    for await (const entry of readLogEntries(file)) {
+      if (entry.messageId === id && entry.traceId) {
+        traceIds.add(entry.traceId);
+      }
+    }
+  }
+
+  const story = [];
+  for await (const entry of readLogEntries(file)) {
+    if ((!traceIds || traceIds.has(entry.traceId)) && matchesFilters(entry, filters)) {
+      story.push(entry);
+    }
+  }
+
+  // Lines from concurrent handlers can reach the file slightly out of order
+  return story
+    .map((entry, index) => ({ entry, index, time: new Date(entry.timestamp).getTime() }))
+    .sort((a, b) => (a.time - b.time) || (a.index - b.index))
+    .map(({ entry }) => entry);
+}
+
+/**
+ * Render a story as readable text: a summary followed by one line per entry
+ * @param {Array<object>} story - Entries from collectStory()
+ * @returns {string} Text
+ */
+function formatStory(story) {
+  if (story.length === 0) {
+    return 'No log lines found';
+  }
+
+  const distinct = field => [...new Set(story.map(entry => entry[field]).filter(Boolean))];
+  const problems = story.filter(entry => entry.level === 'error' || entry.level === 'warn').length;
+
+  const lines = [
+    `Traces:     ${distinct('traceId').join(', ') || '-'}`,
+    `Symbols:    ${distinct('symbol').join(', ') || '-'}`,
+    `Strategies: ${distinct('strategyId').join(', ') || '-'}`,
+    `Span:       ${story[0].timestamp} .. ${story[story.length - 1].timestamp}`,
+    `Lines:      ${story.length} (${problems} warnings or errors)`,
+    `Agents:     ${distinct('agentId').join(', ') || '-'}`,
+    ''
+  ];
+
+  for (const entry of story) {
+    const source = [entry.component, entry.agentId].filter(Boolean).map(part => `[${part}]`).join(' ');
+    const message = entry.messageId ? ` (message ${String(entry.messageId).slice(0, 8)})` : '';
+    const error = entry.error && entry.error.message ? `: ${entry.error.message}` : '';
+    lines.push(`${entry.timestamp} ${String(entry.level).toUpperCase().padEnd(5)} ${source} ${entry.message}${error}${message}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Read `--name value` options and `--flag` switches
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {object} { positional, options }
+ */
+function parseArguments(args) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      positional.push(args[i]);
+      continue;
+    }
+
+    const name = args[i].slice(2);
+    if (FLAGS.includes(name)) {
+      options[name] = true;
+    } else {
+      options[name] = args[++i];
+    }
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Command-line entry point
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  const { positional, options } = parseArguments(argv);
+  const file = options.file || DEFAULT_LOG_FILE;
+
+  if (!positional[0] && !options.symbol && !options.strategy) {
+    console.error('Usage: log-story <traceId|messageId> [--symbol symbol] [--strategy id] [--from time] [--to time] [--file path] [--json]');
+    return 1;
+  }
+
+  try {
+    const story = await collectStory(file, {
+      id: positional[0],
+      symbol: options.symbol,
+      strategyId: options.strategy,
+      from: options.from,
+      to: options.to
+    });
+
+    console.log(options.json ? JSON.stringify(story, null, 2) : formatStory(story));
+    return story.length > 0 ? 0 : 1;
+  } catch (error) {
+    console.error(`Could not read ${file}: ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = {
+  readLogEntries,
+  collectStory,
+  formatStory,
+  main
+};
@@ -9,6 +9,24 @@
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const { getLogContext } = require('./message-trace');
+const { createRedactor } = require('./redaction');
+const LogBuffer = require('./log-buffer');
+
+// npm levels, most severe first: error, warn, info, http, verbose, debug, silly
+const LEVELS = winston.config.npm.levels;
+
+// Level for lines without a component override, and overrides per
+// component or agent ID, e.g. LOG_LEVELS=KNOWLEDGE-BASE=debug,execution=warn
+const levelSettings = {
+  default: process.env.LOG_LEVEL || 'info',
+  overrides: new Map(
+    (process.env.LOG_LEVELS || '')
+      .split(',')
+      .map(pair => pair.split('=').map(part => part.trim()))
+      .filter(([name, level]) => name && LEVELS[level] !== undefined)
+  )
+};
 
 // Ensure logs directory exists
 const logDir = path.join(__dirname, '../logs');
@@ -16,23 +34,61 @@ if (!fs.existsSync(logDir)) {
   fs.mkdirSync(logDir, { recursive: true });
 }
 
+// Tag each line with the context of the message being handled (trace and
+// message IDs, symbol, strategy ID); fields passed explicitly take precedence
+const withLogContext = winston.format((info) => {
+  for (const [field, value] of Object.entries(getLogContext())) {
+    if (info[field] === undefined) {
+      info[field] = value;
+    }
+  }
+  return info;
+});
+
+// Drop lines below the level set for their agent or component
+const byComponentLevel = winston.format((info) => {
+  const level = levelSettings.overrides.get(info.agentId) ||
+    levelSettings.overrides.get(info.component) ||
+    levelSettings.default;
+
+  return LEVELS[info.level] <= LEVELS[level] ? info : false;
+});
+
+// Mask API keys, secrets, passphrases, signatures and the like in metadata
+const redact = createRedactor();
+const redactSecrets = winston.format((info) => {
+  const redacted = redact({ ...info });
+  for (const key of Object.keys(redacted)) {
+    info[key] = redacted[key];
+  }
+  return info;
+});
+
 // Custom format for console output
-const consoleFormat = winston.format.printf(({ level, message, timestamp, component, agentId }) => {
+const consoleFormat = winston.format.printf(({ level, message, timestamp, component, agentId, traceId, error }) => {
   const componentStr = component ? `[${component}]` : '';
   const agentStr = agentId ? `[${agentId}]` : '';
-  const prefix = `${timestamp} [${level.toUpperCase()}] ${componentStr} ${agentStr}`;
+  const traceStr = traceId ? `<${String(traceId).slice(0, 8)}>` : '';
+  const prefix = `${timestamp} [${level.toUpperCase()}] ${componentStr} ${agentStr} ${traceStr}`;
   
   // Add spacing to align all messages
-  return `${prefix.padEnd(60)} ${message}`;
+  const errorStr = error && error.message ? ` ${error.message}` : '';
+  return `${prefix.padEnd(60)} ${message}${errorStr}`;
 });
 
+// Recent records in memory, for operator consoles and live tails
+const logBuffer = new LogBuffer({ size: parseInt(process.env.LOG_BUFFER_SIZE, 10) || 1000 });
+
 // Create the logger
 const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
+  level: levelSettings.default,
   format: winston.format.combine(
+    byComponentLevel(),
+    withLogContext(),
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss.SSS' }),
     winston.format.errors({ stack: true }),
     winston.format.splat(),
+    redactSecrets(),
     winston.format.json()
   ),
   defaultMeta: { service: 'perseus-drive' },
@@ -51,34 +107,128 @@ const logger = winston.createLogger({
     }),
     new winston.transports.File({ 
       filename: path.join(logDir, 'combined.log') 
-    })
+    }),
+    logBuffer
   ]
 });
 
-// Component-specific loggers
-const createComponentLogger = (component) => {
+/**
+ * Let the logger itself pass the most verbose level any component needs;
+ * byComponentLevel filters each line from there
+ * @private
+ */
+function applyLevels() {
+  const levels = [levelSettings.default, ...levelSettings.overrides.values()];
+  logger.level = levels.reduce((most, level) => LEVELS[level] > LEVELS[most] ? level : most);
+}
+
+/**
+ * Change the log level at runtime, for everything or for one component or agent
+ * @param {string} level - npm level: error, warn, info, http, verbose, debug or silly
+ * @param {string} name - Component (e.g. 'KNOWLEDGE-BASE') or agent ID; omit to set the default
+ * @throws {Error} If the level is unknown
+ */
+function setLogLevel(level, name) {
+  if (LEVELS[level] === undefined) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+
+  if (name) {
+    levelSettings.overrides.set(name, level);
+  } else {
+    levelSettings.default = level;
+  }
+  applyLevels();
+}
+
+/**
+ * Return a component or agent to the default level
+ * @param {string} name - Component or agent ID
+ * @returns {boolean} Whether it had its own level
+ */
+function clearLogLevel(name) {
+  const cleared = levelSettings.overrides.delete(name);
+  applyLevels();
+  return cleared;
+}
+
+/**
+ * Current log levels
+ * @returns {object} { default, overrides: { name: level } }
+ */
+function getLogLevels() {
   return {
-    error: (message, meta = {}) => logger.error(message, { component, ...meta }),
-    warn: (message, meta = {}) => logger.warn(message, { component, ...meta }),
-    info: (message, meta = {}) => logger.info(message, { component, ...meta }),
-    debug: (message, meta = {}) => logger.debug(message, { component, ...meta }),
-    verbose: (message, meta = {}) => logger.verbose(message, { component, ...meta })
+    default: levelSettings.default,
+    overrides: Object.fromEntries(levelSettings.overrides)
   };
+}
+
+/**
+ * Turn the metadata of a log call into fields. An Error, passed directly or
+ * as meta.error, becomes { name, message, stack } under `error` (spreading
+ * an Error copies none of them); other non-object values are appended to
+ * the message, e.g. logger.error('Request failed:', error.message).
+ * @private
+ * @param {string} message - Log message
+ * @param {*} meta - Metadata
+ * @returns {object} { message, fields }
+ */
+function toEntry(message, meta) {
+  const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    stack: error.stack
+  });
+
+  if (meta instanceof Error) {
+    return { message, fields: { error: serializeError(meta) } };
+  }
+  if (meta === undefined || meta === null) {
+    return { message, fields: {} };
+  }
+  if (typeof meta !== 'object') {
+    return { message: `${message} ${meta}`, fields: {} };
+  }
+  if (meta.error instanceof Error) {
+    return { message, fields: { ...meta, error: serializeError(meta.error) } };
+  }
+  return { message, fields: meta };
+}
+
+/**
+ * Logger that adds fixed fields to every line
+ * @private
+ * @param {object} scope - Fields such as component and agentId
+ * @returns {object} Logger with error, warn, info, debug and verbose
+ */
+const createScopedLogger = (scope) => {
+  const scoped = {};
+  for (const level of ['error', 'warn', 'info', 'debug', 'verbose']) {
+    scoped[level] = (message, meta) => {
+      const entry = toEntry(message, meta);
+      logger.log(level, entry.message, { ...scope, ...entry.fields });
+    };
+  }
+  return scoped;
 };
 
+// Component-specific loggers
+const createComponentLogger = (component) => createScopedLogger({ component });
+
 // Agent-specific loggers
-const createAgentLogger = (agentId, component = 'agent') => {
-  return {
-    error: (message, meta = {}) => logger.error(message, { component, agentId, ...meta }),
-    warn: (message, meta = {}) => logger.warn(message, { component, agentId, ...meta }),
-    info: (message, meta = {}) => logger.info(message, { component, agentId, ...meta }),
-    debug: (message, meta = {}) => logger.debug(message, { component, agentId, ...meta }),
-    verbose: (message, meta = {}) => logger.verbose(message, { component, agentId, ...meta })
-  };
-};
+const createAgentLogger = (agentId, component = 'agent') => createScopedLogger({ component, agentId });
+
+applyLevels();
 
 module.exports = {
   logger,
+  logBuffer,
   createComponentLogger,
-  createAgentLogger
-}; 
\ No newline at end of file
+  createAgentLogger,
+  setLogLevel,
+  clearLogLevel,
+  getLogLevels,
+  withLogContext,
+  redactSecrets
+};
@@ -0,0 +1,253 @@
+/**
+ * Message Broker
+ *
+ * Local WebSocket hub that lets agents in separate processes talk through
+ * their own Agent Messenger. Each process connects with a
+ * WebSocketTransport; the broker keeps the cluster-wide registry of which
+ * connection owns which agent, routes direct messages to the owning
+ * connection and fans topic publications out to every other process.
+ *
+ * Frames are JSON objects with a `kind` field:
+ *   hello          { nodeId }                        client -> broker
+ *   registry       { agents: [{ agentId, agentType, nodeId }] }  broker -> client
+ *   register       { agentId, agentType }            client -> broker
+ *   unregister     { agentId }                       client -> broker
+ *   agent:registered / agent:unregistered            broker -> other clients
+ *   message        { message }                       routed to the owner of message.to
+ *   undeliverable  { message, reason }               broker -> sender
+ *   publish        { message }                       broker -> other clients
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { createComponentLogger } = require('./logger');
+
+// Get component-specific logger
+const logger = createComponentLogger('MESSAGE-BROKER');
+
+// Default broker port
+const DEFAULT_BROKER_PORT = parseInt(process.env.MESSAGE_BROKER_PORT, 10) || 7070;
+
+class MessageBroker extends EventEmitter {
+  /**
+   * Create a message broker
+   * @param {object} options - Broker options
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {string} options.host - Interface to bind; local only by default
+   */
+  constructor(options = {}) {
+    super();
+    this.port = options.port !== undefined ? options.port : DEFAULT_BROKER_PORT;
+    this.host = options.host || '127.0.0.1';
+    this.server = null;
+    this.nodes = new Map();
+    this.agents = new Map();
+  }
+
+  /**
+   * Start accepting connections
+   * @returns {Promise<number>} Port the broker listens on
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = new WebSocket.Server({ port: this.port, host: this.host });
+
+      this.server.once('listening', () => {
+        this.port = this.server.address().port;
+        logger.info(`Message broker listening on ws://${this.host}:${this.port}`);
+        resolve(this.port);
+      });
+
+      this.server.once('error', (error) => {
+        logger.error('Message broker failed to start:', { error });
+        reject(error);
+      });
+
+      this.server.on('connection', socket => this._handleConnection(socket));
+    });
+  }
+
+  /**
+   * Close all connections and stop listening
+   * @returns {Promise<boolean>} Resolves once the server is closed
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve(true);
+    }
+
+    for (const socket of this.server.clients) {
+      socket.terminate();
+    }
+
+    return new Promise((resolve) => {
+      this.server.close(() => {
+        this.server = null;
+        this.nodes.clear();
+        this.agents.clear();
+        logger.info('Message broker stopped');
+        resolve(true);
+      });
+    });
+  }
+
+  /**
+   * Get the cluster-wide agent registry
+   * @returns {Array} Registered agents with their owning node
+   */
+  getAgents() {
+    return [...this.agents.entries()].map(([agentId, entry]) => ({
+      agentId,
+      agentType: entry.agentType,
+      nodeId: entry.nodeId
+    }));
+  }
+
+  /**
+   * Set up a newly connected process
+   * @param {WebSocket} socket - Client connection
+   * @private
+   */
+  _handleConnection(socket) {
+    socket.nodeId = null;
+
+    socket.on('message', (data) => {
+      let frame;
+      try {
+        frame = JSON.parse(data.toString());
+      } catch (error) {
+        logger.warn('Discarding malformed frame from client');
+        return;
+      }
+
+      try {
+        this._handleFrame(socket, frame);
+      } catch (error) {
+        logger.error(`Error handling ${frame.kind} frame from ${socket.nodeId}:`, { error });
+      }
+    });
+
+    socket.on('close', () => this._handleDisconnect(socket));
+    socket.on('error', (error) => {
+      logger.warn(`Connection error from ${socket.nodeId}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Dispatch a frame received from a client
+   * @param {WebSocket} socket - Sending connection
+   * @param {object} frame - Parsed frame
+   * @private
+   */
+  _handleFrame(socket, frame) {
+    switch (frame.kind) {
+      case 'hello':
+        socket.nodeId = frame.nodeId;
+        this.nodes.set(frame.nodeId, socket);
+        this._send(socket, { kind: 'registry', agents: this.getAgents().filter(a => a.nodeId !== frame.nodeId) });
+        logger.info(`Node connected: ${frame.nodeId}`);
+        this.emit('node:connected', { nodeId: frame.nodeId });
+        break;
+
+      case 'register':
+        this.agents.set(frame.agentId, { agentType: frame.agentType, nodeId: socket.nodeId, socket });
+        this._broadcast(socket, {
+          kind: 'agent:registered',
+          agentId: frame.agentId,
+          agentType: frame.agentType,
+          nodeId: socket.nodeId
+        });
+        logger.info(`Agent registered: ${frame.agentId} (${frame.agentType}) on ${socket.nodeId}`);
+        break;
+
+      case 'unregister':
+        if (this.agents.get(frame.agentId)?.socket === socket) {
+          this.agents.delete(frame.agentId);
+          this._broadcast(socket, { kind: 'agent:unregistered', agentId: frame.agentId });
+          logger.info(`Agent unregistered: ${frame.agentId}`);
+        }
+        break;
+
+      case 'message': {
+        const owner = this.agents.get(frame.message.to);
+
+        if (!owner || owner.socket.readyState !== WebSocket.OPEN) {
+          this._send(socket, { kind: 'undeliverable', message: frame.message, reason: 'unroutable' });
+          logger.warn(`No route for message ${frame.message.id} to ${frame.message.to}`);
+          break;
+        }
+
+        this._send(owner.socket, frame);
+        break;
+      }
+
+      case 'publish':
+        this._broadcast(socket, frame);
+        break;
+
+      default:
+        logger.warn(`Unknown frame kind: ${frame.kind}`);
+    }
+  }
+
+  /**
+   * Drop the agents of a disconnected process and tell the others
+   * @param {WebSocket} socket - Closed connection
+   * @private
+   */
+  _handleDisconnect(socket) {
+    if (socket.nodeId && this.nodes.get(socket.nodeId) === socket) {
+      this.nodes.delete(socket.nodeId);
+    }
+
+    for (const [agentId, entry] of this.agents) {
+      if (entry.socket === socket) {
+        this.agents.delete(agentId);
+        this._broadcast(socket, { kind: 'agent:unregistered', agentId });
+      }
+    }
+
+    logger.info(`Node disconnected: ${socket.nodeId}`);
+    this.emit('node:disconnected', { nodeId: socket.nodeId });
+  }
+
+  /**
+   * Send a frame to every connection except the origin
+   * @param {WebSocket} origin - Connection the frame came from
+   * @param {object} frame - Frame to send
+   * @private
+   */
+  _broadcast(origin, frame) {
+    for (const socket of this.nodes.values()) {
+      if (socket !== origin) {
+        this._send(socket, frame);
+      }
+    }
+  }
+
+  /**
+   * Send a frame to one connection
+   * @param {WebSocket} socket - Target connection
+   * @param {object} frame - Frame to send
+   * @private
+   */
+  _send(socket, frame) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(frame));
+    }
+  }
+}
+
+// Run as a standalone broker process: `npm run broker`
+if (require.main === module) {
+  const broker = new MessageBroker();
+
+  broker.start().catch(() => process.exit(1));
+
+  process.on('SIGINT', async () => {
+    await broker.stop();
+    process.exit(0);
+  });
+}
+
+module.exports = MessageBroker;
@@ -0,0 +1,219 @@
+/**
+ * Message Journal
+ *
+ * Append-only, on-disk journal of agent messages. Messages are written
+ * as JSON lines into numbered segment files that rotate once they reach
+ * a size limit, so message flows survive process restarts and can be
+ * replayed for post-mortem analysis.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createComponentLogger } = require('./logger');
+
+// Get component-specific logger
+const logger = createComponentLogger('MESSAGE-JOURNAL');
+
+const SEGMENT_PATTERN = /^messages-(\d+)\.jsonl$/;
+
+class MessageJournal {
+  /**
+   * Create a message journal
+   * @param {object} options - Journal options
+   * @param {string} options.directory - Directory holding the segment files
+   * @param {number} options.maxSegmentBytes - Size at which a new segment is started
+   * @param {number} options.maxSegments - Number of segments to retain (0 keeps all)
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(__dirname, '../logs/journal');
+    this.maxSegmentBytes = options.maxSegmentBytes || 10 * 1024 * 1024;
+    this.maxSegments = options.maxSegments || 0;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    // Continue appending to the newest existing segment
+    const segments = this.listSegments();
+    this.currentSegment = segments.length > 0 ? segments[segments.length - 1].index : 1;
+    this.currentSize = this._segmentSize(this.currentSegment);
+
+    logger.info(`Message journal opened at ${this.directory} (segment ${this.currentSegment})`);
+  }
+
+  /**
+   * Append a message to the journal
+   * @param {object} message - Message to record
+   * @returns {boolean} Success status
+   */
+  append(message) {
+    try {
+      const line = JSON.stringify(message) + '\n';
+      const lineSize = Buffer.byteLength(line);
+
+      // Rotate before the segment would exceed its size limit
+      if (this.currentSize > 0 && this.currentSize + lineSize > this.maxSegmentBytes) {
+        this.rotate();
+      }
+
+      fs.appendFileSync(this._segmentPath(this.currentSegment), line);
+      this.currentSize += lineSize;
+
+      return true;
+    } catch (error) {
+      logger.error(`Error appending message ${message.id} to journal:`, { error });
+      return false;
+    }
+  }
+
+  /**
+   * Start a new segment and apply the retention limit
+   * @returns {number} New segment index
+   */
+  rotate() {
+    this.currentSegment++;
+    this.currentSize = 0;
+
+    logger.info(`Journal rotated to segment ${this.currentSegment}`);
+
+    if (this.maxSegments > 0) {
+      const segments = this.listSegments();
+      const excess = segments.length - (this.maxSegments - 1);
+
+      for (const segment of segments.slice(0, Math.max(0, excess))) {
+        fs.unlinkSync(segment.path);
+        logger.info(`Journal segment removed by retention: ${segment.file}`);
+      }
+    }
+
+    return this.currentSegment;
+  }
+
+  /**
+   * List segment files in order
+   * @returns {Array} Segment descriptors with index, file and path
+   */
+  listSegments() {
+    return fs.readdirSync(this.directory)
+      .map(file => ({ file, match: SEGMENT_PATTERN.exec(file) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => ({
+        index: parseInt(match[1], 10),
+        file,
+        path: path.join(this.directory, file)
+      }))
+      .sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Read journaled messages in the order they were recorded
+   * @param {object} filter - Message filter
+   * @param {Date|string|number} filter.from - Earliest timestamp (inclusive)
+   * @param {Date|string|number} filter.to - Latest timestamp (inclusive)
+   * @param {Array<string>} filter.between - Two agent IDs; only their conversation is returned
+   * @param {Array<string>} filter.types - Message types to include
+   * @param {string} filter.correlationId - Only messages of one request/reply exchange
+   * @param {string} filter.traceId - Only messages of one causal trace
+   * @returns {Array} Messages with timestamps restored to Date objects
+   */
+  read(filter = {}) {
+    const from = filter.from !== undefined ? new Date(filter.from).getTime() : -Infinity;
+    const to = filter.to !== undefined ? new Date(filter.to).getTime() : Infinity;
+    const messages = [];
+
+    for (const segment of this.listSegments()) {
+      const lines = fs.readFileSync(segment.path, 'utf8').split('\n');
+
+      for (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch (error) {
+          // A torn write at the end of a segment should not abort the read
+          logger.warn(`Skipping unreadable journal line in ${segment.file}`);
+          continue;
+        }
+
+        message.timestamp = new Date(message.timestamp);
+        const time = message.timestamp.getTime();
+
+        if (time < from || time > to) {
+          continue;
+        }
+
+        if (filter.between) {
+          const [a, b] = filter.between;
+          const inConversation = (message.from === a && message.to === b) ||
+                                 (message.from === b && message.to === a);
+          if (!inConversation) {
+            continue;
+          }
+        }
+
+        if (filter.types && !filter.types.includes(message.type)) {
+          continue;
+        }
+
+        if (filter.correlationId && message.correlationId !== filter.correlationId &&
+            message.id !== filter.correlationId) {
+          continue;
+        }
+
+        if (filter.traceId && message.traceId !== filter.traceId) {
+          continue;
+        }
+
+        messages.push(message);
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Replay journaled messages into a messenger. By default they are only
+   * loaded into its history; with deliver they re-drive the agents
+   * registered there, e.g. to reproduce an incident.
+   * @param {object} messenger - Target AgentMessenger (usually a fresh instance)
+   * @param {object} filter - Message filter, as for read()
+   * @param {object} options - Replay options
+   * @param {boolean} options.deliver - Queue messages for their recipients and publish to subscribers
+   * @returns {number} Number of messages replayed
+   */
+  replay(messenger, filter = {}, options = {}) {
+    const messages = this.read(filter);
+
+    messenger.replayMessages(messages, { deliver: Boolean(options.deliver) });
+
+    logger.info(`Replayed ${messages.length} journaled messages`, { deliver: Boolean(options.deliver) });
+    return messages.length;
+  }
+
+  /**
+   * Get the path of a segment file
+   * @param {number} index - Segment index
+   * @returns {string} Segment path
+   * @private
+   */
+  _segmentPath(index) {
+    return path.join(this.directory, `messages-${String(index).padStart(6, '0')}.jsonl`);
+  }
+
+  /**
+   * Get the current size of a segment file
+   * @param {number} index - Segment index
+   * @returns {number} Size in bytes (0 if the segment does not exist yet)
+   * @private
+   */
+  _segmentSize(index) {
+    try {
+      return fs.statSync(this._segmentPath(index)).size;
+    } catch (error) {
+      return 0;
+    }
+  }
+}
+
+module.exports = MessageJournal;
@@ -0,0 +1,288 @@
+/**
+ * Message Middleware
+ *
+ * Ordered interceptor pipeline run by the Agent Messenger before a message
+ * is queued, recorded and emitted. A middleware is a function
+ * `(message, context)` that may:
+ *   - inspect the message and return nothing to pass it on unchanged
+ *   - return a replacement message (keeping the same id) to transform it
+ *   - return a promise to delay it; the promise's value is treated the same way
+ *   - call `context.reject(reason)` or throw to stop it
+ *
+ * Pipelines that finish synchronously deliver synchronously, so messengers
+ * without delaying middleware behave exactly as before. Delayed messages can
+ * overtake messages sent after them unless the middleware preserves order.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { createComponentLogger } = require('./logger');
+const { createRedactor } = require('./redaction');
+
+// Get component-specific logger
+const logger = createComponentLogger('MESSAGE-MIDDLEWARE');
+
+// Stages a middleware can run at
+const MIDDLEWARE_STAGES = ['send', 'publish'];
+
+/**
+ * Error raised when middleware stops a message
+ */
+class MessageRejectedError extends Error {
+  /**
+   * @param {object} message - Rejected message
+   * @param {string} reason - Why it was rejected
+   * @param {string} middleware - Name of the rejecting middleware
+   */
+  constructor(message, reason, middleware) {
+    super(`Message ${message.type} from ${message.from} rejected by ${middleware}: ${reason}`);
+    this.name = 'MessageRejectedError';
+    this.code = 'MESSAGE_REJECTED';
+    this.messageId = message.id;
+    this.reason = reason;
+    this.middleware = middleware;
+  }
+}
+
+class MiddlewarePipeline {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Append a middleware to the pipeline
+   * @param {Function} fn - Middleware function (message, context)
+   * @param {object} options - Registration options
+   * @param {string} options.name - Name used in logs and rejections
+   * @param {Array<string>} options.stages - Stages to run at ('send', 'publish'); defaults to both
+   * @param {Array<string>} options.types - Only run for these message types
+   * @returns {object} Entry with id and name
+   */
+  use(fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new Error('Middleware must be a function');
+    }
+
+    const stages = options.stages || MIDDLEWARE_STAGES;
+    const invalid = stages.filter(stage => !MIDDLEWARE_STAGES.includes(stage));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid middleware stage: ${invalid.join(', ')}`);
+    }
+
+    const entry = {
+      id: uuidv4(),
+      name: options.name || fn.name || `middleware-${this.entries.length + 1}`,
+      fn,
+      stages,
+      types: options.types || null
+    };
+
+    this.entries.push(entry);
+    logger.info(`Middleware registered: ${entry.name}`, { stages });
+
+    return { id: entry.id, name: entry.name };
+  }
+
+  /**
+   * Remove a middleware
+   * @param {string} idOrName - Entry ID or name
+   * @returns {boolean} Whether a middleware was removed
+   */
+  remove(idOrName) {
+    const index = this.entries.findIndex(entry => entry.id === idOrName || entry.name === idOrName);
+
+    if (index === -1) {
+      return false;
+    }
+
+    const [entry] = this.entries.splice(index, 1);
+    logger.info(`Middleware removed: ${entry.name}`);
+    return true;
+  }
+
+  /**
+   * List registered middleware in execution order
+   * @returns {Array} Entries with id, name, stages and types
+   */
+  list() {
+    return this.entries.map(({ id, name, stages, types }) => ({ id, name, stages, types }));
+  }
+
+  /**
+   * Run a message through the pipeline
+   * @param {object} message - Message to process
+   * @param {string} stage - 'send' or 'publish'
+   * @param {object} context - Extra context passed to each middleware
+   * @returns {object|Promise<object>} Final message; a promise if any middleware was asynchronous
+   * @throws {MessageRejectedError} If a synchronous middleware rejects the message
+   */
+  run(message, stage, context = {}) {
+    // Snapshot so middleware added mid-flight does not affect this message
+    const entries = this.entries.filter(entry => entry.stages.includes(stage) &&
+      (!entry.types || entry.types.includes(message.type)));
+
+    const step = (current, index) => {
+      for (let i = index; i < entries.length; i++) {
+        const entry = entries[i];
+        const entryContext = {
+          ...context,
+          stage,
+          reject: (reason) => {
+            throw new MessageRejectedError(current, reason, entry.name);
+          }
+        };
+
+        let result;
+        try {
+          result = entry.fn(current, entryContext);
+        } catch (error) {
+          throw this._asRejection(error, current, entry);
+        }
+
+        if (result && typeof result.then === 'function') {
+          return result.then(
+            value => step(value === undefined ? current : value, i + 1),
+            error => { throw this._asRejection(error, current, entry); }
+          );
+        }
+
+        if (result !== undefined) {
+          current = result;
+        }
+      }
+
+      return current;
+    };
+
+    return step(message, 0);
+  }
+
+  /**
+   * Turn a middleware failure into a rejection
+   * @param {Error} error - Thrown error
+   * @param {object} message - Message being processed
+   * @param {object} entry - Failing middleware entry
+   * @returns {MessageRejectedError} Rejection
+   * @private
+   */
+  _asRejection(error, message, entry) {
+    if (error instanceof MessageRejectedError) {
+      return error;
+    }
+
+    logger.error(`Middleware ${entry.name} failed on message ${message.id}:`, { error });
+
+    const rejection = new MessageRejectedError(message, error.message, entry.name);
+    rejection.cause = error;
+    return rejection;
+  }
+}
+
+/**
+ * Replace secret-looking values in message content, e.g. API keys, before
+ * the message is queued, journaled or sent to another process
+ * @param {object} options - Redaction options
+ * @param {Array<RegExp>} options.keys - Patterns for content keys to redact
+ * @param {string} options.replacement - Value written in place of secrets
+ * @returns {Function} Middleware
+ */
+function redactSecrets(options = {}) {
+  const redact = createRedactor(options);
+
+  return function redactSecretsMiddleware(message) {
+    return { ...message, content: redact(message.content) };
+  };
+}
+
+/**
+ * Delay messages so each sender stays under a message rate. Delays are
+ * scheduled in send order, so a sender's messages keep their order.
+ * @param {object} options - Rate options
+ * @param {number} options.maxPerSecond - Messages allowed per second per sender
+ * @param {Array<string>} options.agents - Only limit these senders (all when omitted)
+ * @returns {Function} Middleware
+ */
+function rateLimit(options = {}) {
+  const interval = 1000 / (options.maxPerSecond || 10);
+  const nextSlot = new Map();
+
+  return function rateLimitMiddleware(message) {
+    if (options.agents && !options.agents.includes(message.from)) {
+      return undefined;
+    }
+
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot.get(message.from) || 0);
+    nextSlot.set(message.from, slot + interval);
+
+    if (slot <= now) {
+      return undefined;
+    }
+
+    return new Promise(resolve => setTimeout(() => resolve(message), slot - now));
+  };
+}
+
+/**
+ * Randomly reject or delay messages, for exercising failure handling in tests
+ * @param {object} options - Fault options
+ * @param {number} options.rejectRate - Probability (0-1) of rejecting a message
+ * @param {number} options.delayMs - Delay added to messages that are not rejected
+ * @param {Function} options.random - Random source returning [0, 1)
+ * @returns {Function} Middleware
+ */
+function injectFaults(options = {}) {
+  const rejectRate = options.rejectRate || 0;
+  const delayMs = options.delayMs || 0;
+  const random = options.random || Math.random;
+
+  return function injectFaultsMiddleware(message, context) {
+    if (rejectRate > 0 && random() < rejectRate) {
+      context.reject('injected fault');
+    }
+
+    if (delayMs > 0) {
+      return new Promise(resolve => setTimeout(() => resolve(message), delayMs));
+    }
+
+    return undefined;
+  };
+}
+
+/**
+ * Count messages and payload bytes by type and sender
+ * @returns {Function} Middleware with getMetrics() and reset()
+ */
+function meter() {
+  let metrics = { total: 0, bytes: 0, byType: {}, bySender: {} };
+
+  const middleware = function meterMiddleware(message) {
+    let bytes = 0;
+    try {
+      bytes = Buffer.byteLength(JSON.stringify(message.content) || '');
+    } catch (error) {
+      // Circular content cannot be measured; still count the message
+    }
+
+    metrics.total++;
+    metrics.bytes += bytes;
+    metrics.byType[message.type] = (metrics.byType[message.type] || 0) + 1;
+    metrics.bySender[message.from] = (metrics.bySender[message.from] || 0) + 1;
+  };
+
+  middleware.getMetrics = () => JSON.parse(JSON.stringify(metrics));
+  middleware.reset = () => {
+    metrics = { total: 0, bytes: 0, byType: {}, bySender: {} };
+  };
+
+  return middleware;
+}
+
+module.exports = {
+  MiddlewarePipeline,
+  MessageRejectedError,
+  MIDDLEWARE_STAGES,
+  redactSecrets,
+  rateLimit,
+  injectFaults,
+  meter
+};
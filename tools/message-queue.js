@@ -0,0 +1,219 @@
+/**
+ * Message Queue
+ *
+ * Bounded per-agent mailbox used by the Agent Messenger. Messages are
+ * kept in priority lanes so urgent traffic (risk alerts, kill commands)
+ * is dequeued ahead of bulk traffic such as market data, and an overflow
+ * policy decides what happens once the queue is full.
+ */
+
+// Priority lanes, most urgent first
+const PRIORITIES = ['critical', 'high', 'normal', 'low'];
+
+// Supported overflow policies
+const OVERFLOW_POLICIES = ['drop-oldest', 'reject', 'block'];
+
+/**
+ * Error raised when a message cannot be queued because the queue is full
+ */
+class QueueFullError extends Error {
+  /**
+   * @param {string} agentId - Owner of the full queue
+   * @param {number} maxSize - Queue capacity
+   * @param {string} policy - Overflow policy in effect
+   */
+  constructor(agentId, maxSize, policy) {
+    super(`Message queue for ${agentId} is full (${maxSize} messages, policy: ${policy})`);
+    this.name = 'QueueFullError';
+    this.code = 'QUEUE_FULL';
+    this.agentId = agentId;
+    this.maxSize = maxSize;
+    this.policy = policy;
+  }
+}
+
+class MessageQueue {
+  /**
+   * Create a message queue
+   * @param {string} agentId - Owning agent ID
+   * @param {object} options - Queue options
+   * @param {number} options.maxSize - Maximum number of queued messages
+   * @param {string} options.overflowPolicy - 'drop-oldest', 'reject' or 'block'. The queue
+   *   itself cannot wait, so 'block' rejects like 'reject'; producers wait for room
+   *   through the messenger's sendWithBackpressure()
+   * @param {number} options.blockTimeoutMs - How long producers wait for capacity under 'block'
+   */
+  constructor(agentId, options = {}) {
+    this.agentId = agentId;
+    this.lanes = {};
+    for (const priority of PRIORITIES) {
+      this.lanes[priority] = [];
+    }
+
+    this.metrics = {
+      enqueued: 0,
+      dequeued: 0,
+      dropped: 0,
+      rejected: 0,
+      highWaterMark: 0
+    };
+
+    this.configure(options);
+  }
+
+  /**
+   * Update queue limits and overflow policy
+   * @param {object} options - Queue options, as for the constructor
+   */
+  configure(options = {}) {
+    const overflowPolicy = options.overflowPolicy || this.overflowPolicy || 'drop-oldest';
+
+    if (!OVERFLOW_POLICIES.includes(overflowPolicy)) {
+      throw new Error(`Invalid overflow policy: ${overflowPolicy}`);
+    }
+
+    this.maxSize = options.maxSize !== undefined
+      ? options.maxSize
+      : (this.maxSize !== undefined ? this.maxSize : 100);
+    this.overflowPolicy = overflowPolicy;
+    this.blockTimeoutMs = options.blockTimeoutMs !== undefined
+      ? options.blockTimeoutMs
+      : (this.blockTimeoutMs !== undefined ? this.blockTimeoutMs : 5000);
+  }
+
+  /**
+   * Number of queued messages
+   * @returns {number} Queue depth
+   */
+  get size() {
+    return PRIORITIES.reduce((total, priority) => total + this.lanes[priority].length, 0);
+  }
+
+  /**
+   * Whether another message fits without triggering the overflow policy
+   * @returns {boolean} Capacity status
+   */
+  hasCapacity() {
+    return this.size < this.maxSize;
+  }
+
+  /**
+   * Add a message to its priority lane
+   * @param {object} message - Message with a priority field
+   * @returns {object|null} Message dropped to make room (may be the incoming one), or null
+   * @throws {QueueFullError} If the queue is full and the policy does not drop messages
+   */
+  enqueue(message) {
+    const priority = PRIORITIES.includes(message.priority) ? message.priority : 'normal';
+    let dropped = null;
+
+    if (!this.hasCapacity()) {
+      if (this.overflowPolicy !== 'drop-oldest') {
+        this.metrics.rejected++;
+        throw new QueueFullError(this.agentId, this.maxSize, this.overflowPolicy);
+      }
+
+      // Evict the oldest message from the least urgent lane not above the incoming priority
+      const incomingRank = PRIORITIES.indexOf(priority);
+      for (let rank = PRIORITIES.length - 1; rank >= incomingRank; rank--) {
+        const lane = this.lanes[PRIORITIES[rank]];
+        if (lane.length > 0) {
+          dropped = lane.shift();
+          break;
+        }
+      }
+
+      this.metrics.dropped++;
+
+      // Everything queued is more urgent than the incoming message
+      if (!dropped) {
+        return message;
+      }
+    }
+
+    this.lanes[priority].push(message);
+    this.metrics.enqueued++;
+    this.metrics.highWaterMark = Math.max(this.metrics.highWaterMark, this.size);
+
+    return dropped;
+  }
+
+  /**
+   * Remove and return the most urgent message
+   * @returns {object|null} Next message or null if empty
+   */
+  dequeue() {
+    for (const priority of PRIORITIES) {
+      if (this.lanes[priority].length > 0) {
+        this.metrics.dequeued++;
+        return this.lanes[priority].shift();
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a message is queued
+   * @param {string} messageId - Message ID
+   * @returns {boolean} Whether the message is in any lane
+   */
+  has(messageId) {
+    return PRIORITIES.some(priority => this.lanes[priority].some(message => message.id === messageId));
+  }
+
+  /**
+   * Get all queued messages in delivery order without removing them
+   * @returns {Array} Messages, most urgent lane first
+   */
+  peekAll() {
+    return PRIORITIES.flatMap(priority => [...this.lanes[priority]]);
+  }
+
+  /**
+   * Remove and return all queued messages in delivery order
+   * @returns {Array} Messages, most urgent lane first
+   */
+  drain() {
+    const messages = this.peekAll();
+    this.metrics.dequeued += messages.length;
+    this.clear();
+    return messages;
+  }
+
+  /**
+   * Remove all queued messages
+   */
+  clear() {
+    for (const priority of PRIORITIES) {
+      this.lanes[priority] = [];
+    }
+  }
+
+  /**
+   * Get queue depth and counters
+   * @returns {object} Queue metrics
+   */
+  getMetrics() {
+    const depthByPriority = {};
+    for (const priority of PRIORITIES) {
+      depthByPriority[priority] = this.lanes[priority].length;
+    }
+
+    return {
+      agentId: this.agentId,
+      depth: this.size,
+      depthByPriority,
+      maxSize: this.maxSize,
+      overflowPolicy: this.overflowPolicy,
+      ...this.metrics
+    };
+  }
+}
+
+module.exports = {
+  MessageQueue,
+  QueueFullError,
+  PRIORITIES,
+  OVERFLOW_POLICIES
+};
@@ -0,0 +1,185 @@
+/**
+ * Message Schemas
+ *
+ * Registry of Joi schemas for agent message payloads, keyed by message
+ * type. The Agent Messenger validates content against the registered
+ * schema when a message is sent and again before a handler receives it,
+ * and stamps each message with the schema version it was checked against.
+ */
+
+const Joi = require('joi');
+const { createComponentLogger } = require('./logger');
+
+// Get component-specific logger
+const logger = createComponentLogger('MESSAGE-SCHEMAS');
+
+/**
+ * Error raised when message content does not match its schema
+ */
+class MessageValidationError extends Error {
+  /**
+   * @param {string} type - Message type
+   * @param {Array} details - Validation failures ({ path, message })
+   * @param {string} stage - Where validation failed ('send' or 'receive')
+   */
+  constructor(type, details, stage) {
+    super(`Invalid ${type} message on ${stage}: ${details.map(detail => detail.message).join('; ')}`);
+    this.name = 'MessageValidationError';
+    this.code = 'INVALID_MESSAGE';
+    this.type = type;
+    this.details = details;
+    this.stage = stage;
+  }
+}
+
+const marketDataSchema = Joi.object({
+  symbol: Joi.string().required(),
+  prices: Joi.array().items(Joi.number()).min(1).required(),
+  volumes: Joi.array().items(Joi.number()).optional(),
+  timestamp: Joi.alternatives().try(Joi.date(), Joi.string(), Joi.number()).optional()
+}).unknown(true);
+
+// Built-in schemas for the message types exchanged by the core agents
+const DEFAULT_SCHEMAS = {
+  data_request: marketDataSchema,
+  market_data: marketDataSchema,
+  data_response: Joi.object({
+    timestamp: Joi.any(),
+    original: Joi.object().required(),
+    processed: Joi.object().required()
+  }).unknown(true),
+  signal_response: Joi.object({
+    signals: Joi.array().items(Joi.object()).required(),
+    marketData: Joi.object().optional()
+  }).unknown(true),
+  strategy_update: Joi.object({
+    strategyId: Joi.string().required(),
+    strategy: Joi.object({
+      name: Joi.string().required(),
+      fn: Joi.alternatives().try(Joi.function(), Joi.string()).required()
+    }).unknown(true).required()
+  }),
+  trade_outcome: Joi.object({
+    strategyId: Joi.string().required(),
+    trade: Joi.object({
+      action: Joi.string().valid('BUY', 'SELL', 'CLOSE').required(),
+      symbol: Joi.string().optional(),
+      entryPrice: Joi.number().optional(),
+      exitPrice: Joi.number().optional()
+    }).unknown(true).required(),
+    success: Joi.boolean().required(),
+    returnPct: Joi.number().required()
+  }),
+  performance_request: Joi.object({
+    strategyId: Joi.string().allow(null).optional()
+  }),
+  prompt_request: Joi.object({
+    agentType: Joi.string().required(),
+    context: Joi.object().optional()
+  }),
+  prompt_update: Joi.object({
+    agentType: Joi.string().required(),
+    prompt: Joi.alternatives().try(Joi.string(), Joi.object()).required()
+  }),
+  error: Joi.object({
+    error: Joi.string().required()
+  }).unknown(true)
+};
+
+class MessageSchemaRegistry {
+  /**
+   * Create a schema registry
+   * @param {object} options - Registry options
+   * @param {boolean} options.strict - Reject message types without a schema
+   * @param {boolean} options.defaults - Register the built-in schemas
+   */
+  constructor(options = {}) {
+    this.schemas = new Map();
+    this.strict = options.strict || false;
+
+    if (options.defaults !== false) {
+      for (const [type, schema] of Object.entries(DEFAULT_SCHEMAS)) {
+        this.register(type, schema);
+      }
+    }
+  }
+
+  /**
+   * Register or replace the schema for a message type
+   * @param {string} type - Message type
+   * @param {object} schema - Joi schema for the message content
+   * @param {number} version - Schema version stamped on validated messages
+   */
+  register(type, schema, version = 1) {
+    if (!Joi.isSchema(schema)) {
+      throw new Error(`Schema for ${type} must be a Joi schema`);
+    }
+
+    this.schemas.set(type, { schema, version });
+    logger.debug(`Registered schema for ${type} (v${version})`);
+  }
+
+  /**
+   * Remove the schema for a message type
+   * @param {string} type - Message type
+   * @returns {boolean} Whether a schema was removed
+   */
+  unregister(type) {
+    return this.schemas.delete(type);
+  }
+
+  /**
+   * Check whether a message type has a schema
+   * @param {string} type - Message type
+   * @returns {boolean} Registration status
+   */
+  has(type) {
+    return this.schemas.has(type);
+  }
+
+  /**
+   * Get the schema version for a message type
+   * @param {string} type - Message type
+   * @returns {number|null} Version, or null if unregistered
+   */
+  getVersion(type) {
+    const entry = this.schemas.get(type);
+    return entry ? entry.version : null;
+  }
+
+  /**
+   * Validate message content against its type's schema
+   * @param {string} type - Message type
+   * @param {any} content - Message content
+   * @param {string} stage - Where validation happens ('send' or 'receive')
+   * @returns {number|null} Schema version the content was validated against
+   * @throws {MessageValidationError} If the content is invalid
+   */
+  validate(type, content, stage = 'send') {
+    const entry = this.schemas.get(type);
+
+    if (!entry) {
+      if (this.strict) {
+        throw new MessageValidationError(type, [
+          { path: '', message: `no schema registered for message type ${type}` }
+        ], stage);
+      }
+      return null;
+    }
+
+    const { error } = entry.schema.validate(content, { abortEarly: false });
+
+    if (error) {
+      throw new MessageValidationError(type, error.details.map(detail => ({
+        path: detail.path.join('.'),
+        message: detail.message
+      })), stage);
+    }
+
+    return entry.version;
+  }
+}
+
+module.exports = new MessageSchemaRegistry();
+module.exports.MessageSchemaRegistry = MessageSchemaRegistry;
+module.exports.MessageValidationError = MessageValidationError;
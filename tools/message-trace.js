@@ -0,0 +1,218 @@
+/**
+ * Message Trace
+ *
+ * Causality tracking for agent messages. Every message carries a trace ID
+ * shared by everything that followed from the same originating message,
+ * and the ID of the message that was being handled when it was sent. The
+ * message being handled is kept in async-local storage, so messages sent
+ * from anywhere inside a handler (including after awaits) inherit it.
+ *
+ * The same storage carries the log context of the work being done: the
+ * trace and message IDs plus the symbol and strategy the message concerns,
+ * which the logger adds to every line written inside the handler. Code
+ * outside message handlers can add fields with runWithContext().
+ *
+ * The tree helpers turn a set of recorded messages (the messenger history
+ * or a journal read) into the causal tree of one trace and export it as
+ * JSON or Graphviz DOT.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Holds { message, fields }: the message being handled and the log context
+const messageContext = new AsyncLocalStorage();
+
+// Log context fields taken from message payloads, looked up in the payload
+// itself and then in its nested objects (e.g. content.signal.symbol)
+const PAYLOAD_CONTEXT_FIELDS = ['symbol', 'strategyId'];
+
+/**
+ * Log context fields of a message
+ * @param {object} message - Message
+ * @returns {object} { traceId, messageId, symbol, strategyId }, omitting unknown fields
+ */
+function contextFrom(message) {
+  const fields = {
+    traceId: message.traceId || message.id,
+    messageId: message.id
+  };
+  const content = message.content && typeof message.content === 'object' ? message.content : {};
+  const nested = Object.values(content).filter(value => value && typeof value === 'object' && !Array.isArray(value));
+
+  for (const field of PAYLOAD_CONTEXT_FIELDS) {
+    const source = [content, ...nested].find(candidate => typeof candidate[field] === 'string');
+    if (source) {
+      fields[field] = source[field];
+    }
+  }
+
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Run a function as the handler of a message. Context from any handler
+ * further out (the message that caused this one) is kept unless the
+ * message has its own value for a field.
+ * @param {object} message - Message being handled
+ * @param {Function} fn - Handler; may return a promise
+ * @returns {any} Result of fn
+ */
+function runWithMessage(message, fn) {
+  const outer = messageContext.getStore();
+
+  return messageContext.run({
+    message,
+    fields: { ...(outer ? outer.fields : {}), ...contextFrom(message) }
+  }, fn);
+}
+
+/**
+ * Run a function with extra log context fields, e.g. the symbol of a
+ * trade being processed outside any message handler
+ * @param {object} fields - Fields added to every log line (e.g. { symbol, strategyId })
+ * @param {Function} fn - Function; may return a promise
+ * @returns {any} Result of fn
+ */
+function runWithContext(fields, fn) {
+  const outer = messageContext.getStore();
+
+  return messageContext.run({
+    message: outer ? outer.message : null,
+    fields: { ...(outer ? outer.fields : {}), ...fields }
+  }, fn);
+}
+
+/**
+ * Get the message whose handler is currently running
+ * @returns {object|null} Message, or null outside any handler
+ */
+function getCurrentMessage() {
+  const store = messageContext.getStore();
+  return store ? store.message : null;
+}
+
+/**
+ * Get the current log context
+ * @returns {object} Context fields (empty outside any handler or context)
+ */
+function getLogContext() {
+  const store = messageContext.getStore();
+  return store ? { ...store.fields } : {};
+}
+
+/**
+ * Trace fields for a message caused by another message
+ * @param {object} cause - Message that caused the new one (defaults to the current message)
+ * @returns {object} { traceId, parentId }, empty when there is no cause
+ */
+function traceFrom(cause = getCurrentMessage()) {
+  if (!cause) {
+    return {};
+  }
+
+  return {
+    traceId: cause.traceId || cause.id,
+    parentId: cause.id
+  };
+}
+
+/**
+ * Build the causal tree of a trace
+ * @param {Array} messages - Recorded messages (may include other traces)
+ * @param {string} traceId - Trace to build
+ * @returns {object} Tree with traceId, messageCount and roots; each node has children
+ */
+function buildCausalTree(messages, traceId) {
+  const nodes = new Map();
+
+  for (const message of messages) {
+    if (message.traceId === traceId && !nodes.has(message.id)) {
+      nodes.set(message.id, { ...message, children: [] });
+    }
+  }
+
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parentId ? nodes.get(node.parentId) : null;
+
+    // Messages whose parent is no longer recorded become roots of their own subtree
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const byTime = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+  const sortChildren = (node) => {
+    node.children.sort(byTime);
+    node.children.forEach(sortChildren);
+  };
+
+  roots.sort(byTime);
+  roots.forEach(sortChildren);
+
+  return {
+    traceId,
+    messageCount: nodes.size,
+    roots
+  };
+}
+
+/**
+ * Export a causal tree as JSON
+ * @param {object} tree - Tree from buildCausalTree()
+ * @param {boolean} includeContent - Include message payloads
+ * @returns {string} Pretty-printed JSON
+ */
+function toJSON(tree, includeContent = true) {
+  const strip = (node) => {
+    const { children, content, ...fields } = node;
+    return {
+      ...fields,
+      ...(includeContent ? { content } : {}),
+      children: children.map(strip)
+    };
+  };
+
+  return JSON.stringify({ ...tree, roots: tree.roots.map(strip) }, null, 2);
+}
+
+/**
+ * Export a causal tree as a Graphviz DOT digraph
+ * @param {object} tree - Tree from buildCausalTree()
+ * @returns {string} DOT source
+ */
+function toDot(tree) {
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  const lines = [`digraph "trace-${escape(tree.traceId)}" {`, '  rankdir=LR;', '  node [shape=box];'];
+
+  const visit = (node) => {
+    const target = node.topic || node.to;
+    const time = new Date(node.timestamp).toISOString();
+    lines.push(`  "${escape(node.id)}" [label="${escape(node.type)}\\n${escape(node.from)} -> ${escape(target)}\\n${time}"];`);
+
+    for (const child of node.children) {
+      lines.push(`  "${escape(node.id)}" -> "${escape(child.id)}";`);
+      visit(child);
+    }
+  };
+
+  tree.roots.forEach(visit);
+  lines.push('}');
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  runWithMessage,
+  runWithContext,
+  getCurrentMessage,
+  getLogContext,
+  contextFrom,
+  traceFrom,
+  buildCausalTree,
+  toJSON,
+  toDot
+};
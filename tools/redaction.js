@@ -0,0 +1,56 @@
+/**
+ * Secret Redaction
+ *
+ * Masks secret-looking values (API keys, secrets, tokens, passwords,
+ * passphrases, signatures) by key name. Shared by the message middleware,
+ * which redacts message content, and the logger, which redacts metadata.
+ */
+
+// Keys treated as secrets, including exchange auth headers (CB-ACCESS-KEY,
+// CB-ACCESS-SIGN). Token names are anchored so counts like maxTokens pass.
+const DEFAULT_SECRET_KEYS = [
+  /api[-_]?key/i,
+  /access[-_]?key/i,
+  /secret/i,
+  /(^|[-_])(access|auth|refresh|session|api)?[-_]?token$/i,
+  /password/i,
+  /passphrase/i,
+  /signature/i,
+  /(^|[-_])sign$/i
+];
+
+/**
+ * Create a function that copies a value with its secrets replaced
+ * @param {object} options - Redaction options
+ * @param {Array<RegExp>} options.keys - Patterns for keys to redact
+ * @param {string} options.replacement - Value written in place of secrets
+ * @returns {Function} (value) => redacted copy; the value itself is left unchanged
+ */
+function createRedactor(options = {}) {
+  const keys = options.keys || DEFAULT_SECRET_KEYS;
+  const replacement = options.replacement || '[REDACTED]';
+
+  const redact = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(redact);
+    }
+
+    // Leave Dates and other class instances untouched
+    if (value === null || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) {
+      return value;
+    }
+
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+      result[key] = keys.some(pattern => pattern.test(key)) ? replacement : redact(entry);
+    }
+    return result;
+  };
+
+  return redact;
+}
+
+module.exports = {
+  DEFAULT_SECRET_KEYS,
+  createRedactor
+};
@@ -0,0 +1,175 @@
+/**
+ * Base Storage Adapter
+ *
+ * Abstract base class for Knowledge Base storage backends. The Knowledge
+ * Base keeps its working set in memory, writes every change through its
+ * adapter and reloads the persisted state when it is initialized.
+ */
+
+const { createComponentLogger } = require('../logger');
+
+/**
+ * Serialize a value to JSON, keeping Dates, Maps and Sets so stored
+ * knowledge (e.g. portfolio positions) comes back with the same shape
+ * @param {any} value - Value to encode
+ * @returns {string} JSON text
+ */
+function encode(value) {
+  return JSON.stringify(value, function(key, converted) {
+    const raw = this[key];
+
+    if (raw instanceof Date) {
+      return { __type: 'Date', value: isNaN(raw.getTime()) ? null : raw.toISOString() };
+    }
+    if (raw instanceof Map) {
+      return { __type: 'Map', value: [...raw.entries()] };
+    }
+    if (raw instanceof Set) {
+      return { __type: 'Set', value: [...raw.values()] };
+    }
+
+    return converted;
+  });
+}
+
+/**
+ * Parse JSON written by encode()
+ * @param {string} text - JSON text
+ * @returns {any} Decoded value
+ */
+function decode(text) {
+  return JSON.parse(text, (key, value) => {
+    if (value && typeof value === 'object' && typeof value.__type === 'string') {
+      switch (value.__type) {
+        case 'Date':
+          return new Date(value.value);
+        case 'Map':
+          return new Map(value.value);
+        case 'Set':
+          return new Set(value.value);
+      }
+    }
+
+    return value;
+  });
+}
+
+class BaseStorage {
+  /**
+   * Create a storage adapter
+   * @param {string} id - Adapter identifier
+   */
+  constructor(id) {
+    this.id = id;
+    this.logger = createComponentLogger(`storage-${id}`);
+  }
+
+  /**
+   * Open the backing store
+   * Must be implemented by subclasses
+   * @returns {Promise<boolean>} Success status
+   */
+  async open() {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Load every persisted knowledge entry
+   * Must be implemented by subclasses
+   * @returns {Promise<Array>} Records of { category, key, entry, versions }
+   */
+  async load() {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Persist the current entry of a key, appending a history version if given
+   * Must be implemented by subclasses
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {object} entry - Current entry ({ data, metadata, timestamp })
+   * @param {object|null} versionEntry - Version appended to the key's history
+   * @returns {Promise<boolean>} Success status
+   */
+  async write(category, key, entry, versionEntry = null) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Delete a key and its history
+   * Must be implemented by subclasses
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @returns {Promise<boolean>} Whether the key existed
+   */
+  async remove(category, key) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Apply several writes and removals together, as a transaction commit.
+   * The default applies them one by one; adapters override this so a
+   * failure leaves none of them persisted.
+   * @param {Array<object>} operations - { op: 'write', category, key, entry, versionEntry }
+   *   or { op: 'remove', category, key }
+   * @returns {Promise<boolean>} Success status
+   */
+  async writeBatch(operations) {
+    for (const operation of operations) {
+      if (operation.op === 'remove') {
+        await this.remove(operation.category, operation.key);
+      } else {
+        await this.write(operation.category, operation.key, operation.entry, operation.versionEntry);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Replace a key's entry and its whole history, as when importing a
+   * snapshot. Adapters may override this with a single atomic write.
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {object} entry - Current entry
+   * @param {Array<object>} versions - History versions, oldest first
+   * @returns {Promise<boolean>} Success status
+   */
+  async replaceRecord(category, key, entry, versions) {
+    await this.remove(category, key);
+
+    if (versions.length === 0) {
+      return this.write(category, key, entry, null);
+    }
+
+    for (const versionEntry of versions) {
+      await this.write(category, key, entry, versionEntry);
+    }
+
+    return true;
+  }
+
+  /**
+   * Drop the oldest history versions of a key
+   * Must be implemented by subclasses
+   * @param {string} category - Knowledge category
+   * @param {string} key - Knowledge key
+   * @param {number} count - Number of versions to drop, oldest first
+   * @returns {Promise<boolean>} Success status
+   */
+  async trimVersions(category, key, count) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Flush pending writes and release the backing store
+   * @returns {Promise<boolean>} Success status
+   */
+  async close() {
+    return true;
+  }
+}
+
+module.exports = BaseStorage;
+module.exports.encode = encode;
+module.exports.decode = decode;
@@ -0,0 +1,243 @@
+/**
+ * File Storage Adapter
+ *
+ * Persists the Knowledge Base as an append-only operation log plus a
+ * periodic snapshot. Each write is appended to the log; once enough
+ * operations have accumulated (or on a timer) the full state is written to
+ * a snapshot file and the log is truncated. Loading reads the snapshot and
+ * replays the log operations recorded after it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BaseStorage = require('./base-storage');
+const { encode, decode } = BaseStorage;
+
+const LOG_FILE = 'knowledge.log';
+const SNAPSHOT_FILE = 'knowledge.snapshot.json';
+
+class FileStorage extends BaseStorage {
+  /**
+   * Create a file storage adapter
+   * @param {object} options - Storage options
+   * @param {string} options.directory - Directory holding the log and snapshot
+   * @param {number} options.snapshotEvery - Logged operations between snapshots
+   * @param {number} options.snapshotIntervalMs - Also snapshot on this interval (0 disables)
+   */
+  constructor(options = {}) {
+    super('file');
+    this.directory = options.directory || path.join(__dirname, '../../data/knowledge');
+    this.snapshotEvery = options.snapshotEvery || 1000;
+    this.snapshotIntervalMs = options.snapshotIntervalMs || 0;
+    this.logPath = path.join(this.directory, LOG_FILE);
+    this.snapshotPath = path.join(this.directory, SNAPSHOT_FILE);
+
+    // Mirror of the persisted state, needed to write snapshots
+    this.state = {};
+    this.sequence = 0;
+    this.pendingOperations = 0;
+    this.timer = null;
+  }
+
+  async open() {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    if (this.snapshotIntervalMs > 0) {
+      this.timer = setInterval(() => {
+        if (this.pendingOperations > 0) {
+          this.snapshot();
+        }
+      }, this.snapshotIntervalMs);
+      this.timer.unref();
+    }
+
+    this.logger.info(`File storage opened at ${this.directory}`);
+    return true;
+  }
+
+  async load() {
+    this.state = {};
+    this.sequence = 0;
+
+    if (fs.existsSync(this.snapshotPath)) {
+      const snapshot = decode(fs.readFileSync(this.snapshotPath, 'utf8'));
+      this.state = snapshot.state;
+      this.sequence = snapshot.sequence;
+    }
+
+    const snapshotSequence = this.sequence;
+    let replayed = 0;
+
+    if (fs.existsSync(this.logPath)) {
+      const lines = fs.readFileSync(this.logPath, 'utf8').split('\n');
+
+      for (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+
+        let operation;
+        try {
+          operation = decode(line);
+        } catch (error) {
+          // A torn write at the end of the log should not abort the load
+          this.logger.warn('Skipping unreadable knowledge log line');
+          continue;
+        }
+
+        // Operations already folded into the snapshot
+        if (operation.seq <= snapshotSequence) {
+          continue;
+        }
+
+        this._apply(operation);
+        this.sequence = operation.seq;
+        replayed++;
+      }
+    }
+
+    this.pendingOperations = replayed;
+
+    const records = [];
+    for (const [category, keys] of Object.entries(this.state)) {
+      for (const [key, record] of Object.entries(keys)) {
+        records.push({ category, key, entry: record.entry, versions: record.versions });
+      }
+    }
+
+    this.logger.info(`Loaded ${records.length} knowledge entries (${replayed} log operations replayed)`);
+
+    // Hand out copies so the mirror is unaffected by in-place changes
+    return decode(encode(records));
+  }
+
+  async write(category, key, entry, versionEntry = null) {
+    this._append({ op: 'write', category, key, entry, versionEntry });
+    return true;
+  }
+
+  async remove(category, key) {
+    const existed = !!(this.state[category] && this.state[category][key]);
+    this._append({ op: 'remove', category, key });
+    return existed;
+  }
+
+  async writeBatch(operations) {
+    // One log line, so a torn write drops the whole batch on replay
+    this._append({ op: 'batch', operations });
+    return true;
+  }
+
+  async replaceRecord(category, key, entry, versions) {
+    this._append({ op: 'replace', category, key, entry, versions });
+    return true;
+  }
+
+  async trimVersions(category, key, count) {
+    this._append({ op: 'trim', category, key, count });
+    return true;
+  }
+
+  /**
+   * Write the full state to the snapshot file and truncate the log
+   * @returns {boolean} Success status
+   */
+  snapshot() {
+    try {
+      const temporaryPath = `${this.snapshotPath}.tmp`;
+
+      // Write then rename so a crash never leaves a partial snapshot
+      fs.writeFileSync(temporaryPath, encode({ sequence: this.sequence, state: this.state }));
+      fs.renameSync(temporaryPath, this.snapshotPath);
+      fs.writeFileSync(this.logPath, '');
+
+      this.pendingOperations = 0;
+      this.logger.info(`Knowledge snapshot written at sequence ${this.sequence}`);
+      return true;
+    } catch (error) {
+      this.logger.error('Error writing knowledge snapshot:', { error });
+      return false;
+    }
+  }
+
+  async close() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (this.pendingOperations > 0) {
+      this.snapshot();
+    }
+
+    return true;
+  }
+
+  /**
+   * Log an operation and apply it to the mirrored state
+   * @param {object} operation - Operation to record
+   * @private
+   */
+  _append(operation) {
+    operation.seq = this.sequence + 1;
+
+    const line = encode(operation);
+    fs.appendFileSync(this.logPath, line + '\n');
+
+    // Mirror a decoded copy; callers may keep mutating the objects they stored
+    this.sequence = operation.seq;
+    this._apply(decode(line));
+    this.pendingOperations++;
+
+    if (this.pendingOperations >= this.snapshotEvery) {
+      this.snapshot();
+    }
+  }
+
+  /**
+   * Apply a logged operation to the mirrored state
+   * @param {object} operation - Logged operation
+   * @private
+   */
+  _apply(operation) {
+    const { category, key } = operation;
+
+    if (operation.op === 'batch') {
+      operation.operations.forEach(batched => this._apply(batched));
+      return;
+    }
+
+    if (operation.op === 'remove') {
+      if (this.state[category]) {
+        delete this.state[category][key];
+      }
+      return;
+    }
+
+    if (operation.op === 'trim') {
+      if (this.state[category] && this.state[category][key]) {
+        this.state[category][key].versions.splice(0, operation.count);
+      }
+      return;
+    }
+
+    if (!this.state[category]) {
+      this.state[category] = {};
+    }
+    if (!this.state[category][key]) {
+      this.state[category][key] = { entry: null, versions: [] };
+    }
+
+    const record = this.state[category][key];
+    record.entry = operation.entry;
+
+    if (operation.op === 'replace') {
+      record.versions = operation.versions;
+      return;
+    }
+
+    if (operation.versionEntry) {
+      record.versions.push(operation.versionEntry);
+    }
+  }
+}
+
+module.exports = FileStorage;
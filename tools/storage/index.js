@@ -0,0 +1,43 @@
+/**
+ * Knowledge Base Storage
+ *
+ * Storage adapters for the Knowledge Base and a factory that builds one
+ * from configuration or the KB_STORAGE / KB_STORAGE_PATH environment
+ * variables.
+ */
+
+const BaseStorage = require('./base-storage');
+const MemoryStorage = require('./memory-storage');
+const FileStorage = require('./file-storage');
+const SqliteStorage = require('./sqlite-storage');
+
+/**
+ * Create a storage adapter
+ * @param {object} config - Storage configuration
+ * @param {string} config.type - 'memory', 'file' or 'sqlite'
+ * @param {string} config.path - Directory (file) or database file (sqlite)
+ * @returns {BaseStorage} Storage adapter
+ */
+function createStorage(config = {}) {
+  const type = config.type || process.env.KB_STORAGE || 'memory';
+  const location = config.path || process.env.KB_STORAGE_PATH;
+
+  switch (type) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'file':
+      return new FileStorage({ directory: location, ...config });
+    case 'sqlite':
+      return new SqliteStorage({ filename: location, ...config });
+    default:
+      throw new Error(`Unknown knowledge storage type: ${type}`);
+  }
+}
+
+module.exports = {
+  BaseStorage,
+  MemoryStorage,
+  FileStorage,
+  SqliteStorage,
+  createStorage
+};
@@ -0,0 +1,36 @@
+/**
+ * Memory Storage Adapter
+ *
+ * Default Knowledge Base backend. Nothing is persisted, so knowledge lives
+ * only as long as the process.
+ */
+
+const BaseStorage = require('./base-storage');
+
+class MemoryStorage extends BaseStorage {
+  constructor() {
+    super('memory');
+  }
+
+  async open() {
+    return true;
+  }
+
+  async load() {
+    return [];
+  }
+
+  async write(category, key, entry, versionEntry = null) {
+    return true;
+  }
+
+  async remove(category, key) {
+    return true;
+  }
+
+  async trimVersions(category, key, count) {
+    return true;
+  }
+}
+
+module.exports = MemoryStorage;
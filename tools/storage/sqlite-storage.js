@@ -0,0 +1,174 @@
+/**
+ * SQLite Storage Adapter
+ *
+ * Persists the Knowledge Base in an embedded SQLite database with one
+ * table for current entries and one for version history. Each write is a
+ * single transaction, so an entry and its new history version are stored
+ * together or not at all.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BaseStorage = require('./base-storage');
+const { encode, decode } = BaseStorage;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS knowledge (
+    category TEXT NOT NULL,
+    key TEXT NOT NULL,
+    entry TEXT NOT NULL,
+    PRIMARY KEY (category, key)
+  );
+  CREATE TABLE IF NOT EXISTS versions (
+    category TEXT NOT NULL,
+    key TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    entry TEXT NOT NULL,
+    PRIMARY KEY (category, key, version)
+  );
+`;
+
+class SqliteStorage extends BaseStorage {
+  /**
+   * Create a SQLite storage adapter
+   * @param {object} options - Storage options
+   * @param {string} options.filename - Database file (':memory:' for a throwaway database)
+   */
+  constructor(options = {}) {
+    super('sqlite');
+    this.filename = options.filename || path.join(__dirname, '../../data/knowledge.db');
+    this.db = null;
+  }
+
+  async open() {
+    // Required lazily so the native module is only needed when SQLite is used
+    const Database = require('better-sqlite3');
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      upsert: this.db.prepare(`
+        INSERT INTO knowledge (category, key, entry) VALUES (?, ?, ?)
+        ON CONFLICT (category, key) DO UPDATE SET entry = excluded.entry
+      `),
+      appendVersion: this.db.prepare(`
+        INSERT INTO versions (category, key, version, entry)
+        SELECT ?, ?, COALESCE(MAX(version) + 1, 0), ? FROM versions WHERE category = ? AND key = ?
+      `),
+      deleteEntry: this.db.prepare('DELETE FROM knowledge WHERE category = ? AND key = ?'),
+      deleteVersions: this.db.prepare('DELETE FROM versions WHERE category = ? AND key = ?'),
+      deleteOldestVersions: this.db.prepare(`
+        DELETE FROM versions WHERE category = ? AND key = ? AND version IN (
+          SELECT version FROM versions WHERE category = ? AND key = ? ORDER BY version LIMIT ?
+        )
+      `),
+      selectEntries: this.db.prepare('SELECT category, key, entry FROM knowledge'),
+      selectVersions: this.db.prepare('SELECT category, key, entry FROM versions ORDER BY category, key, version')
+    };
+
+    this.logger.info(`SQLite storage opened at ${this.filename}`);
+    return true;
+  }
+
+  async load() {
+    const records = new Map();
+
+    for (const row of this.statements.selectEntries.all()) {
+      records.set(`${row.category}\u0000${row.key}`, {
+        category: row.category,
+        key: row.key,
+        entry: decode(row.entry),
+        versions: []
+      });
+    }
+
+    for (const row of this.statements.selectVersions.all()) {
+      const record = records.get(`${row.category}\u0000${row.key}`);
+      if (record) {
+        record.versions.push(decode(row.entry));
+      }
+    }
+
+    this.logger.info(`Loaded ${records.size} knowledge entries`);
+    return [...records.values()];
+  }
+
+  async write(category, key, entry, versionEntry = null) {
+    const transaction = this.db.transaction(() => {
+      this.statements.upsert.run(category, key, encode(entry));
+
+      if (versionEntry) {
+        this.statements.appendVersion.run(category, key, encode(versionEntry), category, key);
+      }
+    });
+
+    transaction();
+    return true;
+  }
+
+  async remove(category, key) {
+    const transaction = this.db.transaction(() => {
+      this.statements.deleteVersions.run(category, key);
+      return this.statements.deleteEntry.run(category, key).changes > 0;
+    });
+
+    return transaction();
+  }
+
+  async writeBatch(operations) {
+    const transaction = this.db.transaction(() => {
+      for (const { op, category, key, entry, versionEntry } of operations) {
+        if (op === 'remove') {
+          this.statements.deleteVersions.run(category, key);
+          this.statements.deleteEntry.run(category, key);
+          continue;
+        }
+
+        this.statements.upsert.run(category, key, encode(entry));
+        if (versionEntry) {
+          this.statements.appendVersion.run(category, key, encode(versionEntry), category, key);
+        }
+      }
+    });
+
+    transaction();
+    return true;
+  }
+
+  async replaceRecord(category, key, entry, versions) {
+    const transaction = this.db.transaction(() => {
+      this.statements.deleteVersions.run(category, key);
+      this.statements.upsert.run(category, key, encode(entry));
+
+      for (const versionEntry of versions) {
+        this.statements.appendVersion.run(category, key, encode(versionEntry), category, key);
+      }
+    });
+
+    transaction();
+    return true;
+  }
+
+  async trimVersions(category, key, count) {
+    this.statements.deleteOldestVersions.run(category, key, category, key, count);
+    return true;
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.logger.info('SQLite storage closed');
+    }
+
+    return true;
+  }
+}
+
+module.exports = SqliteStorage;
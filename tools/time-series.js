@@ -0,0 +1,388 @@
+/**
+ * Time Series
+ *
+ * Append-only point storage behind the Knowledge Base's time-series
+ * categories. Each category holds named series (by convention
+ * `${symbol}.${timeframe}`, e.g. 'BTC-USD.tick' or 'ETH-USD.1m') whose
+ * points are kept sorted by timestamp, so range queries, downsampling and
+ * rolling windows are binary searches and slices rather than scans.
+ *
+ * Points are flat objects with a timestamp (Date or milliseconds) plus
+ * fields such as price, volume, or open/high/low/close for candles.
+ */
+
+class TimeSeriesError extends Error {
+  /**
+   * Create a time-series error
+   * @param {string} message - Error message
+   * @param {string} code - 'INVALID_POINT' or 'OUT_OF_ORDER'
+   * @param {string} series - Series name
+   */
+  constructor(message, code, series) {
+    super(message);
+    this.name = 'TimeSeriesError';
+    this.code = code;
+    this.series = series;
+  }
+}
+
+/**
+ * Convert a timestamp to milliseconds
+ * @param {Date|number|string} timestamp - Timestamp
+ * @returns {number} Milliseconds since the epoch (NaN if invalid)
+ */
+function toMillis(timestamp) {
+  if (timestamp instanceof Date) {
+    return timestamp.getTime();
+  }
+  if (typeof timestamp === 'string') {
+    return new Date(timestamp).getTime();
+  }
+
+  return typeof timestamp === 'number' ? timestamp : NaN;
+}
+
+/**
+ * Index of the first point at or after a timestamp
+ * @param {Array} points - Points sorted by timestamp
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {number} Index
+ */
+function lowerBound(points, timestamp) {
+  let low = 0;
+  let high = points.length;
+
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (points[middle].timestamp < timestamp) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+}
+
+/**
+ * Index just past the last point at or before a timestamp
+ * @param {Array} points - Points sorted by timestamp
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {number} Index
+ */
+function upperBound(points, timestamp) {
+  let low = 0;
+  let high = points.length;
+
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (points[middle].timestamp <= timestamp) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+}
+
+/**
+ * Price of a point: the close of a candle or the price of a tick
+ * @param {object} point - Point
+ * @returns {number|undefined} Price
+ */
+function priceOf(point) {
+  return point.close !== undefined ? point.close : point.price;
+}
+
+/**
+ * A fixed slice of a series with the statistics agents need for
+ * volatility, VWAP and indicators
+ */
+class RollingWindow {
+  /**
+   * Create a rolling window
+   * @param {Array} points - Points in the window, oldest first
+   */
+  constructor(points) {
+    this.points = points;
+  }
+
+  /**
+   * Number of points in the window
+   * @returns {number} Point count
+   */
+  get size() {
+    return this.points.length;
+  }
+
+  /**
+   * Prices in the window, oldest first
+   * @returns {Array<number>} Prices
+   */
+  prices() {
+    return this.points.map(priceOf).filter(price => typeof price === 'number');
+  }
+
+  /**
+   * Simple returns between consecutive prices
+   * @returns {Array<number>} Returns
+   */
+  returns() {
+    const prices = this.prices();
+    const returns = [];
+
+    for (let i = 1; i < prices.length; i++) {
+      returns.push((prices[i] - prices[i - 1]) / prices[i - 1]);
+    }
+
+    return returns;
+  }
+
+  /**
+   * Mean price
+   * @returns {number|null} Mean, or null for an empty window
+   */
+  mean() {
+    const prices = this.prices();
+    return prices.length > 0 ? prices.reduce((sum, price) => sum + price, 0) / prices.length : null;
+  }
+
+  /**
+   * Standard deviation of returns
+   * @returns {number|null} Volatility, or null with fewer than two prices
+   */
+  volatility() {
+    const returns = this.returns();
+
+    if (returns.length === 0) {
+      return null;
+    }
+
+    const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+    const variance = returns.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / returns.length;
+
+    return Math.sqrt(variance);
+  }
+
+  /**
+   * Volume-weighted average price
+   * @returns {number|null} VWAP, or null when the window has no volume
+   */
+  vwap() {
+    let notional = 0;
+    let volume = 0;
+
+    for (const point of this.points) {
+      const price = priceOf(point);
+      if (typeof price === 'number' && typeof point.volume === 'number') {
+        notional += price * point.volume;
+        volume += point.volume;
+      }
+    }
+
+    return volume > 0 ? notional / volume : null;
+  }
+
+  /**
+   * Simple moving average of the most recent prices
+   * @param {number} period - Number of prices
+   * @returns {number|null} Average, or null with fewer prices than the period
+   */
+  sma(period) {
+    const prices = this.prices();
+
+    if (prices.length < period || period <= 0) {
+      return null;
+    }
+
+    return prices.slice(-period).reduce((sum, price) => sum + price, 0) / period;
+  }
+}
+
+class TimeSeries {
+  /**
+   * Create the point storage for one time-series category
+   * @param {object} options - Series options
+   * @param {number} options.maxPoints - Points kept per series, oldest dropped first
+   * @param {number} options.retentionMs - Drop points this much older than the newest (0 keeps all)
+   */
+  constructor(options = {}) {
+    this.maxPoints = options.maxPoints || 10000;
+    this.retentionMs = options.retentionMs || 0;
+    this.series = new Map();
+  }
+
+  /**
+   * Append points to a series. Points must not be older than the series'
+   * newest point; a batch is validated before any of it is stored.
+   * @param {string} name - Series name
+   * @param {Array<object>} points - Points with a timestamp
+   * @returns {number} Number of points stored
+   * @throws {TimeSeriesError} For points without a valid timestamp or out of order
+   */
+  append(name, points) {
+    const existing = this.series.get(name) || [];
+    let last = existing.length > 0 ? existing[existing.length - 1].timestamp : -Infinity;
+
+    const normalized = points.map(point => {
+      const timestamp = toMillis(point && point.timestamp);
+
+      if (Number.isNaN(timestamp)) {
+        throw new TimeSeriesError(`Point in ${name} has no valid timestamp`, 'INVALID_POINT', name);
+      }
+      if (timestamp < last) {
+        throw new TimeSeriesError(`Point in ${name} at ${timestamp} is older than ${last}`, 'OUT_OF_ORDER', name);
+      }
+
+      last = timestamp;
+      return { ...point, timestamp };
+    });
+
+    for (const point of normalized) {
+      existing.push(point);
+    }
+    this.series.set(name, existing);
+    this._trim(existing);
+
+    return normalized.length;
+  }
+
+  /**
+   * Points between two timestamps (inclusive)
+   * @param {string} name - Series name
+   * @param {object} options - Range options
+   * @param {Date|number} options.from - Start of the range
+   * @param {Date|number} options.to - End of the range
+   * @param {number} options.limit - Return at most this many points, keeping the newest
+   * @returns {Array<object>} Copies of the points, oldest first
+   */
+  range(name, options = {}) {
+    const points = this.series.get(name) || [];
+    const start = options.from !== undefined ? lowerBound(points, toMillis(options.from)) : 0;
+    const end = options.to !== undefined ? upperBound(points, toMillis(options.to)) : points.length;
+
+    let selected = points.slice(start, end);
+    if (options.limit !== undefined) {
+      selected = selected.slice(-options.limit);
+    }
+
+    return selected.map(point => ({ ...point }));
+  }
+
+  /**
+   * Aggregate points into fixed intervals as OHLCV bars
+   * @param {string} name - Series name
+   * @param {object} options - Downsampling options
+   * @param {number} options.intervalMs - Bar width
+   * @param {Date|number} options.from - Start of the range
+   * @param {Date|number} options.to - End of the range
+   * @returns {Array<object>} Bars of { timestamp, open, high, low, close, volume, count }
+   * @throws {Error} If intervalMs is not positive
+   */
+  downsample(name, options = {}) {
+    const { intervalMs } = options;
+
+    if (!(intervalMs > 0)) {
+      throw new Error('Downsampling needs a positive intervalMs');
+    }
+
+    const bars = [];
+    let bar = null;
+
+    for (const point of this.range(name, options)) {
+      const price = priceOf(point);
+      if (typeof price !== 'number') {
+        continue;
+      }
+
+      const bucket = Math.floor(point.timestamp / intervalMs) * intervalMs;
+
+      if (!bar || bar.timestamp !== bucket) {
+        bar = {
+          timestamp: bucket,
+          open: point.open !== undefined ? point.open : price,
+          high: -Infinity,
+          low: Infinity,
+          close: price,
+          volume: 0,
+          count: 0
+        };
+        bars.push(bar);
+      }
+
+      bar.high = Math.max(bar.high, point.high !== undefined ? point.high : price);
+      bar.low = Math.min(bar.low, point.low !== undefined ? point.low : price);
+      bar.close = price;
+      bar.volume += point.volume || 0;
+      bar.count++;
+    }
+
+    return bars;
+  }
+
+  /**
+   * The most recent points of a series as a rolling window
+   * @param {string} name - Series name
+   * @param {object} options - Window options
+   * @param {number} options.size - Number of most recent points
+   * @param {number} options.durationMs - Points within this long of the newest point
+   * @returns {RollingWindow} Window (empty if the series does not exist)
+   */
+  window(name, options = {}) {
+    const points = this.series.get(name) || [];
+    let start = 0;
+
+    if (options.durationMs !== undefined && points.length > 0) {
+      start = lowerBound(points, points[points.length - 1].timestamp - options.durationMs);
+    }
+    if (options.size !== undefined) {
+      start = Math.max(start, points.length - options.size);
+    }
+
+    return new RollingWindow(points.slice(start).map(point => ({ ...point })));
+  }
+
+  /**
+   * Names of the series in this category
+   * @returns {Array<string>} Series names
+   */
+  names() {
+    return [...this.series.keys()];
+  }
+
+  /**
+   * Drop a series
+   * @param {string} name - Series name
+   * @returns {boolean} Whether the series existed
+   */
+  remove(name) {
+    return this.series.delete(name);
+  }
+
+  /**
+   * Apply maxPoints and retentionMs to a series
+   * @param {Array} points - Series points
+   * @private
+   */
+  _trim(points) {
+    if (points.length === 0) {
+      return;
+    }
+
+    let drop = Math.max(0, points.length - this.maxPoints);
+
+    if (this.retentionMs > 0) {
+      drop = Math.max(drop, lowerBound(points, points[points.length - 1].timestamp - this.retentionMs));
+    }
+
+    if (drop > 0) {
+      points.splice(0, drop);
+    }
+  }
+}
+
+module.exports = TimeSeries;
+module.exports.TimeSeries = TimeSeries;
+module.exports.RollingWindow = RollingWindow;
+module.exports.TimeSeriesError = TimeSeriesError;
@@ -0,0 +1,272 @@
+/**
+ * WebSocket Transport
+ *
+ * Connects an Agent Messenger to a MessageBroker so agents hosted in other
+ * processes look like local ones: direct messages, replies, broadcasts and
+ * topic publications addressed to remote agents travel over the socket,
+ * while the messenger API stays unchanged. The transport reconnects with
+ * exponential backoff, re-announces its local agents after each reconnect
+ * and buffers outgoing frames while the broker is unreachable.
+ *
+ * Message content crosses the process boundary as JSON, so functions and
+ * class instances in payloads arrive as plain data.
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const { createComponentLogger } = require('./logger');
+
+// Get component-specific logger
+const logger = createComponentLogger('WS-TRANSPORT');
+
+class WebSocketTransport extends EventEmitter {
+  /**
+   * Create a WebSocket transport
+   * @param {object} options - Transport options
+   * @param {string} options.url - Broker URL (e.g. 'ws://127.0.0.1:7070')
+   * @param {string} options.nodeId - Name of this process in the broker registry
+   * @param {number} options.reconnectDelayMs - Initial reconnect delay
+   * @param {number} options.maxReconnectDelayMs - Upper bound for the reconnect backoff
+   * @param {number} options.maxBufferedFrames - Frames kept while disconnected; oldest are dropped
+   */
+  constructor(options = {}) {
+    super();
+    this.url = options.url || process.env.MESSAGE_BROKER_URL || 'ws://127.0.0.1:7070';
+    this.nodeId = options.nodeId || `node-${process.pid}-${uuidv4().slice(0, 8)}`;
+    this.reconnectDelayMs = options.reconnectDelayMs || 500;
+    this.maxReconnectDelayMs = options.maxReconnectDelayMs || 10000;
+    this.maxBufferedFrames = options.maxBufferedFrames || 1000;
+    this.socket = null;
+    this.messenger = null;
+    this.buffer = [];
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.closed = false;
+  }
+
+  /**
+   * Whether the broker connection is open
+   * @returns {boolean} Connection status
+   */
+  get connected() {
+    return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Bind the transport to the messenger that receives remote traffic
+   * @param {AgentMessenger} messenger - Local messenger
+   */
+  attach(messenger) {
+    this.messenger = messenger;
+  }
+
+  /**
+   * Connect to the broker. Keeps retrying in the background if the first
+   * attempt fails; the returned promise settles on the first outcome.
+   * @returns {Promise<boolean>} Resolves once connected
+   */
+  connect() {
+    this.closed = false;
+
+    return new Promise((resolve, reject) => {
+      const onOpen = () => {
+        this.removeListener('error', onError);
+        resolve(true);
+      };
+      const onError = (error) => {
+        this.removeListener('connected', onOpen);
+        reject(error);
+      };
+
+      this.once('connected', onOpen);
+      this.once('error', onError);
+      this._open();
+    });
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   * @returns {Promise<boolean>} Resolves once the socket is closed
+   */
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    if (!this.socket || this.socket.readyState === WebSocket.CLOSED) {
+      this.socket = null;
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      this.socket.once('close', () => resolve(true));
+      this.socket.close();
+    });
+  }
+
+  /**
+   * Send a frame to the broker, buffering it while disconnected
+   * @param {object} frame - Frame to send
+   */
+  send(frame) {
+    if (this.connected) {
+      this.socket.send(JSON.stringify(frame));
+      return;
+    }
+
+    // Registrations are re-announced from the messenger on reconnect
+    if (frame.kind === 'register' || frame.kind === 'unregister') {
+      return;
+    }
+
+    this.buffer.push(frame);
+
+    if (this.buffer.length > this.maxBufferedFrames) {
+      const dropped = this.buffer.shift();
+      logger.warn(`Transport buffer full; dropped ${dropped.kind} frame`);
+    }
+  }
+
+  /**
+   * Open a socket to the broker
+   * @private
+   */
+  _open() {
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+
+    socket.on('open', () => {
+      this.reconnectAttempts = 0;
+      logger.info(`Connected to message broker at ${this.url} as ${this.nodeId}`);
+
+      socket.send(JSON.stringify({ kind: 'hello', nodeId: this.nodeId }));
+
+      // Announce local agents again; the broker forgets them on disconnect
+      if (this.messenger) {
+        for (const agentId of this.messenger.activeAgents) {
+          socket.send(JSON.stringify({
+            kind: 'register',
+            agentId,
+            agentType: this.messenger.agentTypes.get(agentId)
+          }));
+        }
+      }
+
+      const buffered = this.buffer;
+      this.buffer = [];
+      for (const frame of buffered) {
+        socket.send(JSON.stringify(frame));
+      }
+
+      this.emit('connected', { nodeId: this.nodeId });
+    });
+
+    socket.on('message', (data) => {
+      let frame;
+      try {
+        frame = JSON.parse(data.toString());
+      } catch (error) {
+        logger.warn('Discarding malformed frame from broker');
+        return;
+      }
+
+      try {
+        this._handleFrame(frame);
+      } catch (error) {
+        logger.error(`Error handling ${frame.kind} frame:`, { error });
+      }
+    });
+
+    socket.on('close', () => {
+      if (this.socket !== socket) {
+        return;
+      }
+
+      if (this.messenger) {
+        this.messenger.clearRemoteAgents();
+      }
+
+      this.emit('disconnected', { nodeId: this.nodeId });
+
+      if (!this.closed) {
+        this._scheduleReconnect();
+      }
+    });
+
+    socket.on('error', (error) => {
+      logger.warn(`Message broker connection error: ${error.message}`);
+
+      // Only surface errors to a pending connect(); later ones just trigger a reconnect
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+    });
+  }
+
+  /**
+   * Retry the connection with exponential backoff
+   * @private
+   */
+  _scheduleReconnect() {
+    const delay = Math.min(
+      this.reconnectDelayMs * Math.pow(2, this.reconnectAttempts),
+      this.maxReconnectDelayMs
+    );
+    this.reconnectAttempts++;
+
+    logger.info(`Reconnecting to message broker in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.closed) {
+        this._open();
+      }
+    }, delay);
+  }
+
+  /**
+   * Hand a broker frame to the messenger
+   * @param {object} frame - Parsed frame
+   * @private
+   */
+  _handleFrame(frame) {
+    if (!this.messenger) {
+      return;
+    }
+
+    switch (frame.kind) {
+      case 'registry':
+        this.messenger.clearRemoteAgents();
+        for (const agent of frame.agents) {
+          this.messenger.addRemoteAgent(agent.agentId, agent.agentType, agent.nodeId);
+        }
+        break;
+
+      case 'agent:registered':
+        this.messenger.addRemoteAgent(frame.agentId, frame.agentType, frame.nodeId);
+        break;
+
+      case 'agent:unregistered':
+        this.messenger.removeRemoteAgent(frame.agentId);
+        break;
+
+      case 'message':
+        this.messenger.receiveRemoteMessage(frame.message);
+        break;
+
+      case 'undeliverable':
+        this.messenger.receiveUndeliverable(frame.message, frame.reason);
+        break;
+
+      case 'publish':
+        this.messenger.receiveRemotePublish(frame.message);
+        break;
+
+      default:
+        logger.warn(`Unknown frame kind: ${frame.kind}`);
+    }
+  }
+}
+
+module.exports = WebSocketTransport;